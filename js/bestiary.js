@@ -408,7 +408,7 @@ class BestiaryPage extends ListPageMultiSource {
 		this._seenHashes.add(hash);
 
 		Renderer.monster.updateParsed(mon);
-		const isExcluded = ExcludeUtil.isExcluded(hash, "monster", mon.source);
+		const isExcluded = ExcludeUtil.isExcluded(hash, "monster", mon.source, {entity: mon});
 
 		this._pageFilter.mutateAndAddToFilters(mon, isExcluded);
 
@@ -62,6 +62,49 @@ class BlocklistUtil {
 			.filter(it => !this._IGNORED_CATEGORIES.has(it))
 			.forEach(k => out[k] ? out[k] = out[k].concat(json[k]) : out[k] = json[k]);
 	}
+
+	/* -------------------------------------------- */
+
+	static _SUBHASH_KEY_PROFILE = "blocklistprofile";
+
+	/** @return {string} A URL which offers to import the profile when visited. */
+	static getProfileShareUrl ({name, excludes, rules = [], mode = ExcludeUtil.MODE_BLOCKLIST, allowlistExceptions = []}) {
+		const payload = {
+			n: name,
+			b: excludes.map(({displayName, hash, category, source, isBlock}) => [source, category, hash, displayName, ...(isBlock ? [1] : [])]),
+		};
+		// Rule IDs are not shared, as new IDs are assigned on import
+		if (rules.length) payload.r = rules.map(({name, page, categories, values, displayState}) => [name, page, categories, values, displayState]);
+		if (mode === ExcludeUtil.MODE_ALLOWLIST) {
+			payload.m = mode;
+			if (allowlistExceptions.length) payload.x = allowlistExceptions;
+		}
+		// Encode the payload ourselves, as the usual subhash handling lowercases values
+		return `${new URL("blocklist.html", location.href).href}#${this._SUBHASH_KEY_PROFILE}${HASH_SUB_KV_SEP}${encodeURIComponent(JSON.stringify(payload))}`;
+	}
+
+	/** @return {?{name: string, excludes: Array, rules: Array, mode: string, allowlistExceptions: Array<string>}} */
+	static getProfileFromHash () {
+		const prefix = `${this._SUBHASH_KEY_PROFILE}${HASH_SUB_KV_SEP}`;
+		const sub = Hist.util.getHashParts(window.location.hash, {isReturnEncoded: true})
+			.find(it => it.startsWith(prefix));
+		if (!sub) return null;
+
+		try {
+			const {n: name, b: rows, r: rules, m: mode, x: allowlistExceptions} = JSON.parse(decodeURIComponent(sub.slice(prefix.length)));
+			return {
+				name: `${name || "Shared"}`,
+				excludes: (rows || []).map(([source, category, hash, displayName, isBlock]) => ({displayName, hash, category, source, ...(isBlock ? {isBlock: true} : {})})),
+				rules: (rules || []).map(([name, page, categories, values, displayState]) => ({name, page, categories, values, displayState})),
+				mode: mode === ExcludeUtil.MODE_ALLOWLIST ? mode : ExcludeUtil.MODE_BLOCKLIST,
+				allowlistExceptions: allowlistExceptions || [],
+			};
+		} catch (e) {
+			JqueryUtil.doToast({type: "danger", content: `Failed to read shared blocklist profile! ${VeCt.STR_SEE_CONSOLE}`});
+			setTimeout(() => { throw e; });
+			return null;
+		}
+	}
 }
 
 globalThis.BlocklistUtil = BlocklistUtil;
@@ -93,10 +136,19 @@ class BlocklistUi {
 
 		this._$wrpSelName = null;
 		this._metaSelName = null;
+
+		this._$selProfile = null;
+		this._$wrpRules = null;
+		this._$dispListTitle = null;
 	}
 
+	/** The stored list is an allowlist if the active profile is in allowlist mode. */
+	_isAllowlistMode () { return this._isAutoSave && ExcludeUtil.isAllowlistMode(); }
+
+	_getListName () { return this._isAllowlistMode() ? "Allowlist" : "Blocklist"; }
+
 	_addExclude (displayName, hash, category, source) {
-		if (!this._excludes.find(row => row.source === source && row.category === category && row.hash === hash)) {
+		if (!this._excludes.find(row => !row.isBlock && row.source === source && row.category === category && row.hash === hash)) {
 			this._excludes.push({displayName, hash, category, source});
 			if (this._isAutoSave) ExcludeUtil.pSetList(MiscUtil.copy(this._excludes)).then(null);
 			return true;
@@ -104,8 +156,8 @@ class BlocklistUi {
 		return false;
 	}
 
-	_removeExclude (hash, category, source) {
-		const ix = this._excludes.findIndex(row => row.source === source && row.category === category && row.hash === hash);
+	_removeExclude (hash, category, source, {isBlock = false} = {}) {
+		const ix = this._excludes.findIndex(row => !!row.isBlock === isBlock && row.source === source && row.category === category && row.hash === hash);
 		if (~ix) {
 			this._excludes.splice(ix, 1);
 			if (this._isAutoSave) ExcludeUtil.pSetList(MiscUtil.copy(this._excludes)).then(null);
@@ -194,7 +246,7 @@ class BlocklistUi {
 	_renderList () {
 		this._excludes
 			.sort((a, b) => SortUtil.ascSort(a.source, b.source) || SortUtil.ascSort(a.category, b.category) || SortUtil.ascSort(a.displayName, b.displayName))
-			.forEach(({displayName, hash, category, source}) => this._addListItem(displayName, hash, category, source));
+			.forEach(({displayName, hash, category, source, isBlock}) => this._addListItem(displayName, hash, category, source, {isBlock}));
 		this._list.init();
 		this._list.update();
 	}
@@ -207,6 +259,7 @@ class BlocklistUi {
 		this._pInit_initUi();
 		this._pInit_render();
 		this._renderList();
+		if (this._isAutoSave) await this._pDoImportProfileFromHash();
 	}
 
 	_pInit_initUi () {
@@ -229,12 +282,15 @@ class BlocklistUi {
 
 		const $wrpList = $(`<div class="list-display-only smooth-scroll ve-overflow-y-auto h-100 min-h-0"></div>`);
 
+		this._$dispListTitle = $(`<h4 class="my-0"></h4>`);
+		this._renderListTitle();
+
 		$$(this._$wrpContent.empty())`
 			${this._$wrpControls}
 
 			<hr class="${this._isCompactUi ? "hr-2" : "hr-5"}">
 
-			<h4 class="my-0">Blocklist</h4>
+			${this._$dispListTitle}
 			<div class="text-muted ${this._isCompactUi ? "mb-2" : "mb-3"}"><i>Rows marked with an asterisk (*) in a field match everything in that field.</i></div>
 
 			<div class="ve-flex-col min-h-0">
@@ -325,7 +381,7 @@ class BlocklistUi {
 		this._$wrpSelName = $(`<div class="w-100 ve-flex"></div>`);
 		this._doHandleSourceCategorySelChange();
 
-		const $btnAddExclusion = $(`<button class="btn btn-default btn-xs">Add to Blocklist</button>`)
+		const $btnAddExclusion = $(`<button class="btn btn-default btn-xs">Add to ${this._getListName()}</button>`)
 			.click(() => this._pAdd());
 		// endregion
 
@@ -345,7 +401,24 @@ class BlocklistUi {
 			});
 		// endregion
 
-		$$`<div class="${this._isCompactUi ? "mb-2" : "mb-5"} ve-flex-v-center">
+		// Profiles are only available when editing the stored blocklist
+		const $wrpProfiles = this._isAutoSave ? this._pInit_render_$getProfileControls() : null;
+
+		// Rules are stored on the profile
+		if (this._isAutoSave) {
+			this._$wrpRules = $(`<div class="ve-flex-col"></div>`);
+			this._renderRules();
+		}
+
+		const $wrpAllowlistExceptions = this._isAllowlistMode() ? this._pInit_render_$getAllowlistExceptionControls() : null;
+
+		$$`${$wrpProfiles}
+
+		${$wrpAllowlistExceptions}
+
+		${this._$wrpRules}
+
+		<div class="${this._isCompactUi ? "mb-2" : "mb-5"} ve-flex-v-center">
 			<div class="ve-flex-vh-center mr-4">
 				<div class="mr-2">UA/Etc. Sources</div>
 				<div class="ve-flex-v-center btn-group">
@@ -412,11 +485,248 @@ class BlocklistUi {
 		</div>`.appendTo(this._$wrpControls.empty());
 	}
 
+	_pInit_render_$getProfileControls () {
+		this._$selProfile = $(`<select class="form-control input-xs mr-2 w-initial"></select>`)
+			.change(() => this._pSetActiveProfile(this._$selProfile.val()));
+		this._renderProfileOptions();
+
+		const $selMode = $(`<select class="form-control input-xs mr-2 w-initial" title="In allowlist mode, only the content in the list is available">
+			<option value="${ExcludeUtil.MODE_BLOCKLIST}">Blocklist</option>
+			<option value="${ExcludeUtil.MODE_ALLOWLIST}">Allowlist</option>
+		</select>`)
+			.val(ExcludeUtil.getMode())
+			.change(() => this._pSetMode($selMode.val()));
+
+		const $btnNew = $(`<button class="btn btn-default btn-xs" title="Create a new, empty, profile">New</button>`)
+			.click(() => this._pAddProfile());
+		const $btnDuplicate = $(`<button class="btn btn-default btn-xs" title="Create a copy of this profile">Duplicate</button>`)
+			.click(() => this._pAddProfile({isDuplicate: true}));
+		const $btnRename = $(`<button class="btn btn-default btn-xs">Rename</button>`)
+			.click(() => this._pRenameProfile());
+		const $btnDelete = $(`<button class="btn btn-danger btn-xs">Delete</button>`)
+			.click(() => this._pDeleteProfile());
+
+		const $btnImportProfile = $(`<button class="btn btn-default btn-xs" title="Import a blocklist file as a new profile">Import as Profile</button>`)
+			.click(() => this._pImportAsProfile());
+		const $btnShare = $(`<button class="btn btn-default btn-xs" title="Copy a link which will import this profile when opened"><span class="glyphicon glyphicon-link"></span> Share as URL</button>`)
+			.click(async evt => {
+				const {name} = ExcludeUtil.getActiveProfile();
+				await MiscUtil.pCopyTextToClipboard(BlocklistUtil.getProfileShareUrl({
+					name,
+					excludes: this._excludes,
+					rules: ExcludeUtil.getRules(),
+					mode: ExcludeUtil.getMode(),
+					allowlistExceptions: ExcludeUtil.getAllowlistExceptions(),
+				}));
+				JqueryUtil.showCopiedEffect(evt.currentTarget);
+			});
+
+		return $$`<div class="${this._isCompactUi ? "mb-2" : "mb-5"} ve-flex-v-center">
+			<div class="mr-2">Profile</div>
+			${this._$selProfile}
+			${$selMode}
+			<div class="ve-flex-v-center btn-group mr-2">
+				${$btnNew}
+				${$btnDuplicate}
+				${$btnRename}
+				${$btnDelete}
+			</div>
+			<div class="ve-flex-v-center btn-group">
+				${$btnImportProfile}
+				${$btnShare}
+			</div>
+		</div>`;
+	}
+
+	_pInit_render_$getAllowlistExceptionControls () {
+		const exceptions = ExcludeUtil.getAllowlistExceptions();
+
+		const $btnEdit = $(`<button class="btn btn-default btn-xs">Edit</button>`)
+			.click(async () => {
+				const categories = await InputUiUtil.pGetUserMultipleChoice({
+					title: `Always Allowed Categories`,
+					values: this._allCategories,
+					fnDisplay: category => Parser.getPropDisplayName(category),
+					defaults: exceptions.map(category => this._allCategories.indexOf(category)).filter(ix => ~ix),
+					isResolveItems: true,
+					max: Number.MAX_SAFE_INTEGER,
+					isSearchable: true,
+					fnGetSearchText: category => Parser.getPropDisplayName(category),
+				});
+				if (categories == null) return;
+
+				await ExcludeUtil.pSetAllowlistExceptions(categories);
+				this._pInit_render();
+			});
+
+		const ptExceptions = exceptions.length
+			? exceptions.map(category => Parser.getPropDisplayName(category).qq()).join(", ")
+			: `<span class="ve-muted italic">None</span>`;
+
+		return $$`<div class="${this._isCompactUi ? "mb-2" : "mb-5"} ve-flex-v-center">
+			<div class="mr-2 no-shrink" title="Content in these categories is always available, regardless of the allowlist">Always Allowed Categories</div>
+			<div class="mr-2">${ptExceptions}</div>
+			${$btnEdit}
+		</div>`;
+	}
+
+	_renderListTitle () {
+		if (!this._$dispListTitle) return;
+		this._$dispListTitle.text(this._isAllowlistMode() ? `Allowlist (only these will be available)` : `Blocklist`);
+	}
+
+	async _pSetMode (mode) {
+		await ExcludeUtil.pSetMode({mode});
+		this._pInit_render();
+		this._renderListTitle();
+	}
+
+	_renderRules () {
+		if (!this._$wrpRules) return;
+
+		const rules = ExcludeUtil.getRules();
+		this._$wrpRules.empty();
+		if (!rules.length) return;
+
+		const $rows = rules.map(rule => {
+			const $btnRemove = $(`<button class="btn btn-xxs btn-danger">Remove</button>`)
+				.click(async () => {
+					await ExcludeUtil.pRemoveRule({id: rule.id});
+					this._renderRules();
+				});
+
+			return $$`<div class="ve-flex-v-center py-1 stripe-even">
+				<div class="ve-col-3 px-1">${rule.name.qq()}</div>
+				<div class="ve-col-2 px-1"><a href="${rule.page.qq()}">${UrlUtil.pageToDisplayPage(rule.page).qq()}</a></div>
+				<div class="ve-col-6 px-1 ve-small ve-muted">${(rule.displayState || "").qq()}</div>
+				<div class="ve-col-1 px-1 ve-flex-h-right">${$btnRemove}</div>
+			</div>`;
+		});
+
+		$$`<div class="${this._isCompactUi ? "mb-2" : "mb-5"} ve-flex-col">
+			<div class="bold">Rules</div>
+			<div class="ve-muted italic mb-1">Everything displayed by a rule's filters is blocklisted. Rules are added from the &quot;Other Options&quot; menu of a list page, and apply wherever the content is loaded.</div>
+			<div class="ve-flex-col">${$rows}</div>
+		</div>`.appendTo(this._$wrpRules);
+	}
+
+	_renderProfileOptions () {
+		if (!this._$selProfile) return;
+
+		const profiles = ExcludeUtil.getProfiles();
+		this._$selProfile.empty();
+		profiles.forEach(({id, name}) => this._$selProfile.append(`<option value="${id.qq()}">${name.qq()}</option>`));
+		this._$selProfile.val(profiles.find(({isActive}) => isActive)?.id);
+	}
+
+	_doReloadList () {
+		this._excludes = ExcludeUtil.getList();
+		this._list.removeAllItems();
+		this._list.update();
+		this._renderList();
+		// The new profile may use a different mode, which changes the controls
+		this._pInit_render();
+		this._renderListTitle();
+	}
+
+	async _pSetActiveProfile (id) {
+		await ExcludeUtil.pSetActiveProfile({id});
+		this._doReloadList();
+	}
+
+	async _pGetUserProfileName ({title, name = ""}) {
+		const nameNxt = await InputUiUtil.pGetUserString({title, default: name});
+		if (!nameNxt?.trim()) return null;
+		return nameNxt.trim();
+	}
+
+	async _pAddProfile ({isDuplicate = false} = {}) {
+		const profileActive = ExcludeUtil.getActiveProfile();
+		const name = await this._pGetUserProfileName({
+			title: isDuplicate ? "Duplicate Blocklist Profile" : "New Blocklist Profile",
+			name: isDuplicate ? `${profileActive.name} (Copy)` : "",
+		});
+		if (!name) return;
+
+		const id = await ExcludeUtil.pAddProfile({
+			name,
+			excludes: isDuplicate ? this._excludes : [],
+			rules: isDuplicate ? ExcludeUtil.getRules() : [],
+			mode: isDuplicate ? ExcludeUtil.getMode() : ExcludeUtil.MODE_BLOCKLIST,
+			allowlistExceptions: isDuplicate ? ExcludeUtil.getAllowlistExceptions() : [],
+		});
+		await this._pSetActiveProfile(id);
+	}
+
+	async _pRenameProfile () {
+		const profileActive = ExcludeUtil.getActiveProfile();
+		const name = await this._pGetUserProfileName({title: "Rename Blocklist Profile", name: profileActive.name});
+		if (!name) return;
+
+		await ExcludeUtil.pRenameProfile({id: profileActive.id, name});
+		this._renderProfileOptions();
+	}
+
+	async _pDeleteProfile () {
+		if (ExcludeUtil.getProfiles().length <= 1) return JqueryUtil.doToast({type: "warning", content: `Cannot delete the only profile!`});
+
+		const profileActive = ExcludeUtil.getActiveProfile();
+		if (!await InputUiUtil.pGetUserBoolean({title: "Delete Blocklist Profile", htmlDescription: `Are you sure you want to delete the profile &quot;${profileActive.name.qq()}&quot;?`, textYes: "Yes", textNo: "Cancel"})) return;
+
+		await ExcludeUtil.pDeleteProfile({id: profileActive.id});
+		this._doReloadList();
+	}
+
+	async _pImportAsProfile () {
+		const {jsons, errors} = await this._pImport_getUserUpload();
+
+		DataUtil.doHandleFileLoadErrorsGeneric(errors);
+
+		if (!jsons?.length) return;
+
+		const json = jsons[0];
+
+		const name = await this._pGetUserProfileName({title: "Import Blocklist Profile", name: json.name || ""});
+		if (!name) return;
+
+		const id = await ExcludeUtil.pAddProfile({
+			name,
+			excludes: json.blocklist || json.blacklist || [],
+			rules: json.rules || [],
+			mode: json.mode === ExcludeUtil.MODE_ALLOWLIST ? json.mode : ExcludeUtil.MODE_BLOCKLIST,
+			allowlistExceptions: json.allowlistExceptions || [],
+		});
+		await this._pSetActiveProfile(id);
+	}
+
+	async _pDoImportProfileFromHash () {
+		const profile = BlocklistUtil.getProfileFromHash();
+		if (!profile) return;
+
+		Hist.replaceHistoryHash("");
+
+		if (
+			!await InputUiUtil.pGetUserBoolean({
+				title: "Import Shared Blocklist Profile",
+				htmlDescription: `Import the shared ${profile.mode === ExcludeUtil.MODE_ALLOWLIST ? "allowlist " : ""}profile &quot;${profile.name.qq()}&quot; (${profile.excludes.length} row${profile.excludes.length === 1 ? "" : "s"}${profile.rules.length ? `, ${profile.rules.length} rule${profile.rules.length === 1 ? "" : "s"}` : ""}), and make it the active profile?`,
+				textYes: "Import",
+				textNo: "Cancel",
+			})
+		) return;
+
+		const id = await ExcludeUtil.pAddProfile(profile);
+		await this._pSetActiveProfile(id);
+
+		JqueryUtil.doToast(`Imported blocklist profile "${profile.name}"!`);
+	}
+
 	_getBtnHtml_addToBlocklist () {
+		if (this._isAllowlistMode()) return `<button class="btn btn-success btn-xs w-20p h-21p ve-flex-vh-center" title="Add to Allowlist"><span class="glyphicon glyphicon-thumbs-up"></span></button>`;
 		return `<button class="btn btn-danger btn-xs w-20p h-21p ve-flex-vh-center" title="Add to Blocklist"><span class="glyphicon glyphicon-trash"></span></button>`;
 	}
 
 	_getBtnHtml_removeFromBlocklist () {
+		if (this._isAllowlistMode()) return `<button class="btn btn-danger btn-xs w-20p h-21p ve-flex-vh-center" title="Remove from Allowlist"><span class="glyphicon glyphicon-trash"></span></button>`;
 		return `<button class="btn btn-success btn-xs w-20p h-21p ve-flex-vh-center" title="Remove from Blocklist"><span class="glyphicon glyphicon-thumbs-up"></span></button>`;
 	}
 
@@ -522,7 +832,7 @@ class BlocklistUi {
 		}
 	}
 
-	_addListItem (displayName, hash, category, source) {
+	_addListItem (displayName, hash, category, source, {isBlock = false} = {}) {
 		const display = this._getDisplayValues(category, source);
 
 		const id = this._listId++;
@@ -530,13 +840,16 @@ class BlocklistUi {
 
 		const $btnRemove = $(`<button class="btn btn-xxs btn-danger">Remove</button>`)
 			.click(() => {
-				this._remove(id, hash, category, source);
+				this._remove(id, hash, category, source, {isBlock});
 			});
 
+		// Blocked rows in an allowlist are always excluded
+		const ptBlock = isBlock ? ` <span class="ve-muted" title="Blocked by a homebrew or imported blocklist">(blocked)</span>` : "";
+
 		const $ele = $$`<div class="${this._addListItem_getItemStyles()}">
 			<span class="ve-col-4 ve-text-center">${sourceFull}</span>
 			<span class="ve-col-2 ve-text-center">${display.displayCategory}</span>
-			<span class="ve-col-5 ve-text-center">${displayName}</span>
+			<span class="ve-col-5 ve-text-center">${displayName}${ptBlock}</span>
 			<span class="ve-col-1 ve-text-center">${$btnRemove}</span>
 		</div>`;
 
@@ -553,6 +866,7 @@ class BlocklistUi {
 				hash: hash,
 				category: category,
 				source: source,
+				isBlock,
 			},
 		);
 
@@ -607,7 +921,7 @@ class BlocklistUi {
 			: this._allSources;
 		sources
 			.forEach(source => {
-				const item = this._list.items.find(it => it.data.hash === "*" && it.data.category === "*" && it.data.source === source);
+				const item = this._list.items.find(it => !it.data.isBlock && it.data.hash === "*" && it.data.category === "*" && it.data.source === source);
 				if (item) {
 					this._remove(item.ix, "*", "*", source, {isSkipListUpdate: true});
 				}
@@ -627,8 +941,8 @@ class BlocklistUi {
 	_addAllNonForgottenRealms () { this._addMassSources({fnFilter: source => Parser.SOURCES_NON_FR.has(source)}); }
 	_removeAllNonForgottenRealms () { this._removeMassSources({fnFilter: source => Parser.SOURCES_NON_FR.has(source)}); }
 
-	_remove (ix, hash, category, source, {isSkipListUpdate = false} = {}) {
-		this._removeExclude(hash, category, source);
+	_remove (ix, hash, category, source, {isSkipListUpdate = false, isBlock = false} = {}) {
+		this._removeExclude(hash, category, source, {isBlock});
 		this._list.removeItemByIndex(ix);
 		if (!isSkipListUpdate) this._list.update();
 	}
@@ -638,7 +952,18 @@ class BlocklistUi {
 	}
 
 	_export () {
-		DataUtil.userDownload(`content-blocklist`, {fileType: "content-blocklist", blocklist: this._excludes});
+		const name = this._isAutoSave ? ExcludeUtil.getActiveProfile()?.name : null;
+		DataUtil.userDownload(
+			name ? `content-blocklist-${DataUtil.getCleanFilename(name)}` : `content-blocklist`,
+			{
+				fileType: "content-blocklist",
+				name: name || undefined,
+				blocklist: this._excludes,
+				rules: this._isAutoSave ? ExcludeUtil.getRules() : undefined,
+				mode: this._isAllowlistMode() ? ExcludeUtil.MODE_ALLOWLIST : undefined,
+				allowlistExceptions: this._isAllowlistMode() ? ExcludeUtil.getAllowlistExceptions() : undefined,
+			},
+		);
 	}
 
 	async _pImport_getUserUpload () {
@@ -658,11 +983,17 @@ class BlocklistUi {
 
 		const json = jsons[0];
 
+		// Supports old key "blacklist"
+		const rowsImported = json.blocklist || json.blacklist || [];
+		// Rows exported from an allowlist are allowlist rows; any others must remain blocks
+		const rows = this._isAllowlistMode() && json.mode !== ExcludeUtil.MODE_ALLOWLIST
+			? ExcludeUtil.getBlockRows(rowsImported)
+			: rowsImported;
+
 		// update storage
 		const nxtList = evt.shiftKey
-			// Supports old key "blacklist"
-			? MiscUtil.copy(this._excludes).concat(json.blocklist || json.blacklist || [])
-			: json.blocklist || json.blacklist || [];
+			? MiscUtil.copy(this._excludes).concat(rows)
+			: rows;
 		this._excludes = nxtList;
 		if (this._isAutoSave) await ExcludeUtil.pSetList(nxtList);
 
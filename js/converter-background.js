@@ -4,12 +4,17 @@ class _ParseStateTextBackground extends BaseParseStateText {
 
 }
 
+class _ParseStateMarkdownBackground extends BaseParseStateMarkdown {
+
+}
+
 class BackgroundParser extends BaseParserFeature {
 	/**
 	 * Parses backgrounds from raw text pastes
 	 * @param inText Input text.
 	 * @param options Options object.
 	 * @param options.cbWarning Warning callback.
+	 * @param [options.cbDiagnostic] Diagnostic callback, called with a `ConverterDiagnostic` in place of `cbWarning`.
 	 * @param options.cbOutput Output callback.
 	 * @param options.isAppend Default output append mode.
 	 * @param options.source Entity source.
@@ -18,7 +23,7 @@ class BackgroundParser extends BaseParserFeature {
 	 * @param options.isTitleCase Whether title-case fields should be title-cased in this entity.
 	 */
 	static doParseText (inText, options) {
-		options = this._getValidOptions(options);
+		options = this._getValidOptions(options, {inText});
 
 		const {toConvert, entity: background} = this._doParse_getInitialState(inText, options);
 		if (!toConvert) return;
@@ -59,6 +64,52 @@ class BackgroundParser extends BaseParserFeature {
 		state.ixToConvert = ptrI._;
 	}
 
+	/**
+	 * Parses backgrounds from raw markdown pastes
+	 * @param inText Input text.
+	 * @param options Options object.
+	 * @param options.cbWarning Warning callback.
+	 * @param [options.cbDiagnostic] Diagnostic callback, called with a `ConverterDiagnostic` in place of `cbWarning`.
+	 * @param options.cbOutput Output callback.
+	 * @param options.isAppend Default output append mode.
+	 * @param options.source Entity source.
+	 * @param options.page Entity page.
+	 * @param options.titleCaseFields Array of fields to be title-cased in this entity (if enabled).
+	 * @param options.isTitleCase Whether title-case fields should be title-cased in this entity.
+	 */
+	static doParseMarkdown (inText, options) {
+		options = this._getValidOptions(options, {inText});
+
+		const {toConvert, entity: background} = this._doParse_getInitialState(inText, options);
+		if (!toConvert) return;
+
+		const state = new _ParseStateMarkdownBackground({toConvert, options, entity: background});
+
+		state.doPreLoop();
+		for (; state.ixToConvert < toConvert.length; ++state.ixToConvert) {
+			state.initCurLine();
+			if (state.isSkippableCurLine()) continue;
+
+			switch (state.stage) {
+				case "name": this._doParseMarkdown_stepName(state); state.stage = "entries"; break;
+				case "entries": this._doParseMarkdown_stepEntries(state); break;
+				default: throw new Error(`Unknown stage "${state.stage}"`);
+			}
+		}
+		state.doPostLoop();
+
+		if (!background.entries?.length) delete background.entries;
+
+		const entityOut = this._getFinalEntity(state, options);
+
+		options.cbOutput(entityOut, options.isAppend);
+	}
+
+	static _doParseMarkdown_stepName (state) {
+		const name = ConverterUtilsMarkdown.getNoDashStarStar(ConverterUtilsMarkdown.getNoHashes(state.curLine)).replace(/ Traits$/i, "");
+		state.entity.name = this._getAsTitle("name", name, state.options.titleCaseFields, state.options.isTitleCase);
+	}
+
 	// SHARED UTILITY FUNCTIONS ////////////////////////////////////////////////////////////////////////////////////////
 	static _getFinalEntity (state, options) {
 		this._doBackgroundPostProcess(state, options);
@@ -0,0 +1,668 @@
+"use strict";
+
+class _ParseStateMarkdownClass extends BaseParseStateMarkdown {
+	constructor (...rest) {
+		super(...rest);
+
+		// The type of the section we are currently in, and the header depth at which features are found
+		this.section = null;
+		this.depthFeature = null;
+		this.isCoreSeen = false;
+
+		this.table = null;
+		this.features = [];
+	}
+}
+
+class _ParseStateMarkdownSubclass extends BaseParseStateMarkdown {
+	constructor (...rest) {
+		super(...rest);
+
+		this.depthFeature = null;
+
+		this.linesIntro = [];
+		this.features = [];
+	}
+}
+
+class BaseParserClass extends BaseParser {
+	// Matched against the first line of a feature only, as e.g. "5th-level spell slot" may appear in the body
+	static _RE_LEVEL_LINE = /^(?<level>\d+)(?:st|nd|rd|th)-level .* feature$/i;
+	static _RE_LEVEL_TEXT = /^(?:(?:starting|beginning) )?(?:at|from|when you reach|when you choose this [^,.]+ at) (?<level>\d+)(?:st|nd|rd|th) level\b/i;
+
+	static _doParse_getInitialState (inText, options) {
+		if (!inText || !inText.trim()) {
+			options.cbWarning("No input!", {severity: ConverterDiagnostic.SEVERITY_ERROR});
+			return {};
+		}
+
+		const toConvert = this._getCleanInput(inText, options)
+			.split("\n")
+			.filter(it => it && it.trim());
+
+		const entity = {};
+		entity.source = options.source;
+		// for the user to fill out
+		entity.page = options.page;
+
+		return {toConvert, entity};
+	}
+
+	/* -------------------------------------------- */
+
+	static _getHeaderDepth (line) { return /^#+/.exec(line.trim())?.[0]?.length || 0; }
+
+	static _getCleanHeaderName (line) { return ConverterUtilsMarkdown.getNoDashStarStar(ConverterUtilsMarkdown.getNoHashes(line)); }
+
+	static _isTableCaption (state) {
+		return state.curLine.startsWith("#") && this._isMarkdownTableLine(state.toConvert[state.ixToConvert + 1] || "");
+	}
+
+	/** Consume the table (and any caption) starting at the current line, returning its lines. */
+	static _getTableLines (state) {
+		const out = [];
+		if (state.curLine.startsWith("#")) out.push(state.toConvert[state.ixToConvert++].trim());
+		for (; state.ixToConvert < state.toConvert.length && this._isMarkdownTableLine(state.toConvert[state.ixToConvert]); ++state.ixToConvert) {
+			out.push(state.toConvert[state.ixToConvert].trim());
+		}
+		// Step back onto the last table line, as the parse loop will advance past it
+		state.ixToConvert--;
+		return out;
+	}
+
+	static _getTable (lines, options) {
+		let out = null;
+		TableParser.doParseMarkdown(lines.join("\n"), {...options, cbOutput: tbl => out = tbl, isAppend: false});
+		return out;
+	}
+
+	/**
+	 * Convert the lines of a feature's body to entries, using the same rules as other Markdown parsers.
+	 */
+	static _getFeatureEntries (lines, options) {
+		const stub = {};
+		const state = new BaseParseStateMarkdown({toConvert: lines, options, entity: stub});
+		state.doPreLoop();
+		for (; state.ixToConvert < lines.length; ++state.ixToConvert) {
+			state.initCurLine();
+			if (state.isSkippableCurLine()) continue;
+			this._doParseMarkdown_stepEntries(state);
+		}
+		state.doPostLoop();
+		return stub.entries || [];
+	}
+
+	/** Find a feature's level from e.g. "*3rd-level Order of the Ghostslayer feature*", or "At 3rd level, ..." */
+	static _getFeatureLevelFromText (entries) {
+		const str = entries[0];
+		if (typeof str !== "string") return null;
+
+		const m = this._RE_LEVEL_LINE.exec(str) || this._RE_LEVEL_TEXT.exec(str);
+		if (!m) return null;
+		return Number(m.groups.level);
+	}
+
+	/** Remove a Tasha's-style "*3rd-level X feature*" line, as this is instead represented by the feature's level. */
+	static _mutRemoveLevelLine (entries) {
+		if (typeof entries[0] !== "string" || !this._RE_LEVEL_LINE.test(entries[0])) return;
+		entries.shift();
+	}
+
+	static _doFeaturePostProcess (feature, options) {
+		TagCondition.tryTagConditions(feature);
+		if (!feature.entries?.length) return;
+
+		feature.entries = feature.entries.map(it => DiceConvert.getTaggedEntry(it));
+		EntryConvert.tryRun(feature, "entries");
+		feature.entries = SkillTag.tryRun(feature.entries);
+		feature.entries = ActionTag.tryRun(feature.entries);
+		feature.entries = SenseTag.tryRun(feature.entries);
+		TagJsons.mutTagObject(feature, {keySet: new Set(["entries"]), isOptimistic: false});
+	}
+
+	/**
+	 * Output the main entity, and its features. Features are flagged with their `__prop`, so that they may be
+	 * separated from the main entity on save/download.
+	 */
+	static _doOutput (entity, features, options) {
+		[...features].reverse() // reverse as the append is actually a prepend
+			.concat(entity)
+			.forEach((ent, i) => options.cbOutput(ent, options.isAppend || i !== 0));
+	}
+}
+
+class ClassParser extends BaseParserClass {
+	static _SECTION_CLASS_FEATURES = "classFeatures";
+	static _SECTION_HIT_POINTS = "hitPoints";
+	static _SECTION_PROFICIENCIES = "proficiencies";
+	static _SECTION_EQUIPMENT = "equipment";
+	static _SECTION_FEATURE = "feature";
+
+	static _getSectionType (name) {
+		switch (name.toLowerCase()) {
+			case "class features": return this._SECTION_CLASS_FEATURES;
+			case "hit points": return this._SECTION_HIT_POINTS;
+			case "proficiencies": return this._SECTION_PROFICIENCIES;
+			case "equipment": return this._SECTION_EQUIPMENT;
+			default: return null;
+		}
+	}
+
+	/**
+	 * Parses classes, and their class features, from raw markdown pastes
+	 * @param inText Input text.
+	 * @param options Options object.
+	 * @param options.cbWarning Warning callback.
+	 * @param [options.cbDiagnostic] Diagnostic callback, called with a `ConverterDiagnostic` in place of `cbWarning`.
+	 * @param options.cbOutput Output callback.
+	 * @param options.isAppend Default output append mode.
+	 * @param options.source Entity source.
+	 * @param options.page Entity page.
+	 * @param options.titleCaseFields Array of fields to be title-cased in this entity (if enabled).
+	 * @param options.isTitleCase Whether title-case fields should be title-cased in this entity.
+	 */
+	static doParseMarkdown (inText, options) {
+		options = this._getValidOptions(options, {inText});
+
+		const {toConvert, entity: cls} = this._doParse_getInitialState(inText, options);
+		if (!toConvert) return;
+
+		const state = new _ParseStateMarkdownClass({toConvert, options, entity: cls});
+
+		state.doPreLoop();
+		for (; state.ixToConvert < toConvert.length; ++state.ixToConvert) {
+			state.initCurLine();
+			if (state.isSkippableCurLine()) continue;
+
+			switch (state.stage) {
+				case "name": this._doParseMarkdown_stepName(state); state.stage = "body"; break;
+				case "body": this._doParseMarkdown_stepBody(state); break;
+				default: throw new Error(`Unknown stage "${state.stage}"`);
+			}
+		}
+		state.doPostLoop();
+
+		const features = this._getClassFeatures(state, options);
+
+		const clsOut = PropOrder.getOrdered(cls, "class");
+		this._doOutput(clsOut, features, options);
+	}
+
+	static _doParseMarkdown_stepName (state) {
+		const name = this._getCleanHeaderName(state.curLine);
+		state.entity.name = this._getAsTitle("name", name, state.options.titleCaseFields, state.options.isTitleCase);
+	}
+
+	static _doParseMarkdown_stepBody (state) {
+		if (this._isMarkdownHrLine(state.curLine)) return;
+
+		// region Tables
+		if (this._isMarkdownTableLine(state.curLine) || this._isTableCaption(state)) {
+			const lines = this._getTableLines(state);
+
+			if (!state.table) {
+				const tbl = this._getTable(lines, state.options);
+				if (tbl && this._isClassTable(tbl)) {
+					state.table = tbl;
+					state.isCoreSeen = true;
+					return;
+				}
+			}
+
+			if (state.section === this._SECTION_FEATURE) state.features.last().lines.push(...lines);
+			return;
+		}
+		// endregion
+
+		// region Headers
+		if (state.curLine.startsWith("#")) {
+			const depth = this._getHeaderDepth(state.curLine);
+			const name = this._getCleanHeaderName(state.curLine);
+
+			const sectionType = this._getSectionType(name);
+			if (sectionType) {
+				state.section = sectionType;
+				state.isCoreSeen = true;
+				return;
+			}
+
+			// Ignore any introductory text
+			if (!state.isCoreSeen) {
+				state.section = null;
+				return;
+			}
+
+			// Deeper headers are part of the current feature
+			if (state.section === this._SECTION_FEATURE && depth > state.depthFeature) {
+				state.features.last().lines.push(state.curLine);
+				return;
+			}
+
+			if (state.depthFeature == null) state.depthFeature = depth;
+			state.section = this._SECTION_FEATURE;
+			state.features.push({name, lines: []});
+			return;
+		}
+		// endregion
+
+		switch (state.section) {
+			case this._SECTION_FEATURE: state.features.last().lines.push(state.curLine); break;
+			case this._SECTION_EQUIPMENT: this._doParseMarkdown_stepEquipment(state); break;
+			case this._SECTION_CLASS_FEATURES:
+			case this._SECTION_HIT_POINTS:
+			case this._SECTION_PROFICIENCIES: this._doParseMarkdown_stepStatLine(state); break;
+		}
+	}
+
+	static _doParseMarkdown_stepStatLine (state) {
+		const line = ConverterUtilsMarkdown.getNoDashStarStar(state.curLine);
+
+		const m = /^(?<header>Hit Dice|Hit Points at 1st Level|Hit Points at Higher Levels|Armor|Weapons|Tools|Saving Throws|Skills)\s*:\s*(?<text>.*)$/i.exec(line);
+		if (!m) return;
+
+		const text = m.groups.text.trim();
+		switch (m.groups.header.toLowerCase()) {
+			case "hit dice": return this._setHitDice(state.entity, text, state.options);
+			case "armor": return this._setArmorProficiencies(state.entity, text, state.options);
+			case "weapons": return this._setWeaponProficiencies(state.entity, text, state.options);
+			case "tools": return this._setToolProficiencies(state.entity, text, state.options);
+			case "saving throws": return this._setSavingThrowProficiencies(state.entity, text, state.options);
+			case "skills": return this._setSkillProficiencies(state.entity, text, state.options);
+			// Hit points at 1st/higher levels are derived from the hit dice
+		}
+	}
+
+	static _doParseMarkdown_stepEquipment (state) {
+		const equipment = (state.entity.startingEquipment ||= {});
+
+		if (ConverterUtilsMarkdown.isListItem(state.curLine)) {
+			(equipment.default ||= []).push(ConverterUtilsMarkdown.getNoDashStarStar(ConverterUtilsMarkdown.getNoLeadingListSymbol(state.curLine)));
+			return;
+		}
+
+		const line = ConverterUtilsMarkdown.getNoDashStarStar(state.curLine);
+
+		if (/\bbackground\b/i.test(line)) equipment.additionalFromBackground = true;
+
+		const mGold = /(?<dice>\d+d\d+(?: [×x*] \d+)?) gp\b/i.exec(line);
+		if (mGold) {
+			const dice = mGold.groups.dice.replace(/ [x*] /i, " × ");
+			equipment.goldAlternative = `{@dice ${dice}|${dice}|Starting Gold}`;
+		}
+	}
+
+	/* -------------------------------------------- */
+
+	static _setHitDice (cls, text, options) {
+		const m = /^(?<number>\d+)d(?<faces>\d+)\b/i.exec(text);
+		if (!m) return options.cbWarning(`(${cls.name}) Hit dice "${text}" requires manual conversion`);
+		cls.hd = {number: Number(m.groups.number), faces: Number(m.groups.faces)};
+	}
+
+	static _getProficiencyParts (text) {
+		if (/^none$/i.test(text)) return [];
+		return ConverterUtils.splitConjunct(text.replace(/\.$/, ""));
+	}
+
+	static _setArmorProficiencies (cls, text, options) {
+		const out = this._getProficiencyParts(text)
+			.map(pt => {
+				const ptLower = pt.toLowerCase();
+				if (/^light(?: armor)?$/.test(ptLower)) return "light";
+				if (/^medium(?: armor)?$/.test(ptLower)) return "medium";
+				if (/^heavy(?: armor)?$/.test(ptLower)) return "heavy";
+				if (/^(?:all armor)$/.test(ptLower)) return ["light", "medium", "heavy"];
+				if (/^shields?$/.test(ptLower)) return "{@item shield|phb|shields}";
+				return ptLower;
+			})
+			.flat();
+		if (out.length) (cls.startingProficiencies ||= {}).armor = out;
+	}
+
+	static _setWeaponProficiencies (cls, text, options) {
+		const out = this._getProficiencyParts(text)
+			.map(pt => {
+				const ptLower = pt.toLowerCase();
+				if (/^simple(?: weapons)?$/.test(ptLower)) return "simple";
+				if (/^martial(?: weapons)?$/.test(ptLower)) return "martial";
+				return ptLower;
+			});
+		if (out.length) (cls.startingProficiencies ||= {}).weapons = out;
+	}
+
+	static _setToolProficiencies (cls, text, options) {
+		if (/^none\.?$/i.test(text)) return;
+		(cls.startingProficiencies ||= {}).tools = [text.replace(/\.$/, "")];
+	}
+
+	static _setSavingThrowProficiencies (cls, text, options) {
+		const abvs = this._getProficiencyParts(text)
+			.map(pt => Parser.ABIL_ABVS.find(abv => Parser.attAbvToFull(abv).toLowerCase() === pt.toLowerCase()));
+		if (abvs.some(it => it == null)) return options.cbWarning(`(${cls.name}) Saving throws "${text}" requires manual conversion`);
+		cls.proficiency = abvs;
+	}
+
+	static _setSkillProficiencies (cls, text, options) {
+		const mAny = /^choose any (?<count>\w+)/i.exec(text);
+		if (mAny) {
+			const count = Parser.textToNumber(mAny.groups.count);
+			if (!isNaN(count)) return (cls.startingProficiencies ||= {}).skills = [{any: count}];
+		}
+
+		const mChoose = /^choose (?<count>\w+)(?: skills)? from (?<from>.*)$/i.exec(text);
+		if (mChoose) {
+			const count = Parser.textToNumber(mChoose.groups.count);
+			const from = ConverterUtils.splitConjunct(mChoose.groups.from.replace(/\.$/, ""))
+				.map(it => it.toLowerCase());
+			if (!isNaN(count) && from.every(it => Parser.SKILL_TO_ATB_ABV[it])) {
+				return (cls.startingProficiencies ||= {}).skills = [{choose: {from, count}}];
+			}
+		}
+
+		options.cbWarning(`(${cls.name}) Skills "${text}" requires manual conversion`);
+	}
+
+	/* -------------------------------------------- */
+
+	static _isClassTable (tbl) {
+		const labels = (tbl.colLabels || []).map(it => ConverterUtilsMarkdown.getNoDashStarStar(it).toLowerCase());
+		return labels.includes("level") && labels.includes("features");
+	}
+
+	static _getClassTableMeta (cls, tbl, options) {
+		const labels = tbl.colLabels.map(it => ConverterUtilsMarkdown.getNoDashStarStar(it));
+		const labelsLower = labels.map(it => it.toLowerCase());
+
+		const ixLevel = labelsLower.indexOf("level");
+		const ixFeatures = labelsLower.indexOf("features");
+		const ixsOther = labels
+			.map((_, i) => i)
+			.filter(i => i !== ixLevel && i !== ixFeatures && labelsLower[i] !== "proficiency bonus");
+		const [ixsSpellSlots, ixsGeneric] = ixsOther.segregate(i => /^\d+(?:st|nd|rd|th)$/i.test(labels[i]));
+
+		// Map of lowercase feature name to levels gained
+		const featureLevels = {};
+		tbl.rows.forEach(row => {
+			const level = Number(`${row[ixLevel]}`.replace(/\D/g, ""));
+			if (isNaN(level)) return;
+
+			ConverterUtilsMarkdown.getNoDashStarStar(`${row[ixFeatures]}`)
+				.split(StrUtil.COMMAS_NOT_IN_PARENTHESES_REGEX)
+				.map(it => it.trim())
+				.filter(it => it && !/^[-—–]$/.test(it))
+				.forEach(name => (featureLevels[name.toLowerCase()] ||= {name, levels: []}).levels.push(level));
+		});
+
+		const classTableGroups = [];
+
+		if (ixsGeneric.length) {
+			classTableGroups.push({
+				colLabels: ixsGeneric.map(i => labels[i]),
+				rows: tbl.rows.map(row => ixsGeneric.map(i => this._getClassTableCell(row[i]))),
+			});
+		}
+
+		if (ixsSpellSlots.length) {
+			classTableGroups.push({
+				title: "Spell Slots per Spell Level",
+				colLabels: ixsSpellSlots.map(i => `{@filter ${labels[i]}|spells|level=${labels[i].replace(/\D/g, "")}|class=${cls.name}}`),
+				rowsSpellProgression: tbl.rows.map(row => ixsSpellSlots.map(i => Number(`${row[i]}`.replace(/\D/g, "")) || 0)),
+			});
+		}
+
+		return {featureLevels, classTableGroups};
+	}
+
+	static _getClassTableCell (cell) {
+		cell = ConverterUtilsMarkdown.getNoDashStarStar(`${cell}`);
+
+		const mBonus = /^\+(?<value>\d+)$/.exec(cell);
+		if (mBonus) return {type: "bonus", value: Number(mBonus.groups.value)};
+
+		const mBonusSpeed = /^\+(?<value>\d+) ft\.?$/.exec(cell);
+		if (mBonusSpeed) return {type: "bonusSpeed", value: Number(mBonusSpeed.groups.value)};
+
+		const mDice = /^(?<number>\d+)?d(?<faces>\d+)$/.exec(cell);
+		if (mDice) return {type: "dice", toRoll: [{number: Number(mDice.groups.number || 1), faces: Number(mDice.groups.faces)}]};
+
+		return cell;
+	}
+
+	/* -------------------------------------------- */
+
+	static _getClassFeatures (state, options) {
+		const cls = state.entity;
+
+		const {featureLevels, classTableGroups} = state.table
+			? this._getClassTableMeta(cls, state.table, options)
+			: {featureLevels: {}, classTableGroups: []};
+		if (!state.table) options.cbWarning(`(${cls.name}) No class table found!`);
+		if (classTableGroups.length) cls.classTableGroups = classTableGroups;
+
+		// Table entries of the form "<subclass title> feature", e.g. "Primal Path feature"
+		const metasSubclassFeature = Object.values(featureLevels)
+			.filter(({name}) => / feature$/i.test(name) && !state.features.some(f => f.name.toLowerCase() === name.toLowerCase()));
+		const subclassTitleShort = metasSubclassFeature[0]?.name.replace(/ feature$/i, "");
+
+		const features = [];
+		const featureUids = [];
+
+		const addFeature = ({name, level, entries, isGainSubclassFeature = false}) => {
+			const feature = {
+				name,
+				source: cls.source,
+				page: cls.page,
+				className: cls.name,
+				classSource: cls.source,
+				level,
+				entries: MiscUtil.copy(entries),
+			};
+			this._doFeaturePostProcess(feature, options);
+
+			features.push({...PropOrder.getOrdered(feature, "classFeature"), __prop: "classFeature"});
+
+			const uid = DataUtil.class.packUidClassFeature(feature);
+			featureUids.push({level, uid: isGainSubclassFeature ? {classFeature: uid, gainSubclassFeature: true} : uid});
+		};
+
+		state.features.forEach(({name, lines}) => {
+			const entries = this._getFeatureEntries(lines, options);
+
+			const isGainSubclassFeature = subclassTitleShort
+				&& (name.toLowerCase() === subclassTitleShort.toLowerCase() || name.toLowerCase().endsWith(` ${subclassTitleShort.toLowerCase()}`));
+			if (isGainSubclassFeature) cls.subclassTitle = name;
+
+			if (name.toLowerCase() === "spellcasting") this._setSpellcastingAbility(cls, entries);
+
+			const levels = featureLevels[name.toLowerCase()]?.levels;
+			if (levels?.length) return levels.forEach(level => addFeature({name, level, entries, isGainSubclassFeature}));
+
+			const level = this._getFeatureLevelFromText(entries);
+			if (level == null) options.cbWarning(`(${cls.name}) Could not determine level for feature "${name}"; assuming 1st level`);
+			addFeature({name, level: level ?? 1, entries, isGainSubclassFeature});
+		});
+
+		metasSubclassFeature.forEach(({name, levels}) => {
+			levels
+				// The first level is the level at which the subclass is chosen
+				.filter(level => !featureUids.some(it => it.level === level && it.uid.gainSubclassFeature))
+				.forEach(level => {
+					addFeature({
+						name: name.toTitleCase(),
+						level,
+						entries: [`At ${Parser.getOrdinalForm(level)} level, you gain a feature from your ${cls.subclassTitle || subclassTitleShort}.`],
+						isGainSubclassFeature: true,
+					});
+				});
+		});
+
+		Object.values(featureLevels)
+			.filter(({name}) => !state.features.some(f => f.name.toLowerCase() === name.toLowerCase()) && !metasSubclassFeature.some(meta => meta.name === name))
+			.forEach(({name}) => options.cbWarning(`(${cls.name}) No description found for table feature "${name}"`));
+
+		cls.classFeatures = featureUids
+			.map((it, i) => ({...it, ix: i}))
+			.sort((a, b) => SortUtil.ascSort(a.level, b.level) || SortUtil.ascSort(a.ix, b.ix))
+			.map(it => it.uid);
+
+		return features.sort((a, b) => SortUtil.ascSort(a.level, b.level));
+	}
+
+	static _setSpellcastingAbility (cls, entries) {
+		const mAbility = /\b(?<ability>Strength|Dexterity|Constitution|Intelligence|Wisdom|Charisma) is your spellcasting ability\b/i.exec(JSON.stringify(entries));
+		if (!mAbility) return;
+		cls.spellcastingAbility = mAbility.groups.ability.toLowerCase().slice(0, 3);
+	}
+}
+
+class SubclassParser extends BaseParserClass {
+	/**
+	 * Parses subclasses, and their subclass features, from raw markdown pastes
+	 * @param inText Input text.
+	 * @param options Options object.
+	 * @param options.cbWarning Warning callback.
+	 * @param [options.cbDiagnostic] Diagnostic callback, called with a `ConverterDiagnostic` in place of `cbWarning`.
+	 * @param options.cbOutput Output callback.
+	 * @param options.isAppend Default output append mode.
+	 * @param options.source Entity source.
+	 * @param options.page Entity page.
+	 * @param options.className Name of the subclass's class.
+	 * @param options.classSource Source of the subclass's class.
+	 * @param options.titleCaseFields Array of fields to be title-cased in this entity (if enabled).
+	 * @param options.isTitleCase Whether title-case fields should be title-cased in this entity.
+	 */
+	static doParseMarkdown (inText, options) {
+		options = this._getValidOptions(options, {inText});
+
+		if (!options.className || !options.classSource) return options.cbWarning("A class name and class source are required!");
+
+		const {toConvert, entity: sc} = this._doParse_getInitialState(inText, options);
+		if (!toConvert) return;
+
+		const state = new _ParseStateMarkdownSubclass({toConvert, options, entity: sc});
+
+		state.doPreLoop();
+		for (; state.ixToConvert < toConvert.length; ++state.ixToConvert) {
+			state.initCurLine();
+			if (state.isSkippableCurLine()) continue;
+
+			switch (state.stage) {
+				case "name": this._doParseMarkdown_stepName(state); state.stage = "body"; break;
+				case "body": this._doParseMarkdown_stepBody(state); break;
+				default: throw new Error(`Unknown stage "${state.stage}"`);
+			}
+		}
+		state.doPostLoop();
+
+		const features = this._getSubclassFeatures(state, options);
+
+		const scOut = PropOrder.getOrdered(sc, "subclass");
+		this._doOutput(scOut, features, options);
+	}
+
+	static _doParseMarkdown_stepName (state) {
+		const name = this._getCleanHeaderName(state.curLine);
+		state.entity.name = this._getAsTitle("name", name, state.options.titleCaseFields, state.options.isTitleCase);
+		state.entity.shortName = this._getShortName(state.entity.name);
+		state.entity.className = state.options.className;
+		state.entity.classSource = state.options.classSource;
+	}
+
+	/** E.g. "Path of the Berserker" -> "Berserker" */
+	static _getShortName (name) {
+		const m = /^\S+ of (?:the )?(?<shortName>.+)$/i.exec(name);
+		return m ? m.groups.shortName : name;
+	}
+
+	static _doParseMarkdown_stepBody (state) {
+		if (this._isMarkdownHrLine(state.curLine)) return;
+
+		if (this._isMarkdownTableLine(state.curLine) || this._isTableCaption(state)) {
+			const lines = this._getTableLines(state);
+			(state.features.last()?.lines || state.linesIntro).push(...lines);
+			return;
+		}
+
+		if (state.curLine.startsWith("#")) {
+			const depth = this._getHeaderDepth(state.curLine);
+
+			if (state.depthFeature == null || depth <= state.depthFeature) {
+				if (state.depthFeature == null) state.depthFeature = depth;
+				state.features.push({name: this._getCleanHeaderName(state.curLine), lines: []});
+				return;
+			}
+		}
+
+		(state.features.last()?.lines || state.linesIntro).push(state.curLine);
+	}
+
+	static _getSubclassFeatures (state, options) {
+		const sc = state.entity;
+
+		let levelPrev = null;
+		const metas = state.features.map(({name, lines}) => {
+			const entries = this._getFeatureEntries(lines, options);
+
+			let level = this._getFeatureLevelFromText(entries);
+			if (level == null) {
+				if (levelPrev == null) options.cbWarning(`(${sc.name}) Could not determine level for feature "${name}"; assuming 3rd level`);
+				level = levelPrev ?? 3;
+			}
+			levelPrev = level;
+
+			this._mutRemoveLevelLine(entries);
+
+			return {name, level, entries};
+		});
+
+		const getFeature = ({name, level, entries}) => {
+			const feature = {
+				name,
+				source: sc.source,
+				page: sc.page,
+				className: sc.className,
+				classSource: sc.classSource,
+				subclassShortName: sc.shortName,
+				subclassSource: sc.source,
+				level,
+				entries: MiscUtil.copy(entries),
+			};
+			this._doFeaturePostProcess(feature, options);
+			return feature;
+		};
+
+		// Features may be listed out of level order; keep those which share a level in the order given
+		const features = metas
+			.map((meta, ix) => ({...meta, ix}))
+			.sort((a, b) => SortUtil.ascSort(a.level, b.level) || SortUtil.ascSort(a.ix, b.ix))
+			.map(({name, level, entries}) => getFeature({name, level, entries}));
+		const levelMin = features.length ? Math.min(...features.map(it => it.level)) : 3;
+
+		// As per official data, the subclass's first feature is named for the subclass, and references the other features
+		//   gained at that level.
+		const featureIntro = getFeature({
+			name: sc.name,
+			level: levelMin,
+			entries: this._getFeatureEntries(state.linesIntro, options),
+		});
+		features
+			.filter(it => it.level === levelMin)
+			.forEach(it => {
+				it.header = 1;
+				featureIntro.entries.push({type: "refSubclassFeature", subclassFeature: DataUtil.class.packUidSubclassFeature(it)});
+			});
+
+		sc.subclassFeatures = [
+			DataUtil.class.packUidSubclassFeature(featureIntro),
+			...features
+				.filter(it => it.level !== levelMin)
+				.map(it => DataUtil.class.packUidSubclassFeature(it)),
+		];
+
+		return [featureIntro, ...features]
+			.map(it => ({...PropOrder.getOrdered(it, "subclassFeature"), __prop: "subclassFeature"}));
+	}
+}
+
+globalThis.ClassParser = ClassParser;
+globalThis.SubclassParser = SubclassParser;
@@ -115,6 +115,7 @@ class CreatureParser extends BaseParser {
 	 * @param inText Input text.
 	 * @param options Options object.
 	 * @param options.cbWarning Warning callback.
+	 * @param [options.cbDiagnostic] Diagnostic callback, called with a `ConverterDiagnostic` in place of `cbWarning`.
 	 * @param options.cbOutput Output callback.
 	 * @param options.isAppend Default output append mode.
 	 * @param options.source Entity source.
@@ -123,9 +124,9 @@ class CreatureParser extends BaseParser {
 	 * @param options.isTitleCase Whether title-case fields should be title-cased in this entity.
 	 */
 	static doParseText (inText, options) {
-		options = this._getValidOptions(options);
+		options = this._getValidOptions(options, {inText});
 
-		if (!inText || !inText.trim()) return options.cbWarning("No input!");
+		if (!inText || !inText.trim()) return options.cbWarning("No input!", {severity: ConverterDiagnostic.SEVERITY_ERROR});
 		const toConvert = this._getLinesToConvert({inText, options});
 
 		const stats = {};
@@ -970,6 +971,7 @@ class CreatureParser extends BaseParser {
 	 * @param inText Input text.
 	 * @param options Options object.
 	 * @param options.cbWarning Warning callback.
+	 * @param [options.cbDiagnostic] Diagnostic callback, called with a `ConverterDiagnostic` in place of `cbWarning`.
 	 * @param options.cbOutput Output callback.
 	 * @param options.isAppend Default output append mode.
 	 * @param options.source Entity source.
@@ -978,11 +980,11 @@ class CreatureParser extends BaseParser {
 	 * @param options.isTitleCase Whether title-case fields should be title-cased in this entity.
 	 */
 	static doParseMarkdown (inText, options) {
-		options = this._getValidOptions(options);
+		options = this._getValidOptions(options, {inText});
 
 		const isInlineLegendaryActionItem = (line) => /^-\s*\*\*\*?[^*]+/gi.test(line.trim());
 
-		if (!inText || !inText.trim()) return options.cbWarning("No input!");
+		if (!inText || !inText.trim()) return options.cbWarning("No input!", {severity: ConverterDiagnostic.SEVERITY_ERROR});
 		const toConvert = this._getCleanInput(inText, options).split("\n");
 		let stats = null;
 
@@ -0,0 +1,294 @@
+"use strict";
+
+class EntriesParser extends BaseParser {
+	static _LEVEL_INLINE_HEADER = 7;
+	/** `RendererMarkdown` writes sections as `#` (at the root) or `##` headers, and deeper entries as `###` onwards. */
+	static _LEVEL_SECTION_MAX = 2;
+
+	/**
+	 * Parses Markdown, as exported by `RendererMarkdown`, back into entries.
+	 * @param inText Input text.
+	 * @param options Options object.
+	 * @param options.cbWarning Warning callback.
+	 * @param [options.cbDiagnostic] Diagnostic callback, called with a `ConverterDiagnostic` in place of `cbWarning`.
+	 * @param options.cbOutput Output callback.
+	 * @param options.isAppend Default output append mode.
+	 * @param options.source Source for any embedded statblocks.
+	 * @param options.page Page for any embedded statblocks.
+	 * @param options.titleCaseFields Array of fields to be title-cased in embedded statblocks (if enabled).
+	 * @param options.isTitleCase Whether title-case fields should be title-cased in embedded statblocks.
+	 */
+	static doParseMarkdown (inText, options) {
+		options = this._getValidOptions(options, {inText});
+
+		if (!inText || !inText.trim()) return options.cbWarning("No input!", {severity: ConverterDiagnostic.SEVERITY_ERROR});
+
+		const lines = inText
+			.replace(/\r\n?/g, "\n")
+			.split("\n")
+			.map(l => l.trimEnd());
+
+		options.cbOutput(this._getEntries(lines, options), options.isAppend);
+	}
+
+	/* -------------------------------------------- */
+
+	static _getEntries (lines, options) {
+		const out = [];
+		// Stack of named blocks, which subsequent entries are nested under
+		const stack = [];
+
+		const addEntry = ent => (stack.length ? stack.last().ent.entries : out).push(ent);
+
+		const addHeader = (name, level) => {
+			while (stack.length && stack.last().level >= level) stack.pop();
+			const ent = {type: level <= this._LEVEL_SECTION_MAX ? "section" : "entries", name: this._getConvertedInlineText(name), entries: []};
+			addEntry(ent);
+			stack.push({level, ent});
+		};
+
+		for (let i = 0; i < lines.length;) {
+			const line = lines[i];
+			const lineTrim = line.trim();
+
+			if (!lineTrim) {
+				++i;
+				continue;
+			}
+
+			// region Statblocks
+			if (this._isHrLine(lineTrim) && lines[i + 1]?.startsWith(">")) {
+				const j = this._getIxBlockEnd(lines, i + 1, l => l.startsWith(">"));
+				addEntry(this._getStatblock(lines.slice(i, j), options));
+				i = j;
+				continue;
+			}
+			// endregion
+
+			if (this._isHrLine(lineTrim)) {
+				addEntry({type: "hr"});
+				++i;
+				continue;
+			}
+
+			// region Code blocks
+			if (lineTrim.startsWith("```")) {
+				const j = this._getIxBlockEnd(lines, i + 1, l => !l.trim().startsWith("```"));
+				addEntry({type: "code", preformatted: lines.slice(i + 1, j).join("\n")});
+				i = j + 1;
+				continue;
+			}
+			// endregion
+
+			// region Insets
+			if (lineTrim.startsWith(">")) {
+				const isReadaloud = lineTrim.startsWith(">>");
+				const j = this._getIxBlockEnd(lines, i, l => isReadaloud ? l.trim().startsWith(">>") : l.trim().startsWith(">") && !l.trim().startsWith(">>"));
+				addEntry(this._getInset(lines.slice(i, j), {isReadaloud, options}));
+				i = j;
+				continue;
+			}
+			// endregion
+
+			// region Tables
+			const mCaption = /^#{5}\s+(?<caption>.*)$/.exec(lineTrim);
+			const ixTable = mCaption ? i + 1 : i;
+			if (this._isTableStart(lines, ixTable)) {
+				const j = this._getIxBlockEnd(lines, ixTable, l => l.includes("|"));
+				addEntry(this._getTable(lines.slice(ixTable, j), mCaption?.groups?.caption));
+				i = j;
+				continue;
+			}
+			// endregion
+
+			// region Headers
+			const mHeader = /^(?<hashes>#{1,6})\s+(?<name>.*)$/.exec(lineTrim);
+			if (mHeader) {
+				addHeader(mHeader.groups.name, mHeader.groups.hashes.length);
+				++i;
+				continue;
+			}
+			// endregion
+
+			// region Lists
+			if (this._isListLine(line)) {
+				const j = this._getIxListEnd(lines, i);
+				addEntry(this._getList(lines.slice(i, j).filter(l => l.trim())));
+				i = j;
+				continue;
+			}
+			// endregion
+
+			// region Paragraphs, which may start with an inline header
+			const j = this._getIxBlockEnd(lines, i + 1, l => l.trim() && !this._isBlockStart(l));
+			const text = lines.slice(i, j).map(l => l.trim()).join(" ");
+
+			const mInlineHeader = /^\*\*\*(?<name>[^*]+?)[.?!:]\*\*\*\s*(?<text>.*)$/.exec(text);
+			if (mInlineHeader) {
+				addHeader(mInlineHeader.groups.name, this._LEVEL_INLINE_HEADER);
+				if (mInlineHeader.groups.text) addEntry(this._getConvertedInlineText(mInlineHeader.groups.text));
+			} else {
+				addEntry(this._getConvertedInlineText(text));
+			}
+
+			i = j;
+			// endregion
+		}
+
+		return out;
+	}
+
+	/* -------------------------------------------- */
+
+	static _isHrLine (lineTrim) { return /^(?:___|---|\*\*\*)$/.test(lineTrim); }
+
+	static _isListLine (line) { return /^\s*[-*+]\s+/.test(line) && !this._isHrLine(line.trim()); }
+
+	static _isTableStart (lines, ix) {
+		const [l1, l2] = [lines[ix], lines[ix + 1]];
+		return l1 != null && l2 != null
+			&& l1.includes("|")
+			&& l2.includes("-")
+			&& /^\s*\|?[\s|:-]+\|?\s*$/.test(l2);
+	}
+
+	static _isBlockStart (line) {
+		const lineTrim = line.trim();
+		return this._isHrLine(lineTrim)
+			|| lineTrim.startsWith("```")
+			|| lineTrim.startsWith(">")
+			|| lineTrim.startsWith("#")
+			|| lineTrim.startsWith("|")
+			|| this._isListLine(line);
+	}
+
+	static _getIxBlockEnd (lines, ixStart, fnIsInBlock) {
+		let j = ixStart;
+		while (j < lines.length && fnIsInBlock(lines[j])) ++j;
+		return j;
+	}
+
+	/** Lists may contain (at most) single blank lines between items. */
+	static _getIxListEnd (lines, ixStart) {
+		let j = ixStart + 1;
+		for (; j < lines.length; ++j) {
+			if (this._isListLine(lines[j])) continue;
+			if (!lines[j].trim() && lines[j + 1] != null && this._isListLine(lines[j + 1])) continue;
+			break;
+		}
+		return j;
+	}
+
+	/* -------------------------------------------- */
+
+	static _getStatblock (lines, options) {
+		let mon = null;
+		try {
+			CreatureParser.doParseMarkdown(
+				lines.join("\n"),
+				{
+					...options,
+					cbOutput: out => mon = out,
+					isAppend: false,
+				},
+			);
+		} catch (e) {
+			options.cbWarning(`Failed to parse statblock: ${e.message}`, {severity: ConverterDiagnostic.SEVERITY_ERROR, text: lines.join("\n")});
+		}
+
+		if (mon) return {type: "statblockInline", dataType: "monster", data: mon};
+
+		return {
+			type: "inset",
+			entries: lines.slice(1).map(l => l.replace(/^>\s*/, "")).filter(Boolean),
+		};
+	}
+
+	static _getInset (lines, {isReadaloud, options}) {
+		const linesInner = lines.map(l => l.trim().replace(isReadaloud ? /^>>/ : /^>/, ""));
+
+		// A leading header is the inset's name, unless it is instead a table caption
+		const ixName = linesInner.findIndex(l => l.trim());
+		const mName = this._isTableStart(linesInner, ixName + 1) ? null : /^#{1,6}\s+(?<name>.*)$/.exec(linesInner[ixName]?.trim() || "");
+		if (mName) linesInner.splice(ixName, 1);
+
+		const out = {type: isReadaloud ? "insetReadaloud" : "inset"};
+		if (mName) out.name = mName.groups.name;
+
+		if (!isReadaloud && /^Variant: /.test(out.name || "")) {
+			out.type = "variant";
+			out.name = out.name.replace(/^Variant: /, "");
+
+			const ixSource = linesInner.findLastIndex(l => l.trim());
+			const mSource = /^\*\*Source:\*\* \*(?<abv>[^*]+)\*, page (?<page>\d+)$/.exec(linesInner[ixSource]?.trim() || "");
+			if (mSource) {
+				linesInner.splice(ixSource, 1);
+				out.source = Parser.sourceJsonToJson(mSource.groups.abv);
+				out.page = Number(mSource.groups.page);
+			}
+		}
+
+		out.entries = this._getEntries(linesInner, options);
+
+		return out;
+	}
+
+	static _getTable (lines, caption) {
+		const tbl = MarkdownConverter.getConvertedTable(lines, caption);
+
+		if (tbl.caption) tbl.caption = this._getConvertedInlineText(tbl.caption);
+		else delete tbl.caption;
+
+		// Header-less tables are rendered with empty labels
+		if (tbl.colLabels.every(it => !it)) delete tbl.colLabels;
+		else tbl.colLabels = tbl.colLabels.map(it => this._getConvertedInlineText(it));
+
+		tbl.rows = tbl.rows.map(row => row.map(cell => this._getConvertedInlineText(cell.replace(/<br>/g, " "))));
+
+		return tbl;
+	}
+
+	static _getList (lines) {
+		const indentBase = Math.min(...lines.map(l => l.length - l.trimStart().length));
+
+		const root = {type: "list", items: []};
+		const stack = [{depth: 0, list: root}];
+
+		lines.forEach(l => {
+			// Lists are indented by two spaces per level
+			const depth = Math.floor((l.length - l.trimStart().length - indentBase) / 2);
+			const text = l.trim().replace(/^[-*+]\s+/, "");
+
+			while (stack.length > 1 && stack.last().depth > depth) stack.pop();
+			if (depth > stack.last().depth) {
+				const list = {type: "list", items: []};
+				stack.last().list.items.push(list);
+				stack.push({depth, list});
+			}
+
+			stack.last().list.items.push(this._getListItem(text));
+		});
+
+		return root;
+	}
+
+	static _getListItem (text) {
+		// Item names are rendered with a trailing period, unless they already end in punctuation
+		const mItem = /^\*\*(?<name>[^*]+?[.?!:])\*\*\s+(?<entry>.*)$/.exec(text);
+		if (!mItem) return this._getConvertedInlineText(text);
+
+		return {
+			type: "item",
+			name: this._getConvertedInlineText(mItem.groups.name.replace(/\.$/, "")),
+			entry: this._getConvertedInlineText(mItem.groups.entry),
+		};
+	}
+
+	/* -------------------------------------------- */
+
+	static _getConvertedInlineText (str) {
+		return MarkdownConverter.getConvertedInlineStyling(str.trim());
+	}
+}
+
+globalThis.EntriesParser = EntriesParser;
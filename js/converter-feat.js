@@ -4,12 +4,17 @@ class _ParseStateTextFeat extends BaseParseStateText {
 
 }
 
+class _ParseStateMarkdownFeat extends BaseParseStateMarkdown {
+
+}
+
 class FeatParser extends BaseParserFeature {
 	/**
 	 * Parses feats from raw text pastes
 	 * @param inText Input text.
 	 * @param options Options object.
 	 * @param options.cbWarning Warning callback.
+	 * @param [options.cbDiagnostic] Diagnostic callback, called with a `ConverterDiagnostic` in place of `cbWarning`.
 	 * @param options.cbOutput Output callback.
 	 * @param options.isAppend Default output append mode.
 	 * @param options.source Entity source.
@@ -18,7 +23,7 @@ class FeatParser extends BaseParserFeature {
 	 * @param options.isTitleCase Whether title-case fields should be title-cased in this entity.
 	 */
 	static doParseText (inText, options) {
-		options = this._getValidOptions(options);
+		options = this._getValidOptions(options, {inText});
 
 		const {toConvert, entity: feat} = this._doParse_getInitialState(inText, options);
 		if (!toConvert) return;
@@ -83,6 +88,79 @@ class FeatParser extends BaseParserFeature {
 		];
 	}
 
+	/**
+	 * Parses feats from raw markdown pastes
+	 * @param inText Input text.
+	 * @param options Options object.
+	 * @param options.cbWarning Warning callback.
+	 * @param [options.cbDiagnostic] Diagnostic callback, called with a `ConverterDiagnostic` in place of `cbWarning`.
+	 * @param options.cbOutput Output callback.
+	 * @param options.isAppend Default output append mode.
+	 * @param options.source Entity source.
+	 * @param options.page Entity page.
+	 * @param options.titleCaseFields Array of fields to be title-cased in this entity (if enabled).
+	 * @param options.isTitleCase Whether title-case fields should be title-cased in this entity.
+	 */
+	static doParseMarkdown (inText, options) {
+		options = this._getValidOptions(options, {inText});
+
+		const {toConvert, entity: feat} = this._doParse_getInitialState(inText, options);
+		if (!toConvert) return;
+
+		const state = new _ParseStateMarkdownFeat({toConvert, options, entity: feat});
+
+		state.doPreLoop();
+		for (; state.ixToConvert < toConvert.length; ++state.ixToConvert) {
+			state.initCurLine();
+			if (state.isSkippableCurLine()) continue;
+
+			switch (state.stage) {
+				case "name": this._doParseMarkdown_stepName(state); state.stage = "prerequisite"; break;
+				case "prerequisite": {
+					state.stage = "entries";
+					if (this._doParseMarkdown_stepPrerequisite(state)) break;
+					this._doParseMarkdown_stepEntries(state);
+					break;
+				}
+				case "entries": this._doParseMarkdown_stepEntries(state); break;
+				default: throw new Error(`Unknown stage "${state.stage}"`);
+			}
+		}
+		state.doPostLoop();
+
+		if (!feat.entries?.length) delete feat.entries;
+		else {
+			this._mutMergeHangingListItems(feat, options);
+			this._setAbility(feat, options);
+		}
+
+		const statsOut = this._getFinalState(state, options);
+
+		options.cbOutput(statsOut, options.isAppend);
+	}
+
+	static _doParseMarkdown_stepName (state) {
+		const name = ConverterUtilsMarkdown.getNoDashStarStar(ConverterUtilsMarkdown.getNoHashes(state.curLine));
+		state.entity.name = this._getAsTitle("name", name, state.options.titleCaseFields, state.options.isTitleCase);
+	}
+
+	static _doParseMarkdown_stepPrerequisite (state) {
+		const line = ConverterUtilsMarkdown.getNoDashStarStar(state.curLine);
+		if (!/^prerequisite:/i.test(line)) return false;
+
+		state.entity.entries = [
+			{
+				name: "Prerequisite:",
+				entries: [
+					line
+						.replace(/^prerequisite:/i, "")
+						.trim(),
+				],
+			},
+		];
+		return true;
+	}
+
 	static _getFinalState (state, options) {
 		this._doFeatPostProcess(state, options);
 		return PropOrder.getOrdered(state.entity, state.entity.__prop || "feat");
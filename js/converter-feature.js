@@ -1,7 +1,7 @@
 class BaseParserFeature extends BaseParser {
 	static _doParse_getInitialState (inText, options) {
 		if (!inText || !inText.trim()) {
-			options.cbWarning("No input!");
+			options.cbWarning("No input!", {severity: ConverterDiagnostic.SEVERITY_ERROR});
 			return {};
 		}
 
@@ -121,7 +121,7 @@ class BaseParserFeature extends BaseParser {
 				}
 
 				pre.other = pt;
-				options.cbWarning(`(${state.entity.name}) Prerequisite "${pt}" requires manual conversion`);
+				options.cbWarning(`(${state.entity.name}) Prerequisite "${pt}" requires manual conversion`, {text: pt});
 			});
 
 			if (Object.keys(pre).length) pres.push(pre);
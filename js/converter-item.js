@@ -1,5 +1,9 @@
 "use strict";
 
+class _ParseStateMarkdownItem extends BaseParseStateMarkdown {
+
+}
+
 class ItemParser extends BaseParser {
 	static init (itemData, classData) {
 		ItemParser._ALL_ITEMS = itemData;
@@ -20,6 +24,7 @@ class ItemParser extends BaseParser {
 	 * @param inText Input text.
 	 * @param options Options object.
 	 * @param options.cbWarning Warning callback.
+	 * @param [options.cbDiagnostic] Diagnostic callback, called with a `ConverterDiagnostic` in place of `cbWarning`.
 	 * @param options.cbOutput Output callback.
 	 * @param options.isAppend Default output append mode.
 	 * @param options.source Entity source.
@@ -28,9 +33,9 @@ class ItemParser extends BaseParser {
 	 * @param options.isTitleCase Whether title-case fields should be title-cased in this entity.
 	 */
 	static doParseText (inText, options) {
-		options = this._getValidOptions(options);
+		options = this._getValidOptions(options, {inText});
 
-		if (!inText || !inText.trim()) return options.cbWarning("No input!");
+		if (!inText || !inText.trim()) return options.cbWarning("No input!", {severity: ConverterDiagnostic.SEVERITY_ERROR});
 		const toConvert = this._getCleanInput(inText, options)
 			.split("\n")
 			.filter(it => it && it.trim());
@@ -73,6 +78,62 @@ class ItemParser extends BaseParser {
 		options.cbOutput(statsOut, options.isAppend);
 	}
 
+	/**
+	 * Parses items from raw markdown pastes
+	 * @param inText Input text.
+	 * @param options Options object.
+	 * @param options.cbWarning Warning callback.
+	 * @param [options.cbDiagnostic] Diagnostic callback, called with a `ConverterDiagnostic` in place of `cbWarning`.
+	 * @param options.cbOutput Output callback.
+	 * @param options.isAppend Default output append mode.
+	 * @param options.source Entity source.
+	 * @param options.page Entity page.
+	 * @param options.titleCaseFields Array of fields to be title-cased in this entity (if enabled).
+	 * @param options.isTitleCase Whether title-case fields should be title-cased in this entity.
+	 */
+	static doParseMarkdown (inText, options) {
+		options = this._getValidOptions(options, {inText});
+
+		if (!inText || !inText.trim()) return options.cbWarning("No input!", {severity: ConverterDiagnostic.SEVERITY_ERROR});
+		const toConvert = this._getCleanInput(inText, options)
+			.split("\n")
+			.filter(it => it && it.trim());
+		const item = {};
+		item.source = options.source;
+		// for the user to fill out
+		item.page = options.page;
+
+		const state = new _ParseStateMarkdownItem({toConvert, options, entity: item});
+
+		state.doPreLoop();
+		for (; state.ixToConvert < toConvert.length; ++state.ixToConvert) {
+			state.initCurLine();
+			if (state.isSkippableCurLine()) continue;
+
+			switch (state.stage) {
+				case "name": this._doParseMarkdown_stepName(state); state.stage = "tagline"; break;
+				case "tagline": this._doParseMarkdown_stepTagline(state); state.stage = "entries"; break;
+				case "entries": this._doParseMarkdown_stepEntries(state); break;
+				default: throw new Error(`Unknown stage "${state.stage}"`);
+			}
+		}
+		state.doPostLoop();
+
+		item.entries = item.entries || [];
+
+		const statsOut = this._getFinalState(item, options);
+		options.cbOutput(statsOut, options.isAppend);
+	}
+
+	static _doParseMarkdown_stepName (state) {
+		const name = ConverterUtilsMarkdown.getNoDashStarStar(ConverterUtilsMarkdown.getNoHashes(state.curLine));
+		state.entity.name = this._getAsTitle("name", name, state.options.titleCaseFields, state.options.isTitleCase);
+	}
+
+	static _doParseMarkdown_stepTagline (state) {
+		this._setCleanTaglineInfo(state.entity, ConverterUtilsMarkdown.getNoDashStarStar(state.curLine), state.options);
+	}
+
 	static _getFinalState (item, options) {
 		if (!item.entries.length) delete item.entries;
 		else this._setWeight(item, options);
@@ -5,16 +5,15 @@ class _ParseStateTextRace extends BaseParseStateText {
 }
 
 class _ParseStateMarkdownRace extends BaseParseStateMarkdown {
-	constructor (...rest) {
-		super(...rest);
-		this.stack = [];
-	}
+
 }
 
 class RaceParser extends BaseParser {
+	static _IS_MARKDOWN_ENTRIES_EXTENDED = false;
+
 	static _doParse_getInitialState (inText, options) {
 		if (!inText || !inText.trim()) {
-			options.cbWarning("No input!");
+			options.cbWarning("No input!", {severity: ConverterDiagnostic.SEVERITY_ERROR});
 			return {};
 		}
 
@@ -37,6 +36,7 @@ class RaceParser extends BaseParser {
 	 * @param inText Input text.
 	 * @param options Options object.
 	 * @param options.cbWarning Warning callback.
+	 * @param [options.cbDiagnostic] Diagnostic callback, called with a `ConverterDiagnostic` in place of `cbWarning`.
 	 * @param options.cbOutput Output callback.
 	 * @param options.isAppend Default output append mode.
 	 * @param options.source Entity source.
@@ -45,7 +45,7 @@ class RaceParser extends BaseParser {
 	 * @param options.isTitleCase Whether title-case fields should be title-cased in this entity.
 	 */
 	static doParseText (inText, options) {
-		options = this._getValidOptions(options);
+		options = this._getValidOptions(options, {inText});
 
 		const {toConvert, race} = this._doParse_getInitialState(inText, options);
 		if (!toConvert) return;
@@ -101,6 +101,7 @@ class RaceParser extends BaseParser {
 	 * @param inText Input text.
 	 * @param options Options object.
 	 * @param options.cbWarning Warning callback.
+	 * @param [options.cbDiagnostic] Diagnostic callback, called with a `ConverterDiagnostic` in place of `cbWarning`.
 	 * @param options.cbOutput Output callback.
 	 * @param options.isAppend Default output append mode.
 	 * @param options.source Entity source.
@@ -109,13 +110,14 @@ class RaceParser extends BaseParser {
 	 * @param options.isTitleCase Whether title-case fields should be title-cased in this entity.
 	 */
 	static doParseMarkdown (inText, options) {
-		options = this._getValidOptions(options);
+		options = this._getValidOptions(options, {inText});
 
 		const {toConvert, race} = this._doParse_getInitialState(inText, options);
 		if (!toConvert) return;
 
 		const state = new _ParseStateMarkdownRace({toConvert, options, entity: race});
 
+		state.doPreLoop();
 		for (; state.ixToConvert < toConvert.length; ++state.ixToConvert) {
 			state.initCurLine();
 			if (state.isSkippableCurLine()) continue;
@@ -126,6 +128,7 @@ class RaceParser extends BaseParser {
 				default: throw new Error(`Unknown stage "${state.stage}"`);
 			}
 		}
+		state.doPostLoop();
 
 		if (!race.entries?.length) delete race.entries;
 
@@ -139,67 +142,6 @@ class RaceParser extends BaseParser {
 		state.entity.name = this._getAsTitle("name", state.curLine, state.options.titleCaseFields, state.options.isTitleCase);
 	}
 
-	static _doParseMarkdown_stepEntries (state) {
-		state.entity.entries = state.entity.entries || [];
-
-		if (ConverterUtilsMarkdown.isInlineHeader(state.curLine)) {
-			while (state.stack.length) state.stack.pop();
-
-			const nxt = {type: "entries", name: "", entries: []};
-			if (state.stack.length) delete nxt.type;
-			state.stack.push(nxt);
-
-			state.entity.entries.push(nxt);
-
-			const [name, text] = ConverterUtilsMarkdown.getCleanTraitText(state.curLine);
-			nxt.name = name;
-			nxt.entries.push(ConverterUtilsMarkdown.getNoLeadingSymbols(text));
-
-			return;
-		}
-
-		if (ConverterUtilsMarkdown.isListItem(state.curLine)) {
-			if (state.stack.last()?.type !== "list") {
-				const lst = {type: "list", items: []};
-
-				if (state.stack.length) {
-					state.stack.last().entries.push(lst);
-					state.stack.push(lst);
-				} else {
-					state.entity.entries.push(lst);
-					state.stack.push(lst);
-				}
-			}
-
-			state.curLine = ConverterUtilsMarkdown.getNoLeadingListSymbol(state.curLine);
-
-			if (ConverterUtilsMarkdown.isInlineHeader(state.curLine)) {
-				state.stack.last().style = "list-hang-notitle";
-
-				const nxt = {type: "item", name: "", entry: ""};
-
-				state.stack.last().items.push(nxt);
-
-				const [name, text] = ConverterUtilsMarkdown.getCleanTraitText(state.curLine);
-				nxt.name = name;
-				nxt.entry = ConverterUtilsMarkdown.getNoLeadingSymbols(text);
-			} else {
-				state.stack.last().items.push(ConverterUtilsMarkdown.getNoLeadingSymbols(state.curLine));
-			}
-
-			return;
-		}
-
-		while (state.stack.length && state.stack.last().type === "list") state.stack.pop();
-
-		if (state.stack.length) {
-			state.stack.last().entries.push(ConverterUtilsMarkdown.getNoLeadingSymbols(state.curLine));
-			return;
-		}
-
-		state.entity.entries.push(ConverterUtilsMarkdown.getNoLeadingSymbols(state.curLine));
-	}
-
 	// SHARED UTILITY FUNCTIONS ////////////////////////////////////////////////////////////////////////////////////////
 	static _getFinalEntity (race, options) {
 		this._doRacePostProcess(race, options);
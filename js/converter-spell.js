@@ -1,11 +1,19 @@
 "use strict";
 
+class _ParseStateMarkdownSpell extends BaseParseStateMarkdown {
+
+}
+
 class SpellParser extends BaseParser {
 	static _RE_START_RANGE = "Range";
 	static _RE_START_COMPONENTS = "Components?";
 	static _RE_START_DURATION = "Duration";
 	static _RE_START_CLASS = "Class(?:es)?";
 
+	static _RE_START_CASTING_TIME = "Casting Time";
+
+	static _RE_NAME_HIGHER_LEVEL = /^(?:At Higher Levels|Using a Higher-Level Spell Slot|Cantrip Upgrade)$/i;
+
 	static _REQUIRED_PROPS = [
 		"level",
 		"school",
@@ -20,6 +28,7 @@ class SpellParser extends BaseParser {
 	 * @param inText Input text.
 	 * @param options Options object.
 	 * @param options.cbWarning Warning callback.
+	 * @param [options.cbDiagnostic] Diagnostic callback, called with a `ConverterDiagnostic` in place of `cbWarning`.
 	 * @param options.cbOutput Output callback.
 	 * @param options.isAppend Default output append mode.
 	 * @param options.source Entity source.
@@ -28,9 +37,9 @@ class SpellParser extends BaseParser {
 	 * @param options.isTitleCase Whether title-case fields should be title-cased in this entity.
 	 */
 	static doParseText (inText, options) {
-		options = this._getValidOptions(options);
+		options = this._getValidOptions(options, {inText});
 
-		if (!inText || !inText.trim()) return options.cbWarning("No input!");
+		if (!inText || !inText.trim()) return options.cbWarning("No input!", {severity: ConverterDiagnostic.SEVERITY_ERROR});
 		const toConvert = this._getCleanInput(inText, options)
 			.split("\n")
 			.filter(it => it && it.trim());
@@ -132,6 +141,121 @@ class SpellParser extends BaseParser {
 		options.cbOutput(statsOut, options.isAppend);
 	}
 
+	/**
+	 * Parses spells from raw markdown pastes
+	 * @param inText Input text.
+	 * @param options Options object.
+	 * @param options.cbWarning Warning callback.
+	 * @param [options.cbDiagnostic] Diagnostic callback, called with a `ConverterDiagnostic` in place of `cbWarning`.
+	 * @param options.cbOutput Output callback.
+	 * @param options.isAppend Default output append mode.
+	 * @param options.source Entity source.
+	 * @param options.page Entity page.
+	 * @param options.titleCaseFields Array of fields to be title-cased in this entity (if enabled).
+	 * @param options.isTitleCase Whether title-case fields should be title-cased in this entity.
+	 */
+	static doParseMarkdown (inText, options) {
+		options = this._getValidOptions(options, {inText});
+
+		if (!inText || !inText.trim()) return options.cbWarning("No input!", {severity: ConverterDiagnostic.SEVERITY_ERROR});
+		const toConvert = this._getCleanInput(inText, options)
+			.split("\n")
+			.filter(it => it && it.trim());
+		const spell = {};
+		spell.source = options.source;
+		// for the user to fill out
+		spell.page = options.page;
+
+		const state = new _ParseStateMarkdownSpell({toConvert, options, entity: spell});
+
+		state.doPreLoop();
+		for (; state.ixToConvert < toConvert.length; ++state.ixToConvert) {
+			state.initCurLine();
+			if (state.isSkippableCurLine()) continue;
+
+			switch (state.stage) {
+				case "name": this._doParseMarkdown_stepName(state); state.stage = "levelSchoolRitual"; break;
+				case "levelSchoolRitual": this._doParseMarkdown_stepLevelSchoolRitual(state); state.stage = "header"; break;
+				case "header": {
+					if (this._doParseMarkdown_stepHeader(state)) break;
+					state.stage = "entries";
+					this._doParseMarkdown_stepEntries(state);
+					break;
+				}
+				case "entries": {
+					if (this._doParseMarkdown_stepClasses(state)) break;
+					this._doParseMarkdown_stepEntries(state);
+					break;
+				}
+				default: throw new Error(`Unknown stage "${state.stage}"`);
+			}
+		}
+		state.doPostLoop();
+
+		this._doParseMarkdown_mutEntriesHigherLevel(spell);
+
+		const statsOut = this._getFinalState(spell, options);
+
+		const missingProps = this._REQUIRED_PROPS.filter(prop => statsOut[prop] == null);
+		if (missingProps.length) options.cbWarning(`${statsOut.name ? `(${statsOut.name}) ` : ""}Missing properties: ${missingProps.join(", ")}`);
+
+		options.cbOutput(statsOut, options.isAppend);
+	}
+
+	static _doParseMarkdown_stepName (state) {
+		const name = ConverterUtilsMarkdown.getNoDashStarStar(ConverterUtilsMarkdown.getNoHashes(state.curLine));
+		state.entity.name = this._getAsTitle("name", name, state.options.titleCaseFields, state.options.isTitleCase);
+	}
+
+	static _doParseMarkdown_stepLevelSchoolRitual (state) {
+		this._setCleanLevelSchoolRitual(state.entity, ConverterUtilsMarkdown.getNoDashStarStar(state.curLine), state.options);
+	}
+
+	/** Handle e.g. `- **Casting Time:** 1 action`, returning `true` if the line was consumed. */
+	static _doParseMarkdown_stepHeader (state) {
+		if (this._isMarkdownHrLine(state.curLine)) return true;
+
+		const line = ConverterUtilsMarkdown.getNoDashStarStar(state.curLine);
+
+		if (ConvertUtil.isStatblockLineHeaderStart({reStartStr: this._RE_START_CASTING_TIME, line})) {
+			this._setCleanCastingTime(state.entity, line, state.options);
+			return true;
+		}
+
+		if (ConvertUtil.isStatblockLineHeaderStart({reStartStr: this._RE_START_RANGE, line})) {
+			this._setCleanRange(state.entity, line, state.options);
+			return true;
+		}
+
+		if (ConvertUtil.isStatblockLineHeaderStart({reStartStr: this._RE_START_COMPONENTS, line})) {
+			this._setCleanComponents(state.entity, line, state.options);
+			return true;
+		}
+
+		if (ConvertUtil.isStatblockLineHeaderStart({reStartStr: this._RE_START_DURATION, line})) {
+			this._setCleanDuration(state.entity, line, state.options);
+			return true;
+		}
+
+		return this._doParseMarkdown_stepClasses(state);
+	}
+
+	static _doParseMarkdown_stepClasses (state) {
+		const line = ConverterUtilsMarkdown.getNoDashStarStar(state.curLine);
+		if (!ConvertUtil.isStatblockLineHeaderStart({reStartStr: `${this._RE_START_CLASS}:`, line})) return false;
+		this._setCleanClasses(state.entity, line, state.options);
+		return true;
+	}
+
+	/** Move any "At Higher Levels" blocks from the main entries into their own property. */
+	static _doParseMarkdown_mutEntriesHigherLevel (spell) {
+		if (!spell.entries?.length) return;
+
+		const [entriesHigherLevel, entries] = spell.entries.segregate(ent => this._RE_NAME_HIGHER_LEVEL.test(ent.name || ""));
+		spell.entries = entries;
+		if (entriesHigherLevel.length) spell.entriesHigherLevel = entriesHigherLevel;
+	}
+
 	static _getCleanInput (ipt, options = null) {
 		let txt = super._getCleanInput(ipt, options);
 
@@ -6,6 +6,7 @@ class TableParser extends BaseParser {
 	 * @param inText Input text.
 	 * @param options Options object.
 	 * @param options.cbWarning Warning callback.
+	 * @param [options.cbDiagnostic] Diagnostic callback, called with a `ConverterDiagnostic` in place of `cbWarning`.
 	 * @param options.cbOutput Output callback.
 	 * @param options.isAppend Default output append mode.
 	 * @param options.source Entity source.
@@ -14,9 +15,9 @@ class TableParser extends BaseParser {
 	 * @param options.isTitleCase Whether title-case fields should be title-cased in this entity.
 	 */
 	static doParseHtml (inText, options) {
-		options = this._getValidOptions(options);
+		options = this._getValidOptions(options, {inText});
 
-		if (!inText || !inText.trim()) return options.cbWarning("No input!");
+		if (!inText || !inText.trim()) return options.cbWarning("No input!", {severity: ConverterDiagnostic.SEVERITY_ERROR});
 		inText = this._getCleanInput(inText, options);
 
 		const handleTable = ($table, caption) => {
@@ -101,6 +102,7 @@ class TableParser extends BaseParser {
 	 * @param inText Input text.
 	 * @param options Options object.
 	 * @param options.cbWarning Warning callback.
+	 * @param [options.cbDiagnostic] Diagnostic callback, called with a `ConverterDiagnostic` in place of `cbWarning`.
 	 * @param options.cbOutput Output callback.
 	 * @param options.isAppend Default output append mode.
 	 * @param options.source Entity source.
@@ -109,7 +111,9 @@ class TableParser extends BaseParser {
 	 * @param options.isTitleCase Whether title-case fields should be title-cased in this entity.
 	 */
 	static doParseMarkdown (inText, options) {
-		if (!inText || !inText.trim()) return options.cbWarning("No input!");
+		options = this._getValidOptions(options, {inText});
+
+		if (!inText || !inText.trim()) return options.cbWarning("No input!", {severity: ConverterDiagnostic.SEVERITY_ERROR});
 		inText = this._getCleanInput(inText, options);
 
 		const lines = inText.replace(/\r\n/g, "\n").replace(/\r/g, "\n").split(/\n/g);
@@ -0,0 +1,744 @@
+"use strict";
+
+class _ParseStateTextVehicle extends BaseParseStateText {
+	constructor (...rest) {
+		super(...rest);
+
+		// Raw header lines, resolved once the vehicle type is known
+		this.ac = null;
+		this.hp = null;
+		this.speed = null;
+		this.cargo = null;
+
+		this.sections = [];
+	}
+}
+
+class _ParseStateTextObject extends BaseParseStateText {
+	constructor (...rest) {
+		super(...rest);
+
+		this.linesEntries = [];
+		this.linesActions = [];
+		this.isActions = false;
+	}
+}
+
+class BaseParserVehicleObject extends BaseParser {
+	static _RE_START_AC = "Armor Class";
+	static _RE_START_HP = "Hit Points";
+	static _RE_START_SPEED = "Speed";
+	static _RE_START_DAMAGE_VULN = "Damage Vulnerabilit(?:y|ies)";
+	static _RE_START_DAMAGE_RES = "Damage Resistances?";
+	static _RE_START_DAMAGE_IMM = "Damage Immunit(?:y|ies)";
+	static _RE_START_CONDITION_IMM = "Condition Immunit(?:y|ies)";
+	static _RE_START_SENSES = "Senses?";
+
+	static _RE_ABILITY_HEADER = /^STR\s+DEX\s+CON\s+INT\s+WIS\s+CHA$/i;
+
+	static _doParse_getInitialState (inText, options) {
+		if (!inText || !inText.trim()) {
+			options.cbWarning("No input!", {severity: ConverterDiagnostic.SEVERITY_ERROR});
+			return {};
+		}
+
+		const toConvert = this._getCleanInput(inText, options)
+			.split("\n")
+			.filter(it => it && it.trim());
+
+		const entity = {};
+		entity.source = options.source;
+		// for the user to fill out
+		entity.page = options.page;
+
+		return {toConvert, entity};
+	}
+
+	static _getNameWarningPrefix (ent) { return ent.name ? `(${ent.name}) ` : ""; }
+
+	static _doParseText_stepName (state) {
+		state.entity.name = this._getAsTitle("name", state.curLine, state.options.titleCaseFields, state.options.isTitleCase);
+	}
+
+	static _getSizeAbv (str) {
+		return Object.entries(Parser.SIZE_ABV_TO_FULL)
+			.find(([, full]) => full.toLowerCase() === str.trim().toLowerCase())?.[0];
+	}
+
+	/**
+	 * Attempt to consume the current line as a shared statblock header line, e.g. "Damage Immunities ...".
+	 * @return {boolean} `true` if the line was consumed.
+	 */
+	static _doParseText_tryStepSharedStat (state) {
+		const {curLine: line, entity, options} = state;
+
+		if (this._RE_ABILITY_HEADER.test(line)) {
+			const nextLineMeta = state.getNextLineMeta();
+			if (!nextLineMeta) return true;
+			state.ixToConvert = nextLineMeta.ixToConvertNext;
+			this._mutAbilityScores(state, nextLineMeta.nxtLine);
+			return true;
+		}
+
+		if (ConvertUtil.isStatblockLineHeaderStart({reStartStr: this._RE_START_DAMAGE_VULN, line})) {
+			entity.vulnerable = CreatureDamageVulnerabilityConverter.getParsed(ConvertUtil.getStatblockLineHeaderText({reStartStr: this._RE_START_DAMAGE_VULN, line}), options);
+			if (entity.vulnerable == null) delete entity.vulnerable;
+			return true;
+		}
+
+		if (ConvertUtil.isStatblockLineHeaderStart({reStartStr: this._RE_START_DAMAGE_RES, line})) {
+			entity.resist = CreatureDamageResistanceConverter.getParsed(ConvertUtil.getStatblockLineHeaderText({reStartStr: this._RE_START_DAMAGE_RES, line}), options);
+			if (entity.resist == null) delete entity.resist;
+			return true;
+		}
+
+		if (ConvertUtil.isStatblockLineHeaderStart({reStartStr: this._RE_START_DAMAGE_IMM, line})) {
+			entity.immune = CreatureDamageImmunityConverter.getParsed(ConvertUtil.getStatblockLineHeaderText({reStartStr: this._RE_START_DAMAGE_IMM, line}), options);
+			if (entity.immune == null) delete entity.immune;
+			return true;
+		}
+
+		if (ConvertUtil.isStatblockLineHeaderStart({reStartStr: this._RE_START_CONDITION_IMM, line})) {
+			entity.conditionImmune = CreatureConditionImmunityConverter.getParsed(ConvertUtil.getStatblockLineHeaderText({reStartStr: this._RE_START_CONDITION_IMM, line}), options);
+			if (entity.conditionImmune == null) delete entity.conditionImmune;
+			return true;
+		}
+
+		return false;
+	}
+
+	static _mutAbilityScores (state, line) {
+		const scores = [...line.matchAll(/(\d+)\s*\([^)]*\)/g)].map(m => Number(m[1]));
+		if (scores.length !== 6) return state.options.cbWarning(`${this._getNameWarningPrefix(state.entity)}Ability scores "${line}" require manual conversion`, {text: line});
+		Parser.ABIL_ABVS.forEach((ab, i) => state.entity[ab] = scores[i]);
+	}
+
+	/**
+	 * Merge lines which were broken mid-paragraph back together.
+	 */
+	static _getParagraphEntries (lines) {
+		return lines
+			.reduce((out, line) => {
+				if (this._isContinuationLine(out, line)) out[out.length - 1] = `${out.last().trimEnd()} ${line.trim()}`;
+				else out.push(line.trim());
+				return out;
+			}, []);
+	}
+
+	static _getTaggedAttackEntry (str, {ent, options}) {
+		if (typeof str !== "string") return str;
+		return str
+			.replace(/^((?:(?:[A-Z][a-z]*|or) )*Attack:) /, (...m) => {
+				const tag = TagAttack.MAP[m[1].toLowerCase()];
+				if (tag) return `${tag} `;
+				options.cbWarning(`${this._getNameWarningPrefix(ent)}Manual attack tagging required for "${m[1]}"`, {text: m[1]});
+				return m[0];
+			})
+			.replace(/\bHit: /g, "{@h}");
+	}
+}
+
+class VehicleParser extends BaseParserVehicleObject {
+	static _RE_START_CREATURE_CAPACITY = "Creature Capacity";
+	static _RE_START_CARGO_CAPACITY = "Cargo Capacity";
+	static _RE_START_TRAVEL_PACE = "Travel Pace";
+
+	static _PROPS_COMPONENT = ["hull", "control", "movement", "weapon"];
+	static _PROPS_NAMED_ENTRIES = ["trait", "actionStation", "reaction"];
+
+	static _SPEED_MODE_TO_TERRAIN = {
+		"water": "sea",
+		"swim": "sea",
+		"air": "air",
+		"fly": "air",
+		"land": "land",
+		"walk": "land",
+	};
+
+	/**
+	 * Parses ship and infernal war machine vehicles from raw text pastes
+	 * @param inText Input text.
+	 * @param options Options object.
+	 * @param options.cbWarning Warning callback.
+	 * @param [options.cbDiagnostic] Diagnostic callback, called with a `ConverterDiagnostic` in place of `cbWarning`.
+	 * @param options.cbOutput Output callback.
+	 * @param options.isAppend Default output append mode.
+	 * @param options.source Entity source.
+	 * @param options.page Entity page.
+	 * @param options.titleCaseFields Array of fields to be title-cased in this entity (if enabled).
+	 * @param options.isTitleCase Whether title-case fields should be title-cased in this entity.
+	 */
+	static doParseText (inText, options) {
+		options = this._getValidOptions(options, {inText});
+
+		const {toConvert, entity: vehicle} = this._doParse_getInitialState(inText, options);
+		if (!toConvert) return;
+
+		const state = new _ParseStateTextVehicle({toConvert, options, entity: vehicle});
+
+		state.doPreLoop();
+		for (; state.ixToConvert < toConvert.length; ++state.ixToConvert) {
+			state.initCurLine();
+			if (state.isSkippableCurLine()) continue;
+
+			switch (state.stage) {
+				case "name": this._doParseText_stepName(state); state.stage = "size"; break;
+				case "size": this._doParseText_stepSize(state); state.stage = "stats"; break;
+				case "stats": {
+					if (this._doParseText_tryStepStat(state)) break;
+					state.stage = "sections";
+					this._doParseText_stepSections(state);
+					break;
+				}
+				case "sections": this._doParseText_stepSections(state); break;
+				default: throw new Error(`Unknown stage "${state.stage}"`);
+			}
+		}
+		state.doPostLoop();
+
+		const vehicleOut = this._getFinalEntity(state);
+
+		options.cbOutput(vehicleOut, options.isAppend);
+	}
+
+	static _doParseText_stepSize (state) {
+		const m = /^(?<size>\w+) vehicle(?:\s*\((?<dimensions>[^)]+)\))?$/i.exec(state.curLine);
+		if (!m) {
+			state.options.cbWarning(`${this._getNameWarningPrefix(state.entity)}Size line "${state.curLine}" requires manual conversion`);
+			if (!this._doParseText_tryStepStat(state)) this._doParseText_stepSections(state);
+			return;
+		}
+
+		const size = this._getSizeAbv(m.groups.size);
+		if (size) state.entity.size = size;
+		else state.options.cbWarning(`${this._getNameWarningPrefix(state.entity)}Size "${m.groups.size}" requires manual conversion`, {text: m.groups.size});
+
+		if (!m.groups.dimensions) return;
+
+		const mWeight = /^(?<weight>[\d,]+) lb\.?$/i.exec(m.groups.dimensions.trim());
+		if (mWeight) return state.entity.weight = Number(mWeight.groups.weight.replace(/,/g, ""));
+
+		state.entity.dimensions = m.groups.dimensions.split(/\s+by\s+/i).map(it => it.trim());
+	}
+
+	static _doParseText_tryStepStat (state) {
+		const {curLine: line, entity} = state;
+
+		if (ConvertUtil.isStatblockLineHeaderStart({reStartStr: this._RE_START_CREATURE_CAPACITY, line})) {
+			const text = ConvertUtil.getStatblockLineHeaderText({reStartStr: this._RE_START_CREATURE_CAPACITY, line});
+
+			const mCrew = /([\d,]+) crew/i.exec(text);
+			if (mCrew) entity.capCrew = Number(mCrew[1].replace(/,/g, ""));
+			const mPassenger = /([\d,]+) passengers?/i.exec(text);
+			if (mPassenger) entity.capPassenger = Number(mPassenger[1].replace(/,/g, ""));
+			const mCreature = /([\d,]+) (?:Medium )?creatures?/i.exec(text);
+			if (mCreature) entity.capCreature = Number(mCreature[1].replace(/,/g, ""));
+
+			if (!mCrew && !mPassenger && !mCreature) state.options.cbWarning(`${this._getNameWarningPrefix(entity)}Creature capacity "${text}" requires manual conversion`, {text});
+			return true;
+		}
+
+		if (ConvertUtil.isStatblockLineHeaderStart({reStartStr: this._RE_START_CARGO_CAPACITY, line})) {
+			const text = ConvertUtil.getStatblockLineHeaderText({reStartStr: this._RE_START_CARGO_CAPACITY, line});
+			const m = /^(?:(?<numerator>\d+)\/(?<denominator>\d+)|(?<amount>[\d,.]+))\s*(?<unit>tons?|lbs?\.?)$/i.exec(text);
+			state.cargo = m
+				? {
+					amount: m.groups.amount
+						? Number(m.groups.amount.replace(/,/g, ""))
+						: Number(m.groups.numerator) / Number(m.groups.denominator),
+					isTons: /^ton/i.test(m.groups.unit),
+				}
+				: {text};
+			return true;
+		}
+
+		if (ConvertUtil.isStatblockLineHeaderStart({reStartStr: this._RE_START_TRAVEL_PACE, line})) {
+			const text = ConvertUtil.getStatblockLineHeaderText({reStartStr: this._RE_START_TRAVEL_PACE, line});
+			const m = /^(\d+) miles? per hour/i.exec(text);
+			if (m) entity.pace = Number(m[1]);
+			else state.options.cbWarning(`${this._getNameWarningPrefix(entity)}Travel pace "${text}" requires manual conversion`, {text});
+			return true;
+		}
+
+		if (ConvertUtil.isStatblockLineHeaderStart({reStartStr: this._RE_START_AC, line})) {
+			state.ac = ConvertUtil.getStatblockLineHeaderText({reStartStr: this._RE_START_AC, line});
+			return true;
+		}
+
+		if (ConvertUtil.isStatblockLineHeaderStart({reStartStr: this._RE_START_HP, line})) {
+			state.hp = ConvertUtil.getStatblockLineHeaderText({reStartStr: this._RE_START_HP, line});
+			return true;
+		}
+
+		if (ConvertUtil.isStatblockLineHeaderStart({reStartStr: this._RE_START_SPEED, line})) {
+			state.speed = ConvertUtil.getStatblockLineHeaderText({reStartStr: this._RE_START_SPEED, line});
+			return true;
+		}
+
+		return this._doParseText_tryStepSharedStat(state);
+	}
+
+	static _getSectionHeaderMeta (line) {
+		if (/^Actions$/i.test(line)) return {prop: "action"};
+		if (/^Action Stations$/i.test(line)) return {prop: "actionStation"};
+		if (/^Reactions$/i.test(line)) return {prop: "reaction"};
+		if (/^Traits$/i.test(line)) return {prop: "trait"};
+		if (/^Hull$/i.test(line)) return {prop: "hull"};
+
+		let m;
+		if ((m = /^Control:\s*(?<name>.+)$/i.exec(line))) return {prop: "control", name: m.groups.name.trim()};
+		if ((m = /^(?<isControl>Control and )?Movement:\s*(?<name>.+)$/i.exec(line))) return {prop: "movement", name: m.groups.name.trim(), isControl: !!m.groups.isControl};
+		if ((m = /^Weapons?:\s*(?<name>.+?)(?:\s*\((?<count>\d+)\))?$/i.exec(line))) return {prop: "weapon", name: m.groups.name.trim(), count: m.groups.count ? Number(m.groups.count) : null};
+
+		return null;
+	}
+
+	static _doParseText_stepSections (state) {
+		const headerMeta = this._getSectionHeaderMeta(state.curLine);
+		if (headerMeta) return state.sections.push({...headerMeta, lines: []});
+
+		// Infernal war machine traits are not preceded by a header
+		if (!state.sections.length) state.sections.push({prop: "trait", lines: []});
+		state.sections.last().lines.push(state.curLine);
+	}
+
+	/* -------------------------------------------- */
+
+	static _getFinalEntity (state) {
+		const {entity: vehicle, options} = state;
+
+		state.sections.forEach(section => {
+			switch (section.prop) {
+				case "action": return this._mutAddActions(state, section);
+				case "hull": {
+					if (vehicle.hull) options.cbWarning(`${this._getNameWarningPrefix(vehicle)}Multiple "Hull" sections found; only the last was kept`);
+					return vehicle.hull = this._getComponent(state, section);
+				}
+				case "control":
+				case "movement":
+				case "weapon": return (vehicle[section.prop] ||= []).push(this._getComponent(state, section));
+				case "trait":
+				case "actionStation":
+				case "reaction": return this._mutAddNamedEntries(state, section);
+				default: throw new Error(`Unhandled section "${section.prop}"`);
+			}
+		});
+
+		vehicle.vehicleType = this._getVehicleType(state);
+
+		switch (vehicle.vehicleType) {
+			case "SHIP": this._doVehiclePostProcess_ship(state); break;
+			case "INFWAR": this._doVehiclePostProcess_infwar(state); break;
+			default: throw new Error(`Unhandled vehicle type "${vehicle.vehicleType}"`);
+		}
+
+		this._doVehiclePostProcess_terrain(state);
+		this._doVehiclePostProcess_tag(state);
+
+		return PropOrder.getOrdered(vehicle, vehicle.__prop || "vehicle");
+	}
+
+	static _getVehicleType (state) {
+		const {entity: vehicle} = state;
+
+		if (
+			vehicle.capCreature != null
+			|| vehicle.weight != null
+			|| vehicle.actionStation
+		) return "INFWAR";
+
+		return "SHIP";
+	}
+
+	/* -------------------------------------------- */
+
+	static _mutAddActions (state, section) {
+		const entries = EntryConvert.coalesceLines({_: 0}, section.lines);
+
+		const action = [];
+		entries.forEach(ent => {
+			if (ent.type !== "entries" || !ent.name) return action.push(ent);
+
+			if (action.last()?.type !== "list") action.push({type: "list", style: "list-hang-notitle", items: []});
+
+			const item = {type: "item", name: ent.name};
+			if (ent.entries.length === 1) item.entry = ent.entries[0];
+			else item.entries = ent.entries;
+			action.last().items.push(item);
+		});
+
+		if (!action.length) return;
+		(state.entity.action ||= []).push(...action);
+
+		if (typeof action[0] !== "string" || state.entity.actionThresholds) return;
+		const actionThresholds = this._getActionThresholds(action[0]);
+		if (actionThresholds) state.entity.actionThresholds = actionThresholds;
+		else state.options.cbWarning(`${this._getNameWarningPrefix(state.entity)}Action thresholds require manual conversion`);
+	}
+
+	static _RE_NUMBER = "(\\d+|[a-z]+)";
+
+	/**
+	 * Build an "actions: minimum crew" map from e.g. "On its turn, the galley can take 3 actions [...]. It can take only
+	 * 2 actions if it has fewer than forty crew and only 1 action if it has fewer than twenty. It can't take these
+	 * actions if it has fewer than three crew."
+	 */
+	static _getActionThresholds (str) {
+		const mMax = new RegExp(`can take ${this._RE_NUMBER} actions?\\b`, "i").exec(str);
+		const max = mMax
+			? Parser.textToNumber(mMax[1])
+			: /can take the \w+ action\b/i.test(str) ? 1 : NaN;
+		if (isNaN(max)) return null;
+
+		const out = {"0": 0};
+
+		// e.g. "only 2 actions if it has fewer than forty crew"
+		[...str.matchAll(new RegExp(`${this._RE_NUMBER} actions? if it has fewer than ${this._RE_NUMBER}\\b`, "gi"))]
+			.filter(m => !isNaN(Parser.textToNumber(m[1])))
+			.forEach(m => out[Parser.textToNumber(m[1]) + 1] = Parser.textToNumber(m[2]));
+
+		// e.g. "3 actions if it has twenty or more crew"
+		[...str.matchAll(new RegExp(`${this._RE_NUMBER} actions? if it has ${this._RE_NUMBER} or more crew`, "gi"))]
+			.filter(m => !isNaN(Parser.textToNumber(m[1])))
+			.forEach(m => out[Parser.textToNumber(m[1])] = Parser.textToNumber(m[2]));
+
+		// e.g. "It can't take these actions if it has fewer than three crew" or "[...] if it has no crew"
+		const mMin = new RegExp(`(?:can't|cannot) take (?:these|this|any) actions? if it has (?:fewer than ${this._RE_NUMBER} crew|no (?:remaining )?crew)`, "i").exec(str);
+		if (mMin) out[1] = mMin[1] ? Parser.textToNumber(mMin[1]) : 1;
+
+		if ([...new Array(max + 1)].some((_, i) => out[i] == null || isNaN(out[i]))) return null;
+		if (Object.keys(out).some(k => !(Number(k) <= max))) return null;
+		return out;
+	}
+
+	static _getComponent (state, section) {
+		const out = {};
+		if (section.name) out.name = section.name;
+		if (section.isControl) out.isControl = true;
+		if (section.count) out.count = section.count;
+
+		const linesEntries = [];
+		section.lines.forEach(line => {
+			if (ConvertUtil.isStatblockLineHeaderStart({reStartStr: this._RE_START_AC, line})) {
+				const text = ConvertUtil.getStatblockLineHeaderText({reStartStr: this._RE_START_AC, line});
+				const m = /^(\d+)/.exec(text);
+				if (!m) return state.options.cbWarning(`${this._getNameWarningPrefix(state.entity)}Armor class "${text}" requires manual conversion`, {text});
+				out.ac = Number(m[1]);
+				return;
+			}
+
+			if (ConvertUtil.isStatblockLineHeaderStart({reStartStr: this._RE_START_HP, line})) {
+				return this._mutComponentHp(state, section, out, ConvertUtil.getStatblockLineHeaderText({reStartStr: this._RE_START_HP, line}));
+			}
+
+			const mSpeed = section.prop === "movement"
+				? /^(?<type>Speed|Locomotion)\s*\((?<mode>[^)]+)\)\s*(?<text>.+)$/i.exec(line)
+				: null;
+			if (mSpeed) {
+				const prop = mSpeed.groups.type.toLowerCase();
+				(out[prop] ||= []).push({mode: mSpeed.groups.mode.trim().toLowerCase(), entries: [mSpeed.groups.text.trim()]});
+				return;
+			}
+
+			linesEntries.push(line);
+		});
+
+		if (section.prop === "hull") {
+			if (linesEntries.length) state.options.cbWarning(`${this._getNameWarningPrefix(state.entity)}Hull text "${linesEntries.join(" ")}" requires manual conversion`, {text: linesEntries.join(" ")});
+			return out;
+		}
+
+		const entries = this._getParagraphEntries(linesEntries);
+		if (entries.length || section.prop !== "movement") out.entries = entries;
+		return out;
+	}
+
+	static _mutComponentHp (state, section, out, text) {
+		const m = /^(?<hp>[\d,]+)(?:\s*\(?each\)?)?(?:\s*\(damage threshold (?<dt>\d+)\))?(?:\s*;\s*(?<hpNote>.+))?$/i.exec(text);
+		if (!m) return state.options.cbWarning(`${this._getNameWarningPrefix(state.entity)}Hit points "${text}" require manual conversion`, {text});
+
+		out.hp = Number(m.groups.hp.replace(/,/g, ""));
+		if (m.groups.dt) out.dt = Number(m.groups.dt);
+		if (!m.groups.hpNote) return;
+
+		if (section.prop === "hull" || section.prop === "movement") out.hpNote = m.groups.hpNote.trim();
+		else state.options.cbWarning(`${this._getNameWarningPrefix(state.entity)}Hit point note "${m.groups.hpNote.trim()}" requires manual conversion`, {text: m.groups.hpNote.trim()});
+	}
+
+	static _mutAddNamedEntries (state, section) {
+		const entries = EntryConvert.coalesceLines({_: 0}, section.lines);
+
+		const out = state.entity[section.prop] ||= [];
+		entries.forEach(ent => {
+			if (ent.type === "entries" && ent.name) return out.push({name: ent.name, entries: ent.entries});
+
+			if (out.length) return out.last().entries.push(ent);
+
+			state.options.cbWarning(`${this._getNameWarningPrefix(state.entity)}Unnamed "${section.prop}" text requires manual conversion`);
+			out.push({entries: [ent]});
+		});
+	}
+
+	/* -------------------------------------------- */
+
+	static _doVehiclePostProcess_ship (state) {
+		const {entity: vehicle, options} = state;
+
+		// Ships may list cargo capacity as free text, e.g. "crew and passengers' normal gear"
+		if (state.cargo) vehicle.capCargo = state.cargo.text ?? (state.cargo.isTons ? state.cargo.amount : state.cargo.amount / 2000);
+
+		if (state.ac || state.hp) {
+			if (vehicle.hull) {
+				options.cbWarning(`${this._getNameWarningPrefix(vehicle)}Armor class/hit points outside of the "Hull" section require manual conversion`);
+			} else {
+				vehicle.hull = this._getComponent(
+					state,
+					{
+						prop: "hull",
+						lines: [
+							state.ac ? `Armor Class ${state.ac}` : null,
+							state.hp ? `Hit Points ${state.hp}` : null,
+						].filter(Boolean),
+					},
+				);
+			}
+		}
+
+		if (state.speed) options.cbWarning(`${this._getNameWarningPrefix(vehicle)}Speed "${state.speed}" requires manual conversion; ships use "Travel Pace" and movement components`, {text: state.speed});
+	}
+
+	static _doVehiclePostProcess_infwar (state) {
+		const {entity: vehicle, options} = state;
+
+		if (state.cargo?.text) options.cbWarning(`${this._getNameWarningPrefix(vehicle)}Cargo capacity "${state.cargo.text}" requires manual conversion`, {text: state.cargo.text});
+		else if (state.cargo) vehicle.capCargo = state.cargo.isTons ? state.cargo.amount * 2000 : state.cargo.amount;
+
+		if (state.ac) {
+			const m = /^(\d+)/.exec(state.ac);
+			if (m) vehicle.ac = Number(m[1]);
+			else options.cbWarning(`${this._getNameWarningPrefix(vehicle)}Armor class "${state.ac}" requires manual conversion`, {text: state.ac});
+		}
+
+		if (state.hp) {
+			const m = /^(?<hp>[\d,]+)(?:\s*\((?<thresholds>[^)]+)\))?$/.exec(state.hp);
+			if (!m) {
+				options.cbWarning(`${this._getNameWarningPrefix(vehicle)}Hit points "${state.hp}" require manual conversion`, {text: state.hp});
+			} else {
+				vehicle.hp = {hp: Number(m.groups.hp.replace(/,/g, ""))};
+				const mDt = /damage threshold (\d+)/i.exec(m.groups.thresholds || "");
+				if (mDt) vehicle.hp.dt = Number(mDt[1]);
+				const mMt = /mishap threshold (\d+)/i.exec(m.groups.thresholds || "");
+				if (mMt) vehicle.hp.mt = Number(mMt[1]);
+			}
+		}
+
+		if (state.speed) {
+			const m = /^(\d+) ft\.?$/i.exec(state.speed);
+			if (m) vehicle.speed = Number(m[1]);
+			else options.cbWarning(`${this._getNameWarningPrefix(vehicle)}Speed "${state.speed}" requires manual conversion`, {text: state.speed});
+		}
+
+		if (vehicle.weight == null) options.cbWarning(`${this._getNameWarningPrefix(vehicle)}Infernal war machine weight is required, but was not found`);
+		if (vehicle.hp?.dt == null) options.cbWarning(`${this._getNameWarningPrefix(vehicle)}Infernal war machine damage threshold is required, but was not found`);
+	}
+
+	static _doVehiclePostProcess_terrain (state) {
+		const {entity: vehicle} = state;
+
+		const terrain = (vehicle.movement || [])
+			.flatMap(move => [...(move.speed || []), ...(move.locomotion || [])])
+			.map(spd => this._SPEED_MODE_TO_TERRAIN[spd.mode])
+			.filter(Boolean)
+			.unique();
+
+		if (!terrain.length && vehicle.vehicleType === "INFWAR") terrain.push("land");
+
+		if (terrain.length) vehicle.terrain = terrain;
+		else state.options.cbWarning(`${this._getNameWarningPrefix(vehicle)}Terrain requires manual conversion`);
+	}
+
+	static _doVehiclePostProcess_tag (state) {
+		const {entity: vehicle, options} = state;
+
+		const propsEntries = [...this._PROPS_NAMED_ENTRIES, ...this._PROPS_COMPONENT.filter(prop => prop !== "hull")];
+		propsEntries
+			.filter(prop => vehicle[prop])
+			.forEach(prop => {
+				vehicle[prop].forEach(it => {
+					if (!it.entries) return;
+					DiceConvert.convertTraitActionDice(it);
+					it.entries = it.entries.map(ent => this._getTaggedAttackEntry(ent, {ent: vehicle, options}));
+				});
+			});
+
+		TagJsons.mutTagObject(vehicle, {keySet: new Set(["action", ...propsEntries]), isOptimistic: false});
+	}
+}
+
+globalThis.VehicleParser = VehicleParser;
+
+class ObjectParser extends BaseParserVehicleObject {
+	static _RE_ATTACK = /^(?<attackType>Melee|Ranged) (?<attackKind>Weapon|Spell) Attack:\s*(?<attack>.*?)\s*Hit:\s*(?<hit>.+)$/;
+
+	/**
+	 * Parses objects from raw text pastes
+	 * @param inText Input text.
+	 * @param options Options object.
+	 * @param options.cbWarning Warning callback.
+	 * @param [options.cbDiagnostic] Diagnostic callback, called with a `ConverterDiagnostic` in place of `cbWarning`.
+	 * @param options.cbOutput Output callback.
+	 * @param options.isAppend Default output append mode.
+	 * @param options.source Entity source.
+	 * @param options.page Entity page.
+	 * @param options.titleCaseFields Array of fields to be title-cased in this entity (if enabled).
+	 * @param options.isTitleCase Whether title-case fields should be title-cased in this entity.
+	 */
+	static doParseText (inText, options) {
+		options = this._getValidOptions(options, {inText});
+
+		const {toConvert, entity: object} = this._doParse_getInitialState(inText, options);
+		if (!toConvert) return;
+
+		const state = new _ParseStateTextObject({toConvert, options, entity: object});
+
+		state.doPreLoop();
+		for (; state.ixToConvert < toConvert.length; ++state.ixToConvert) {
+			state.initCurLine();
+			if (state.isSkippableCurLine()) continue;
+
+			switch (state.stage) {
+				case "name": this._doParseText_stepName(state); state.stage = "size"; break;
+				case "size": this._doParseText_stepSize(state); state.stage = "stats"; break;
+				case "stats": {
+					if (this._doParseText_tryStepStat(state)) break;
+					state.stage = "entries";
+					this._doParseText_stepEntries(state);
+					break;
+				}
+				case "entries": this._doParseText_stepEntries(state); break;
+				default: throw new Error(`Unknown stage "${state.stage}"`);
+			}
+		}
+		state.doPostLoop();
+
+		const objectOut = this._getFinalEntity(state);
+
+		options.cbOutput(objectOut, options.isAppend);
+	}
+
+	static _doParseText_stepSize (state) {
+		if (/^Variable size object$/i.test(state.curLine)) {
+			state.entity.objectType = "GEN";
+			return;
+		}
+
+		const m = /^(?<size>\w+) object$/i.exec(state.curLine);
+		const size = m ? this._getSizeAbv(m.groups.size) : null;
+		if (size) return state.entity.size = [size];
+
+		state.options.cbWarning(`${this._getNameWarningPrefix(state.entity)}Size line "${state.curLine}" requires manual conversion`);
+		if (!this._doParseText_tryStepStat(state)) this._doParseText_stepEntries(state);
+	}
+
+	static _doParseText_tryStepStat (state) {
+		const {curLine: line, entity, options} = state;
+
+		if (ConvertUtil.isStatblockLineHeaderStart({reStartStr: this._RE_START_AC, line})) {
+			entity.ac = this._getNumberOrSpecial(ConvertUtil.getStatblockLineHeaderText({reStartStr: this._RE_START_AC, line}));
+			return true;
+		}
+
+		if (ConvertUtil.isStatblockLineHeaderStart({reStartStr: this._RE_START_HP, line})) {
+			entity.hp = this._getNumberOrSpecial(ConvertUtil.getStatblockLineHeaderText({reStartStr: this._RE_START_HP, line}));
+			return true;
+		}
+
+		if (ConvertUtil.isStatblockLineHeaderStart({reStartStr: this._RE_START_SPEED, line})) {
+			entity.speed = ConvertUtil.getStatblockLineHeaderText({reStartStr: this._RE_START_SPEED, line});
+			SpeedConvert.tryConvertSpeed(entity, options.cbWarning);
+			return true;
+		}
+
+		if (ConvertUtil.isStatblockLineHeaderStart({reStartStr: this._RE_START_SENSES, line})) {
+			entity.senses = ConvertUtil.getStatblockLineHeaderText({reStartStr: this._RE_START_SENSES, line})
+				.split(StrUtil.COMMA_SPACE_NOT_IN_PARENTHESES_REGEX)
+				.map(it => it.trim())
+				.filter(Boolean);
+			return true;
+		}
+
+		return this._doParseText_tryStepSharedStat(state);
+	}
+
+	static _getNumberOrSpecial (str) {
+		str = str.trim();
+		if (/^\d+$/.test(str)) return Number(str);
+		return {special: str};
+	}
+
+	static _doParseText_stepEntries (state) {
+		if (/^Actions$/i.test(state.curLine)) return state.isActions = true;
+		(state.isActions ? state.linesActions : state.linesEntries).push(state.curLine);
+	}
+
+	/* -------------------------------------------- */
+
+	static _getFinalEntity (state) {
+		const {entity: object} = state;
+
+		const entries = EntryConvert.coalesceLines({_: 0}, state.linesEntries);
+		const entriesActions = EntryConvert.coalesceLines({_: 0}, state.linesActions);
+
+		// Without an explicit "Actions" header, treat named paragraphs as actions
+		const [entriesNamed, entriesUnnamed] = state.isActions
+			? [[], entries]
+			: entries.segregate(ent => ent.type === "entries" && ent.name);
+
+		if (entriesUnnamed.length) object.entries = entriesUnnamed;
+
+		const actionEntries = [...entriesNamed, ...entriesActions]
+			.map(ent => this._getActionEntry(state, ent));
+		if (actionEntries.length) object.actionEntries = actionEntries;
+
+		object.objectType ||= actionEntries.length ? "SW" : "U";
+
+		this._doObjectPostProcess(state);
+
+		return PropOrder.getOrdered(object, object.__prop || "object");
+	}
+
+	static _getActionEntry (state, ent) {
+		if (ent.type !== "entries" || !ent.name) return ent;
+
+		const [entFirst, ...entsRest] = ent.entries;
+		const m = typeof entFirst === "string" ? this._RE_ATTACK.exec(entFirst) : null;
+		if (!m) return ent;
+
+		const ptrDice = {entries: [m.groups.attack, m.groups.hit]};
+		DiceConvert.convertTraitActionDice(ptrDice);
+
+		return {
+			type: "actions",
+			name: ent.name,
+			entries: [
+				{
+					type: "attack",
+					attackType: `${m.groups.attackType[0]}${m.groups.attackKind[0]}`,
+					attackEntries: [ptrDice.entries[0]],
+					hitEntries: [ptrDice.entries[1]],
+				},
+				...entsRest,
+			],
+		};
+	}
+
+	static _doObjectPostProcess (state) {
+		const {entity: object} = state;
+
+		if (object.actionEntries) object.actionEntries = JSON.parse(JSON.stringify(object.actionEntries).replace(/\bDC (\d+)\b/g, "{@dc $1}"));
+
+		TagJsons.mutTagObject(object, {keySet: new Set(["entries", "actionEntries"]), isOptimistic: false});
+	}
+}
+
+globalThis.ObjectParser = ObjectParser;
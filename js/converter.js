@@ -309,9 +309,9 @@ class CreatureConverter extends BaseConverter {
 		ConverterUiUtil.renderSideMenuDivider($wrpSidebar);
 	}
 
-	handleParse (input, cbOutput, cbWarning, isAppend) {
+	handleParse (input, cbOutput, cbDiagnostic, isAppend) {
 		const opts = {
-			cbWarning,
+			cbDiagnostic,
 			cbOutput,
 			isAppend,
 			titleCaseFields: this._titleCaseFields,
@@ -436,7 +436,7 @@ class SpellConverter extends BaseConverter {
 			{
 				converterId: "Spell",
 				canSaveLocal: true,
-				modes: ["txt"],
+				modes: ["txt", "md"],
 				hasPageNumbers: true,
 				titleCaseFields: ["name"],
 				hasSource: true,
@@ -449,9 +449,9 @@ class SpellConverter extends BaseConverter {
 		$wrpSidebar.empty();
 	}
 
-	handleParse (input, cbOutput, cbWarning, isAppend) {
+	handleParse (input, cbOutput, cbDiagnostic, isAppend) {
 		const opts = {
-			cbWarning,
+			cbDiagnostic,
 			cbOutput,
 			isAppend,
 			titleCaseFields: this._titleCaseFields,
@@ -462,6 +462,7 @@ class SpellConverter extends BaseConverter {
 
 		switch (this._state.mode) {
 			case "txt": return SpellParser.doParseText(input, opts);
+			case "md": return SpellParser.doParseMarkdown(input, opts);
 			default: throw new Error(`Unimplemented!`);
 		}
 	}
@@ -469,6 +470,7 @@ class SpellConverter extends BaseConverter {
 	_getSample (format) {
 		switch (format) {
 			case "txt": return SpellConverter._SAMPLE_TEXT;
+			case "md": return SpellConverter._SAMPLE_MARKDOWN;
 			default: throw new Error(`Unknown format "${format}"`);
 		}
 	}
@@ -482,6 +484,19 @@ Components: V, S, M (a diamond worth at least 50 gp)
 Duration: Instantaneous
 You hurl a 4-inch-diameter sphere of energy at a creature that you can see within range. You choose acid, cold, fire, lightning, poison, or thunder for the type of orb you create, and then make a ranged spell attack against the target. If the attack hits, the creature takes 3d8 damage of the type you chose.
 At Higher Levels. When you cast this spell using a spell slot of 2nd level or higher, the damage increases by 1d8 for each slot level above 1st.`;
+SpellConverter._SAMPLE_MARKDOWN = `#### Chromatic Orb
+*1st-level evocation*
+___
+- **Casting Time:** 1 action
+- **Range:** 90 feet
+- **Components:** V, S, M (a diamond worth at least 50 gp)
+- **Duration:** Instantaneous
+
+You hurl a 4-inch-diameter sphere of energy at a creature that you can see within range. You choose acid, cold, fire, lightning, poison, or thunder for the type of orb you create, and then make a ranged spell attack against the target. If the attack hits, the creature takes 3d8 damage of the type you chose.
+
+***At Higher Levels.*** When you cast this spell using a spell slot of 2nd level or higher, the damage increases by 1d8 for each slot level above 1st.
+
+**Classes:** Sorcerer, Wizard`;
 // endregion
 
 class ItemConverter extends BaseConverter {
@@ -491,7 +506,7 @@ class ItemConverter extends BaseConverter {
 			{
 				converterId: "Item",
 				canSaveLocal: true,
-				modes: ["txt"],
+				modes: ["txt", "md"],
 				hasPageNumbers: true,
 				titleCaseFields: ["name"],
 				hasSource: true,
@@ -504,9 +519,9 @@ class ItemConverter extends BaseConverter {
 		$wrpSidebar.empty();
 	}
 
-	handleParse (input, cbOutput, cbWarning, isAppend) {
+	handleParse (input, cbOutput, cbDiagnostic, isAppend) {
 		const opts = {
-			cbWarning,
+			cbDiagnostic,
 			cbOutput,
 			isAppend,
 			titleCaseFields: this._titleCaseFields,
@@ -517,6 +532,7 @@ class ItemConverter extends BaseConverter {
 
 		switch (this._state.mode) {
 			case "txt": return ItemParser.doParseText(input, opts);
+			case "md": return ItemParser.doParseMarkdown(input, opts);
 			default: throw new Error(`Unimplemented!`);
 		}
 	}
@@ -524,6 +540,7 @@ class ItemConverter extends BaseConverter {
 	_getSample (format) {
 		switch (format) {
 			case "txt": return ItemConverter._SAMPLE_TEXT;
+			case "md": return ItemConverter._SAMPLE_MARKDOWN;
 			default: throw new Error(`Unknown format "${format}"`);
 		}
 	}
@@ -543,6 +560,27 @@ Exalted
 Once the Wreath of the Prism reaches an exalted state, it gains the following benefits:
 • You can affect creatures of challenge rating 15 or lower with the wreath.
 • The save DC of the wreath’s spell increases to 17.`;
+ItemConverter._SAMPLE_MARKDOWN = `#### Wreath of the Prism
+*Wondrous item, legendary (requires attunement)*
+___
+This loop of golden thorns is inset with dozens of gems representing the five colors of Tiamat.
+
+##### Dormant
+While wearing the wreath in its dormant state, you have darkvision out to a range of 60 feet. If you already have darkvision, wearing the wreath increases the range of your darkvision by 60 feet.
+
+When you hit a beast, dragon, or monstrosity of challenge rating 5 or lower with an attack, or when you grapple it, you can use the wreath to cast *dominate monster* on the creature (save DC 13). On a successful save, the target is immune to the power of the wreath for 24 hours. On a failure, a shimmering, golden image of the wreath appears as a collar around the target’s neck or as a crown on its head (your choice) until it is no longer charmed by the spell. If you use the wreath to charm a second creature, the first spell immediately ends. When the spell ends, the target knows it was charmed by you.
+
+##### Awakened
+Once the Wreath of the Prism reaches an awakened state, it gains the following benefits:
+
+- You can affect creatures of challenge rating 10 or lower with the wreath.
+- The save DC of the wreath’s spell increases to 15.
+
+##### Exalted
+Once the Wreath of the Prism reaches an exalted state, it gains the following benefits:
+
+- You can affect creatures of challenge rating 15 or lower with the wreath.
+- The save DC of the wreath’s spell increases to 17.`;
 // endregion
 
 class EntryConverter extends BaseConverter {
@@ -631,6 +669,106 @@ The following abbreviations are used in this adventure:
 | cp = copper piece(s)  | -                      |`;
 // endregion
 
+class MarkdownEntryConverter extends BaseConverter {
+	constructor (ui) {
+		super(
+			ui,
+			{
+				converterId: "5etools Markdown",
+				canSaveLocal: false,
+				modes: ["md"],
+				hasPageNumbers: true,
+				titleCaseFields: ["name"],
+				hasSource: true,
+			},
+		);
+	}
+
+	_renderSidebar (parent, $wrpSidebar) {
+		$wrpSidebar.empty();
+
+		$(`<div class="w-100 split-v-center">
+			<small>Converts Markdown exported from 5etools back to entries. The source and page below are applied to any creature stat blocks.</small>
+		</div>`).appendTo($wrpSidebar);
+
+		ConverterUiUtil.renderSideMenuDivider($wrpSidebar);
+	}
+
+	handleParse (input, cbOutput, cbDiagnostic, isAppend) {
+		const opts = {
+			cbDiagnostic,
+			cbOutput,
+			isAppend,
+			titleCaseFields: this._titleCaseFields,
+			isTitleCase: this._state.isTitleCase,
+			source: this._state.source,
+			page: this._state.page,
+		};
+
+		switch (this._state.mode) {
+			case "md": return EntriesParser.doParseMarkdown(input, opts);
+			default: throw new Error(`Unimplemented!`);
+		}
+	}
+
+	_getSample (format) {
+		switch (format) {
+			case "md": return MarkdownEntryConverter._SAMPLE_MARKDOWN;
+			default: throw new Error(`Unknown format "${format}"`);
+		}
+	}
+}
+// region sample
+MarkdownEntryConverter._SAMPLE_MARKDOWN = `### Cragmaw Hideout
+
+>>Following the goblins' trail, you come across a large cave in a hillside five miles from the scene of the ambush.
+>>
+
+The goblins are led by a bugbear named Klarg, and keep a lookout for intruders.
+
+#### General Features
+
+- **Ceilings.** Tunnels are 7 to 8 feet high.
+- **Light.** There is no light in the cave.
+
+> ##### Goblin Tactics
+>
+>Goblins prefer to fight from cover, and flee when outnumbered.
+>
+>##### Goblin Reactions
+>|  d4 | Reaction            |
+>|:---:|---------------------|
+>|  1  | The goblins flee.   |
+>| 2-3 | The goblins parley. |
+>|  4  | The goblins attack. |
+>
+
+___
+>## Goblin
+>*Small Humanoid (Goblinoid), neutral evil*
+>___
+>- **Armor Class** 15 (*leather armor*, *shield*)
+>- **Hit Points** 7 (2d6)
+>- **Speed** 30 ft.
+>___
+>|STR|DEX|CON|INT|WIS|CHA|
+>|:---:|:---:|:---:|:---:|:---:|:---:|
+>|8 (-1)|14 (+2)|10 (+0)|10 (+0)|8 (-1)|8 (-1)|
+>___
+>- **Skills** Stealth +6
+>- **Senses** darkvision 60 ft., passive Perception 9
+>- **Languages** Common, Goblin
+>- **Challenge** 1/4 (50 XP)
+>- **Proficiency Bonus** +2
+>___
+>***Nimble Escape.*** The goblin can take the Disengage or Hide action as a bonus action on each of its turns.  
+>
+>### Actions
+>***Scimitar.*** *Melee Weapon Attack:* +4 to hit, reach 5 ft., one target. *Hit:* 5 (1d6 + 2) slashing damage.  
+>
+>***Shortbow.*** *Ranged Weapon Attack:* +4 to hit, range 80/320 ft., one target. *Hit:* 5 (1d6 + 2) piercing damage.`;
+// endregion
+
 class FeatConverter extends BaseConverter {
 	constructor (ui) {
 		super(
@@ -638,7 +776,7 @@ class FeatConverter extends BaseConverter {
 			{
 				converterId: "Feat",
 				canSaveLocal: true,
-				modes: ["txt"],
+				modes: ["txt", "md"],
 				hasPageNumbers: true,
 				titleCaseFields: ["name"],
 				hasSource: true,
@@ -651,9 +789,9 @@ class FeatConverter extends BaseConverter {
 		$wrpSidebar.empty();
 	}
 
-	handleParse (input, cbOutput, cbWarning, isAppend) {
+	handleParse (input, cbOutput, cbDiagnostic, isAppend) {
 		const opts = {
-			cbWarning,
+			cbDiagnostic,
 			cbOutput,
 			isAppend,
 			titleCaseFields: this._titleCaseFields,
@@ -664,6 +802,7 @@ class FeatConverter extends BaseConverter {
 
 		switch (this._state.mode) {
 			case "txt": return FeatParser.doParseText(input, opts);
+			case "md": return FeatParser.doParseMarkdown(input, opts);
 			default: throw new Error(`Unimplemented!`);
 		}
 	}
@@ -671,6 +810,7 @@ class FeatConverter extends BaseConverter {
 	_getSample (format) {
 		switch (format) {
 			case "txt": return FeatConverter._SAMPLE_TEXT;
+			case "md": return FeatConverter._SAMPLE_MARKDOWN;
 			default: throw new Error(`Unknown format "${format}"`);
 		}
 	}
@@ -683,6 +823,14 @@ You’ve learned how to exert your will on your spells to alter how they functio
 • You learn two Metamagic options of your choice from the sorcerer class. You can use only one Metamagic option on a spell when you cast it, unless the option says otherwise. Whenever you gain a level, you can replace one of your Metamagic options with another one from the sorcerer class.
 • You gain 2 sorcery points to spend on Metamagic (these points are added to any sorcery points you have from another source but can be used only on Metamagic). You regain all spent sorcery points when you finish a long rest.
 `;
+FeatConverter._SAMPLE_MARKDOWN = `#### Metamagic Adept
+*Prerequisite: Spellcasting or Pact Magic feature*
+
+You've learned how to exert your will on your spells to alter how they function. You gain the following benefits:
+
+- Increase your Intelligence, Wisdom, or Charisma score by 1, to a maximum of 20.
+- You learn two Metamagic options of your choice from the sorcerer class. You can use only one Metamagic option on a spell when you cast it, unless the option says otherwise. Whenever you gain a level, you can replace one of your Metamagic options with another one from the sorcerer class.
+- You gain 2 sorcery points to spend on Metamagic (these points are added to any sorcery points you have from another source but can be used only on Metamagic). You regain all spent sorcery points when you finish a long rest.`;
 // endregion
 
 class RaceConverter extends BaseConverter {
@@ -705,9 +853,9 @@ class RaceConverter extends BaseConverter {
 		$wrpSidebar.empty();
 	}
 
-	handleParse (input, cbOutput, cbWarning, isAppend) {
+	handleParse (input, cbOutput, cbDiagnostic, isAppend) {
 		const opts = {
-			cbWarning,
+			cbDiagnostic,
 			cbOutput,
 			isAppend,
 			titleCaseFields: this._titleCaseFields,
@@ -726,7 +874,7 @@ class RaceConverter extends BaseConverter {
 	_getSample (format) {
 		switch (format) {
 			case "txt": return RaceConverter._SAMPLE_TEXT;
-			case "md": return RaceConverter.SAMPLE_MD;
+			case "md": return RaceConverter._SAMPLE_MARKDOWN;
 			default: throw new Error(`Unknown format "${format}"`);
 		}
 	}
@@ -753,7 +901,7 @@ Celestial Revelation. When you reach 3rd level, choose one of the revelation opt
 • Necrotic Shroud. Your eyes briefly become pools of darkness, and ghostly, flightless wings sprout from your back temporarily. Creatures other than your allies within 10 feet of you that can see you must succeed on a Charisma saving throw (DC 8 + your proficiency bonus + your Charisma modifier) or become frightened of you until the end of your next turn. Until the transformation ends, once on each of your turns, you can deal extra necrotic damage to one target when you deal damage to it with an attack or a spell. The extra damage equals your proficiency bonus.
 • Radiant Consumption. Searing light temporarily radiates from your eyes and mouth. For the duration, you shed bright light in a 10-foot radius and dim light for an additional 10 feet, and at the end of each of your turns, each creature within 10 feet of you takes radiant damage equal to your proficiency bonus. Until the transformation ends, once on each of your turns, you can deal extra radiant damage to one target when you deal damage to it with an attack or a spell. The extra damage equals your proficiency bonus.
 • Radiant Soul. Two luminous, spectral wings sprout from your back temporarily. Until the transformation ends, you have a flying speed equal to your walking speed, and once on each of your turns, you can deal extra radiant damage to one target when you deal damage to it with an attack or a spell. The extra damage equals your proficiency bonus.`;
-RaceConverter.SAMPLE_MD = `Aasimar
+RaceConverter._SAMPLE_MARKDOWN = `Aasimar
 
 **Creature Type.** You are a humanoid.
 
@@ -783,7 +931,7 @@ class BackgroundConverter extends BaseConverter {
 			{
 				converterId: "Background",
 				canSaveLocal: true,
-				modes: ["txt"],
+				modes: ["txt", "md"],
 				hasPageNumbers: true,
 				titleCaseFields: ["name"],
 				hasSource: true,
@@ -796,9 +944,9 @@ class BackgroundConverter extends BaseConverter {
 		$wrpSidebar.empty();
 	}
 
-	handleParse (input, cbOutput, cbWarning, isAppend) {
+	handleParse (input, cbOutput, cbDiagnostic, isAppend) {
 		const opts = {
-			cbWarning,
+			cbDiagnostic,
 			cbOutput,
 			isAppend,
 			titleCaseFields: this._titleCaseFields,
@@ -809,6 +957,7 @@ class BackgroundConverter extends BaseConverter {
 
 		switch (this._state.mode) {
 			case "txt": return BackgroundParser.doParseText(input, opts);
+			case "md": return BackgroundParser.doParseMarkdown(input, opts);
 			default: throw new Error(`Unimplemented!`);
 		}
 	}
@@ -816,6 +965,7 @@ class BackgroundConverter extends BaseConverter {
 	_getSample (format) {
 		switch (format) {
 			case "txt": return BackgroundConverter._SAMPLE_TEXT;
+			case "md": return BackgroundConverter._SAMPLE_MARKDOWN;
 			default: throw new Error(`Unknown format "${format}"`);
 		}
 	}
@@ -854,6 +1004,377 @@ d6 Personality Trait
 4 I embrace my shorter stature. It helps me stay unnoticed—and underestimated.
 5 Every avalanche begins as a single pebble.
 6 The world always feels too big, and I’m afraid I’ll never find my place in it.`;
+BackgroundConverter._SAMPLE_MARKDOWN = `## Giant Foundling
+**Skill Proficiencies:** Intimidation, Survival
+
+**Languages:** Giant and one other language of your choice
+
+**Equipment:** A backpack, a set of traveler’s clothes, a small stone or sprig that reminds you of home, and a pouch containing 10 gp
+
+### Origin Stories
+How you came to live among colossal creatures is up to you to determine, but the Foundling Origin table suggests a variety of possibilities.
+
+##### Foundling Origin
+| d6 | Origin |
+|:---:|:---|
+| 1 | You were found as a baby by a family of nomadic giants who raised you as one of their own. |
+| 2 | A family of stone giants rescued you when you fell into a mountain chasm, and you have lived with them underground ever since. |
+| 3 | You were lost or abandoned as a child in a jungle that teemed with ravenous dinosaurs. There, you found an equally lost frost giant; together, you survived. |
+| 4 | Your farm was crushed and your family killed in a battle between warring groups of giants. Racked with guilt over the destruction, a sympathetic giant soldier promised to care for you. |
+| 5 | After you had a series of strange dreams as a child, your superstitious parents sent you to study with a powerful but aloof storm giant oracle. |
+| 6 | While playing hide-and-seek with your friends, you stumbled into the castle of a cloud giant, who immediately adopted you. |
+
+### Building a Giant Foundling Character
+Your life among giants has given you a unique perspective. Though you are unusually large for your kind, you’re no larger than a giant child, so you might be very mindful of your size.
+
+### Feature: Strike of the Giants
+You gain the *Strike of the Giants* feat.
+
+### Suggested Characteristics
+The Giant Foundling Personality Traits table suggests a variety of traits you might adopt for your character.
+
+| d6 | Personality Trait |
+|:---:|:---|
+| 1 | What I lack in stature compared to giants, I make up for with sheer spite. |
+| 2 | I insist on being taken seriously as a full-grown adult. Nobody talks down to me! |
+| 3 | Crowded spaces make me uncomfortable. I’d much rather be in an open field than a bustling tavern. |
+| 4 | I embrace my shorter stature. It helps me stay unnoticed—and underestimated. |
+| 5 | Every avalanche begins as a single pebble. |
+| 6 | The world always feels too big, and I’m afraid I’ll never find my place in it. |`;
+// endregion
+
+class ClassConverter extends BaseConverter {
+	constructor (ui) {
+		super(
+			ui,
+			{
+				converterId: "Class",
+				canSaveLocal: true,
+				modes: ["md"],
+				hasPageNumbers: true,
+				titleCaseFields: ["name"],
+				hasSource: true,
+				prop: "class",
+			},
+		);
+	}
+
+	_renderSidebar (parent, $wrpSidebar) {
+		$wrpSidebar.empty();
+
+		$(`<div class="w-100 split-v-center">
+			<small>Class features are output alongside the class, and are saved to their own data property.</small>
+		</div>`).appendTo($wrpSidebar);
+
+		ConverterUiUtil.renderSideMenuDivider($wrpSidebar);
+	}
+
+	handleParse (input, cbOutput, cbDiagnostic, isAppend) {
+		const opts = {
+			cbDiagnostic,
+			cbOutput,
+			isAppend,
+			titleCaseFields: this._titleCaseFields,
+			isTitleCase: this._state.isTitleCase,
+			source: this._state.source,
+			page: this._state.page,
+		};
+
+		switch (this._state.mode) {
+			case "md": return ClassParser.doParseMarkdown(input, opts);
+			default: throw new Error(`Unimplemented!`);
+		}
+	}
+
+	_getSample (format) {
+		switch (format) {
+			case "md": return ClassConverter._SAMPLE_MARKDOWN;
+			default: throw new Error(`Unknown format "${format}"`);
+		}
+	}
+}
+// region sample
+ClassConverter._SAMPLE_MARKDOWN = `# Warden
+Wardens are sworn protectors of the wild places between civilizations.
+
+## Class Features
+As a warden, you gain the following class features.
+
+#### Hit Points
+**Hit Dice:** 1d10 per warden level
+**Hit Points at 1st Level:** 10 + your Constitution modifier
+**Hit Points at Higher Levels:** 1d10 (or 6) + your Constitution modifier per warden level after 1st
+
+#### Proficiencies
+**Armor:** Light armor, medium armor, shields
+**Weapons:** Simple weapons, martial weapons
+**Tools:** Herbalism kit
+**Saving Throws:** Strength, Wisdom
+**Skills:** Choose two from Animal Handling, Athletics, Insight, Nature, Perception, and Survival
+
+#### Equipment
+You start with the following equipment, in addition to the equipment granted by your background:
+
+- *(a)* a longsword or *(b)* any simple weapon
+- *(a)* scale mail or *(b)* leather armor
+- An explorer's pack and a shield
+
+Alternatively, you may start with 5d4 × 10 gp to buy your own equipment.
+
+##### The Warden
+| Level | Proficiency Bonus | Features | Warden's Mark |
+|:---:|:---:|:---|:---:|
+| 1st | +2 | Warden's Mark, Wild Step | 1d6 |
+| 2nd | +2 | Bulwark | 1d6 |
+| 3rd | +2 | Warden Oath | 1d6 |
+| 4th | +2 | Ability Score Improvement | 1d6 |
+| 5th | +3 | Extra Attack | 1d8 |
+| 6th | +3 | Warden Oath feature | 1d8 |
+| 7th | +3 | — | 1d8 |
+| 8th | +3 | Ability Score Improvement | 1d8 |
+
+### Warden's Mark
+As a bonus action, you can mark a creature you can see within 30 feet of you. The first time each turn you hit the marked creature, it takes an extra 1d6 damage. The mark lasts for 1 minute.
+
+### Wild Step
+Difficult terrain costs you no extra movement.
+
+### Bulwark
+Starting at 2nd level, when a creature you can see attacks a target other than you within 5 feet of you, you can use your reaction to impose disadvantage on the attack roll.
+
+### Warden Oath
+At 3rd level, you swear an oath which shapes your duty, such as the Oath of the Grove. Your choice grants you features at 3rd level and again at 6th level.
+
+### Ability Score Improvement
+When you reach 4th level, and again at 8th level, you can increase one ability score of your choice by 2, or you can increase two ability scores of your choice by 1.
+
+### Extra Attack
+Beginning at 5th level, you can attack twice, instead of once, whenever you take the Attack action on your turn.`;
+// endregion
+
+class SubclassConverter extends BaseConverter {
+	constructor (ui) {
+		super(
+			ui,
+			{
+				converterId: "Subclass",
+				canSaveLocal: true,
+				modes: ["md"],
+				hasPageNumbers: true,
+				titleCaseFields: ["name"],
+				hasSource: true,
+				prop: "subclass",
+			},
+		);
+
+		this._state.className = "";
+		this._state.classSource = "";
+	}
+
+	_renderSidebar (parent, $wrpSidebar) {
+		$wrpSidebar.empty();
+
+		const $iptClassName = ComponentUiUtil.$getIptStr(this, "className");
+		$$`<div class="w-100 mb-2 split-v-center"><div class="sidemenu__row__label mr-2">Class Name</div>${$iptClassName}</div>`.appendTo($wrpSidebar);
+
+		const $iptClassSource = ComponentUiUtil.$getIptStr(this, "classSource");
+		$$`<div class="w-100 split-v-center"><div class="sidemenu__row__label mr-2 help" title="The source of the class, e.g. &quot;PHB&quot;.">Class Source</div>${$iptClassSource}</div>`.appendTo($wrpSidebar);
+
+		ConverterUiUtil.renderSideMenuDivider($wrpSidebar);
+	}
+
+	handleParse (input, cbOutput, cbDiagnostic, isAppend) {
+		const opts = {
+			cbDiagnostic,
+			cbOutput,
+			isAppend,
+			titleCaseFields: this._titleCaseFields,
+			isTitleCase: this._state.isTitleCase,
+			source: this._state.source,
+			page: this._state.page,
+			className: this._state.className,
+			classSource: this._state.classSource,
+		};
+
+		switch (this._state.mode) {
+			case "md": return SubclassParser.doParseMarkdown(input, opts);
+			default: throw new Error(`Unimplemented!`);
+		}
+	}
+
+	_getSample (format) {
+		switch (format) {
+			case "md": return SubclassConverter._SAMPLE_MARKDOWN;
+			default: throw new Error(`Unknown format "${format}"`);
+		}
+	}
+}
+// region sample
+SubclassConverter._SAMPLE_MARKDOWN = `### Oath of the Grove
+Wardens who swear this oath guard ancient forests against those who would despoil them.
+
+#### Grove Guardian
+*3rd-level Oath of the Grove feature*
+
+You gain proficiency in the Nature skill. While you are in a forest, you can't be frightened.
+
+#### Rooted Stance
+*3rd-level Oath of the Grove feature*
+
+As a bonus action, you can root yourself in place until the start of your next turn. While rooted, you can't be moved against your will.
+
+#### Thorned Mark
+*6th-level Oath of the Grove feature*
+
+When you hit a creature marked by your Warden's Mark, it must succeed on a Strength saving throw or be restrained until the end of its next turn.`;
+// endregion
+
+class VehicleConverter extends BaseConverter {
+	constructor (ui) {
+		super(
+			ui,
+			{
+				converterId: "Vehicle",
+				canSaveLocal: true,
+				modes: ["txt"],
+				hasPageNumbers: true,
+				titleCaseFields: ["name"],
+				hasSource: true,
+				prop: "vehicle",
+			},
+		);
+	}
+
+	_renderSidebar (parent, $wrpSidebar) {
+		$wrpSidebar.empty();
+
+		$(`<div class="w-100 split-v-center">
+			<small>Supports ships and infernal war machines.</small>
+		</div>`).appendTo($wrpSidebar);
+
+		ConverterUiUtil.renderSideMenuDivider($wrpSidebar);
+	}
+
+	handleParse (input, cbOutput, cbDiagnostic, isAppend) {
+		const opts = {
+			cbDiagnostic,
+			cbOutput,
+			isAppend,
+			titleCaseFields: this._titleCaseFields,
+			isTitleCase: this._state.isTitleCase,
+			source: this._state.source,
+			page: this._state.page,
+		};
+
+		switch (this._state.mode) {
+			case "txt": return VehicleParser.doParseText(input, opts);
+			default: throw new Error(`Unimplemented!`);
+		}
+	}
+
+	_getSample (format) {
+		switch (format) {
+			case "txt": return VehicleConverter._SAMPLE_TEXT;
+			default: throw new Error(`Unknown format "${format}"`);
+		}
+	}
+}
+// region sample
+VehicleConverter._SAMPLE_TEXT = `Galley
+Gargantuan vehicle (130 ft. by 20 ft.)
+Creature Capacity 80 crew, 40 passengers
+Cargo Capacity 150 tons
+Travel Pace 4 miles per hour (96 miles per day)
+STR DEX CON INT WIS CHA
+24 (+7) 4 (−3) 20 (+5) 0 (—) 0 (—) 0 (—)
+Damage Immunities poison, psychic
+Condition Immunities blinded, charmed, deafened, exhaustion, frightened, incapacitated, paralyzed, petrified, poisoned, prone, stunned, unconscious
+Actions
+On its turn, the galley can take 3 actions, choosing from the options below. It can take only 2 actions if it has fewer than forty crew and only 1 action if it has fewer than twenty. It can't take these actions if it has fewer than three crew.
+Fire Ballistas. The galley can fire its ballistas (DMG, ch. 8).
+Fire Mangonels. The galley can fire its mangonels (DMG, ch. 8).
+Move. The galley can use its helm to move with its oars or sails. As part of this move, it can use its naval ram.
+Hull
+Armor Class 15
+Hit Points 500 (damage threshold 20)
+Control: Helm
+Armor Class 16
+Hit Points 50
+Move up to the speed of one of its movement components, with one 90-degree turn. If the helm is destroyed, the galley can't turn.
+Movement: Oars
+Armor Class 12
+Hit Points 100; -5 ft. speed per 25 damage taken
+Speed (water) 30 ft. (requires at least 40 crew)
+Movement: Sails
+Armor Class 12
+Hit Points 100; -10 ft. speed per 25 damage taken
+Speed (water) 35 ft.; 15 ft. while sailing into the wind; 50 ft. while sailing with the wind
+Weapons: Ballistas (4)
+Armor Class 15
+Hit Points 50 each
+Ranged Weapon Attack: +6 to hit, range 120/480 ft., one target. Hit: 16 (3d10) piercing damage.
+Weapons: Mangonels (2)
+Armor Class 15
+Hit Points 100 each
+Ranged Weapon Attack: +5 to hit, range 200/800 ft. (can't hit targets within 60 ft. of it), one target. Hit: 27 (5d10) bludgeoning damage.
+Weapons: Naval Ram
+Armor Class 20
+Hit Points 100 (damage threshold 10)
+The galley has advantage on all saving throws relating to crashing when it crashes into a creature or an object. Any damage it takes from the crash is applied to the naval ram rather than to the ship. These benefits don't apply if another vessel crashes into the galley.`;
+// endregion
+
+class ObjectConverter extends BaseConverter {
+	constructor (ui) {
+		super(
+			ui,
+			{
+				converterId: "Object",
+				canSaveLocal: true,
+				modes: ["txt"],
+				hasPageNumbers: true,
+				titleCaseFields: ["name"],
+				hasSource: true,
+				prop: "object",
+			},
+		);
+	}
+
+	_renderSidebar (parent, $wrpSidebar) {
+		$wrpSidebar.empty();
+	}
+
+	handleParse (input, cbOutput, cbDiagnostic, isAppend) {
+		const opts = {
+			cbDiagnostic,
+			cbOutput,
+			isAppend,
+			titleCaseFields: this._titleCaseFields,
+			isTitleCase: this._state.isTitleCase,
+			source: this._state.source,
+			page: this._state.page,
+		};
+
+		switch (this._state.mode) {
+			case "txt": return ObjectParser.doParseText(input, opts);
+			default: throw new Error(`Unimplemented!`);
+		}
+	}
+
+	_getSample (format) {
+		switch (format) {
+			case "txt": return ObjectConverter._SAMPLE_TEXT;
+			default: throw new Error(`Unknown format "${format}"`);
+		}
+	}
+}
+// region sample
+ObjectConverter._SAMPLE_TEXT = `Ballista
+Large object
+Armor Class 15
+Hit Points 50
+Damage Immunities poison, psychic
+A ballista is a massive crossbow that fires heavy bolts. Before it can be fired, it must be loaded and aimed. It takes one action to load the weapon, one action to aim it, and one action to fire it.
+Bolt. Ranged Weapon Attack: +6 to hit, range 120/480 ft., one target. Hit: 16 (3d10) piercing damage.`;
 // endregion
 
 class TableConverter extends BaseConverter {
@@ -872,9 +1393,9 @@ class TableConverter extends BaseConverter {
 		$wrpSidebar.empty();
 	}
 
-	handleParse (input, cbOutput, cbWarning, isAppend) {
+	handleParse (input, cbOutput, cbDiagnostic, isAppend) {
 		const opts = {
-			cbWarning,
+			cbDiagnostic,
 			cbOutput,
 			isAppend,
 			titleCaseFields: this._titleCaseFields,
@@ -951,6 +1472,7 @@ class ConverterUi extends BaseComponent {
 
 		this._editorIn = null;
 		this._editorOut = null;
+		this._idMarkerDiagnostic = null;
 
 		this._converters = {};
 
@@ -1029,18 +1551,19 @@ class ConverterUi extends BaseComponent {
 
 				const entries = !this.activeConverter.prop
 					? metaCurr.entities.flat()
-					: metaCurr.entities
-						.map(ent => {
+					: Object.entries(this._getEntitiesByProp(metaCurr.entities))
+						.map(([prop, ents]) => ents.map(ent => {
 							// Handle nameless/sourceless entities (e.g. tables)
 							if (!ent.name) ent.name = "(Unnamed)";
 							if (!ent.source) ent.source = VeCt.STR_GENERIC;
 
 							return {
 								type: "statblockInline",
-								dataType: this.activeConverter.prop,
+								dataType: prop,
 								data: ent,
 							};
-						});
+						}))
+						.flat();
 
 				const $content = Renderer.hover.$getHoverContent_generic({
 					type: "entries",
@@ -1071,8 +1594,6 @@ class ConverterUi extends BaseComponent {
 			if (!metaCurr?.entities?.length) return JqueryUtil.doToast({content: "Nothing to save!", type: "warning"});
 			if (metaCurr.error) return JqueryUtil.doToast({content: `Current output was not valid JSON!`, type: "danger"});
 
-			const prop = this.activeConverter.prop;
-
 			const invalidSources = metaCurr.entities.map(it => !it.source || !BrewUtil2.hasSourceJson(it.source) ? (it.name || it.caption || "(Unnamed)").trim() : false).filter(Boolean);
 			if (invalidSources.length) {
 				JqueryUtil.doToast({
@@ -1094,23 +1615,23 @@ class ConverterUi extends BaseComponent {
 				return;
 			}
 
+			const entitiesByProp = this._getEntitiesByProp(metaCurr.entities);
+
 			// ignore duplicates
 			const _dupes = {};
 			const dupes = [];
-			const dedupedEntries = metaCurr.entities
-				.map(it => {
-					const lSource = it.source.toLowerCase();
-					const lName = it.name.toLowerCase();
-					_dupes[lSource] = _dupes[lSource] || {};
-					if (_dupes[lSource][lName]) {
-						dupes.push(it.name);
-						return null;
-					} else {
-						_dupes[lSource][lName] = true;
-						return it;
+			const dedupedMetas = Object.entries(entitiesByProp)
+				.map(([prop, ents]) => ents.map(entity => ({prop, entity, key: ConverterUi._getEntityKey(prop, entity)})))
+				.flat()
+				.filter(({prop, entity, key}) => {
+					_dupes[prop] = _dupes[prop] || {};
+					if (_dupes[prop][key]) {
+						dupes.push(entity.name);
+						return false;
 					}
-				})
-				.filter(Boolean);
+					_dupes[prop][key] = true;
+					return true;
+				});
 
 			if (dupes.length) {
 				JqueryUtil.doToast({
@@ -1119,7 +1640,7 @@ class ConverterUi extends BaseComponent {
 				});
 			}
 
-			if (!dedupedEntries.length) {
+			if (!dedupedMetas.length) {
 				return JqueryUtil.doToast({
 					content: "Nothing to save!",
 					type: "warning",
@@ -1128,17 +1649,18 @@ class ConverterUi extends BaseComponent {
 
 			// handle overwrites
 			const brewDoc = await BrewUtil2.pGetOrCreateEditableBrewDoc();
-			const overwriteMeta = dedupedEntries
-				.map(it => {
-					if (!brewDoc?.body?.[prop]) return {entry: it, isOverwrite: false};
+			const overwriteMeta = dedupedMetas
+				.map(({prop, entity, key}) => {
+					if (!brewDoc?.body?.[prop]) return {prop, entry: entity, isOverwrite: false};
 
-					const ix = brewDoc.body[prop].findIndex(bru => bru.name.toLowerCase() === it.name.toLowerCase() && bru.source.toLowerCase() === it.source.toLowerCase());
-					if (!~ix) return {entry: it, isOverwrite: false};
+					const ix = brewDoc.body[prop].findIndex(bru => ConverterUi._getEntityKey(prop, bru) === key);
+					if (!~ix) return {prop, entry: entity, isOverwrite: false};
 
 					return {
+						prop,
 						isOverwrite: true,
 						ix,
-						entry: it,
+						entry: entity,
 					};
 				})
 				.filter(Boolean);
@@ -1153,8 +1675,8 @@ class ConverterUi extends BaseComponent {
 
 			const cpyBrewDoc = MiscUtil.copy(brewDoc);
 			overwriteMeta.forEach(meta => {
-				if (meta.isOverwrite) return cpyBrewDoc.body[prop][meta.ix] = MiscUtil.copy(meta.entry);
-				(cpyBrewDoc.body[prop] = cpyBrewDoc.body[prop] || []).push(MiscUtil.copy(meta.entry));
+				if (meta.isOverwrite) return cpyBrewDoc.body[meta.prop][meta.ix] = MiscUtil.copy(meta.entry);
+				(cpyBrewDoc.body[meta.prop] = cpyBrewDoc.body[meta.prop] || []).push(MiscUtil.copy(meta.entry));
 			});
 
 			await BrewUtil2.pSetEditableBrewDoc(cpyBrewDoc);
@@ -1182,7 +1704,7 @@ class ConverterUi extends BaseComponent {
 				return;
 			}
 
-			const out = {[this.activeConverter.prop]: metaCurr.entities};
+			const out = this._getEntitiesByProp(metaCurr.entities);
 			DataUtil.userDownload(`converter-output`, out);
 		});
 
@@ -1223,21 +1745,19 @@ class ConverterUi extends BaseComponent {
 					&& !await InputUiUtil.pGetUserBoolean({title: "Are you Sure?", htmlDescription: "You're about to overwrite multiple entries. Are you sure?", textYes: "Yes", textNo: "Cancel"})
 				) return;
 
-				const chunks = (this._state.inputSeparator
-					? this.inText.split(this._state.inputSeparator)
-					: [this.inText]).map(it => it.trim()).filter(Boolean);
+				const chunks = ConverterUtils.getInputChunks(this._inTextUntrimmed, {separator: this._state.inputSeparator});
 				if (!chunks.length) {
-					this._meta.warnings = [...this._meta.warnings, "No input!"];
+					this._meta.diagnostics = [...this._meta.diagnostics, new ConverterDiagnostic({message: "No input!"})];
 					return;
 				}
 
 				chunks
 					.reverse() // reverse as the append is actually a prepend
-					.forEach((chunk, i) => {
+					.forEach(({text, ixLine}, i) => {
 						this.activeConverter.handleParse(
-							chunk,
+							text,
 							this.doCleanAndOutput.bind(this),
-							(warning) => this._meta.warnings = [...this._meta.warnings, warning],
+							(diagnostic) => this._meta.diagnostics = [...this._meta.diagnostics, diagnostic.getWithLineOffset(ixLine)],
 							isAppend || i !== 0, // always clear the output for the first non-append chunk, then append
 						);
 					});
@@ -1272,7 +1792,7 @@ class ConverterUi extends BaseComponent {
 		const $stgErrors = $(`#lastError`);
 		const $stgWarnings = $(`#lastWarnings`);
 
-		const getRow = ({prefix, text, prop}) => {
+		const getRow = ({prefix, text, prop, item = text, clazz = "", title = null, cbClick = null}) => {
 			const $btnClose = $(`<button class="btn btn-danger btn-xs w-24p" title="Dismiss ${prefix} (SHIFT to Dismiss All)">×</button>`)
 				.on("click", evt => {
 					if (evt.shiftKey) {
@@ -1280,14 +1800,17 @@ class ConverterUi extends BaseComponent {
 						return;
 					}
 
-					const ix = this._meta[prop].indexOf(text);
+					const ix = this._meta[prop].indexOf(item);
 					if (!~ix) return;
 					this._meta[prop].splice(ix, 1);
 					this._meta[prop] = [...this._meta[prop]];
 				});
 
+			const $dispText = $$`<div class="${clazz}">[${prefix}] ${text}</div>`;
+			if (cbClick) $dispText.addClass("clickable").attr("title", title).on("click", () => cbClick());
+
 			return $$`<div class="split-v-center py-1">
-				<div>[${prefix}] ${text}</div>
+				${$dispText}
 				${$btnClose}
 			</div>`;
 		};
@@ -1302,19 +1825,64 @@ class ConverterUi extends BaseComponent {
 				});
 		})();
 
-		this._addHook("meta", "warnings", () => {
-			$stgWarnings.toggleVe(this._meta.warnings.length);
+		this._addHook("meta", "diagnostics", () => {
+			$stgWarnings.toggleVe(this._meta.diagnostics.length);
 			$stgWarnings.empty();
-			this._meta.warnings
-				.forEach(it => {
-					getRow({prefix: "Warning", text: it, prop: "warnings"})
+			this._meta.diagnostics
+				.forEach(diagnostic => {
+					const ptsMeta = [
+						diagnostic.hasLineRange ? `Line ${diagnostic.getLineRangeString()}` : null,
+						diagnostic.stage ? `stage "${diagnostic.stage}"` : null,
+					].filter(Boolean);
+
+					getRow({
+						prefix: diagnostic.severity.toTitleCase(),
+						text: `${ptsMeta.length ? `(${ptsMeta.join(", ")}) ` : ""}${diagnostic.message}`,
+						prop: "diagnostics",
+						item: diagnostic,
+						clazz: `conv__disp-diagnostic conv__disp-diagnostic--${diagnostic.severity}`,
+						title: "Highlight in Input",
+						cbClick: diagnostic.hasLineRange ? () => this._doHighlightInputLines(diagnostic) : null,
+					})
 						.appendTo($stgWarnings);
 				});
+
+			this._doHighlightInputLines(null);
+			this._editorIn.session.setAnnotations(
+				this._meta.diagnostics
+					.filter(diagnostic => diagnostic.hasLineRange)
+					.map(diagnostic => ({row: diagnostic.ixLineStart, column: 0, text: diagnostic.message, type: diagnostic.severity})),
+			);
 		})();
 
 		const hkResize = () => this._editorOut.resize();
 		this._addHook("meta", "errors", hkResize);
-		this._addHook("meta", "warnings", hkResize);
+		this._addHook("meta", "diagnostics", hkResize);
+	}
+
+	/**
+	 * Highlight the input lines to which a diagnostic applies, and scroll them into view.
+	 * @param diagnostic The diagnostic, or `null` to remove any existing highlight.
+	 */
+	_doHighlightInputLines (diagnostic) {
+		const session = this._editorIn.session;
+
+		if (this._idMarkerDiagnostic != null) {
+			session.removeMarker(this._idMarkerDiagnostic);
+			this._idMarkerDiagnostic = null;
+		}
+
+		if (!diagnostic?.hasLineRange) return;
+
+		const {Range} = ace.require("ace/range");
+		this._idMarkerDiagnostic = session.addMarker(
+			new Range(diagnostic.ixLineStart, 0, diagnostic.ixLineEnd, Infinity),
+			`conv__marker-diagnostic conv__marker-diagnostic--${diagnostic.severity}`,
+			"fullLine",
+		);
+		this._editorIn.scrollToLine(diagnostic.ixLineStart, true, true);
+		this._editorIn.gotoLine(diagnostic.ixLineStart + 1, 0, false);
+		this._editorIn.focus();
 	}
 
 	_getCurrentEntities () {
@@ -1329,6 +1897,25 @@ class ConverterUi extends BaseComponent {
 		}
 	}
 
+	/**
+	 * Group output entities by data property. Entities may specify their own `__prop`, e.g. class features which are
+	 * output alongside their class; all others are assumed to belong to the active converter's property.
+	 */
+	_getEntitiesByProp (entities) {
+		const out = {};
+		entities.forEach(ent => {
+			const {__prop, ...rest} = ent;
+			(out[__prop || this.activeConverter.prop] ||= []).push(rest);
+		});
+		return out;
+	}
+
+	static _getEntityKey (prop, ent) {
+		const fnGetHash = UrlUtil.URL_TO_HASH_BUILDER[prop];
+		if (fnGetHash) return fnGetHash(ent);
+		return `${ent.source}|${ent.name}`.toLowerCase();
+	}
+
 	_initSideMenu () {
 		const $mnu = $(`.sidemenu`);
 
@@ -1410,6 +1997,8 @@ class ConverterUi extends BaseComponent {
 	set _outText (text) { this._editorOut.setValue(text, -1); }
 
 	get inText () { return CleanUtil.getCleanString((this._editorIn.getValue() || "").trim(), {isFast: false}); }
+	/** Input text with leading/trailing lines intact, such that line numbers match the editor's. */
+	get _inTextUntrimmed () { return CleanUtil.getCleanString(this._editorIn.getValue() || "", {isFast: false}); }
 	set inText (text) { this._editorIn.setValue(text, -1); }
 
 	_getDefaultState () { return MiscUtil.copy(ConverterUi._DEFAULT_STATE); }
@@ -1417,7 +2006,7 @@ class ConverterUi extends BaseComponent {
 	_getDefaultMetaState () {
 		return {
 			errors: [],
-			warnings: [],
+			diagnostics: [],
 		};
 	}
 }
@@ -1465,9 +2054,14 @@ async function doPageInit () {
 	const featConverter = new FeatConverter(ui);
 	const raceConverter = new RaceConverter(ui);
 	const backgroundConverter = new BackgroundConverter(ui);
+	const classConverter = new ClassConverter(ui);
+	const subclassConverter = new SubclassConverter(ui);
+	const vehicleConverter = new VehicleConverter(ui);
+	const objectConverter = new ObjectConverter(ui);
 	const spellConverter = new SpellConverter(ui);
 	const tableConverter = new TableConverter(ui);
 	const entryConverter = new EntryConverter(ui);
+	const markdownEntryConverter = new MarkdownEntryConverter(ui);
 
 	ui.converters = {
 		[creatureConverter.converterId]: creatureConverter,
@@ -1476,8 +2070,13 @@ async function doPageInit () {
 		[raceConverter.converterId]: raceConverter,
 		[backgroundConverter.converterId]: backgroundConverter,
 		[featConverter.converterId]: featConverter,
+		[classConverter.converterId]: classConverter,
+		[subclassConverter.converterId]: subclassConverter,
+		[vehicleConverter.converterId]: vehicleConverter,
+		[objectConverter.converterId]: objectConverter,
 		[tableConverter.converterId]: tableConverter,
 		[entryConverter.converterId]: entryConverter,
+		[markdownEntryConverter.converterId]: markdownEntryConverter,
 	};
 
 	return ui.pInit();
@@ -28,6 +28,9 @@ class ConverterUtilsMarkdown { // Or "CUM" for short.
 		return removeFirstInnerStar ? clean.replace(/\*/, "") : clean;
 	}
 
+	/** Strip `*`-style emphasis (e.g. italicized spell names), which is instead recovered by tagging. */
+	static getNoEmphasis (line) { return line.replace(/(\*{1,3})(\S(?:.*?\S)?)\1/g, "$2"); }
+
 	/** It should really start with "***" but, homebrew. */
 	static isInlineHeader (line) { return line.trim().startsWith("**"); }
 
@@ -24,9 +24,165 @@ class ConverterUtils {
 			.filter(Boolean)
 		;
 	}
+
+	/**
+	 * Split converter input into the chunks to be parsed individually.
+	 * @param text Input text.
+	 * @param [separator] Input separator; lines containing only the separator split the input. If unspecified, the
+	 * whole input is a single chunk.
+	 * @return {Array<{text: string, ixLine: number}>} Non-empty, trimmed, chunks, with the 0-indexed input line on which
+	 * each starts.
+	 */
+	static getInputChunks (text, {separator = null} = {}) {
+		separator = separator?.trim();
+
+		const out = [];
+		let ixLine = 0;
+		// Match only horizontal whitespace around the separator, so that line counts are preserved
+		(separator ? text.split(new RegExp(`^[^\\S\\n]*${separator.escapeRegexp()}[^\\S\\n]*$`, "m")) : [text])
+			.forEach(chunk => {
+				const chunkTrimmed = chunk.trim();
+				if (chunkTrimmed) {
+					const cntLinesLeading = chunk.slice(0, chunk.indexOf(chunkTrimmed)).split("\n").length - 1;
+					out.push({text: chunkTrimmed, ixLine: ixLine + cntLinesLeading});
+				}
+				ixLine += chunk.split("\n").length - 1;
+			});
+		return out;
+	}
 }
 globalThis.ConverterUtils = ConverterUtils;
 
+/**
+ * A problem found during conversion, to be shown to the user.
+ */
+class ConverterDiagnostic {
+	static SEVERITY_ERROR = "error";
+	static SEVERITY_WARNING = "warning";
+	static SEVERITY_INFO = "info";
+
+	/**
+	 * @param severity One of the `SEVERITY_` constants.
+	 * @param message Message text.
+	 * @param [stage] The parser stage active when the diagnostic was raised, if any.
+	 * @param [ixLineStart] 0-indexed first input line (inclusive) to which the diagnostic applies, if known.
+	 * @param [ixLineEnd] 0-indexed last input line (inclusive) to which the diagnostic applies, if known.
+	 */
+	constructor ({severity = ConverterDiagnostic.SEVERITY_WARNING, message, stage = null, ixLineStart = null, ixLineEnd = null}) {
+		this.severity = severity;
+		this.message = message;
+		this.stage = stage;
+		this.ixLineStart = ixLineStart;
+		this.ixLineEnd = ixLineEnd ?? ixLineStart;
+	}
+
+	get hasLineRange () { return this.ixLineStart != null; }
+
+	/** Get a copy of this diagnostic with its lines offset, e.g. to account for the position of an input chunk. */
+	getWithLineOffset (offset) {
+		if (!this.hasLineRange || !offset) return this;
+		return new ConverterDiagnostic({...this, ixLineStart: this.ixLineStart + offset, ixLineEnd: this.ixLineEnd + offset});
+	}
+
+	/** Get a human-readable (1-indexed) line range, e.g. `3` or `3-5`. */
+	getLineRangeString () {
+		if (!this.hasLineRange) return null;
+		return this.ixLineEnd === this.ixLineStart ? `${this.ixLineStart + 1}` : `${this.ixLineStart + 1}-${this.ixLineEnd + 1}`;
+	}
+
+	/**
+	 * Get a compiler-style message, e.g. `creatures.txt:3-5: warning: [entries] Foo`. Diagnostics without a line range
+	 * are reported against the file only.
+	 * @param file Input file name.
+	 * @param [ixLineOffset] Offset to apply to the diagnostic's lines, e.g. the start line of the input chunk.
+	 */
+	getCompilerString ({file, ixLineOffset = 0}) {
+		const ptLines = this.getWithLineOffset(ixLineOffset).getLineRangeString();
+		return `${file}${ptLines ? `:${ptLines}` : ""}: ${this.severity}: ${this.stage ? `[${this.stage}] ` : ""}${this.message}`;
+	}
+
+	toString () {
+		const ptsMeta = [
+			this.hasLineRange ? `line ${this.getLineRangeString()}` : null,
+			this.stage ? `stage "${this.stage}"` : null,
+		].filter(Boolean);
+		return `${this.severity}${ptsMeta.length ? ` (${ptsMeta.join(", ")})` : ""}: ${this.message}`;
+	}
+}
+globalThis.ConverterDiagnostic = ConverterDiagnostic;
+
+/**
+ * Tracks the parse states active during a single parser run, so that warnings can be mapped back to the stage and input
+ * lines which produced them.
+ */
+class _ConverterDiagnosticTracker {
+	constructor ({inText, cbDiagnostic, cbWarning}) {
+		this._cbDiagnostic = cbDiagnostic;
+		this._cbWarning = cbWarning;
+		this._states = [];
+
+		// Lines are matched on their alphanumeric content only, as input cleaning may merge lines and alter punctuation
+		this._textNormalized = "";
+		this._ixLinesNormalized = [];
+		(inText || "")
+			.replace(/\r\n?/g, "\n")
+			.split("\n")
+			.forEach((l, ixLine) => {
+				const lNormalized = this.constructor._getNormalized(l);
+				this._textNormalized += lNormalized;
+				this._ixLinesNormalized.push(...lNormalized.split("").map(() => ixLine));
+			});
+	}
+
+	static _getNormalized (str) { return str.toLowerCase().replace(/[^a-z0-9]/g, ""); }
+
+	addState (state) { this._states.push(state); }
+
+	/**
+	 * @param message Message text.
+	 * @param [severity] One of the `ConverterDiagnostic.SEVERITY_` constants.
+	 * @param [text] Input text to which the diagnostic applies. Defaults to the line currently being parsed, if any.
+	 */
+	doReport (message, {severity = ConverterDiagnostic.SEVERITY_WARNING, text = null} = {}) {
+		if (!this._cbDiagnostic) return this._cbWarning(message);
+
+		// Parse states are nested when e.g. a parser delegates feature entries to a sub-state; use the innermost in-progress
+		const state = this._states.findLast(it => it.curLine != null);
+		const lineRange = this._getLineRange({text: text ?? state?.curLine, ixHint: state?.ixToConvert ?? 0});
+
+		this._cbDiagnostic(new ConverterDiagnostic({
+			severity,
+			message,
+			stage: state?.stage ?? null,
+			...lineRange,
+		}));
+	}
+
+	_getLineRange ({text, ixHint}) {
+		if (!text || !this._textNormalized) return null;
+
+		const textNormalized = this.constructor._getNormalized(text);
+		if (!textNormalized) return null;
+
+		// Cleaning may rewrite parts of a line, so fall back on matching a prefix
+		for (const toFind of [textNormalized, textNormalized.slice(0, 24)]) {
+			const ixs = [];
+			for (let ix = this._textNormalized.indexOf(toFind); ~ix; ix = this._textNormalized.indexOf(toFind, ix + 1)) ixs.push(ix);
+			if (!ixs.length) continue;
+
+			// Prefer the match nearest the parser's position, as repeated lines (e.g. "Actions") are common
+			const ix = ixs
+				.sort((a, b) => SortUtil.ascSort(Math.abs(this._ixLinesNormalized[a] - ixHint), Math.abs(this._ixLinesNormalized[b] - ixHint)))[0];
+			return {
+				ixLineStart: this._ixLinesNormalized[ix],
+				ixLineEnd: this._ixLinesNormalized[ix + toFind.length - 1],
+			};
+		}
+
+		return null;
+	}
+}
+
 class _ParseStateBase {
 	constructor (
 		{
@@ -41,6 +197,8 @@ class _ParseStateBase {
 		this.toConvert = toConvert;
 		this.options = options;
 		this.entity = entity;
+
+		options?.diagnostics?.addState(this);
 	}
 
 	doPreLoop () {
@@ -49,6 +207,7 @@ class _ParseStateBase {
 
 	doPostLoop () {
 		this.ixToConvert = 0;
+		this.curLine = null;
 	}
 
 	initCurLine () {
@@ -75,15 +234,36 @@ class BaseParseStateText extends _ParseStateBase {
 globalThis.BaseParseStateText = BaseParseStateText;
 
 class BaseParseStateMarkdown extends _ParseStateBase {
+	constructor (...rest) {
+		super(...rest);
+		this.stack = [];
+	}
+
 	_isSkippableLine (l) { return ConverterUtilsMarkdown.isBlankLine(l); }
 }
 globalThis.BaseParseStateMarkdown = BaseParseStateMarkdown;
 
 class BaseParser {
-	static _getValidOptions (options) {
+	/**
+	 * @param options Parser options, which must include `cbOutput`, and at least one of `cbWarning` (which receives
+	 * message strings) or `cbDiagnostic` (which receives `ConverterDiagnostic`s).
+	 * @param [inText] The raw input text, against which diagnostics are mapped to line ranges.
+	 * @return Options with `cbWarning` wrapped such that it reports to whichever callback was provided. Parsers may call
+	 * `cbWarning(message, {severity, text})` to override the default severity, or to point at specific input text.
+	 */
+	static _getValidOptions (options, {inText = null} = {}) {
 		options = options || {};
-		if (!options.cbWarning || !options.cbOutput) throw new Error(`Missing required callback options!`);
-		return options;
+		if (!(options.cbWarning || options.cbDiagnostic) || !options.cbOutput) throw new Error(`Missing required callback options!`);
+
+		// Nested parser runs share their parent's tracker
+		if (options.diagnostics) return options;
+
+		const diagnostics = new _ConverterDiagnosticTracker({inText, cbDiagnostic: options.cbDiagnostic, cbWarning: options.cbWarning});
+		return {
+			...options,
+			diagnostics,
+			cbWarning: diagnostics.doReport.bind(diagnostics),
+		};
 	}
 
 	// region conversion
@@ -199,6 +379,116 @@ class BaseParser {
 		return lines.join("\n");
 	}
 
+	// region markdown
+	/**
+	 * Whether Markdown entries should support `#` headers, tables, and horizontal rules, and have their emphasis
+	 * stripped. Parsers which predate these (i.e. races) disable this, to keep their output unchanged.
+	 */
+	static _IS_MARKDOWN_ENTRIES_EXTENDED = true;
+
+	static _isMarkdownHrLine (line) { return /^(?:___|---|\*\*\*)$/.test(line.trim()); }
+
+	static _isMarkdownTableLine (line) { return line.trim().startsWith("|"); }
+
+	static _getCleanMarkdownEntryText (str) {
+		const clean = ConverterUtilsMarkdown.getNoLeadingSymbols(str);
+		return this._IS_MARKDOWN_ENTRIES_EXTENDED ? ConverterUtilsMarkdown.getNoEmphasis(clean) : clean;
+	}
+
+	/**
+	 * Consume the current line (and any subsequent table lines) of a Markdown parse as generic entries, nesting
+	 * paragraphs under the most recent header.
+	 */
+	static _doParseMarkdown_stepEntries (state) {
+		state.entity.entries = state.entity.entries || [];
+
+		const isExtended = this._IS_MARKDOWN_ENTRIES_EXTENDED;
+
+		if (isExtended && this._isMarkdownHrLine(state.curLine)) return;
+
+		if (isExtended && (this._isMarkdownTableLine(state.curLine) || (state.curLine.startsWith("#") && this._isMarkdownTableLine(state.toConvert[state.ixToConvert + 1] || "")))) {
+			const caption = state.curLine.startsWith("#") ? ConverterUtilsMarkdown.getNoHashes(state.curLine) : null;
+			if (caption) state.ixToConvert++;
+
+			const lines = [];
+			for (; state.ixToConvert < state.toConvert.length && this._isMarkdownTableLine(state.toConvert[state.ixToConvert]); ++state.ixToConvert) {
+				lines.push(state.toConvert[state.ixToConvert].trim());
+			}
+			// Step back onto the last table line, as the parse loop will advance past it
+			state.ixToConvert--;
+
+			while (state.stack.length && state.stack.last().type === "list") state.stack.pop();
+
+			const tbl = MarkdownConverter.getConvertedTable(lines, caption);
+			if (!tbl.caption) delete tbl.caption;
+			(state.stack.length ? state.stack.last().entries : state.entity.entries).push(tbl);
+			return;
+		}
+
+		const isHashHeader = isExtended && state.curLine.startsWith("#");
+		if (isHashHeader || ConverterUtilsMarkdown.isInlineHeader(state.curLine)) {
+			while (state.stack.length) state.stack.pop();
+
+			const nxt = {type: "entries", name: "", entries: []};
+			state.stack.push(nxt);
+
+			state.entity.entries.push(nxt);
+
+			if (isHashHeader) {
+				nxt.name = ConverterUtilsMarkdown.getNoDashStarStar(ConverterUtilsMarkdown.getNoHashes(state.curLine));
+				return;
+			}
+
+			const [name, text] = ConverterUtilsMarkdown.getCleanTraitText(state.curLine);
+			nxt.name = name;
+			nxt.entries.push(this._getCleanMarkdownEntryText(text));
+
+			return;
+		}
+
+		if (ConverterUtilsMarkdown.isListItem(state.curLine)) {
+			if (state.stack.last()?.type !== "list") {
+				const lst = {type: "list", items: []};
+
+				if (state.stack.length) {
+					state.stack.last().entries.push(lst);
+					state.stack.push(lst);
+				} else {
+					state.entity.entries.push(lst);
+					state.stack.push(lst);
+				}
+			}
+
+			state.curLine = ConverterUtilsMarkdown.getNoLeadingListSymbol(state.curLine);
+
+			if (ConverterUtilsMarkdown.isInlineHeader(state.curLine)) {
+				state.stack.last().style = "list-hang-notitle";
+
+				const nxt = {type: "item", name: "", entry: ""};
+
+				state.stack.last().items.push(nxt);
+
+				const [name, text] = ConverterUtilsMarkdown.getCleanTraitText(state.curLine);
+				nxt.name = name;
+				nxt.entry = this._getCleanMarkdownEntryText(text);
+			} else {
+				state.stack.last().items.push(this._getCleanMarkdownEntryText(state.curLine));
+			}
+
+			return;
+		}
+
+		while (state.stack.length && state.stack.last().type === "list") state.stack.pop();
+
+		if (state.stack.length) {
+			state.stack.last().entries.push(this._getCleanMarkdownEntryText(state.curLine));
+			return;
+		}
+
+		state.entity.entries.push(this._getCleanMarkdownEntryText(state.curLine));
+	}
+	// endregion
+
 	static _hasEntryContent (trait) {
 		return trait && (trait.name || (trait.entries.length === 1 && trait.entries[0]) || trait.entries.length > 1);
 	}
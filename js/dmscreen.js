@@ -16,6 +16,7 @@ import {
 	PANEL_TYP_ADVENTURES,
 	PANEL_TYP_BOOKS,
 	PANEL_TYP_COUNTER,
+	PANEL_TYP_DICE_TRAY,
 	PANEL_TYP_IMAGE,
 	PANEL_TYP_ADVENTURE_DYNAMIC_MAP,
 	PANEL_TYP_GENERIC_EMBED,
@@ -29,6 +30,7 @@ import {
 	TimeTracker,
 } from "./dmscreen/dmscreen-timetracker.js";
 import {Counter} from "./dmscreen/dmscreen-counter.js";
+import {DiceTray} from "./dmscreen/dmscreen-dicetray.js";
 import {
 	PanelContentManager_InitiativeTracker,
 	PanelContentManager_InitiativeTrackerCreatureViewer,
@@ -1060,6 +1062,10 @@ class Panel {
 					panel.doPopulate_Counter(saved.s, saved.r);
 					handleTabRenamed(panel);
 					return panel;
+				case PANEL_TYP_DICE_TRAY:
+					panel.doPopulate_DiceTray(saved.s, saved.r);
+					handleTabRenamed(panel);
+					return panel;
 				case PANEL_TYP_UNIT_CONVERTER:
 					panel.doPopulate_UnitConverter(saved.s, saved.r);
 					handleTabRenamed(panel);
@@ -1172,7 +1178,7 @@ class Panel {
 	}
 
 	static isNonExilableType (type) {
-		return type === PANEL_TYP_ROLLBOX || type === PANEL_TYP_TUBE || type === PANEL_TYP_TWITCH;
+		return type === PANEL_TYP_ROLLBOX || type === PANEL_TYP_DICE_TRAY || type === PANEL_TYP_TUBE || type === PANEL_TYP_TWITCH;
 	}
 
 	// region Panel population
@@ -1574,6 +1580,16 @@ class Panel {
 		);
 	}
 
+	doPopulate_DiceTray (state = {}, title) {
+		this.set$ContentTab(
+			PANEL_TYP_DICE_TRAY,
+			state,
+			$(`<div class="panel-content-wrapper-inner"></div>`).append(DiceTray.$getTray(this.board, state)),
+			title || "Dice Tray",
+			true,
+		);
+	}
+
 	doPopulate_UnitConverter (state = {}, title) {
 		this.set$ContentTab(
 			PANEL_TYP_UNIT_CONVERTER,
@@ -2552,6 +2568,13 @@ class Panel {
 						s: $content.find(`.dm-cnt__root`).data("getState")(),
 					};
 				}
+				case PANEL_TYP_DICE_TRAY: {
+					return {
+						t: type,
+						r: toSaveTitle,
+						s: $content.find(`.dm-dice__root`).data("getState")(),
+					};
+				}
 				case PANEL_TYP_UNIT_CONVERTER: {
 					return {
 						t: type,
@@ -3273,6 +3296,13 @@ class AddMenuSpecialTab extends AddMenuTab {
 				Renderer.dice.bindDmScreenPanel(this.menu.pnl);
 				this.menu.doClose();
 			});
+
+			const $wrpDiceTray = $(`<div class="ui-modal__row"><span>Dice Tray <i class="text-muted">(shows the dice rolled, and allows you to enter the results of physical dice)</i></span></div>`).appendTo($tab);
+			const $btnDiceTray = $(`<button class="btn btn-primary btn-sm">Add</button>`).appendTo($wrpDiceTray);
+			$btnDiceTray.on("click", () => {
+				this.menu.pnl.doPopulate_DiceTray();
+				this.menu.doClose();
+			});
 			$(`<hr class="hr-2">`).appendTo($tab);
 
 			const $btnTracker = $(`<button class="btn btn-primary btn-sm">Add</button>`)
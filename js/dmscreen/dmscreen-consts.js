@@ -19,6 +19,7 @@ export const PANEL_TYP_BOOKS = 14;
 export const PANEL_TYP_INITIATIVE_TRACKER_PLAYER_V1 = 15;
 export const PANEL_TYP_INITIATIVE_TRACKER_PLAYER_V0 = 151;
 export const PANEL_TYP_COUNTER = 16;
+export const PANEL_TYP_DICE_TRAY = 17;
 export const PANEL_TYP_IMAGE = 20;
 export const PANEL_TYP_ADVENTURE_DYNAMIC_MAP = 21;
 export const PANEL_TYP_GENERIC_EMBED = 90;
@@ -0,0 +1,421 @@
+export class DiceTray {
+	static $getTray (board, state) {
+		const $wrpPanel = $(`<div class="w-100 h-100 dm-dice__root dm__panel-bg dm__data-anchor"></div>`) // root class used to identify for saving
+			.data("getState", () => tray.getSaveableState());
+		const tray = new DiceTrayRoot(board, $wrpPanel);
+		tray.setStateFrom(state);
+		tray.render($wrpPanel);
+		$wrpPanel.data("onDestroy", () => tray.doCleanup());
+		return $wrpPanel;
+	}
+}
+
+/**
+ * Displays the dice rolled by `Renderer.dice` as animated 2D polyhedra. In "roll physically" mode, the tray instead
+ * handles the roller's manual mode, by asking the user to type in the result of each die.
+ */
+class DiceTrayRoot extends BaseComponent {
+	static _DIE_SIZE = 44;
+	static _DIE_GAP = 14;
+	static _ANIM_MS = 700;
+	static _ANIM_STAGGER_MS = 40;
+
+	static _RGB_MAX = "#00b400";
+	static _RGB_MIN = "#ff3100";
+	static _RGB_EXPLODED = "#d9a400";
+
+	constructor (board, $wrpPanel) {
+		super();
+		this._board = board;
+		this._$wrpPanel = $wrpPanel;
+
+		this._cnv = null;
+		this._$wrpCnv = null;
+		this._$dispRoll = null;
+		this._$wrpManual = null;
+		this._$iptManual = null;
+		this._$btnManualDone = null;
+		this._$dispManualQueue = null;
+
+		this._dice = [];
+		this._tAnimStart = null;
+		this._rafId = null;
+		this._resizeObserver = null;
+
+		this._manualRolls = [];
+		this._manualResult = null;
+
+		this._fnRollListener = this._handleRoll.bind(this);
+		this._fnManualRollHandler = this._pHandleManualRoll.bind(this);
+
+		this._addHookAll("state", () => this._board.doSaveStateDebounced());
+	}
+
+	render ($parent) {
+		$parent.empty();
+
+		const $iptRoll = $(`<input class="form-control input-xs form-control--minimal code" placeholder="e.g. 4d6dl1" autocomplete="off" spellcheck="false">`)
+			.keydown(async evt => {
+				evt.stopPropagation();
+				if (evt.key !== "Enter") return;
+				await this._pDoRoll($iptRoll);
+			});
+
+		const $btnRoll = $(`<button class="btn btn-primary btn-xs ml-2">Roll</button>`)
+			.click(() => this._pDoRoll($iptRoll));
+
+		const $cbManual = ComponentUiUtil.$getCbBool(this, "isManualMode");
+
+		this._$wrpCnv = $(`<div class="ve-flex-col w-100 h-100 min-h-0 ve-overflow-y-auto dm-dice__wrp-cvs"></div>`);
+		this._cnv = $(`<canvas class="dm-dice__cvs"></canvas>`).appendTo(this._$wrpCnv)[0];
+
+		this._$dispRoll = $(`<div class="ve-flex-v-center no-shrink dm-dice__disp-roll"></div>`);
+
+		this._$iptManual = $(`<input class="form-control input-xs form-control--minimal code" placeholder="Results, e.g. 3 6 1" autocomplete="off" spellcheck="false">`)
+			.keydown(evt => {
+				evt.stopPropagation();
+				if (evt.key === "Enter") this._doCompleteManualRoll();
+			})
+			.on("input", () => this._doRenderManualRoll());
+
+		this._$btnManualDone = $(`<button class="btn btn-primary btn-xs ml-2" disabled>Done</button>`)
+			.click(() => this._doCompleteManualRoll());
+
+		const $btnManualCancel = $(`<button class="btn btn-default btn-xs ml-1">Cancel</button>`)
+			.click(() => this._doResolveManualRoll(null));
+
+		this._$dispManualQueue = $(`<div class="ve-small ve-muted ml-2 no-shrink"></div>`);
+
+		this._$wrpManual = $$`<div class="ve-flex-v-center no-shrink pt-1">
+			${this._$iptManual}
+			${this._$btnManualDone}
+			${$btnManualCancel}
+			${this._$dispManualQueue}
+		</div>`.hideVe();
+
+		$$`<div class="ve-flex-col w-100 h-100 px-2 pt-2 pb-1">
+			<div class="ve-flex-v-center no-shrink mb-1">
+				${$iptRoll}
+				${$btnRoll}
+				<label class="ve-flex-v-center ml-2 no-shrink" title="Roll your own dice, and type in the result of each die. This applies to every roll made from the DM Screen, while enabled.">
+					<span class="mr-1">Roll Physically</span>
+					${$cbManual}
+				</label>
+			</div>
+			${this._$wrpCnv}
+			${this._$dispRoll}
+			${this._$wrpManual}
+		</div>`.appendTo($parent);
+
+		Renderer.dice.addRollListener(this._fnRollListener);
+
+		this._addHookBase("isManualMode", () => this._doUpdateManualMode());
+		if (this._state.isManualMode) this._doUpdateManualMode();
+
+		this._resizeObserver = new ResizeObserver(() => this._doDraw());
+		this._resizeObserver.observe(this._$wrpCnv[0]);
+
+		this._doDraw();
+	}
+
+	doCleanup () {
+		Renderer.dice.removeRollListener(this._fnRollListener);
+		this._resizeObserver?.disconnect();
+		if (this._state.isManualMode) Renderer.dice.removeManualRollHandler(this._fnManualRollHandler);
+		this._doCancelManualRolls();
+		if (this._rafId != null) cancelAnimationFrame(this._rafId);
+	}
+
+	async _pDoRoll ($iptRoll) {
+		const str = $iptRoll.val().trim();
+		if (!str) return;
+
+		const result = await Renderer.dice.pRoll2(str, {isUser: false, name: "DM Screen"});
+		if (result === Renderer.dice._SYMBOL_PARSE_FAILED) return JqueryUtil.doToast({type: "warning", content: `Invalid roll input!`});
+		$iptRoll.val("");
+	}
+
+	/* -------------------------------------------- */
+
+	_handleRoll ({dice, result, rolledBy, label, diceRolls}) {
+		this._dice = this._getDice(diceRolls);
+		this._doRenderDispRoll({dice, result, rolledBy, label});
+		this._doStartAnimation();
+	}
+
+	_getDice (diceRolls, {isManual = false} = {}) {
+		const out = diceRolls
+			.flatMap(({faces, rolls}) => rolls.map(roll => ({
+				...roll,
+				faces,
+				isPending: isNaN(roll.val),
+				// Offset and spin each die, so that it appears to be thrown into place
+				offsetX: isManual ? 0 : (Math.random() - 0.5) * 3 * DiceTrayRoot._DIE_SIZE,
+				offsetY: isManual ? 0 : -(0.5 + Math.random()) * 2 * DiceTrayRoot._DIE_SIZE,
+				spin: isManual ? 0 : (Math.random() < 0.5 ? -1 : 1) * (2 + Math.random() * 2) * Math.PI,
+			})));
+
+		const dieNext = out.find(it => it.isPending);
+		if (dieNext) dieNext.isNext = true;
+
+		return out;
+	}
+
+	_doRenderDispRoll ({dice, result, rolledBy, label}) {
+		const ptWho = [rolledBy, label].filter(Boolean).map(it => `${it}`.qq()).join(" — ");
+
+		this._$dispRoll.html(`<div class="ve-flex-col min-w-0 w-100">
+			<div class="ve-small ve-muted">${ptWho}</div>
+			<div class="split-v-center">
+				<span class="code ve-muted mr-2">${`${dice}`.qq()}</span>
+				<span class="bold dm-dice__disp-result">${result == null ? "?" : result}</span>
+			</div>
+		</div>`);
+	}
+
+	/* -------------------------------------------- */
+
+	_doUpdateManualMode () {
+		if (this._state.isManualMode) {
+			Renderer.dice.setManualMode(true);
+			Renderer.dice.addManualRollHandler(this._fnManualRollHandler);
+			return;
+		}
+
+		Renderer.dice.removeManualRollHandler(this._fnManualRollHandler);
+		this._doCancelManualRolls();
+	}
+
+	_pHandleManualRoll ({tree, rolledBy, opts}) {
+		return new Promise(resolve => {
+			this._manualRolls.push({tree, rolledBy, opts, fnResolve: resolve});
+			if (this._manualRolls.length === 1) this._doShowManualRoll();
+			else this._doRenderManualQueue();
+		});
+	}
+
+	_doShowManualRoll () {
+		if (!this._manualRolls.length) {
+			this._$wrpManual.hideVe();
+			return;
+		}
+
+		this._$iptManual.val("");
+		this._$wrpManual.showVe();
+		this._doRenderManualQueue();
+		this._doRenderManualRoll();
+		this._$iptManual.focus();
+	}
+
+	_doRenderManualQueue () {
+		const cntQueued = this._manualRolls.length - 1;
+		this._$dispManualQueue.text(cntQueued ? `+${cntQueued} queued` : "");
+	}
+
+	_doRenderManualRoll () {
+		const [{tree, rolledBy, opts}] = this._manualRolls;
+
+		const vals = this._$iptManual.val()
+			.split(/[\s,]+/g)
+			.filter(Boolean)
+			.map(it => Number(it));
+
+		const {result, diceRolls} = Renderer.dice.getManualResult(
+			tree,
+			vals,
+			{pb: opts.pb, summonSpellLevel: opts.summonSpellLevel, summonClassLevel: opts.summonClassLevel},
+		);
+		this._manualResult = result;
+
+		this._$btnManualDone.prop("disabled", result == null);
+
+		this._dice = this._getDice(diceRolls, {isManual: true});
+		this._tAnimStart = null;
+		this._doRenderDispRoll({dice: tree.toString(), result, rolledBy: rolledBy.name, label: rolledBy.label});
+		this._doDraw();
+	}
+
+	_doCompleteManualRoll () {
+		// Wait until every die has been entered
+		if (this._manualResult == null) return;
+		this._doResolveManualRoll(this._manualResult);
+	}
+
+	_doResolveManualRoll (result) {
+		if (!this._manualRolls.length) return;
+
+		const {fnResolve} = this._manualRolls.shift();
+		fnResolve(result);
+
+		this._doShowManualRoll();
+	}
+
+	_doCancelManualRolls () {
+		this._manualRolls.splice(0, this._manualRolls.length).forEach(({fnResolve}) => fnResolve(null));
+		this._$wrpManual.hideVe();
+	}
+
+	/* -------------------------------------------- */
+
+	_doStartAnimation () {
+		this._tAnimStart = performance.now();
+		if (this._rafId != null) return;
+
+		const step = () => {
+			this._doDraw();
+			if (this._getIsAnimating()) this._rafId = requestAnimationFrame(step);
+			else this._rafId = null;
+		};
+		this._rafId = requestAnimationFrame(step);
+	}
+
+	_getIsAnimating () {
+		if (this._tAnimStart == null) return false;
+		return performance.now() - this._tAnimStart < DiceTrayRoot._ANIM_MS + DiceTrayRoot._ANIM_STAGGER_MS * this._dice.length;
+	}
+
+	/** Get the progress of a die's animation, from 0 (thrown) to 1 (settled). */
+	_getAnimProgress (ixDie) {
+		if (this._tAnimStart == null) return 1;
+		const t = (performance.now() - this._tAnimStart - DiceTrayRoot._ANIM_STAGGER_MS * ixDie) / DiceTrayRoot._ANIM_MS;
+		return Math.max(0, Math.min(1, t));
+	}
+
+	_doDraw () {
+		const sizeCell = DiceTrayRoot._DIE_SIZE + DiceTrayRoot._DIE_GAP;
+
+		const width = this._$wrpCnv.width();
+		const cntCols = Math.max(1, Math.floor((width - DiceTrayRoot._DIE_GAP) / sizeCell));
+		const cntRows = Math.ceil(this._dice.length / cntCols);
+		const height = Math.max(this._$wrpCnv.height(), cntRows * sizeCell + DiceTrayRoot._DIE_GAP);
+
+		// Scale for high-DPI screens, so that the dice are not blurry
+		const ratio = window.devicePixelRatio || 1;
+		if (this._cnv.width !== Math.round(width * ratio) || this._cnv.height !== Math.round(height * ratio)) {
+			this._cnv.width = Math.round(width * ratio);
+			this._cnv.height = Math.round(height * ratio);
+			this._cnv.style.width = `${width}px`;
+			this._cnv.style.height = `${height}px`;
+		}
+
+		const ctx = this._cnv.getContext("2d");
+		ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+		ctx.clearRect(0, 0, width, height);
+
+		const rgbFg = getComputedStyle(this._cnv).color;
+
+		// Center the dice horizontally
+		const offsetLeft = (width - (Math.min(cntCols, this._dice.length) * sizeCell - DiceTrayRoot._DIE_GAP)) / 2;
+
+		this._dice.forEach((die, i) => {
+			const ixCol = i % cntCols;
+			const ixRow = Math.floor(i / cntCols);
+			const progress = this._getAnimProgress(i);
+			const ease = 1 - ((1 - progress) ** 3);
+
+			const x = offsetLeft + ixCol * sizeCell + DiceTrayRoot._DIE_SIZE / 2 + die.offsetX * (1 - ease);
+			const y = DiceTrayRoot._DIE_GAP + ixRow * sizeCell + DiceTrayRoot._DIE_SIZE / 2 + die.offsetY * (1 - ease);
+
+			this._doDrawDie({ctx, die, x, y, rotation: die.spin * (1 - ease), isSettled: progress === 1, rgbFg});
+		});
+	}
+
+	_doDrawDie ({ctx, die, x, y, rotation, isSettled, rgbFg}) {
+		const radius = DiceTrayRoot._DIE_SIZE / 2;
+
+		ctx.save();
+		ctx.translate(x, y);
+		ctx.globalAlpha = isSettled && die.isDropped ? 0.35 : 1;
+
+		ctx.save();
+		ctx.rotate(rotation);
+		this._doDrawDieShape({ctx, faces: die.faces, radius});
+		ctx.fillStyle = die.isNext ? "rgba(128, 128, 128, 0.35)" : "rgba(128, 128, 128, 0.15)";
+		ctx.fill();
+		ctx.lineWidth = die.isSuccess || die.isExploded ? 3 : 1.5;
+		ctx.strokeStyle = die.isExploded ? DiceTrayRoot._RGB_EXPLODED : die.isSuccess ? DiceTrayRoot._RGB_MAX : rgbFg;
+		if (die.isPending) ctx.setLineDash([4, 3]);
+		ctx.stroke();
+		ctx.restore();
+
+		// While the die is tumbling, flicker through random faces
+		const val = die.isPending ? "?" : isSettled ? die.val : RollerUtil.randomise(die.faces);
+
+		ctx.fillStyle = !isSettled || die.isPending ? rgbFg : val === die.faces ? DiceTrayRoot._RGB_MAX : val === 1 ? DiceTrayRoot._RGB_MIN : rgbFg;
+		ctx.font = `bold ${`${val}`.length > 2 ? 12 : 15}px sans-serif`;
+		ctx.textAlign = "center";
+		ctx.textBaseline = "middle";
+		ctx.fillText(`${val}`, 0, die.faces === 4 ? radius * 0.2 : 0);
+
+		ctx.fillStyle = rgbFg;
+		ctx.font = `9px sans-serif`;
+		ctx.fillText(`d${die.faces}`, 0, radius + 6);
+
+		if (isSettled && die.isDropped) {
+			ctx.beginPath();
+			ctx.moveTo(-radius, radius);
+			ctx.lineTo(radius, -radius);
+			ctx.lineWidth = 2;
+			ctx.strokeStyle = rgbFg;
+			ctx.stroke();
+		}
+
+		if (isSettled && die.isRerolled) {
+			ctx.globalAlpha = 1;
+			ctx.font = `bold 13px sans-serif`;
+			ctx.fillText(`↻`, radius - 2, -radius + 4);
+		}
+
+		ctx.restore();
+	}
+
+	_doDrawDieShape ({ctx, faces, radius}) {
+		ctx.beginPath();
+
+		const pts = this._getDieShapePoints({faces, radius});
+		if (!pts) {
+			ctx.arc(0, 0, radius * 0.9, 0, 2 * Math.PI);
+			return;
+		}
+
+		pts.forEach(([x, y], i) => i ? ctx.lineTo(x, y) : ctx.moveTo(x, y));
+		ctx.closePath();
+	}
+
+	_getDieShapePoints ({faces, radius}) {
+		const getRegular = (cntSides, rotation) => [...new Array(cntSides)]
+			.map((_, i) => {
+				const angle = rotation + (i * 2 * Math.PI) / cntSides;
+				return [radius * Math.cos(angle), radius * Math.sin(angle)];
+			});
+
+		switch (faces) {
+			case 4: return getRegular(3, -Math.PI / 2);
+			case 6: return getRegular(4, Math.PI / 4).map(([x, y]) => [x * 0.9, y * 0.9]);
+			case 8: return getRegular(4, -Math.PI / 2);
+			case 10:
+			case 100: return [[0, -radius], [radius * 0.95, -radius * 0.15], [0, radius], [-radius * 0.95, -radius * 0.15]];
+			case 12: return getRegular(5, -Math.PI / 2);
+			case 20: return getRegular(6, -Math.PI / 2);
+			default: return null;
+		}
+	}
+
+	/* -------------------------------------------- */
+
+	setStateFrom (toLoad) {
+		this.setBaseSaveableStateFrom(toLoad);
+	}
+
+	getSaveableState () {
+		return {
+			...this.getBaseSaveableState(),
+		};
+	}
+
+	_getDefaultState () { return MiscUtil.copy(DiceTrayRoot._DEFAULT_STATE); }
+
+	static _DEFAULT_STATE = {
+		isManualMode: false,
+	};
+}
@@ -1,4 +1,6 @@
 
+import {RollLogServer, RollLogUi} from "../../initiativetracker/initiativetracker-rolllog.js";
+
 class _InitiativeTrackerNetworkingP2pMetaV1 {
 	constructor () {
 		this.rows = [];
@@ -20,6 +22,17 @@ export class InitiativeTrackerNetworking {
 
 		this._p2pMetaV1 = new _InitiativeTrackerNetworkingP2pMetaV1();
 		this._p2pMetaV0 = new _InitiativeTrackerNetworkingP2pMetaV0();
+
+		this._rollLog = new RollLogServer({
+			fnSendMessage: toSend => this._sendMessageToClients({fnGetToSend: () => toSend}),
+		});
+		this._rollListener = null;
+	}
+
+	/* -------------------------------------------- */
+
+	doCleanup () {
+		this._doStopRollLog();
 	}
 
 	/* -------------------------------------------- */
@@ -99,11 +112,22 @@ export class InitiativeTrackerNetworking {
 			if (opts.$btnGetToken) opts.$btnGetToken.prop("disabled", false);
 			if (opts.$btnGetLink) opts.$btnGetLink.prop("disabled", false);
 
+			this._doStartRollLog();
+
+			const serverPeer = this._p2pMetaV1.serverPeer;
+			serverPeer.on("close", () => {
+				this._doStopRollLog();
+				if (this._p2pMetaV1.serverPeer === serverPeer) this._p2pMetaV1.serverPeer = null;
+			});
+
 			this._p2pMetaV1.serverPeer.on("connection", connection => {
+				connection.on("data", data => this._handleClientDataV1({connection, data}));
+
 				const pConnected = new Promise(resolve => {
 					connection.on("open", () => {
 						resolve(true);
 						opts.doUpdateExternalStates();
+						this._rollLog.sendStateToClients();
 					});
 				});
 				const pTimeout = MiscUtil.pDelay(5 * 1000, false);
@@ -131,6 +155,7 @@ export class InitiativeTrackerNetworking {
 			if (opts.fnDispServerStoppedState) opts.fnDispServerStoppedState();
 			if (opts.$btnStartServer) opts.$btnStartServer.prop("disabled", false);
 			this._p2pMetaV1.serverPeer = null;
+			this._doStopRollLog();
 			JqueryUtil.doToast({content: `Failed to start server! ${VeCt.STR_SEE_CONSOLE}`, type: "danger"});
 			setTimeout(() => { throw e; });
 		}
@@ -228,6 +253,51 @@ export class InitiativeTrackerNetworking {
 		showConnected();
 	}
 
+	/* -------------------------------------------- */
+
+	_doStartRollLog () {
+		if (this._rollListener) return;
+		this._rollListener = roll => this._rollLog.addRoll(roll);
+		Renderer.dice.addRollListener(this._rollListener);
+	}
+
+	_doStopRollLog () {
+		if (!this._rollListener) return;
+		Renderer.dice.removeRollListener(this._rollListener);
+		this._rollListener = null;
+	}
+
+	_handleClientDataV1 ({connection, data}) {
+		const roll = this._rollLog.handleClientPacket({packet: data, playerName: connection.label});
+		if (!roll) return;
+
+		// Show player rolls alongside the DM's own
+		Renderer.dice.addRoll({
+			rolledBy: {name: roll.playerName},
+			html: `<div>
+				${roll.label ? `<span class="roll-label">${roll.label.qq()}: </span>` : ""}
+				<span class="roll">${roll.result}</span>
+				<span class="all-rolls ve-muted">${roll.dice.qq()}</span>
+			</div>`,
+		});
+	}
+
+	handleClick_rollLog () {
+		const ui = new RollLogUi({rollLog: this._rollLog, isDm: true});
+
+		const {$modalInner} = UiUtil.getShowModal({
+			title: "Roll Log",
+			isUncappedHeight: true,
+			isHeight100: true,
+			cbClose: () => ui.doCleanup(),
+		});
+
+		$modalInner.append(`<div class="mb-2 italic">Rolls made by you and by players connected via the &quot;Standard&quot; Player View are shared with every connected player. Hidden rolls are not sent to players.${this._p2pMetaV1.serverPeer ? "" : " Start the server to begin sharing rolls."}</div>`);
+		ui.render($modalInner);
+	}
+
+	/* -------------------------------------------- */
+
 	// nop on receiving a message; we want to send only
 	// TODO expand this, to allow e.g. players to set statuses or assign damage/healing (at DM approval?)
 	_playerWindowV0_DM_MESSAGE_RECEIVER = function () {};
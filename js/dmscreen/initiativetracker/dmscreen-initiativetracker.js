@@ -108,6 +108,8 @@ export class InitiativeTracker extends BaseComponent {
 
 		$wrpTracker.data("getApi", () => this);
 
+		$wrpTracker.data("onDestroy", () => this._networking.doCleanup());
+
 		return $wrpTracker;
 	}
 
@@ -235,6 +237,13 @@ export class InitiativeTracker extends BaseComponent {
 					this._networking.handleClick_playerWindowV0({doUpdateExternalStates});
 				},
 			),
+			null,
+			new ContextUtil.Action(
+				"Roll Log",
+				async () => {
+					this._networking.handleClick_rollLog();
+				},
+			),
 		]);
 
 		const $btnNetworking = $(`<button class="btn btn-primary btn-xs mr-2" title="Player View (SHIFT to Open &quot;Standard&quot; View)"><span class="glyphicon glyphicon-user"></span></button>`)
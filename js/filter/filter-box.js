@@ -364,9 +364,20 @@ export class FilterBox extends ProxyBase {
 		const $sels = this._filters.map(f => UiUtil.$getAddModalRowSel($modalInner, f.header, this._combineAs, f.header, ["and", "or"], {fnDisplay: (it) => it.toUpperCase()}));
 	}
 
-	getValues ({nxtStateOuter = null} = {}) {
+	/**
+	 * @param [nxtStateOuter]
+	 * @param [isIncludeCombineState] If the current filter-combining settings should be included, such that the values
+	 * are filtered in the same way regardless of later changes to the box. Used when storing values for later use.
+	 */
+	getValues ({nxtStateOuter = null, isIncludeCombineState = false} = {}) {
 		const outObj = {};
 		this._filters.forEach(f => Object.assign(outObj, f.getValues({nxtState: nxtStateOuter?.filters})));
+		if (isIncludeCombineState) {
+			outObj[FilterBox._VALUES_KEY_COMBINE_STATE] = {
+				modeCombineFilters: this._meta.modeCombineFilters,
+				combineAs: MiscUtil.copyFast(this.__combineAs),
+			};
+		}
 		return outObj;
 	}
 
@@ -736,7 +747,11 @@ export class FilterBox extends ProxyBase {
 	}
 
 	_toDisplay (boxState, filters, entryVals) {
-		switch (this._meta.modeCombineFilters) {
+		const combineState = boxState[FilterBox._VALUES_KEY_COMBINE_STATE];
+		const modeCombineFilters = combineState?.modeCombineFilters || this._meta.modeCombineFilters;
+		const combineAs = combineState?.combineAs || this._combineAs;
+
+		switch (modeCombineFilters) {
 			case "and": return this._toDisplay_isAndDisplay(boxState, filters, entryVals);
 			case "or": return this._toDisplay_isOrDisplay(boxState, filters, entryVals);
 			case "custom": {
@@ -749,7 +764,7 @@ export class FilterBox extends ProxyBase {
 
 				for (let i = 0; i < filters.length; ++i) {
 					const f = filters[i];
-					if (!this._combineAs[f.header] || this._combineAs[f.header] === "and") { // default to "and" if undefined
+					if (!combineAs[f.header] || combineAs[f.header] === "and") { // default to "and" if undefined
 						andFilters.push(f);
 						andValues.push(entryVals[i]);
 					} else {
@@ -760,7 +775,7 @@ export class FilterBox extends ProxyBase {
 
 				return this._toDisplay_isAndDisplay(boxState, andFilters, andValues) && this._toDisplay_isOrDisplay(boxState, orFilters, orValues);
 			}
-			default: throw new Error(`Unhandled combining mode "${this._meta.modeCombineFilters}"`);
+			default: throw new Error(`Unhandled combining mode "${modeCombineFilters}"`);
 		}
 	}
 
@@ -811,6 +826,8 @@ FilterBox._DEFAULT_META = {
 	isBrewDefaultHidden: false,
 };
 FilterBox._STORAGE_KEY_ALWAYS_SAVE_UNCHANGED = "filterAlwaysSaveUnchanged";
+// Prefixed with an underscore, to avoid collision with filter headers
+FilterBox._VALUES_KEY_COMBINE_STATE = "_combineState";
 
 // These are assumed to be the same length (4 characters)
 FilterBox._SUB_HASH_BOX_META_PREFIX = "fbmt";
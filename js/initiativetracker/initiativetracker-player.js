@@ -1,4 +1,5 @@
 import {InitiativeTrackerUtil, RenderableCollectionConditions} from "./initiativetracker-utils.js";
+import {RollLogClient} from "./initiativetracker-rolllog.js";
 
 export class InitiativeTrackerPlayerUiV1 {
 	constructor (view, playerName, serverToken) {
@@ -26,6 +27,14 @@ export class InitiativeTrackerPlayerUiV1 {
 			throw e;
 		}
 	}
+
+	/**
+	 * Send rolls made in this window to the DM, to be added to the shared roll log.
+	 */
+	doShareRolls () {
+		this._view.rollLog.fnSendMessage = toSend => this._clientPeer.sendMessage(toSend);
+		Renderer.dice.addRollListener(roll => this._view.rollLog.sendRoll(roll));
+	}
 }
 
 export class InitiativeTrackerPlayerUiV0 {
@@ -113,10 +122,14 @@ export class InitiativeTrackerPlayerMessageHandlerV1 {
 		this._$meta = null;
 		this._$head = null;
 		this._$rows = null;
+
+		this._rollLog = new RollLogClient();
 	}
 
 	get isActive () { return this._isUiInit; }
 
+	get rollLog () { return this._rollLog; }
+
 	setElements ($meta, $head, $rows) {
 		this._$meta = $meta;
 		this._$head = $head;
@@ -131,6 +144,7 @@ export class InitiativeTrackerPlayerMessageHandlerV1 {
 		switch (type) {
 			case "state": return this._handleMessage_state({payload: payload});
 			case "showImage": return this._handleMessage_showImage({payload: payload});
+			case "rollLog": return this._handleMessage_rollLog({payload: payload});
 
 			default: throw new Error(`Unhandled message type "${type}"!`);
 		}
@@ -277,6 +291,12 @@ export class InitiativeTrackerPlayerMessageHandlerV1 {
 		const hoverMeta = Renderer.monster.hover.getMakePredefinedFluffImageHoverHasImage({imageHref});
 		hoverMeta.show();
 	}
+
+	/* -------------------------------------------- */
+
+	_handleMessage_rollLog ({payload}) {
+		this._rollLog.handleMessage({payload});
+	}
 }
 
 export class InitiativeTrackerPlayerMessageHandlerV0 extends InitiativeTrackerPlayerMessageHandlerV1 {
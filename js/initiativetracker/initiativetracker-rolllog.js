@@ -0,0 +1,219 @@
+/**
+ * A roll log shared over the initiative tracker's peer-to-peer connection. The DM's log is authoritative; players send
+ * their rolls to the DM, and the DM sends the log, minus any rolls marked as hidden, to every player.
+ */
+class _RollLogBase {
+	constructor () {
+		this._rolls = [];
+		this._hooks = [];
+	}
+
+	getRolls () { return this._rolls; }
+
+	addHook (hk) { this._hooks.push(hk); }
+
+	removeHook (hk) {
+		const ix = this._hooks.indexOf(hk);
+		if (~ix) this._hooks.splice(ix, 1);
+	}
+
+	_doFireHooks () { this._hooks.forEach(hk => hk()); }
+}
+
+export class RollLogServer extends _RollLogBase {
+	static _MAX_ROLLS = 100;
+	static _MAX_LENGTH_CLIENT_TEXT = 200;
+
+	static PLAYER_NAME_DM = "DM";
+
+	/**
+	 * @param fnSendMessage Function which sends a message to every connected player.
+	 */
+	constructor ({fnSendMessage}) {
+		super();
+		this._fnSendMessage = fnSendMessage;
+	}
+
+	/**
+	 * @param playerName The name of the connected player who made the roll, or `null` for the DM.
+	 * @param rolledBy The name of the roller, e.g. a creature.
+	 * @param label
+	 * @param dice The rolled expression.
+	 * @param result
+	 */
+	addRoll ({playerName = null, rolledBy = null, label = null, dice, result}) {
+		const roll = {
+			id: CryptUtil.uid(),
+			playerName: playerName != null ? `${playerName}` : RollLogServer.PLAYER_NAME_DM,
+			rolledBy: rolledBy ? `${rolledBy}` : null,
+			label: label ? `${label}` : null,
+			dice: `${dice}`,
+			result: Number(result),
+			time: Date.now(),
+			isHidden: false,
+		};
+
+		this._rolls.push(roll);
+		if (this._rolls.length > RollLogServer._MAX_ROLLS) this._rolls.splice(0, this._rolls.length - RollLogServer._MAX_ROLLS);
+
+		this._doUpdate();
+		return roll;
+	}
+
+	setRollHidden ({id, isHidden}) {
+		const roll = this._rolls.find(it => it.id === id);
+		if (!roll || roll.isHidden === !!isHidden) return;
+		roll.isHidden = !!isHidden;
+		this._doUpdate();
+	}
+
+	/**
+	 * @param packet A packet received over a player's connection, which wraps the message sent by the player.
+	 * @param playerName The player's connection label.
+	 * @return The roll added to the log, if the message was a roll.
+	 */
+	handleClientPacket ({packet, playerName}) {
+		return this.handleClientMessage({data: packet?.data, playerName});
+	}
+
+	/**
+	 * @param data A message sent by a player.
+	 * @param playerName The player's connection label.
+	 * @return The roll added to the log, if the message was a roll.
+	 */
+	handleClientMessage ({data, playerName}) {
+		if (data?.type !== "roll" || !data.payload) return null;
+
+		const {rolledBy, label, dice, result} = data.payload;
+		if (dice == null || !RollLogServer._isClientResultValid(result)) return null;
+
+		return this.addRoll({
+			playerName: RollLogServer._getClientText(playerName || "(Unknown)"),
+			rolledBy: RollLogServer._getClientText(rolledBy),
+			label: RollLogServer._getClientText(label),
+			dice: RollLogServer._getClientText(dice),
+			result,
+		});
+	}
+
+	static _isClientResultValid (result) {
+		// `Number` converts e.g. `null`, `""`, and `[]` to `0`, so only accept numbers and numeric strings
+		if (typeof result !== "number" && !(typeof result === "string" && result.trim())) return false;
+		return Number.isFinite(Number(result));
+	}
+
+	static _getClientText (str) {
+		if (str == null) return null;
+		return `${str}`.slice(0, RollLogServer._MAX_LENGTH_CLIENT_TEXT);
+	}
+
+	getClientMessage () {
+		return {
+			type: "rollLog",
+			payload: {
+				rolls: this._rolls
+					.filter(roll => !roll.isHidden)
+					.map(({isHidden, ...roll}) => roll),
+			},
+		};
+	}
+
+	sendStateToClients () {
+		this._fnSendMessage(this.getClientMessage());
+	}
+
+	_doUpdate () {
+		this.sendStateToClients();
+		this._doFireHooks();
+	}
+}
+
+export class RollLogClient extends _RollLogBase {
+	constructor () {
+		super();
+		this._fnSendMessage = null;
+	}
+
+	/** Function which sends a message to the DM. Rolls are only shared once this is set. */
+	set fnSendMessage (fnSendMessage) { this._fnSendMessage = fnSendMessage; }
+
+	sendRoll ({rolledBy = null, label = null, dice, result}) {
+		if (!this._fnSendMessage) return;
+		this._fnSendMessage({
+			type: "roll",
+			payload: {rolledBy, label, dice, result},
+		});
+	}
+
+	handleMessage ({payload}) {
+		this._rolls = payload?.rolls || [];
+		this._doFireHooks();
+	}
+}
+
+export class RollLogUi {
+	/**
+	 * @param rollLog The log to display.
+	 * @param [isDm] If controls to hide rolls from players should be shown. Requires a `RollLogServer`.
+	 */
+	constructor ({rollLog, isDm = false}) {
+		this._rollLog = rollLog;
+		this._isDm = isDm;
+
+		this._$wrpRows = null;
+		this._hkRolls = null;
+	}
+
+	render ($wrp) {
+		this._$wrpRows = $(`<div class="ve-flex-col rlog__wrp-rows"></div>`);
+
+		this._hkRolls = () => this._renderRows();
+		this._rollLog.addHook(this._hkRolls);
+		this._renderRows();
+
+		$$($wrp)`<div class="ve-flex-col w-100 min-h-0">
+			<div class="bold mb-1">Roll Log</div>
+			${this._$wrpRows}
+		</div>`;
+	}
+
+	doCleanup () {
+		if (this._hkRolls) this._rollLog.removeHook(this._hkRolls);
+		this._hkRolls = null;
+	}
+
+	_renderRows () {
+		const rolls = this._rollLog.getRolls();
+
+		this._$wrpRows.empty();
+
+		if (!rolls.length) {
+			this._$wrpRows.append(`<div class="italic ve-muted">No rolls yet.</div>`);
+			return;
+		}
+
+		// Newest first
+		[...rolls].reverse().forEach(roll => this._$wrpRows.append(this._$getRow(roll)));
+	}
+
+	_$getRow (roll) {
+		const ptWho = [roll.playerName, roll.rolledBy]
+			.filter(Boolean)
+			.filter((it, i, arr) => arr.indexOf(it) === i)
+			.map(it => it.qq())
+			.join(" — ");
+
+		const $btnHidden = this._isDm
+			? $(`<button class="btn btn-default btn-xxs ml-2 ${roll.isHidden ? "active" : ""}" title="${roll.isHidden ? "Show to Players" : "Hide from Players"}"><span class="glyphicon ${roll.isHidden ? "glyphicon-eye-close" : "glyphicon-eye-open"}"></span></button>`)
+				.click(() => this._rollLog.setRollHidden({id: roll.id, isHidden: !roll.isHidden}))
+			: null;
+
+		return $$`<div class="split-v-center rlog__row ${roll.isHidden ? "rlog__row--hidden" : ""}">
+			<div class="ve-flex-col min-w-0">
+				<div class="ve-small ve-muted">${DatetimeUtil.getDatetimeStr({date: new Date(roll.time), isPlainText: true})} — ${ptWho}</div>
+				<div>${roll.label ? `<span class="italic">${roll.label.qq()}:</span> ` : ""}<b>${roll.result}</b> <span class="ve-muted">(${roll.dice.qq()})</span></div>
+			</div>
+			${$btnHidden}
+		</div>`;
+	}
+}
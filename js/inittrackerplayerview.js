@@ -4,6 +4,7 @@ import {
 	InitiativeTrackerPlayerUiV0,
 	InitiativeTrackerPlayerUiV1,
 } from "./initiativetracker/initiativetracker-player.js";
+import {RollLogUi} from "./initiativetracker/initiativetracker-rolllog.js";
 
 window.addEventListener("load", async () => {
 	await Promise.all([
@@ -79,6 +80,8 @@ class InitiativeTrackerPlayerMessageHandlerPageV1 extends InitiativeTrackerPlaye
 		this._$meta = this._$wrpTab.find(`.initp__meta`);
 		this._$head = this._$wrpTab.find(`.initp__header`);
 		this._$rows = this._$wrpTab.find(`.initp__rows`);
+
+		new RollLogUi({rollLog: this._rollLog}).render(this._$wrpTab.find(`.initp__rolllog`));
 	}
 
 	static initUnloadMessage () {
@@ -120,6 +123,7 @@ class InitTrackerPlayerViewV1 {
 					$btnConnect.attr("disabled", true);
 					const ui = new InitiativeTrackerPlayerUiV1(view, $iptPlayerName.val(), $iptServerToken.val());
 					await ui.pInit();
+					ui.doShareRolls();
 					InitiativeTrackerPlayerMessageHandlerPageV1.initUnloadMessage();
 					view.initUi();
 				} catch (e) {
@@ -138,7 +142,7 @@ class InitTrackerPlayerViewV1 {
 						<li>Paste a "server token," provided by a DM, into the "Server Token" field.</li>
 						<li>Click "Connect."</li>
 					</ol>
-					<p>After a short delay, you should be connected to the DM and this page will change to display the encounter in the DM's tracker. <i>Please note that this system is highly experimental. Your experience may vary.</i></p>
+					<p>After a short delay, you should be connected to the DM and this page will change to display the encounter in the DM's tracker. Rolls you make on this page are shared with the DM and the other players. <i>Please note that this system is highly experimental. Your experience may vary.</i></p>
 				</div>
 			</div>
 
@@ -159,6 +163,7 @@ class InitTrackerPlayerViewV1 {
 				<div class="initp__meta"></div>
 				<div class="initp__header"></div>
 				<div class="initp__rows"></div>
+				<div class="initp__rolllog initp__fullscreen-hidden"></div>
 			</div>
 		</div>`;
 
@@ -1096,6 +1096,7 @@ class ListPage {
 		}
 
 		this._pOnLoad_initVisibleItemsDisplay();
+		this._pOnLoad_registerBlocklistRuleEvaluators();
 
 		if (this._filterBox) this._filterBox.on(FILTER_BOX_EVNT_VALCHANGE, this.handleFilterChange.bind(this));
 
@@ -1184,6 +1185,12 @@ class ListPage {
 		this._list.on("updated", () => $outVisibleResults.html(`${this._list.visibleItems.length}/${this._list.items.length}`));
 	}
 
+	_pOnLoad_registerBlocklistRuleEvaluators () {
+		if (!this._pageFilter) return;
+
+		this._dataProps.forEach(category => ExcludeUtil.registerRuleEvaluator({category, pageFilter: this._pageFilter}));
+	}
+
 	async _pOnLoad_pLoadListState () {
 		await this._sublistManager.pLoadState();
 	}
@@ -1259,7 +1266,7 @@ class ListPage {
 		const len = this._dataList.length;
 		for (; this._ixData < len; this._ixData++) {
 			const it = this._dataList[this._ixData];
-			const isExcluded = ExcludeUtil.isExcluded(UrlUtil.autoEncodeHash(it), it.__prop, it.source);
+			const isExcluded = ExcludeUtil.isExcluded(UrlUtil.autoEncodeHash(it), it.__prop, it.source, {entity: it});
 			const listItem = this.getListItem(it, this._ixData, isExcluded);
 			if (!listItem) continue;
 			if (this._isPreviewable) this._doBindPreview(listItem);
@@ -1853,6 +1860,18 @@ class ListPage {
 			),
 		);
 
+		if (this._pageFilter) {
+			contextOptions.push(
+				new ContextUtil.Action(
+					"Blocklist Current Filters as Rule",
+					async () => {
+						await this._pDoAddBlocklistRule();
+					},
+					{title: "Blocklist everything which is displayed by the current filters, on this page and any other page which uses these filters"},
+				),
+			);
+		}
+
 		const menu = ContextUtil.getMenu(contextOptions);
 		$btnOptions
 			.off("mousedown")
@@ -1876,6 +1895,8 @@ class ListPage {
 	}
 
 	async _pDoMassBlocklist (ents) {
+		if (ExcludeUtil.isAllowlistMode()) return JqueryUtil.doToast({content: `The active profile is an allowlist! Use the Content Blocklist page to change which content is allowed.`, type: "warning"});
+
 		await ExcludeUtil.pExtendList(
 			ents.map(ent => {
 				return {
@@ -1890,6 +1911,24 @@ class ListPage {
 		JqueryUtil.doToast(`Added ${ents.length} entr${ents.length === 1 ? "y" : "ies"} to the blocklist! Reload the page to view any changes.`);
 	}
 
+	async _pDoAddBlocklistRule () {
+		const displayState = this._filterBox.getDisplayState();
+		if (!displayState) return JqueryUtil.doToast({content: `No filters are active! Set the filters to display only the content you wish to blocklist.`, type: "warning"});
+
+		const name = await InputUiUtil.pGetUserString({title: "Blocklist Rule Name", default: displayState});
+		if (!name?.trim()) return;
+
+		await ExcludeUtil.pAddRule({
+			name: name.trim(),
+			page: UrlUtil.getCurrentPage(),
+			categories: [...this._dataProps],
+			values: this._filterBox.getValues({isIncludeCombineState: true}),
+			displayState,
+		});
+
+		JqueryUtil.doToast(`Added blocklist rule "${name.trim()}"! Reload the page to view any changes.`);
+	}
+
 	doDeselectAll () { this.primaryLists.forEach(list => list.deselectAll()); }
 
 	async pDoLoadHash (id, {lockToken} = {}) {
@@ -0,0 +1,234 @@
+"use strict";
+
+class BackgroundBuilder extends Builder {
+	constructor () {
+		super({
+			titleSidebarLoadExisting: "Copy Existing Background",
+			titleSidebarDownloadJson: "Download Backgrounds as JSON",
+			prop: "background",
+			titleSelectDefaultSource: "(Same as Background)",
+		});
+
+		this._renderOutputDebounced = MiscUtil.debounce(() => this._renderOutput(), 50);
+	}
+
+	static _getAsMarkdown (bg) {
+		return RendererMarkdown.get().render({entries: [{type: "statblockInline", dataType: "background", data: bg}]});
+	}
+
+	async pHandleSidebarLoadExistingClick () {
+		const result = await SearchWidget.pGetUserBackgroundSearch();
+		if (result) {
+			const bg = MiscUtil.copy(await DataLoader.pCacheAndGet(result.page, result.source, result.hash));
+			return this.pHandleSidebarLoadExistingData(bg);
+		}
+	}
+
+	/**
+	 * @param bg
+	 * @param [opts]
+	 * @param [opts.meta]
+	 */
+	async pHandleSidebarLoadExistingData (bg, opts) {
+		opts = opts || {};
+
+		bg.source = this._ui.source;
+
+		delete bg.srd;
+		delete bg.basicRules;
+		delete bg.uniqueId;
+		delete bg.reprintedAs;
+
+		const meta = {...(opts.meta || {}), ...this._getInitialMetaState()};
+
+		this.setStateFromLoaded({s: bg, m: meta});
+
+		this.renderInput();
+		this.renderOutput();
+	}
+
+	_getInitialState () {
+		return {
+			...super._getInitialState(),
+			name: "New Background",
+			entries: [],
+			source: this._ui ? this._ui.source : "",
+		};
+	}
+
+	setStateFromLoaded (state) {
+		if (!state?.s || !state?.m) return;
+
+		this._doResetProxies();
+
+		if (!state.s.uniqueId) state.s.uniqueId = CryptUtil.uid();
+
+		this.__state = state.s;
+		this.__meta = state.m;
+	}
+
+	doHandleSourcesAdd () { /* No-op */ }
+
+	_renderInputImpl () {
+		this.doCreateProxies();
+		this.renderInputControls();
+		this._renderInputMain();
+	}
+
+	_renderInputMain () {
+		this._sourcesCache = MiscUtil.copy(this._ui.allSources);
+		const $wrp = this._ui.$wrpInput.empty();
+
+		const _cb = () => {
+			// Prefer numerical pages if possible
+			if (!isNaN(this._state.page)) this._state.page = Number(this._state.page);
+
+			// do post-processing
+			TagCondition.tryTagConditions(this._state, {isTagInflicted: true});
+
+			this.renderOutput();
+			this.doUiSave();
+			this._meta.isModified = true;
+		};
+		const cb = MiscUtil.debounce(_cb, 33);
+		this._cbCache = cb; // cache for use when updating sources
+
+		// initialise tabs
+		this._resetTabs({tabGroup: "input"});
+		const tabs = this._renderTabs(
+			[
+				new TabUiUtil.TabMeta({name: "Info", hasBorder: true}),
+				new TabUiUtil.TabMeta({name: "Benefits", hasBorder: true}),
+				new TabUiUtil.TabMeta({name: "Text", hasBorder: true}),
+				new TabUiUtil.TabMeta({name: "Flavor/Misc", hasBorder: true}),
+			],
+			{
+				tabGroup: "input",
+				cbTabChange: this.doUiSave.bind(this),
+			},
+		);
+		const [infoTab, benefitsTab, textTab, miscTab] = tabs;
+		$$`<div class="ve-flex-v-center w-100 no-shrink ui-tab__wrp-tab-heads--border">${tabs.map(it => it.$btnTab)}</div>`.appendTo($wrp);
+		tabs.forEach(it => it.$wrpTab.appendTo($wrp));
+
+		// INFO
+		BuilderUi.$getStateIptString("Name", cb, this._state, {nullable: false, callback: () => this.pRenderSideMenu()}, "name").appendTo(infoTab.$wrpTab);
+		this._$selSource = this.$getSourceInput(cb).appendTo(infoTab.$wrpTab);
+		BuilderUi.$getStateIptString("Page", cb, this._state, {}, "page").appendTo(infoTab.$wrpTab);
+		BuilderUi.$getStateIptPrerequisite("Prerequisites", cb, this._state, {}, "prerequisite").appendTo(infoTab.$wrpTab);
+
+		// BENEFITS
+		$(`<div class="ve-flex-vh-center w-100 mb-2"><i>Note: the following data is used by filters on the Backgrounds page, and should match the background's text.</i></div>`).appendTo(benefitsTab.$wrpTab);
+		this.__$getProficienciesGeneratedInput(cb).appendTo(benefitsTab.$wrpTab);
+		BuilderUi.$getStateIptAbility("Ability Scores", cb, this._state, {}, "ability").appendTo(benefitsTab.$wrpTab);
+		BuilderUi.$getStateIptProficiencies("Skill Proficiencies", cb, this._state, {anyKeys: BuilderUi.PROFICIENCY_ANY_KEYS_SKILL, placeholder: "athletics, stealth"}, "skillProficiencies").appendTo(benefitsTab.$wrpTab);
+		BuilderUi.$getStateIptProficiencies("Tool Proficiencies", cb, this._state, {anyKeys: BuilderUi.PROFICIENCY_ANY_KEYS_TOOL, placeholder: "thieves' tools, gaming set"}, "toolProficiencies").appendTo(benefitsTab.$wrpTab);
+		BuilderUi.$getStateIptProficiencies("Language Proficiencies", cb, this._state, {anyKeys: BuilderUi.PROFICIENCY_ANY_KEYS_LANGUAGE, placeholder: "elvish, draconic"}, "languageProficiencies").appendTo(benefitsTab.$wrpTab);
+		BuilderUi.$getStateIptAdditionalSpells("Spells", cb, this._state, {}, "additionalSpells").appendTo(benefitsTab.$wrpTab);
+
+		// TEXT
+		BuilderUi.$getStateIptEntries("Text", cb, this._state, {fnPostProcess: BuilderUi.fnPostProcessDice}, "entries").appendTo(textTab.$wrpTab);
+
+		// FLAVOR/MISC
+		this.$getFluffInput(cb).appendTo(miscTab.$wrpTab);
+	}
+
+	__$getProficienciesGeneratedInput (cb) {
+		const [$row, $rowInner] = BuilderUi.getLabelledRowTuple("Generated", {isMarked: true});
+
+		const $btnGenerate = $(`<button class="btn btn-xs btn-default" title="Generate skill, tool, and language proficiencies from the &quot;Skill Proficiencies&quot;, &quot;Tool Proficiencies&quot;, and &quot;Languages&quot; items in the background's text. This will replace any existing proficiencies.">Generate from Text</button>`)
+			.click(() => {
+				if (!(this._state.entries || []).some(ent => ent.type === "list")) {
+					return JqueryUtil.doToast({content: `The background's text must contain a list of proficiencies!`, type: "warning"});
+				}
+
+				const warnings = [];
+				BackgroundSkillToolLanguageTag.tryRun(this._state, {cbWarning: msg => warnings.push(msg)});
+				warnings.forEach(msg => JqueryUtil.doToast({content: msg, type: "warning"}));
+
+				cb();
+				this.renderInput();
+			});
+
+		$$`<div class="ve-flex-v-center">${$btnGenerate}</div>`.appendTo($rowInner);
+
+		return $row;
+	}
+
+	renderOutput () {
+		this._renderOutputDebounced();
+	}
+
+	_renderOutput () {
+		const $wrp = this._ui.$wrpOutput.empty();
+
+		// initialise tabs
+		this._resetTabs({tabGroup: "output"});
+
+		const tabs = this._renderTabs(
+			[
+				new TabUiUtil.TabMeta({name: "Background"}),
+				new TabUiUtil.TabMeta({name: "Info"}),
+				new TabUiUtil.TabMeta({name: "Images"}),
+				new TabUiUtil.TabMeta({name: "Data"}),
+				new TabUiUtil.TabMeta({name: "Markdown"}),
+			],
+			{
+				tabGroup: "output",
+				cbTabChange: this.doUiSave.bind(this),
+			},
+		);
+		const [bgTab, infoTab, imageTab, dataTab, markdownTab] = tabs;
+		$$`<div class="ve-flex-v-center w-100 no-shrink">${tabs.map(it => it.$btnTab)}</div>`.appendTo($wrp);
+		tabs.forEach(it => it.$wrpTab.appendTo($wrp));
+
+		// Background
+		const $tblBg = $(`<table class="w-100 stats"></table>`).appendTo(bgTab.$wrpTab);
+		RenderBackgrounds.$getRenderedBackground(this._state).appendTo($tblBg);
+
+		// Info
+		const $tblInfo = $(`<table class="w-100 stats"></table>`).appendTo(infoTab.$wrpTab);
+		Renderer.utils.pBuildFluffTab({
+			isImageTab: false,
+			$content: $tblInfo,
+			entity: this._state,
+			pFnGetFluff: Renderer.background.pGetFluff,
+		});
+
+		// Images
+		const $tblImages = $(`<table class="w-100 stats"></table>`).appendTo(imageTab.$wrpTab);
+		Renderer.utils.pBuildFluffTab({
+			isImageTab: true,
+			$content: $tblImages,
+			entity: this._state,
+			pFnGetFluff: Renderer.background.pGetFluff,
+		});
+
+		// Data
+		const $tblData = $(`<table class="w-100 stats stats--book mkbru__wrp-output-tab-data"></table>`).appendTo(dataTab.$wrpTab);
+		const asCode = Renderer.get().render({
+			type: "entries",
+			entries: [
+				{
+					type: "code",
+					name: `Data`,
+					preformatted: JSON.stringify(DataUtil.cleanJson(MiscUtil.copy(this._state)), null, "\t"),
+				},
+			],
+		});
+		$tblData.append(Renderer.utils.getBorderTr());
+		$tblData.append(`<tr><td colspan="6">${asCode}</td></tr>`);
+		$tblData.append(Renderer.utils.getBorderTr());
+
+		// Markdown
+		const $tblMarkdown = $(`<table class="w-100 stats stats--book mkbru__wrp-output-tab-data"></table>`).appendTo(markdownTab.$wrpTab);
+		$tblMarkdown.append(Renderer.utils.getBorderTr());
+		$tblMarkdown.append(`<tr><td colspan="6">${this._getRenderedMarkdownCode()}</td></tr>`);
+		$tblMarkdown.append(Renderer.utils.getBorderTr());
+	}
+}
+
+const backgroundBuilder = new BackgroundBuilder();
+
+ui.backgroundBuilder = backgroundBuilder;
+backgroundBuilder.ui = ui;
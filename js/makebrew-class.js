@@ -0,0 +1,1169 @@
+"use strict";
+
+/**
+ * Shared implementation for the class and subclass builders.
+ *
+ * A class (or subclass) lists its features as level-indexed UIDs, which point at separate `classFeature` (or
+ * `subclassFeature`) entities. The builder edits those entities under the temporary `_features` key (which is
+ * stripped from the class/subclass on save), and persists them alongside the class/subclass.
+ */
+class _ClassSubclassBuilderBase extends Builder {
+	static _LEVEL_COUNT = 20;
+	static _MAX_DEREFERENCE_DEPTH = 5;
+
+	static _IDENTITY_PROPS = {
+		"classFeature": ["className", "classSource"],
+		"subclassFeature": ["className", "classSource", "subclassShortName", "subclassSource"],
+	};
+	static _UID_FORMATS = {
+		"classFeature": "<name>|<className>|<classSource>|<level>|<source>",
+		"subclassFeature": "<name>|<className>|<classSource>|<subclassShortName>|<subclassSource>|<level>|<source>",
+	};
+	static _CASTER_PROGRESSIONS = {
+		"full": "Full",
+		"1/2": "Half",
+		"1/3": "One-Third",
+		"pact": "Pact Magic",
+		"artificer": "Artificer",
+	};
+	static _REF_TYPE_TO_PROP = {
+		"refClassFeature": "classFeature",
+		"refSubclassFeature": "subclassFeature",
+	};
+
+	static _WALKER = MiscUtil.getWalker({keyBlocklist: MiscUtil.GENERIC_WALKER_ENTRIES_KEY_BLOCKLIST});
+	static _WALKER_READ = MiscUtil.getWalker({keyBlocklist: MiscUtil.GENERIC_WALKER_ENTRIES_KEY_BLOCKLIST, isNoModification: true});
+
+	/**
+	 * @param opts Options object; see `Builder`.
+	 * @param opts.propFeature Feature prop, e.g. "classFeature".
+	 * @param opts.propFeatures Level-indexed feature UID prop, e.g. "classFeatures".
+	 * @param opts.propTableGroups Table group prop, e.g. "classTableGroups".
+	 */
+	constructor (opts) {
+		super(opts);
+
+		this._propFeature = opts.propFeature;
+		this._propFeatures = opts.propFeatures;
+		this._propTableGroups = opts.propTableGroups;
+
+		this._identityLast = null;
+		this._sourceLast = null;
+
+		this._renderOutputDebounced = MiscUtil.debounce(() => this._renderOutput(), 50);
+	}
+
+	static async _pGetRawData () {
+		const [site, prerelease, brew] = await Promise.all([
+			DataUtil.class.loadRawJSON(),
+			PrereleaseUtil.pGetBrewProcessed(),
+			BrewUtil2.pGetBrewProcessed(),
+		]);
+		return ["class", "subclass", "classFeature", "subclassFeature"]
+			.mergeMap(prop => ({[prop]: [site, prerelease, brew].map(it => it[prop] || []).flat()}));
+	}
+
+	/** The fields a feature shares with its parent class/subclass, e.g. `{className, classSource}`. */
+	_getFeatureIdentity (ent) { throw new TypeError(`Unimplemented method!`); }
+
+	// region UIDs
+	static _getUnpackedUid (prop, uid) {
+		return prop === "classFeature"
+			? DataUtil.class.unpackUidClassFeature(uid)
+			: DataUtil.class.unpackUidSubclassFeature(uid);
+	}
+
+	static _getPackedUid (prop, ent) {
+		return prop === "classFeature"
+			? DataUtil.class.packUidClassFeature(ent)
+			: DataUtil.class.packUidSubclassFeature(ent);
+	}
+
+	static _isValidUid (prop, uid) {
+		if (!uid) return false;
+		return prop === "classFeature"
+			? DataUtil.class.isValidClassFeatureUid(uid)
+			: DataUtil.class.isValidSubclassFeatureUid(uid);
+	}
+
+	static _isIdentityMatch (prop, ent, identity) {
+		return this._IDENTITY_PROPS[prop].every(k => (ent[k] || "").toLowerCase() === (identity[k] || "").toLowerCase());
+	}
+
+	static _getRefUid (prop, ref) { return typeof ref === "string" ? ref : ref?.[prop]; }
+
+	/**
+	 * If the UID points at a feature of `identityFrom`, point it at the equivalent feature of `identityTo`.
+	 */
+	static _getRepointedUid (prop, uid, {identityFrom, identityTo, sourceFrom, sourceTo}) {
+		if (!this._isValidUid(prop, uid)) return uid;
+
+		const unpacked = this._getUnpackedUid(prop, uid);
+		if (!this._isIdentityMatch(prop, unpacked, identityFrom)) return uid;
+
+		Object.assign(unpacked, identityTo);
+		if (unpacked.source.toLowerCase() === sourceFrom.toLowerCase()) unpacked.source = sourceTo;
+
+		const packed = this._getPackedUid(prop, unpacked);
+		if (!unpacked.displayText) return packed;
+
+		// Re-add any trimmed empty parts, so the display text stays in its position
+		const parts = packed.split("|");
+		const cntParts = this._IDENTITY_PROPS[prop].length + 3; // name, level, source
+		while (parts.length < cntParts) parts.push("");
+		return [...parts, unpacked.displayText].join("|");
+	}
+
+	static _getEntryRefMetas (entries) {
+		const out = [];
+		this._WALKER_READ.walk(
+			entries,
+			{
+				object: (obj) => {
+					const prop = this._REF_TYPE_TO_PROP[obj.type];
+					if (prop) out.push({prop, uid: obj[prop]});
+				},
+			},
+		);
+		return out;
+	}
+
+	/**
+	 * Point every reference to features of `identityFrom`, both in the level-indexed feature list and in the
+	 * features' own entries, at `identityTo`.
+	 */
+	_mutRepointFeatureRefs (ent, {identityFrom, identityTo, sourceFrom, sourceTo}) {
+		const fnRepoint = uid => this.constructor._getRepointedUid(this._propFeature, uid, {identityFrom, identityTo, sourceFrom, sourceTo});
+		const refType = Object.keys(this.constructor._REF_TYPE_TO_PROP).find(k => this.constructor._REF_TYPE_TO_PROP[k] === this._propFeature);
+
+		if (ent[this._propFeatures]) {
+			ent[this._propFeatures] = ent[this._propFeatures]
+				.map(ref => typeof ref === "string" ? fnRepoint(ref) : {...ref, [this._propFeature]: fnRepoint(ref[this._propFeature])});
+		}
+
+		(ent._features || []).forEach(feature => {
+			if ((feature.source || "").toLowerCase() === sourceFrom.toLowerCase()) feature.source = sourceTo;
+			if (!feature.entries) return;
+			feature.entries = this.constructor._WALKER.walk(
+				feature.entries,
+				{
+					object: (obj) => {
+						if (obj.type !== refType) return obj;
+						return {...obj, [this._propFeature]: fnRepoint(obj[this._propFeature])};
+					},
+				},
+			);
+		});
+	}
+
+	/** Keep references in sync when the class/subclass is renamed or moved to a different source. */
+	_doUpdateFeatureIdentity () {
+		const identity = this._getFeatureIdentity(this._state);
+		const identityFrom = this._identityLast;
+		const sourceFrom = this._sourceLast;
+
+		this._identityLast = identity;
+		this._sourceLast = this._state.source;
+
+		if (!identityFrom || (CollectionUtil.deepEquals(identityFrom, identity) && sourceFrom === this._state.source)) return false;
+
+		const cpy = MiscUtil.copy({[this._propFeatures]: this._state[this._propFeatures], _features: this._state._features});
+		this._mutRepointFeatureRefs(cpy, {identityFrom, identityTo: identity, sourceFrom, sourceTo: this._state.source});
+		if (cpy[this._propFeatures]) this._state[this._propFeatures] = cpy[this._propFeatures];
+		if (cpy._features) this._state._features = cpy._features;
+		return true;
+	}
+	// endregion
+
+	// region Features
+	/** Features edited in this builder, with the fields they share with their parent class/subclass filled in. */
+	_getFeatures () {
+		const identity = this._getFeatureIdentity(this._state);
+		return MiscUtil.copy(this._state._features || [])
+			.map(feature => ({
+				...feature,
+				...identity,
+				source: feature.source || this._state.source,
+				level: feature.level || 1,
+			}));
+	}
+
+	_getFeatureHash (prop, ent) { return UrlUtil.URL_TO_HASH_BUILDER[prop](ent); }
+
+	async _pGetFeatureFromUid (prop, uid) {
+		if (!this.constructor._isValidUid(prop, uid)) return null;
+
+		const unpacked = this.constructor._getUnpackedUid(prop, uid);
+		const hash = this._getFeatureHash(prop, unpacked);
+
+		// Features belonging to the entity being edited must be defined in the builder; ignore any stale saved copies
+		if (prop === this._propFeature && this.constructor._isIdentityMatch(prop, unpacked, this._getFeatureIdentity(this._state))) {
+			return this._getFeatures().find(feature => this._getFeatureHash(prop, feature) === hash) || null;
+		}
+
+		return DataLoader.pCacheAndGet(prop, unpacked.source, hash, {isCopy: true, isSilent: true});
+	}
+
+	async _pGetDereferencedEntries (entries, {depth = 0} = {}) {
+		if (!entries?.length || depth > this.constructor._MAX_DEREFERENCE_DEPTH) return entries;
+
+		return entries.pSerialAwaitMap(async ent => {
+			const prop = this.constructor._REF_TYPE_TO_PROP[ent?.type];
+			if (prop) {
+				const feature = await this._pGetFeatureFromUid(prop, ent[prop]);
+				if (!feature) return ent;
+
+				delete feature.header;
+				if (ent.name) feature.name = ent.name;
+				feature.entries = await this._pGetDereferencedEntries(feature.entries, {depth: depth + 1});
+				return feature;
+			}
+
+			if (ent?.entries instanceof Array) return {...ent, entries: await this._pGetDereferencedEntries(ent.entries, {depth: depth + 1})};
+
+			return ent;
+		});
+	}
+
+	/** Resolve the level-indexed feature list, as the classes page would. */
+	async _pGetFeaturesByLevel () {
+		const out = [...new Array(this.constructor._LEVEL_COUNT)].map(() => []);
+
+		for (const ref of (this._state[this._propFeatures] || [])) {
+			const uid = this.constructor._getRefUid(this._propFeature, ref);
+			const feature = await this._pGetFeatureFromUid(this._propFeature, uid);
+			if (!feature) continue;
+
+			const {displayText} = this.constructor._getUnpackedUid(this._propFeature, uid);
+			if (displayText) feature._displayName = displayText;
+			if (ref.tableDisplayName) feature._displayNameTable = ref.tableDisplayName;
+			if (ref.gainSubclassFeature) feature.gainSubclassFeature = true;
+
+			feature.entries = await this._pGetDereferencedEntries(feature.entries);
+
+			(out[feature.level - 1] ||= []).push(feature);
+		}
+
+		return out;
+	}
+
+	/** Features which are neither in the level-indexed feature list, nor referenced by another feature. */
+	_getUnlistedFeatures () {
+		const uidsReferenced = [
+			...(this._state[this._propFeatures] || []).map(ref => this.constructor._getRefUid(this._propFeature, ref)),
+			...this._getFeatures()
+				.map(feature => this.constructor._getEntryRefMetas(feature.entries).filter(({prop}) => prop === this._propFeature))
+				.flat()
+				.map(({uid}) => uid),
+		];
+		const hashesReferenced = new Set(
+			uidsReferenced
+				.filter(uid => this.constructor._isValidUid(this._propFeature, uid))
+				.map(uid => this._getFeatureHash(this._propFeature, this.constructor._getUnpackedUid(this._propFeature, uid))),
+		);
+
+		return this._getFeatures().filter(feature => !hashesReferenced.has(this._getFeatureHash(this._propFeature, feature)));
+	}
+	// endregion
+
+	// region Validation
+	/**
+	 * Check that every feature UID referenced by the class/subclass resolves. Unresolvable references are otherwise
+	 * silently dropped when the data is loaded.
+	 * @return {Promise<Array<{uid: string, location: string, problem: string}>>}
+	 */
+	async pGetFeatureRefProblems () {
+		const out = [];
+
+		for (const ref of (this._state[this._propFeatures] || [])) {
+			const uid = this.constructor._getRefUid(this._propFeature, ref);
+			const problem = await this._pGetFeatureRefProblem(this._propFeature, uid);
+			if (problem) out.push({uid, location: `Level ${this._getRefLevel(ref) || "?"}`, problem});
+		}
+
+		for (const feature of this._getFeatures()) {
+			for (const {prop, uid} of this.constructor._getEntryRefMetas(feature.entries)) {
+				const problem = await this._pGetFeatureRefProblem(prop, uid);
+				if (problem) out.push({uid, location: `"${feature.name}" (level ${feature.level})`, problem});
+			}
+		}
+
+		return out;
+	}
+
+	async _pGetFeatureRefProblem (prop, uid) {
+		if (!this.constructor._isValidUid(prop, uid)) return `Malformed UID; expected "${this.constructor._UID_FORMATS[prop]}"`;
+
+		const unpacked = this.constructor._getUnpackedUid(prop, uid);
+		if (unpacked.source === Parser.SRC_5ETOOLS_TMP) return null;
+
+		if (await this._pGetFeatureFromUid(prop, uid)) return null;
+
+		if (prop === this._propFeature && this.constructor._isIdentityMatch(prop, unpacked, this._getFeatureIdentity(this._state))) {
+			return `No feature with this name, level, and source is defined on the "Features" tab`;
+		}
+		return `No matching feature was found in site, prerelease, or homebrew data`;
+	}
+
+	_getRefLevel (ref) {
+		const uid = this.constructor._getRefUid(this._propFeature, ref);
+		if (!this.constructor._isValidUid(this._propFeature, uid)) return null;
+		return this.constructor._getUnpackedUid(this._propFeature, uid).level;
+	}
+	// endregion
+
+	// region Load/save
+	async pHandleSidebarLoadExistingData (ent, opts) {
+		opts = opts || {};
+
+		// Prefer the raw entity, as e.g. entities loaded via the page hash have their features dereferenced
+		const rawData = await this.constructor._pGetRawData();
+		const hash = UrlUtil.URL_TO_HASH_BUILDER[this._prop](ent);
+		ent = MiscUtil.copy(rawData[this._prop].find(it => UrlUtil.URL_TO_HASH_BUILDER[this._prop](it) === hash) || ent);
+
+		const identityFrom = this._getFeatureIdentity(ent);
+		const sourceFrom = ent.source;
+
+		ent._features = MiscUtil.copy(rawData[this._propFeature].filter(feature => this.constructor._isIdentityMatch(this._propFeature, feature, identityFrom)))
+			.map(feature => {
+				this.constructor._IDENTITY_PROPS[this._propFeature].forEach(k => delete feature[k]);
+				delete feature.srd;
+				delete feature.basicRules;
+				delete feature.isReprinted;
+				feature.uniqueId = CryptUtil.uid();
+				return feature;
+			});
+
+		ent.source = this._ui.source;
+
+		delete ent.srd;
+		delete ent.basicRules;
+		delete ent.uniqueId;
+		delete ent.reprintedAs;
+		delete ent.isReprinted;
+		delete ent.otherSources;
+
+		this._mutRepointFeatureRefs(ent, {identityFrom, identityTo: this._getFeatureIdentity(ent), sourceFrom, sourceTo: ent.source});
+
+		const meta = {...(opts.meta || {}), ...this._getInitialMetaState()};
+
+		this.setStateFromLoaded({s: ent, m: meta});
+
+		this.renderInput();
+		this.renderOutput();
+	}
+
+	async _pGetEditableFeatures (ent) {
+		const brew = await BrewUtil2.pGetOrCreateEditableBrewDoc();
+		const identity = this._getFeatureIdentity(ent);
+		return MiscUtil.copy((brew.body[this._propFeature] || []).filter(feature => this.constructor._isIdentityMatch(this._propFeature, feature, identity)))
+			.map(feature => {
+				this.constructor._IDENTITY_PROPS[this._propFeature].forEach(k => delete feature[k]);
+				return feature;
+			});
+	}
+
+	async pHandleSidebarEditUniqueId (uniqueId) {
+		const entEditable = MiscUtil.copy(await BrewUtil2.pGetEditableBrewEntity(this._prop, uniqueId));
+		entEditable._features = await this._pGetEditableFeatures(entEditable);
+		this.setStateFromLoaded({
+			s: entEditable,
+			m: this._getInitialMetaState({
+				isModified: false,
+				isPersisted: false,
+			}),
+		});
+		this.renderInput();
+		this.renderOutput();
+		this.doUiSave();
+	}
+
+	prepareExistingEditableBrew ({brew}) {
+		let isAnyMod = !!super.prepareExistingEditableBrew({brew});
+
+		(brew.body[this._propFeature] || []).forEach(feature => {
+			if (feature.uniqueId) return;
+			feature.uniqueId = CryptUtil.uid();
+			isAnyMod = true;
+		});
+
+		return isAnyMod;
+	}
+
+	_getFeaturesClean () {
+		return this._getFeatures().map(feature => DataUtil.cleanJson(feature, {isDeleteUniqueId: false}));
+	}
+
+	_getSchemaValidationMetas () {
+		return [
+			...super._getSchemaValidationMetas(),
+			...this._getFeaturesClean().map(feature => ({prop: this._propFeature, ent: DataUtil.cleanJson(feature)})),
+		];
+	}
+
+	async pDoPostSave () {
+		const features = this._getFeaturesClean();
+		const uniqueIds = new Set(features.map(feature => feature.uniqueId));
+		const identity = this._getFeatureIdentity(this._state);
+
+		// Replace any previously-saved features of this class/subclass
+		const brew = MiscUtil.copy(await BrewUtil2.pGetOrCreateEditableBrewDoc());
+		brew.body[this._propFeature] = [
+			...(brew.body[this._propFeature] || [])
+				.filter(feature => !uniqueIds.has(feature.uniqueId) && !this.constructor._isIdentityMatch(this._propFeature, feature, identity)),
+			...features,
+		];
+		if (!brew.body[this._propFeature].length) delete brew.body[this._propFeature];
+		await BrewUtil2.pSetEditableBrewDoc(brew);
+
+		const problems = await this.pGetFeatureRefProblems();
+		if (problems.length) JqueryUtil.doToast({type: "warning", content: `${problems.length} feature reference${problems.length === 1 ? "" : "s"} could not be resolved! See the "Validation" tab for details.`});
+	}
+
+	async pDoPostDelete () {
+		// Remove any features whose class/subclass no longer exists
+		const brew = MiscUtil.copy(await BrewUtil2.pGetOrCreateEditableBrewDoc());
+		const identities = (brew.body[this._prop] || []).map(ent => this._getFeatureIdentity(ent));
+
+		const features = brew.body[this._propFeature] || [];
+		const featuresKept = features.filter(feature => identities.some(identity => this.constructor._isIdentityMatch(this._propFeature, feature, identity)));
+		if (features.length === featuresKept.length) return;
+
+		if (featuresKept.length) brew.body[this._propFeature] = featuresKept;
+		else delete brew.body[this._propFeature];
+		await BrewUtil2.pSetEditableBrewDoc(brew);
+	}
+
+	async pHandleSidebarDownloadJsonClick () {
+		const out = this._ui._getJsonOutputTemplate();
+
+		const entities = await this._pGetSideMenuBrewEntities();
+		out[this._prop] = entities.map(entry => PropOrder.getOrdered(DataUtil.cleanJson(MiscUtil.copy(entry)), this._prop));
+
+		const brew = await BrewUtil2.pGetOrCreateEditableBrewDoc();
+		const identities = entities.map(ent => this._getFeatureIdentity(ent));
+		const features = (brew.body[this._propFeature] || [])
+			.filter(feature => identities.some(identity => this.constructor._isIdentityMatch(this._propFeature, feature, identity)));
+		if (features.length) out[this._propFeature] = features.map(feature => PropOrder.getOrdered(DataUtil.cleanJson(MiscUtil.copy(feature)), this._propFeature));
+
+		DataUtil.userDownload(DataUtil.getCleanFilename(BrewUtil2.sourceJsonToFull(this._ui.source)), out);
+	}
+	// endregion
+
+	setStateFromLoaded (state) {
+		if (!state?.s || !state?.m) return;
+
+		this._doResetProxies();
+
+		if (!state.s.uniqueId) state.s.uniqueId = CryptUtil.uid();
+
+		this.__state = state.s;
+		this.__meta = state.m;
+	}
+
+	doHandleSourcesAdd () { /* No-op */ }
+
+	_renderInputImpl () {
+		this.doCreateProxies();
+		this.renderInputControls();
+		this._renderInputMain();
+	}
+
+	_getInputCallback () {
+		const _cb = () => {
+			// Prefer numerical pages if possible
+			if (!isNaN(this._state.page)) this._state.page = Number(this._state.page);
+
+			if (this._doUpdateFeatureIdentity()) this.renderInput();
+
+			this.renderOutput();
+			this.doUiSave();
+			this._meta.isModified = true;
+		};
+		const cb = MiscUtil.debounce(_cb, 33);
+		this._cbCache = cb; // cache for use when updating sources
+
+		this._identityLast = this._getFeatureIdentity(this._state);
+		this._sourceLast = this._state.source;
+
+		return cb;
+	}
+
+	// region Inputs
+	_$getFeaturesInput (cb) {
+		return BuilderUi.$getStateIptObjectArray(
+			"Features",
+			cb,
+			this._state,
+			{
+				shortName: "Feature",
+				title: `Each feature's UID is "${this.constructor._UID_FORMATS[this._propFeature]}". Features must be added to the "Progression" tab, or referenced by another feature, to be displayed.`,
+				fnGetRow: (doUpdateState, initialState) => this._getFeatureRow(doUpdateState, initialState),
+			},
+			"_features",
+		);
+	}
+
+	_getFeatureRow (doUpdateState, initialState) {
+		initialState = initialState || {uniqueId: CryptUtil.uid(), source: this._state.source, level: 1};
+
+		let entries = initialState.entries || [];
+
+		const $iptName = $(`<input class="form-control input-xs form-control--minimal">`)
+			.val(initialState.name || "")
+			.change(() => doUpdateState());
+
+		const $iptLevel = $(`<input class="form-control input-xs form-control--minimal">`)
+			.val(initialState.level || 1)
+			.change(() => {
+				$iptLevel.val(Math.max(1, UiUtil.strToInt($iptLevel.val(), 1)));
+				doUpdateState();
+			});
+
+		const $iptEntries = $(`<textarea class="form-control form-control--minimal resize-vertical"></textarea>`)
+			.val(UiUtil.getEntriesAsText(entries))
+			.change(() => {
+				entries = BuilderUi.fnPostProcessDice(UiUtil.getTextAsEntries($iptEntries.val()));
+				$iptEntries.val(UiUtil.getEntriesAsText(entries));
+				doUpdateState();
+			});
+
+		const getState = () => {
+			const name = $iptName.val().trim();
+			if (!name) return null;
+			return {
+				...MiscUtil.copy(initialState),
+				name,
+				level: Math.max(1, UiUtil.strToInt($iptLevel.val(), 1)),
+				entries: MiscUtil.copy(entries),
+			};
+		};
+
+		const $wrp = $$`<div class="ve-flex-col">
+			<div class="ve-flex-v-center mb-2"><span class="mr-2 mkbru__sub-name--33">Name</span>${$iptName}</div>
+			<div class="ve-flex-v-center mb-2"><span class="mr-2 mkbru__sub-name--33">Level</span>${$iptLevel}</div>
+			<div class="ve-flex-v-center mb-2"><span class="mr-2 mkbru__sub-name--33">Text</span>${$iptEntries}</div>
+		</div>`;
+
+		return {$wrp, getState};
+	}
+
+	_$getFeatureRefsInput (cb) {
+		const [$row, $rowInner] = BuilderUi.getLabelledRowTuple(
+			"Features by Level",
+			{
+				isMarked: true,
+				title: `Feature UIDs, of the form "${this.constructor._UID_FORMATS[this._propFeature]}". Empty parts use their defaults, e.g. a class source of "${Parser.SRC_PHB}".`,
+			},
+		);
+
+		const rowsByLevel = [...new Array(this.constructor._LEVEL_COUNT)].map(() => []);
+
+		const doUpdateState = () => {
+			const out = rowsByLevel.flat().map(row => row.getState()).filter(Boolean);
+			BuilderUi.__setProp(out.length ? out : null, {}, this._state, this._propFeatures);
+			cb();
+		};
+
+		const $wrpsRowsLevel = rowsByLevel.map(() => $(`<div class="ve-flex-col"></div>`));
+
+		const $wrpsLevel = rowsByLevel.map((rows, ixLvl) => {
+			const $wrpRows = $wrpsRowsLevel[ixLvl];
+
+			const $btnAdd = $(`<button class="btn btn-xxs btn-default" title="Add Feature Reference"><span class="glyphicon glyphicon-plus"></span></button>`)
+				.click(() => {
+					this._getFeatureRefRow(doUpdateState, rows, null, {level: ixLvl + 1}).$wrp.appendTo($wrpRows);
+					doUpdateState();
+				});
+
+			return $$`<div class="ve-flex-col mb-1">
+				<div class="ve-flex-v-center mb-1"><span class="bold mr-2">${Parser.getOrdinalForm(ixLvl + 1)} Level</span>${$btnAdd}</div>
+				${$wrpRows}
+			</div>`;
+		});
+
+		(this._state[this._propFeatures] || []).forEach(ref => {
+			const level = Math.min(this.constructor._LEVEL_COUNT, Math.max(1, this._getRefLevel(ref) || 1));
+			const rows = rowsByLevel[level - 1];
+			this._getFeatureRefRow(doUpdateState, rows, ref, {level}).$wrp.appendTo($wrpsRowsLevel[level - 1]);
+		});
+
+		const $btnAddUnlisted = $(`<button class="btn btn-xs btn-default" title="Add a reference to each feature which is neither listed here nor referenced by another feature">Add Unlisted Features</button>`)
+			.click(() => {
+				const features = this._getUnlistedFeatures();
+				if (!features.length) return JqueryUtil.doToast({type: "warning", content: `All features are already listed or referenced!`});
+
+				this._state[this._propFeatures] = [
+					...(this._state[this._propFeatures] || []),
+					...features.map(feature => this.constructor._getPackedUid(this._propFeature, feature)),
+				].sort((a, b) => SortUtil.ascSort(this._getRefLevel(a) || 0, this._getRefLevel(b) || 0));
+				this.renderInput();
+				cb();
+			});
+
+		$$`<div class="ve-flex-col">
+			${$wrpsLevel}
+			<div>${$btnAddUnlisted}</div>
+		</div>`.appendTo($rowInner);
+
+		return $row;
+	}
+
+	/** Additional inputs for a feature reference, each of the form `{$ele, fnMutState}`. */
+	_getFeatureRefRow_getAdditionalInputMetas ({ref, doUpdateState}) { return []; }
+
+	_getFeatureRefRow (doUpdateState, rows, initialState, {level}) {
+		const ref = typeof initialState === "string" ? {[this._propFeature]: initialState} : MiscUtil.copy(initialState || {});
+
+		const $iptUid = $(`<input class="form-control form-control--minimal input-xs mr-2" placeholder="Feature Name|...|${level}">`)
+			.val(ref[this._propFeature] || "")
+			.change(() => doUpdateState());
+
+		const $btnPick = $(`<button class="btn btn-xs btn-default mr-2" title="Select a Feature from the &quot;Features&quot; Tab"><span class="glyphicon glyphicon-list"></span></button>`)
+			.click(async () => {
+				const features = this._getFeatures().sort((a, b) => SortUtil.ascSort(a.level, b.level) || SortUtil.ascSortLower(a.name, b.name));
+				if (!features.length) return JqueryUtil.doToast({type: "warning", content: `No features have been added on the "Features" tab!`});
+
+				const feature = await InputUiUtil.pGetUserEnum({
+					values: features,
+					fnDisplay: feature => `Level ${feature.level}: ${feature.name}`,
+					default: Math.max(0, features.findIndex(feature => feature.level === level)),
+					title: "Select Feature",
+					isResolveItem: true,
+				});
+				if (feature == null) return;
+
+				$iptUid.val(this.constructor._getPackedUid(this._propFeature, feature));
+				doUpdateState();
+			});
+
+		const inputMetasAdditional = this._getFeatureRefRow_getAdditionalInputMetas({ref, doUpdateState});
+
+		const getState = () => {
+			const uid = $iptUid.val().trim();
+			if (!uid) return null;
+
+			const out = {...ref, [this._propFeature]: uid};
+			inputMetasAdditional.forEach(({fnMutState}) => fnMutState(out));
+
+			return Object.keys(out).length === 1 ? uid : out;
+		};
+
+		const out = {getState};
+
+		const $wrp = $$`<div class="ve-flex-v-center mb-1">
+			${$iptUid}
+			${$btnPick}
+			${inputMetasAdditional.map(it => it.$ele)}
+		</div>`;
+		Builder.$getBtnRemoveRow(doUpdateState, rows, out, $wrp, "Feature Reference").appendTo($wrp);
+
+		rows.push(out);
+		return {$wrp, getState};
+	}
+
+	_$getTableGroupsInput (cb) {
+		return BuilderUi.$getStateIptObjectArray(
+			"Table Groups",
+			cb,
+			this._state,
+			{
+				shortName: "Table Group",
+				title: `Columns in the class table. Cells may be plain text, numbers, bonuses (e.g. "+2"), speed bonuses (e.g. "+10 ft."), or JSON.`,
+				fnGetRow: (doUpdateState, initialState) => this.constructor._getTableGroupRow(doUpdateState, initialState),
+			},
+			this._propTableGroups,
+		);
+	}
+
+	static _getTableGroupRow (doUpdateState, initialState) {
+		initialState = initialState || {};
+
+		const unhandled = Object.entries(initialState)
+			.filter(([k]) => !["title", "colLabels", "rows", "rowsSpellProgression"].includes(k))
+			.mergeMap(([k, v]) => ({[k]: v}));
+		const rowsInitial = initialState.rowsSpellProgression || initialState.rows || [];
+
+		const $iptTitle = $(`<input class="form-control input-xs form-control--minimal" placeholder="Spell Slots per Spell Level">`)
+			.val(initialState.title || "")
+			.change(() => doUpdateState());
+
+		const $cbSpellProgression = $(`<input class="mkbru__ipt-cb" type="checkbox">`)
+			.prop("checked", !!initialState.rowsSpellProgression)
+			.change(() => doUpdateState());
+
+		const cols = [];
+		const $wrpGrid = $(`<div class="ve-flex-col ve-overflow-auto"></div>`);
+
+		const doRenderGrid = () => {
+			$wrpGrid.children().detach();
+			if (!cols.length) return;
+
+			$$`<table class="w-100 table-striped">
+				<thead><tr><th></th>${cols.map(col => $$`<th><div class="ve-flex-v-center">${col.$iptLabel}${col.$btnRemove}</div></th>`)}</tr></thead>
+				<tbody>${[...new Array(this._LEVEL_COUNT)].map((_, ixLvl) => $$`<tr><td class="ve-text-center pr-1">${ixLvl + 1}</td>${cols.map(col => $$`<td>${col.$iptsCell[ixLvl]}</td>`)}</tr>`)}</tbody>
+			</table>`.appendTo($wrpGrid);
+		};
+
+		const addCol = ({label = "", cells = []} = {}) => {
+			const col = {};
+
+			col.$iptLabel = $(`<input class="form-control input-xs form-control--minimal mr-1" placeholder="Label">`)
+				.val(label)
+				.change(() => doUpdateState());
+
+			col.$iptsCell = [...new Array(this._LEVEL_COUNT)]
+				.map((_, ixLvl) => $(`<input class="form-control input-xs form-control--minimal ve-text-center">`)
+					.val(this._getTableCellText(cells[ixLvl]))
+					.change(() => doUpdateState()));
+
+			col.$btnRemove = $(`<button class="btn btn-xxs btn-danger" title="Remove Column"><span class="glyphicon glyphicon-trash"></span></button>`)
+				.click(() => {
+					cols.splice(cols.indexOf(col), 1);
+					doRenderGrid();
+					doUpdateState();
+				});
+
+			cols.push(col);
+		};
+
+		(initialState.colLabels || []).forEach((label, ixCol) => addCol({label, cells: rowsInitial.map(row => row[ixCol])}));
+		doRenderGrid();
+
+		const $btnAddCol = $(`<button class="btn btn-xs btn-default">Add Column</button>`)
+			.click(() => {
+				addCol();
+				doRenderGrid();
+				doUpdateState();
+			});
+
+		const getState = () => {
+			if (!cols.length) return null;
+
+			const isSpellProgression = $cbSpellProgression.prop("checked");
+
+			const out = {...MiscUtil.copy(unhandled)};
+			const title = $iptTitle.val().trim();
+			if (title) out.title = title;
+			out.colLabels = cols.map(col => col.$iptLabel.val().trim());
+			out[isSpellProgression ? "rowsSpellProgression" : "rows"] = [...new Array(this._LEVEL_COUNT)]
+				.map((_, ixLvl) => cols.map(col => {
+					const str = col.$iptsCell[ixLvl].val();
+					return isSpellProgression ? UiUtil.strToInt(str, 0, {fallbackOnNaN: 0}) : this._getTableCellValue(str);
+				}));
+
+			return out;
+		};
+
+		const $wrp = $$`<div class="ve-flex-col">
+			<div class="ve-flex-v-center mb-2"><span class="mr-2 mkbru__sub-name--33">Title</span>${$iptTitle}</div>
+			<label class="ve-flex-v-center mb-2"><span class="mr-2 mkbru__sub-name--33" title="If the columns are spell slots per spell level, which may be replaced by spell points.">Spell Slots</span>${$cbSpellProgression}</label>
+			${$wrpGrid}
+			<div class="mt-1">${$btnAddCol}</div>
+		</div>`;
+
+		return {$wrp, getState};
+	}
+
+	static _getTableCellText (cell) {
+		if (cell == null) return "";
+		if (typeof cell !== "object") return `${cell}`;
+		switch (cell.type) {
+			case "bonus": return UiUtil.intToBonus(cell.value);
+			case "bonusSpeed": return `${UiUtil.intToBonus(cell.value)} ft.`;
+			default: return JSON.stringify(cell);
+		}
+	}
+
+	/** Inverse of `_getTableCellText`. */
+	static _getTableCellValue (str) {
+		str = str.trim();
+		if (!str) return 0;
+		if (/^-?\d+$/.test(str)) return Number(str);
+
+		const mBonusSpeed = /^(?<value>[-+]\d+) ft\.?$/.exec(str);
+		if (mBonusSpeed) return {type: "bonusSpeed", value: Number(mBonusSpeed.groups.value)};
+		if (/^[-+]\d+$/.test(str)) return {type: "bonus", value: Number(str)};
+
+		if (str.startsWith("{")) {
+			try {
+				return JSON.parse(str);
+			} catch (ignored) {
+				// Fall through to plain text
+			}
+		}
+
+		return str;
+	}
+
+	_$getSpellcastingInputs (cb) {
+		return [
+			BuilderUi.$getStateIptEnum("Spellcasting Ability", cb, this._state, {vals: Parser.ABIL_ABVS, fnDisplay: Parser.attAbvToFull}, "spellcastingAbility"),
+			BuilderUi.$getStateIptEnum("Caster Progression", cb, this._state, {vals: Object.keys(this.constructor._CASTER_PROGRESSIONS), fnDisplay: it => this.constructor._CASTER_PROGRESSIONS[it]}, "casterProgression"),
+			BuilderUi.$getStateIptNumberArray("Cantrips Known", cb, this._state, {placeholder: "3, 3, 3, 4, 4, ...", title: "The number of cantrips known at each level."}, "cantripProgression"),
+			BuilderUi.$getStateIptNumberArray("Spells Known", cb, this._state, {placeholder: "2, 3, 4, 5, 6, ...", title: "The number of spells known at each level, if the class does not prepare spells."}, "spellsKnownProgression"),
+		];
+	}
+	// endregion
+
+	// region Output
+	renderOutput () {
+		this._renderOutputDebounced();
+	}
+
+	static _getRenderedClassTableHtml ({name, tableGroups, featuresByLevel}) {
+		tableGroups = tableGroups || [];
+
+		const ptGroupHeaders = tableGroups
+			.map(tableGroup => tableGroup.title
+				? `<th class="cls-tbl__col-group" colspan="${tableGroup.colLabels.length}">${Renderer.get().render(tableGroup.title)}</th>`
+				: `<th colspan="${tableGroup.colLabels.length}"></th>`)
+			.join("");
+		const ptHeaders = tableGroups
+			.map(tableGroup => tableGroup.colLabels.map(lbl => `<th class="cls-tbl__col-generic-center"><div class="cls__squash_header">${Renderer.get().render(lbl)}</div></th>`).join(""))
+			.join("");
+
+		const ptRows = featuresByLevel
+			.map((lvlFeatures, ixLvl) => {
+				const pb = Math.ceil((ixLvl + 1) / 4) + 1;
+
+				const ptFeatures = lvlFeatures
+					.filter(it => it.name && it.type !== "inset") // don't add inset entry names to class table
+					.map(it => it._displayNameTable || it._displayName || it.name)
+					.join(", ");
+
+				const ptCells = tableGroups
+					.map(tableGroup => {
+						const row = (tableGroup.rowsSpellProgression || tableGroup.rows || [])[ixLvl] || [];
+						return tableGroup.colLabels
+							.map((_, ixCol) => `<td class="cls-tbl__col-generic-center">${!row[ixCol] ? "—" : Renderer.get().render(row[ixCol])}</td>`)
+							.join("");
+					})
+					.join("");
+
+				return `<tr class="cls-tbl__stripe-odd">
+					<td class="cls-tbl__col-level">${Parser.getOrdinalForm(ixLvl + 1)}</td>
+					<td class="cls-tbl__col-prof-bonus">+${pb}</td>
+					<td>${ptFeatures || "—"}</td>
+					${ptCells}
+				</tr>`;
+			})
+			.join("");
+
+		return `<table class="cls-tbl shadow-big w-100 mb-2">
+			<tbody>
+			<tr><th class="border" colspan="15"></th></tr>
+			<tr><th class="cls-tbl__disp-name" colspan="15">${name}</th></tr>
+			<tr>
+				<th colspan="3"></th>
+				${ptGroupHeaders}
+			</tr>
+			<tr>
+				<th class="cls-tbl__col-level">Level</th>
+				<th class="cls-tbl__col-prof-bonus">Proficiency Bonus</th>
+				<th>Features</th>
+				${ptHeaders}
+			</tr>
+			${ptRows}
+			<tr><th class="border" colspan="15"></th></tr>
+			</tbody>
+		</table>`;
+	}
+
+	async _pRenderFeaturesTab ($wrp) {
+		const featuresByLevel = await this._pGetFeaturesByLevel();
+
+		$wrp.append(this.constructor._getRenderedClassTableHtml({
+			name: this._state.name,
+			tableGroups: this._state[this._propTableGroups],
+			featuresByLevel,
+		}));
+
+		const $tbl = $(`<table class="w-100 stats"></table>`).appendTo($wrp);
+		$tbl.append(Renderer.utils.getBorderTr());
+		featuresByLevel.flat().forEach(feature => {
+			$(`<tr class="cls-main__linked-titles"><td colspan="6"></td></tr>`)
+				.fastSetHtml(Renderer.get().withDepthTracker([], ({renderer}) => renderer.render(feature)))
+				.appendTo($tbl);
+		});
+		$tbl.append(Renderer.utils.getBorderTr());
+	}
+
+	async _pRenderValidationTab ($wrp) {
+		const problems = await this.pGetFeatureRefProblems();
+
+		const $tbl = $(`<table class="w-100 stats"></table>`).appendTo($wrp);
+		$tbl.append(Renderer.utils.getBorderTr());
+
+		const cntRefs = (this._state[this._propFeatures] || []).length
+			+ this._getFeatures().map(feature => this.constructor._getEntryRefMetas(feature.entries).length).sum();
+
+		const entry = problems.length
+			? {
+				type: "table",
+				caption: `Unresolved Feature References`,
+				colLabels: ["UID", "Location", "Problem"],
+				colStyles: ["col-5", "col-2", "col-5"],
+				rows: problems.map(({uid, location, problem}) => [`{@code ${uid || "(empty)"}}`, location, problem]),
+			}
+			: `All ${cntRefs} feature reference${cntRefs === 1 ? "" : "s"} resolved.`;
+
+		$(`<tr><td colspan="6"></td></tr>`)
+			.fastSetHtml(Renderer.get().render(entry))
+			.appendTo($tbl);
+		$tbl.append(Renderer.utils.getBorderTr());
+	}
+
+	_renderOutput () {
+		const $wrp = this._ui.$wrpOutput.empty();
+
+		// initialise tabs
+		this._resetTabs({tabGroup: "output"});
+
+		const tabs = this._renderTabs(
+			[
+				new TabUiUtil.TabMeta({name: this._getOutputTabName()}),
+				new TabUiUtil.TabMeta({name: "Validation"}),
+				new TabUiUtil.TabMeta({name: "Info"}),
+				new TabUiUtil.TabMeta({name: "Images"}),
+				new TabUiUtil.TabMeta({name: "Data"}),
+				new TabUiUtil.TabMeta({name: "Markdown"}),
+			],
+			{
+				tabGroup: "output",
+				cbTabChange: this.doUiSave.bind(this),
+			},
+		);
+		const [entityTab, validationTab, infoTab, imageTab, dataTab, markdownTab] = tabs;
+		$$`<div class="ve-flex-v-center w-100 no-shrink">${tabs.map(it => it.$btnTab)}</div>`.appendTo($wrp);
+		tabs.forEach(it => it.$wrpTab.appendTo($wrp));
+
+		// Entity
+		this._pRenderFeaturesTab(entityTab.$wrpTab).then(null);
+
+		// Validation
+		this._pRenderValidationTab(validationTab.$wrpTab).then(null);
+
+		// Info
+		const $tblInfo = $(`<table class="w-100 stats"></table>`).appendTo(infoTab.$wrpTab);
+		Renderer.utils.pBuildFluffTab({
+			isImageTab: false,
+			$content: $tblInfo,
+			entity: this._state,
+			pFnGetFluff: this._getFnGetFluff(),
+		});
+
+		// Images
+		const $tblImages = $(`<table class="w-100 stats"></table>`).appendTo(imageTab.$wrpTab);
+		Renderer.utils.pBuildFluffTab({
+			isImageTab: true,
+			$content: $tblImages,
+			entity: this._state,
+			pFnGetFluff: this._getFnGetFluff(),
+		});
+
+		// Data
+		const $tblData = $(`<table class="w-100 stats stats--book mkbru__wrp-output-tab-data"></table>`).appendTo(dataTab.$wrpTab);
+		const asCode = Renderer.get().render({
+			type: "entries",
+			entries: [
+				{
+					type: "code",
+					name: `Data`,
+					preformatted: JSON.stringify(
+						{
+							[this._prop]: [DataUtil.cleanJson(MiscUtil.copy(this._state))],
+							[this._propFeature]: this._getFeaturesClean().map(feature => DataUtil.cleanJson(feature)),
+						},
+						null,
+						"\t",
+					),
+				},
+			],
+		});
+		$tblData.append(Renderer.utils.getBorderTr());
+		$tblData.append(`<tr><td colspan="6">${asCode}</td></tr>`);
+		$tblData.append(Renderer.utils.getBorderTr());
+
+		// Markdown
+		const $tblMarkdown = $(`<table class="w-100 stats stats--book mkbru__wrp-output-tab-data"></table>`).appendTo(markdownTab.$wrpTab);
+		$tblMarkdown.append(Renderer.utils.getBorderTr());
+		$tblMarkdown.append(`<tr><td colspan="6">${this._getRenderedMarkdownCode()}</td></tr>`);
+		$tblMarkdown.append(Renderer.utils.getBorderTr());
+	}
+
+	static _getAsMarkdown (ent) {
+		return RendererMarkdown.get().render({
+			type: "section",
+			name: ent.name,
+			entries: [...(ent._features || [])]
+				.sort((a, b) => SortUtil.ascSort(a.level || 1, b.level || 1))
+				.map(feature => ({type: "entries", name: feature.name, entries: feature.entries || []})),
+		});
+	}
+
+	_getOutputTabName () { throw new TypeError(`Unimplemented method!`); }
+	_getFnGetFluff () { throw new TypeError(`Unimplemented method!`); }
+	// endregion
+}
+
+class ClassBuilder extends _ClassSubclassBuilderBase {
+	constructor () {
+		super({
+			titleSidebarLoadExisting: "Copy Existing Class",
+			titleSidebarDownloadJson: "Download Classes as JSON",
+			prop: "class",
+			propFeature: "classFeature",
+			propFeatures: "classFeatures",
+			propTableGroups: "classTableGroups",
+			titleSelectDefaultSource: "(Same as Class)",
+		});
+	}
+
+	_getFeatureIdentity (cls) {
+		return {
+			className: cls.name,
+			classSource: cls.source || Parser.SRC_PHB,
+		};
+	}
+
+	async pHandleSidebarLoadExistingClick () {
+		const rawData = await this.constructor._pGetRawData();
+		const classes = rawData.class
+			.filter(cls => cls.name && cls.source)
+			.sort((a, b) => SortUtil.ascSortLower(a.name, b.name) || SortUtil.ascSortLower(a.source, b.source));
+
+		const cls = await InputUiUtil.pGetUserEnum({
+			values: classes,
+			fnDisplay: cls => `${cls.name} (${Parser.sourceJsonToAbv(cls.source)})`,
+			title: "Select Class",
+			isResolveItem: true,
+		});
+		if (cls) return this.pHandleSidebarLoadExistingData(MiscUtil.copy(cls));
+	}
+
+	_getInitialState () {
+		return {
+			...super._getInitialState(),
+			name: "New Class",
+			source: this._ui ? this._ui.source : "",
+			hd: {number: 1, faces: 8},
+			proficiency: [],
+			startingProficiencies: {},
+			subclassTitle: "Subclass",
+		};
+	}
+
+	setStateFromLoaded (state) {
+		if (state?.s) state.s.startingProficiencies = state.s.startingProficiencies || {};
+		super.setStateFromLoaded(state);
+	}
+
+	_getFeatureRefRow_getAdditionalInputMetas ({ref, doUpdateState}) {
+		const $cbGainSubclassFeature = $(`<input class="mkbru__ipt-cb mr-1" type="checkbox">`)
+			.prop("checked", !!ref.gainSubclassFeature)
+			.change(() => doUpdateState());
+
+		const $iptTableName = $(`<input class="form-control form-control--minimal input-xs mr-2" placeholder="Table Name">`)
+			.val(ref.tableDisplayName || "")
+			.change(() => doUpdateState());
+
+		return [
+			{
+				$ele: $$`<label class="ve-flex-v-center mr-2 no-shrink" title="If subclass features are gained at this level">${$cbGainSubclassFeature}<span>Subclass</span></label>`,
+				fnMutState: (out) => {
+					if ($cbGainSubclassFeature.prop("checked")) out.gainSubclassFeature = true;
+					else delete out.gainSubclassFeature;
+				},
+			},
+			{
+				$ele: $iptTableName,
+				fnMutState: (out) => {
+					const tableDisplayName = $iptTableName.val().trim();
+					if (tableDisplayName) out.tableDisplayName = tableDisplayName;
+					else delete out.tableDisplayName;
+				},
+			},
+		];
+	}
+
+	_renderInputMain () {
+		this._sourcesCache = MiscUtil.copy(this._ui.allSources);
+		const $wrp = this._ui.$wrpInput.empty();
+
+		const cb = this._getInputCallback();
+
+		// initialise tabs
+		this._resetTabs({tabGroup: "input"});
+		const tabs = this._renderTabs(
+			[
+				new TabUiUtil.TabMeta({name: "Info", hasBorder: true}),
+				new TabUiUtil.TabMeta({name: "Proficiencies", hasBorder: true}),
+				new TabUiUtil.TabMeta({name: "Spellcasting", hasBorder: true}),
+				new TabUiUtil.TabMeta({name: "Table", hasBorder: true}),
+				new TabUiUtil.TabMeta({name: "Progression", hasBorder: true}),
+				new TabUiUtil.TabMeta({name: "Features", hasBorder: true}),
+				new TabUiUtil.TabMeta({name: "Flavor/Misc", hasBorder: true}),
+			],
+			{
+				tabGroup: "input",
+				cbTabChange: this.doUiSave.bind(this),
+			},
+		);
+		const [infoTab, profsTab, spellcastingTab, tableTab, progressionTab, featuresTab, miscTab] = tabs;
+		$$`<div class="ve-flex-v-center w-100 no-shrink ui-tab__wrp-tab-heads--border">${tabs.map(it => it.$btnTab)}</div>`.appendTo($wrp);
+		tabs.forEach(it => it.$wrpTab.appendTo($wrp));
+
+		// INFO
+		BuilderUi.$getStateIptString("Name", cb, this._state, {nullable: false, callback: () => this.pRenderSideMenu()}, "name").appendTo(infoTab.$wrpTab);
+		this._$selSource = this.$getSourceInput(cb).appendTo(infoTab.$wrpTab);
+		BuilderUi.$getStateIptString("Page", cb, this._state, {}, "page").appendTo(infoTab.$wrpTab);
+		this.__$getHitDiceInput(cb).appendTo(infoTab.$wrpTab);
+		BuilderUi.$getStateIptString("Subclass Title", cb, this._state, {title: "For example, \"Martial Archetype\"."}, "subclassTitle").appendTo(infoTab.$wrpTab);
+
+		// PROFICIENCIES
+		BuilderUi.$getStateIptBooleanArray("Saving Throws", cb, this._state, {vals: Parser.ABIL_ABVS, fnDisplay: Parser.attAbvToFull}, "proficiency").appendTo(profsTab.$wrpTab);
+		BuilderUi.$getStateIptStringArray("Armor", cb, this._state, {shortName: "Armor"}, "startingProficiencies", "armor").appendTo(profsTab.$wrpTab);
+		BuilderUi.$getStateIptStringArray("Weapons", cb, this._state, {shortName: "Weapon"}, "startingProficiencies", "weapons").appendTo(profsTab.$wrpTab);
+		BuilderUi.$getStateIptStringArray("Tools", cb, this._state, {shortName: "Tool"}, "startingProficiencies", "tools").appendTo(profsTab.$wrpTab);
+		BuilderUi.$getStateIptProficiencies("Skills", cb, this._state, {anyKeys: BuilderUi.PROFICIENCY_ANY_KEYS_SKILL, placeholder: "athletics, stealth"}, "startingProficiencies", "skills").appendTo(profsTab.$wrpTab);
+
+		// SPELLCASTING
+		this._$getSpellcastingInputs(cb).forEach($ele => $ele.appendTo(spellcastingTab.$wrpTab));
+		BuilderUi.$getStateIptString("Prepared Spells", cb, this._state, {title: "A formula for the number of spells prepared, for example \"<$level$> + <$int_mod$>\"."}, "preparedSpells").appendTo(spellcastingTab.$wrpTab);
+
+		// TABLE
+		this._$getTableGroupsInput(cb).appendTo(tableTab.$wrpTab);
+
+		// PROGRESSION
+		this._$getFeatureRefsInput(cb).appendTo(progressionTab.$wrpTab);
+		BuilderUi.$getStateIptOptionalFeatureProgression("Optional Features", cb, this._state, {}, "optionalfeatureProgression").appendTo(progressionTab.$wrpTab);
+
+		// FEATURES
+		this._$getFeaturesInput(cb).appendTo(featuresTab.$wrpTab);
+
+		// FLAVOR/MISC
+		this.$getFluffInput(cb).appendTo(miscTab.$wrpTab);
+	}
+
+	__$getHitDiceInput (cb) {
+		const $ipt = $(`<input class="form-control input-xs form-control--minimal" placeholder="1d8">`)
+			.val(this._state.hd ? `${this._state.hd.number}d${this._state.hd.faces}` : "")
+			.change(() => {
+				const m = /^(?<number>\d+)?d(?<faces>\d+)$/i.exec($ipt.val().trim());
+				if (m) this._state.hd = {number: Number(m.groups.number || 1), faces: Number(m.groups.faces)};
+				else delete this._state.hd;
+				$ipt.val(this._state.hd ? `${this._state.hd.number}d${this._state.hd.faces}` : "");
+				cb();
+			});
+		return BuilderUi.__$getRow("Hit Dice", $ipt);
+	}
+
+	_getOutputTabName () { return "Class"; }
+	_getFnGetFluff () { return Renderer.class.pGetFluff.bind(Renderer.class); }
+}
+
+const classBuilder = new ClassBuilder();
+
+ui.classBuilder = classBuilder;
+classBuilder.ui = ui;
@@ -0,0 +1,213 @@
+"use strict";
+
+class FeatBuilder extends Builder {
+	constructor () {
+		super({
+			titleSidebarLoadExisting: "Copy Existing Feat",
+			titleSidebarDownloadJson: "Download Feats as JSON",
+			prop: "feat",
+			titleSelectDefaultSource: "(Same as Feat)",
+		});
+
+		this._renderOutputDebounced = MiscUtil.debounce(() => this._renderOutput(), 50);
+	}
+
+	static _getAsMarkdown (feat) {
+		return RendererMarkdown.get().render({entries: [{type: "statblockInline", dataType: "feat", data: feat}]});
+	}
+
+	async pHandleSidebarLoadExistingClick () {
+		const result = await SearchWidget.pGetUserFeatSearch();
+		if (result) {
+			const feat = MiscUtil.copy(await DataLoader.pCacheAndGet(result.page, result.source, result.hash));
+			return this.pHandleSidebarLoadExistingData(feat);
+		}
+	}
+
+	/**
+	 * @param feat
+	 * @param [opts]
+	 * @param [opts.meta]
+	 */
+	async pHandleSidebarLoadExistingData (feat, opts) {
+		opts = opts || {};
+
+		feat.source = this._ui.source;
+
+		delete feat.srd;
+		delete feat.basicRules;
+		delete feat.uniqueId;
+		delete feat.reprintedAs;
+
+		const meta = {...(opts.meta || {}), ...this._getInitialMetaState()};
+
+		this.setStateFromLoaded({s: feat, m: meta});
+
+		this.renderInput();
+		this.renderOutput();
+	}
+
+	_getInitialState () {
+		return {
+			...super._getInitialState(),
+			name: "New Feat",
+			entries: [],
+			source: this._ui ? this._ui.source : "",
+		};
+	}
+
+	setStateFromLoaded (state) {
+		if (!state?.s || !state?.m) return;
+
+		this._doResetProxies();
+
+		if (!state.s.uniqueId) state.s.uniqueId = CryptUtil.uid();
+
+		this.__state = state.s;
+		this.__meta = state.m;
+	}
+
+	doHandleSourcesAdd () { /* No-op */ }
+
+	_renderInputImpl () {
+		this.doCreateProxies();
+		this.renderInputControls();
+		this._renderInputMain();
+	}
+
+	_renderInputMain () {
+		this._sourcesCache = MiscUtil.copy(this._ui.allSources);
+		const $wrp = this._ui.$wrpInput.empty();
+
+		const _cb = () => {
+			// Prefer numerical pages if possible
+			if (!isNaN(this._state.page)) this._state.page = Number(this._state.page);
+
+			// do post-processing
+			TagCondition.tryTagConditions(this._state, {isTagInflicted: true});
+
+			this.renderOutput();
+			this.doUiSave();
+			this._meta.isModified = true;
+		};
+		const cb = MiscUtil.debounce(_cb, 33);
+		this._cbCache = cb; // cache for use when updating sources
+
+		// initialise tabs
+		this._resetTabs({tabGroup: "input"});
+		const tabs = this._renderTabs(
+			[
+				new TabUiUtil.TabMeta({name: "Info", hasBorder: true}),
+				new TabUiUtil.TabMeta({name: "Benefits", hasBorder: true}),
+				new TabUiUtil.TabMeta({name: "Text", hasBorder: true}),
+				new TabUiUtil.TabMeta({name: "Flavor/Misc", hasBorder: true}),
+			],
+			{
+				tabGroup: "input",
+				cbTabChange: this.doUiSave.bind(this),
+			},
+		);
+		const [infoTab, benefitsTab, textTab, miscTab] = tabs;
+		$$`<div class="ve-flex-v-center w-100 no-shrink ui-tab__wrp-tab-heads--border">${tabs.map(it => it.$btnTab)}</div>`.appendTo($wrp);
+		tabs.forEach(it => it.$wrpTab.appendTo($wrp));
+
+		// INFO
+		BuilderUi.$getStateIptString("Name", cb, this._state, {nullable: false, callback: () => this.pRenderSideMenu()}, "name").appendTo(infoTab.$wrpTab);
+		this._$selSource = this.$getSourceInput(cb).appendTo(infoTab.$wrpTab);
+		BuilderUi.$getStateIptString("Page", cb, this._state, {}, "page").appendTo(infoTab.$wrpTab);
+		BuilderUi.$getStateIptPrerequisite("Prerequisites", cb, this._state, {}, "prerequisite").appendTo(infoTab.$wrpTab);
+		BuilderUi.$getStateIptBoolean("Repeatable", cb, this._state, {}, "repeatable").appendTo(infoTab.$wrpTab);
+		BuilderUi.$getStateIptString("Repeatable Note", cb, this._state, {title: "For example, \"choose a different ability score each time\"."}, "repeatableNote").appendTo(infoTab.$wrpTab);
+
+		// BENEFITS
+		BuilderUi.$getStateIptAbility("Ability Scores", cb, this._state, {}, "ability").appendTo(benefitsTab.$wrpTab);
+		BuilderUi.$getStateIptProficiencies("Skill Proficiencies", cb, this._state, {anyKeys: BuilderUi.PROFICIENCY_ANY_KEYS_SKILL, placeholder: "athletics, stealth"}, "skillProficiencies").appendTo(benefitsTab.$wrpTab);
+		BuilderUi.$getStateIptProficiencies("Tool Proficiencies", cb, this._state, {anyKeys: BuilderUi.PROFICIENCY_ANY_KEYS_TOOL, placeholder: "thieves' tools, gaming set"}, "toolProficiencies").appendTo(benefitsTab.$wrpTab);
+		BuilderUi.$getStateIptProficiencies("Language Proficiencies", cb, this._state, {anyKeys: BuilderUi.PROFICIENCY_ANY_KEYS_LANGUAGE, placeholder: "elvish, draconic"}, "languageProficiencies").appendTo(benefitsTab.$wrpTab);
+		BuilderUi.$getStateIptAdditionalSpells("Spells", cb, this._state, {}, "additionalSpells").appendTo(benefitsTab.$wrpTab);
+
+		// TEXT
+		BuilderUi.$getStateIptEntries("Text", cb, this._state, {fnPostProcess: BuilderUi.fnPostProcessDice}, "entries").appendTo(textTab.$wrpTab);
+
+		// FLAVOR/MISC
+		this.$getFluffInput(cb).appendTo(miscTab.$wrpTab);
+	}
+
+	renderOutput () {
+		this._renderOutputDebounced();
+	}
+
+	_renderOutput () {
+		const $wrp = this._ui.$wrpOutput.empty();
+
+		// initialise tabs
+		this._resetTabs({tabGroup: "output"});
+
+		const tabs = this._renderTabs(
+			[
+				new TabUiUtil.TabMeta({name: "Feat"}),
+				new TabUiUtil.TabMeta({name: "Info"}),
+				new TabUiUtil.TabMeta({name: "Images"}),
+				new TabUiUtil.TabMeta({name: "Data"}),
+				new TabUiUtil.TabMeta({name: "Markdown"}),
+			],
+			{
+				tabGroup: "output",
+				cbTabChange: this.doUiSave.bind(this),
+			},
+		);
+		const [featTab, infoTab, imageTab, dataTab, markdownTab] = tabs;
+		$$`<div class="ve-flex-v-center w-100 no-shrink">${tabs.map(it => it.$btnTab)}</div>`.appendTo($wrp);
+		tabs.forEach(it => it.$wrpTab.appendTo($wrp));
+
+		// Feat
+		const $tblFeat = $(`<table class="w-100 stats"></table>`).appendTo(featTab.$wrpTab);
+		// Make a copy of the feat, as rendering adds the ability score increases to its entries
+		RenderFeats.$getRenderedFeat(MiscUtil.copy(this._state)).appendTo($tblFeat);
+
+		// Info
+		const $tblInfo = $(`<table class="w-100 stats"></table>`).appendTo(infoTab.$wrpTab);
+		Renderer.utils.pBuildFluffTab({
+			isImageTab: false,
+			$content: $tblInfo,
+			entity: this._state,
+			pFnGetFluff: Renderer.feat.pGetFluff,
+		});
+
+		// Images
+		const $tblImages = $(`<table class="w-100 stats"></table>`).appendTo(imageTab.$wrpTab);
+		Renderer.utils.pBuildFluffTab({
+			isImageTab: true,
+			$content: $tblImages,
+			entity: this._state,
+			pFnGetFluff: Renderer.feat.pGetFluff,
+		});
+
+		// Data
+		const $tblData = $(`<table class="w-100 stats stats--book mkbru__wrp-output-tab-data"></table>`).appendTo(dataTab.$wrpTab);
+		const asCode = Renderer.get().render({
+			type: "entries",
+			entries: [
+				{
+					type: "code",
+					name: `Data`,
+					preformatted: JSON.stringify(DataUtil.cleanJson(MiscUtil.copy(this._state)), null, "\t"),
+				},
+			],
+		});
+		$tblData.append(Renderer.utils.getBorderTr());
+		$tblData.append(`<tr><td colspan="6">${asCode}</td></tr>`);
+		$tblData.append(Renderer.utils.getBorderTr());
+
+		// Markdown
+		const $tblMarkdown = $(`<table class="w-100 stats stats--book mkbru__wrp-output-tab-data"></table>`).appendTo(markdownTab.$wrpTab);
+		$tblMarkdown.append(Renderer.utils.getBorderTr());
+		$tblMarkdown.append(`<tr><td colspan="6">${this._getRenderedMarkdownCode()}</td></tr>`);
+		$tblMarkdown.append(Renderer.utils.getBorderTr());
+	}
+}
+
+const featBuilder = new FeatBuilder();
+
+ui.featBuilder = featBuilder;
+featBuilder.ui = ui;
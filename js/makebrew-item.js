@@ -0,0 +1,400 @@
+"use strict";
+
+class ItemBuilder extends Builder {
+	constructor () {
+		super({
+			titleSidebarLoadExisting: "Copy Existing Item",
+			titleSidebarDownloadJson: "Download Items as JSON",
+			prop: "item",
+			titleSelectDefaultSource: "(Same as Item)",
+		});
+
+		this._renderOutputDebounced = MiscUtil.debounce(() => this._renderOutput(), 50);
+	}
+
+	static _getAsMarkdown (item) {
+		return RendererMarkdown.get().render({entries: [{type: "statblockInline", dataType: "item", data: item}]});
+	}
+
+	async pHandleSidebarLoadExistingClick () {
+		const result = await SearchWidget.pGetUserItemSearch();
+		if (result) {
+			const item = MiscUtil.copy(await DataLoader.pCacheAndGet(result.page, result.source, result.hash));
+			return this.pHandleSidebarLoadExistingData(item);
+		}
+	}
+
+	/**
+	 * @param item
+	 * @param [opts]
+	 * @param [opts.meta]
+	 */
+	async pHandleSidebarLoadExistingData (item, opts) {
+		opts = opts || {};
+
+		Renderer.item.unenhanceItem(item);
+		item.source = this._ui.source;
+
+		delete item.srd;
+		delete item.basicRules;
+		delete item.uniqueId;
+		delete item.reprintedAs;
+
+		const meta = {...(opts.meta || {}), ...this._getInitialMetaState()};
+
+		this.setStateFromLoaded({s: item, m: meta});
+
+		this.renderInput();
+		this.renderOutput();
+	}
+
+	async _pInit () {
+		await Renderer.item.pPopulatePropertyAndTypeReference();
+	}
+
+	_getInitialState () {
+		return {
+			...super._getInitialState(),
+			name: "New Item",
+			rarity: "uncommon",
+			wondrous: true,
+			entries: [],
+			source: this._ui ? this._ui.source : "",
+		};
+	}
+
+	setStateFromLoaded (state) {
+		if (!state?.s || !state?.m) return;
+
+		this._doResetProxies();
+
+		if (!state.s.uniqueId) state.s.uniqueId = CryptUtil.uid();
+
+		this.__state = state.s;
+		this.__meta = state.m;
+	}
+
+	doHandleSourcesAdd () { /* No-op */ }
+
+	_renderInputImpl () {
+		this.doCreateProxies();
+		this.renderInputControls();
+		this._renderInputMain();
+	}
+
+	_renderInputMain () {
+		this._sourcesCache = MiscUtil.copy(this._ui.allSources);
+		const $wrp = this._ui.$wrpInput.empty();
+
+		const _cb = () => {
+			// Prefer numerical values if possible
+			["page", "charges", "rechargeAmount"]
+				.filter(prop => this._state[prop] != null && !isNaN(this._state[prop]))
+				.forEach(prop => this._state[prop] = Number(this._state[prop]));
+
+			if (this._state.attachedSpells) this._state.attachedSpells = this._state.attachedSpells.map(it => it.toLowerCase());
+
+			// do post-processing
+			TagCondition.tryTagConditions(this._state, {isTagInflicted: true});
+
+			this.renderOutput();
+			this.doUiSave();
+			this._meta.isModified = true;
+		};
+		const cb = MiscUtil.debounce(_cb, 33);
+		this._cbCache = cb; // cache for use when updating sources
+
+		// initialise tabs
+		this._resetTabs({tabGroup: "input"});
+		const tabs = this._renderTabs(
+			[
+				new TabUiUtil.TabMeta({name: "Info", hasBorder: true}),
+				new TabUiUtil.TabMeta({name: "Attunement", hasBorder: true}),
+				new TabUiUtil.TabMeta({name: "Charges/Bonuses", hasBorder: true}),
+				new TabUiUtil.TabMeta({name: "Text", hasBorder: true}),
+				new TabUiUtil.TabMeta({name: "Flavor/Misc", hasBorder: true}),
+			],
+			{
+				tabGroup: "input",
+				cbTabChange: this.doUiSave.bind(this),
+			},
+		);
+		const [infoTab, attunementTab, chargesTab, textTab, miscTab] = tabs;
+		$$`<div class="ve-flex-v-center w-100 no-shrink ui-tab__wrp-tab-heads--border">${tabs.map(it => it.$btnTab)}</div>`.appendTo($wrp);
+		tabs.forEach(it => it.$wrpTab.appendTo($wrp));
+
+		// INFO
+		BuilderUi.$getStateIptString("Name", cb, this._state, {nullable: false, callback: () => this.pRenderSideMenu()}, "name").appendTo(infoTab.$wrpTab);
+		this._$selSource = this.$getSourceInput(cb).appendTo(infoTab.$wrpTab);
+		BuilderUi.$getStateIptString("Page", cb, this._state, {}, "page").appendTo(infoTab.$wrpTab);
+		this.__$getBaseItemInput(cb).appendTo(infoTab.$wrpTab);
+		BuilderUi.$getStateIptEnum("Type", cb, this._state, {fnDisplay: (it) => Parser.ITEM_TYPE_JSON_TO_ABV[it].toTitleCase(), vals: Object.keys(Parser.ITEM_TYPE_JSON_TO_ABV)}, "type").appendTo(infoTab.$wrpTab);
+		BuilderUi.$getStateIptEnum("Rarity", cb, this._state, {nullable: false, fnDisplay: (it) => it.toTitleCase(), vals: [...Parser.ITEM_RARITIES]}, "rarity").appendTo(infoTab.$wrpTab);
+		BuilderUi.$getStateIptEnum("Tier", cb, this._state, {fnDisplay: (it) => it.toTitleCase(), vals: ["minor", "major"]}, "tier").appendTo(infoTab.$wrpTab);
+		BuilderUi.$getStateIptBoolean("Wondrous", cb, this._state, {}, "wondrous").appendTo(infoTab.$wrpTab);
+		this.__$getWeightInput(cb).appendTo(infoTab.$wrpTab);
+		BuilderUi.$getStateIptNumber("Value", cb, this._state, {title: "In copper pieces."}, "value").appendTo(infoTab.$wrpTab);
+
+		// ATTUNEMENT
+		this.__$getReqAttuneInput(cb).appendTo(attunementTab.$wrpTab);
+		this.__$getReqAttuneTagsInput(cb).appendTo(attunementTab.$wrpTab);
+
+		// CHARGES/BONUSES
+		BuilderUi.$getStateIptString("Charges", cb, this._state, {title: "The maximum number of charges the item can hold."}, "charges").appendTo(chargesTab.$wrpTab);
+		BuilderUi.$getStateIptEnum("Recharge", cb, this._state, {fnDisplay: (it) => Parser.itemRechargeToFull(it), vals: Object.keys(Parser.ITEM_RECHARGE_TO_FULL)}, "recharge").appendTo(chargesTab.$wrpTab);
+		BuilderUi.$getStateIptString("Recharge Amount", cb, this._state, {title: "The number of charges regained, for example \"{@dice 1d6 + 4}\". Leave blank if the item regains all its charges."}, "rechargeAmount").appendTo(chargesTab.$wrpTab);
+		ItemBuilder._BONUS_PROPS.forEach(({prop, name}) => {
+			BuilderUi.$getStateIptString(name, cb, this._state, {placeholder: "+1"}, prop).appendTo(chargesTab.$wrpTab);
+		});
+
+		// TEXT
+		BuilderUi.$getStateIptEntries("Text", cb, this._state, {fnPostProcess: BuilderUi.fnPostProcessDice}, "entries").appendTo(textTab.$wrpTab);
+		BuilderUi.$getStateIptStringArray(
+			"Attached Spells",
+			cb,
+			this._state,
+			{
+				shortName: "Spell",
+				title: "Spells which can be cast using the item, for example \"fireball\" or \"toll the dead|xge\".",
+			},
+			"attachedSpells",
+		).appendTo(textTab.$wrpTab);
+
+		// FLAVOR/MISC
+		this.$getFluffInput(cb).appendTo(miscTab.$wrpTab);
+	}
+
+	__$getBaseItemInput (cb) {
+		const [$row, $rowInner] = BuilderUi.getLabelledRowTuple("Base Item", {isMarked: true, title: "Selecting a base item copies any of its properties (type, weight, damage, etc.) which are not already set on this item."});
+
+		const $dispBaseItem = $(`<div class="mr-2"></div>`)
+			.text(this._state.baseItem || "(None)");
+
+		const $btnSelect = $(`<button class="btn btn-xs btn-default mr-2">Select</button>`)
+			.click(async () => {
+				const result = await SearchWidget.pGetUserBasicItemSearch();
+				if (!result) return;
+
+				const baseItem = await DataLoader.pCacheAndGet(result.page, result.source, result.hash);
+				ItemBuilder.mutApplyBaseItem(this._state, baseItem);
+
+				cb();
+				this.renderInput();
+			});
+
+		const $btnClear = $(`<button class="btn btn-xs btn-default">Clear</button>`)
+			.click(() => {
+				delete this._state.baseItem;
+				$dispBaseItem.text("(None)");
+				cb();
+			});
+
+		$$`<div class="ve-flex-v-center">${$dispBaseItem}${$btnSelect}${$btnClear}</div>`.appendTo($rowInner);
+
+		return $row;
+	}
+
+	/**
+	 * Apply the stats of a base item, as per the item converter, without overwriting any existing stats.
+	 * @param item The item to modify.
+	 * @param baseItem The base item to copy from.
+	 */
+	static mutApplyBaseItem (item, baseItem) {
+		Object.entries(MiscUtil.copy(baseItem))
+			.filter(([k]) => item[k] === undefined && !k.startsWith("_") && !ItemBuilder._BASE_ITEM_PROPS_BLOCKLIST.has(k))
+			.forEach(([k, v]) => item[k] = v);
+
+		item.baseItem = `${baseItem.name.toLowerCase()}${baseItem.source === Parser.SRC_DMG ? "" : `|${baseItem.source.toLowerCase()}`}`;
+
+		// `armor` is a base-item-only tag, so is not copied; check the base item instead
+		if (item.wondrous && (item.weapon || baseItem.armor)) delete item.wondrous;
+	}
+
+	__$getWeightInput (cb) {
+		const $ipt = $(`<input class="form-control input-xs form-control--minimal">`)
+			.val(this._state.weight)
+			.change(() => {
+				const val = Number($ipt.val().trim() || NaN);
+				if (isNaN(val) || val <= 0) delete this._state.weight;
+				else this._state.weight = val;
+				$ipt.val(this._state.weight);
+				cb();
+			});
+
+		const [$row, $rowInner] = BuilderUi.getLabelledRowTuple("Weight", {title: "In pounds."});
+		$ipt.appendTo($rowInner);
+		return $row;
+	}
+
+	__$getReqAttuneInput (cb) {
+		const [$row, $rowInner] = BuilderUi.getLabelledRowTuple("Requires Attunement", {isMarked: true});
+
+		const getMode = () => {
+			if (this._state.reqAttune == null || this._state.reqAttune === false) return "none";
+			if (this._state.reqAttune === true) return "required";
+			if (this._state.reqAttune === "optional") return "optional";
+			return "custom";
+		};
+
+		const doUpdateState = () => {
+			switch ($selMode.val()) {
+				case "none": delete this._state.reqAttune; break;
+				case "required": this._state.reqAttune = true; break;
+				case "optional": this._state.reqAttune = "optional"; break;
+				case "custom": {
+					const raw = $iptCustom.val().trim();
+					this._state.reqAttune = raw || true;
+					break;
+				}
+			}
+			cb();
+		};
+
+		const $selMode = $(`<select class="form-control input-xs form-control--minimal mb-2">
+			<option value="none">No</option>
+			<option value="required">Yes</option>
+			<option value="optional">Optional</option>
+			<option value="custom">Yes, By...</option>
+		</select>`)
+			.val(getMode())
+			.change(() => {
+				$stageCustom.toggleVe($selMode.val() === "custom");
+				doUpdateState();
+			});
+
+		const $iptCustom = $(`<input class="form-control input-xs form-control--minimal" placeholder="by a spellcaster">`)
+			.val(getMode() === "custom" ? this._state.reqAttune : "")
+			.change(() => doUpdateState());
+
+		const $stageCustom = $$`<div class="ve-flex-v-center mb-2"><span class="mr-2 mkbru__sub-name--33">Requirement</span>${$iptCustom}</div>`
+			.toggleVe(getMode() === "custom");
+
+		$$`<div class="ve-flex-col">${$selMode}${$stageCustom}</div>`.appendTo($rowInner);
+
+		return $row;
+	}
+
+	__$getReqAttuneTagsInput (cb) {
+		const $btnGenerate = $(`<button class="btn btn-xs btn-default" title="Generate tags from the &quot;Requires Attunement&quot; text. This will replace any existing tags.">Generate from Text</button>`)
+			.click(() => {
+				ReqAttuneTagTag.tryRun(this._state);
+				cb();
+				this.renderInput();
+			});
+
+		return BuilderUi.$getStateIptConditionsArray(
+			"Attunement Tags",
+			cb,
+			this._state,
+			{
+				shortName: "Tag",
+				title: "Used by filters on the Items page. Each tag is an alternative; every condition within a tag must be met.",
+				keyMetas: BuilderUtil.REQ_ATTUNE_TAG_KEY_METAS,
+				$btnsAdditional: [$btnGenerate],
+			},
+			"reqAttuneTags",
+		);
+	}
+
+	renderOutput () {
+		this._renderOutputDebounced();
+	}
+
+	_renderOutput () {
+		const $wrp = this._ui.$wrpOutput.empty();
+
+		// initialise tabs
+		this._resetTabs({tabGroup: "output"});
+
+		const tabs = this._renderTabs(
+			[
+				new TabUiUtil.TabMeta({name: "Item"}),
+				new TabUiUtil.TabMeta({name: "Info"}),
+				new TabUiUtil.TabMeta({name: "Images"}),
+				new TabUiUtil.TabMeta({name: "Data"}),
+				new TabUiUtil.TabMeta({name: "Markdown"}),
+			],
+			{
+				tabGroup: "output",
+				cbTabChange: this.doUiSave.bind(this),
+			},
+		);
+		const [itemTab, infoTab, imageTab, dataTab, markdownTab] = tabs;
+		$$`<div class="ve-flex-v-center w-100 no-shrink">${tabs.map(it => it.$btnTab)}</div>`.appendTo($wrp);
+		tabs.forEach(it => it.$wrpTab.appendTo($wrp));
+
+		// Item
+		const $tblItem = $(`<table class="w-100 stats"></table>`).appendTo(itemTab.$wrpTab);
+		// Make a copy of the item, and add the data that would be displayed in the items page
+		const procItem = MiscUtil.copy(this._state);
+		Renderer.item.enhanceItem(procItem);
+		RenderItems.$getRenderedItem(procItem).appendTo($tblItem);
+
+		// Info
+		const $tblInfo = $(`<table class="w-100 stats"></table>`).appendTo(infoTab.$wrpTab);
+		Renderer.utils.pBuildFluffTab({
+			isImageTab: false,
+			$content: $tblInfo,
+			entity: this._state,
+			pFnGetFluff: Renderer.item.pGetFluff,
+		});
+
+		// Images
+		const $tblImages = $(`<table class="w-100 stats"></table>`).appendTo(imageTab.$wrpTab);
+		Renderer.utils.pBuildFluffTab({
+			isImageTab: true,
+			$content: $tblImages,
+			entity: this._state,
+			pFnGetFluff: Renderer.item.pGetFluff,
+		});
+
+		// Data
+		const $tblData = $(`<table class="w-100 stats stats--book mkbru__wrp-output-tab-data"></table>`).appendTo(dataTab.$wrpTab);
+		const asCode = Renderer.get().render({
+			type: "entries",
+			entries: [
+				{
+					type: "code",
+					name: `Data`,
+					preformatted: JSON.stringify(DataUtil.cleanJson(MiscUtil.copy(this._state)), null, "\t"),
+				},
+			],
+		});
+		$tblData.append(Renderer.utils.getBorderTr());
+		$tblData.append(`<tr><td colspan="6">${asCode}</td></tr>`);
+		$tblData.append(Renderer.utils.getBorderTr());
+
+		// Markdown
+		const $tblMarkdown = $(`<table class="w-100 stats stats--book mkbru__wrp-output-tab-data"></table>`).appendTo(markdownTab.$wrpTab);
+		$tblMarkdown.append(Renderer.utils.getBorderTr());
+		$tblMarkdown.append(`<tr><td colspan="6">${this._getRenderedMarkdownCode()}</td></tr>`);
+		$tblMarkdown.append(Renderer.utils.getBorderTr());
+	}
+}
+ItemBuilder._BASE_ITEM_PROPS_BLOCKLIST = new Set([
+	"name",
+	"source",
+	"srd",
+	"basicRules",
+	"page",
+	"rarity",
+	"value",
+	"armor",
+	"reprintedAs",
+]);
+ItemBuilder._BONUS_PROPS = [
+	{prop: "bonusWeapon", name: "Weapon Bonus"},
+	{prop: "bonusWeaponAttack", name: "Weapon Attack Bonus"},
+	{prop: "bonusWeaponDamage", name: "Weapon Damage Bonus"},
+	{prop: "bonusWeaponCritDamage", name: "Weapon Critical Damage"},
+	{prop: "bonusAc", name: "AC Bonus"},
+	{prop: "bonusSavingThrow", name: "Saving Throw Bonus"},
+	{prop: "bonusAbilityCheck", name: "Ability Check Bonus"},
+	{prop: "bonusSpellAttack", name: "Spell Attack Bonus"},
+	{prop: "bonusSpellSaveDc", name: "Spell Save DC Bonus"},
+	{prop: "bonusProficiencyBonus", name: "Proficiency Bonus"},
+];
+const itemBuilder = new ItemBuilder();
+
+ui.itemBuilder = itemBuilder;
+itemBuilder.ui = ui;
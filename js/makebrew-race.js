@@ -0,0 +1,278 @@
+"use strict";
+
+class RaceBuilder extends Builder {
+	constructor () {
+		super({
+			titleSidebarLoadExisting: "Copy Existing Race",
+			titleSidebarDownloadJson: "Download Races as JSON",
+			prop: "race",
+			titleSelectDefaultSource: "(Same as Race)",
+		});
+
+		this._renderOutputDebounced = MiscUtil.debounce(() => this._renderOutput(), 50);
+	}
+
+	static _getAsMarkdown (race) {
+		return RendererMarkdown.get().render({entries: [{type: "statblockInline", dataType: "race", data: race}]});
+	}
+
+	async pHandleSidebarLoadExistingClick () {
+		const result = await SearchWidget.pGetUserRaceSearch();
+		if (result) {
+			const race = MiscUtil.copy(await DataLoader.pCacheAndGet(result.page, result.source, result.hash));
+			return this.pHandleSidebarLoadExistingData(race);
+		}
+	}
+
+	/**
+	 * @param race
+	 * @param [opts]
+	 * @param [opts.meta]
+	 */
+	async pHandleSidebarLoadExistingData (race, opts) {
+		opts = opts || {};
+
+		race.source = this._ui.source;
+
+		delete race.srd;
+		delete race.basicRules;
+		delete race.uniqueId;
+		delete race.reprintedAs;
+		// Remove data added when merging subraces into races, e.g. `_baseRaceEntries`
+		Object.keys(race)
+			.filter(k => k.startsWith("_"))
+			.forEach(k => delete race[k]);
+
+		const meta = {...(opts.meta || {}), ...this._getInitialMetaState()};
+
+		this.setStateFromLoaded({s: race, m: meta});
+
+		this.renderInput();
+		this.renderOutput();
+	}
+
+	_getInitialState () {
+		return {
+			...super._getInitialState(),
+			name: "New Race",
+			size: [Parser.SZ_MEDIUM],
+			speed: 30,
+			entries: [],
+			source: this._ui ? this._ui.source : "",
+		};
+	}
+
+	setStateFromLoaded (state) {
+		if (!state?.s || !state?.m) return;
+
+		this._doResetProxies();
+
+		if (!state.s.uniqueId) state.s.uniqueId = CryptUtil.uid();
+
+		this.__state = state.s;
+		this.__meta = state.m;
+	}
+
+	doHandleSourcesAdd () { /* No-op */ }
+
+	_renderInputImpl () {
+		this.doCreateProxies();
+		this.renderInputControls();
+		this._renderInputMain();
+	}
+
+	_renderInputMain () {
+		this._sourcesCache = MiscUtil.copy(this._ui.allSources);
+		const $wrp = this._ui.$wrpInput.empty();
+
+		const _cb = () => {
+			// Prefer numerical pages if possible
+			if (!isNaN(this._state.page)) this._state.page = Number(this._state.page);
+
+			// do post-processing
+			TagCondition.tryTagConditions(this._state, {isTagInflicted: true});
+
+			this.renderOutput();
+			this.doUiSave();
+			this._meta.isModified = true;
+		};
+		const cb = MiscUtil.debounce(_cb, 33);
+		this._cbCache = cb; // cache for use when updating sources
+
+		// initialise tabs
+		this._resetTabs({tabGroup: "input"});
+		const tabs = this._renderTabs(
+			[
+				new TabUiUtil.TabMeta({name: "Info", hasBorder: true}),
+				new TabUiUtil.TabMeta({name: "Benefits", hasBorder: true}),
+				new TabUiUtil.TabMeta({name: "Text", hasBorder: true}),
+				new TabUiUtil.TabMeta({name: "Flavor/Misc", hasBorder: true}),
+			],
+			{
+				tabGroup: "input",
+				cbTabChange: this.doUiSave.bind(this),
+			},
+		);
+		const [infoTab, benefitsTab, textTab, miscTab] = tabs;
+		$$`<div class="ve-flex-v-center w-100 no-shrink ui-tab__wrp-tab-heads--border">${tabs.map(it => it.$btnTab)}</div>`.appendTo($wrp);
+		tabs.forEach(it => it.$wrpTab.appendTo($wrp));
+
+		// INFO
+		BuilderUi.$getStateIptString("Name", cb, this._state, {nullable: false, callback: () => this.pRenderSideMenu()}, "name").appendTo(infoTab.$wrpTab);
+		this._$selSource = this.$getSourceInput(cb).appendTo(infoTab.$wrpTab);
+		BuilderUi.$getStateIptString("Page", cb, this._state, {}, "page").appendTo(infoTab.$wrpTab);
+		BuilderUi.$getStateIptBooleanArray(
+			"Size",
+			cb,
+			this._state,
+			{
+				vals: [...Parser.SIZE_ABVS],
+				nullable: true,
+				fnDisplay: Parser.sizeAbvToFull,
+			},
+			"size",
+		).appendTo(infoTab.$wrpTab);
+		this.__$getSpeedInput(cb).appendTo(infoTab.$wrpTab);
+		BuilderUi.$getStateIptBooleanArray(
+			"Creature Types",
+			cb,
+			this._state,
+			{
+				vals: [...Parser.MON_TYPES],
+				nullable: true,
+				fnDisplay: StrUtil.uppercaseFirst,
+			},
+			"creatureTypes",
+		).appendTo(infoTab.$wrpTab);
+		BuilderUi.$getStateIptNumber("Darkvision", cb, this._state, {title: "In feet."}, "darkvision").appendTo(infoTab.$wrpTab);
+		BuilderUi.$getStateIptPrerequisite("Prerequisites", cb, this._state, {}, "prerequisite").appendTo(infoTab.$wrpTab);
+
+		// BENEFITS
+		BuilderUi.$getStateIptAbility("Ability Scores", cb, this._state, {}, "ability").appendTo(benefitsTab.$wrpTab);
+		BuilderUi.$getStateIptProficiencies("Skill Proficiencies", cb, this._state, {anyKeys: BuilderUi.PROFICIENCY_ANY_KEYS_SKILL, placeholder: "athletics, stealth"}, "skillProficiencies").appendTo(benefitsTab.$wrpTab);
+		BuilderUi.$getStateIptProficiencies("Tool Proficiencies", cb, this._state, {anyKeys: BuilderUi.PROFICIENCY_ANY_KEYS_TOOL, placeholder: "thieves' tools, gaming set"}, "toolProficiencies").appendTo(benefitsTab.$wrpTab);
+		BuilderUi.$getStateIptProficiencies("Language Proficiencies", cb, this._state, {anyKeys: BuilderUi.PROFICIENCY_ANY_KEYS_LANGUAGE, placeholder: "elvish, draconic"}, "languageProficiencies").appendTo(benefitsTab.$wrpTab);
+		BuilderUi.$getStateIptAdditionalSpells("Spells", cb, this._state, {}, "additionalSpells").appendTo(benefitsTab.$wrpTab);
+
+		// TEXT
+		BuilderUi.$getStateIptEntries("Text", cb, this._state, {fnPostProcess: BuilderUi.fnPostProcessDice}, "entries").appendTo(textTab.$wrpTab);
+
+		// FLAVOR/MISC
+		this.$getFluffInput(cb).appendTo(miscTab.$wrpTab);
+	}
+
+	__$getSpeedInput (cb) {
+		const [$row, $rowInner] = BuilderUi.getLabelledRowTuple("Speed", {isMarked: true, title: "In feet. For speeds other than walking, enter \"walk\" if the speed is equal to the walking speed."});
+
+		const getInitialSpeed = mode => {
+			if (typeof this._state.speed === "number") return mode === "walk" ? this._state.speed : null;
+			return this._state.speed?.[mode];
+		};
+
+		const doUpdateState = () => {
+			const out = {};
+			ipts.forEach(({mode, $ipt}) => {
+				const raw = $ipt.val().trim().toLowerCase();
+				if (!raw) return;
+				if (mode !== "walk" && raw === "walk") return out[mode] = true;
+				const val = UiUtil.strToInt(raw, null, {fallbackOnNaN: null});
+				if (val != null) out[mode] = val;
+				$ipt.val(val ?? "");
+			});
+
+			if (Object.keys(out).length === 1 && out.walk != null) this._state.speed = out.walk;
+			else if (Object.keys(out).length) this._state.speed = out;
+			else delete this._state.speed;
+
+			cb();
+		};
+
+		const ipts = Parser.SPEED_MODES.map(mode => {
+			const initial = getInitialSpeed(mode);
+			const $ipt = $(`<input class="form-control input-xs form-control--minimal">`)
+				.val(initial === true ? "walk" : (initial ?? ""))
+				.change(() => doUpdateState());
+			$$`<div class="ve-flex-v-center mb-2"><span class="mr-2 mkbru__sub-name--33">${mode.toTitleCase()}</span>${$ipt}</div>`.appendTo($rowInner);
+			return {mode, $ipt};
+		});
+
+		return $row;
+	}
+
+	renderOutput () {
+		this._renderOutputDebounced();
+	}
+
+	_renderOutput () {
+		const $wrp = this._ui.$wrpOutput.empty();
+
+		// initialise tabs
+		this._resetTabs({tabGroup: "output"});
+
+		const tabs = this._renderTabs(
+			[
+				new TabUiUtil.TabMeta({name: "Race"}),
+				new TabUiUtil.TabMeta({name: "Info"}),
+				new TabUiUtil.TabMeta({name: "Images"}),
+				new TabUiUtil.TabMeta({name: "Data"}),
+				new TabUiUtil.TabMeta({name: "Markdown"}),
+			],
+			{
+				tabGroup: "output",
+				cbTabChange: this.doUiSave.bind(this),
+			},
+		);
+		const [raceTab, infoTab, imageTab, dataTab, markdownTab] = tabs;
+		$$`<div class="ve-flex-v-center w-100 no-shrink">${tabs.map(it => it.$btnTab)}</div>`.appendTo($wrp);
+		tabs.forEach(it => it.$wrpTab.appendTo($wrp));
+
+		// Race
+		const $tblRace = $(`<table class="w-100 stats"></table>`).appendTo(raceTab.$wrpTab);
+		RenderRaces.$getRenderedRace(this._state).appendTo($tblRace);
+
+		// Info
+		const $tblInfo = $(`<table class="w-100 stats"></table>`).appendTo(infoTab.$wrpTab);
+		Renderer.utils.pBuildFluffTab({
+			isImageTab: false,
+			$content: $tblInfo,
+			entity: this._state,
+			pFnGetFluff: Renderer.race.pGetFluff,
+		});
+
+		// Images
+		const $tblImages = $(`<table class="w-100 stats"></table>`).appendTo(imageTab.$wrpTab);
+		Renderer.utils.pBuildFluffTab({
+			isImageTab: true,
+			$content: $tblImages,
+			entity: this._state,
+			pFnGetFluff: Renderer.race.pGetFluff,
+		});
+
+		// Data
+		const $tblData = $(`<table class="w-100 stats stats--book mkbru__wrp-output-tab-data"></table>`).appendTo(dataTab.$wrpTab);
+		const asCode = Renderer.get().render({
+			type: "entries",
+			entries: [
+				{
+					type: "code",
+					name: `Data`,
+					preformatted: JSON.stringify(DataUtil.cleanJson(MiscUtil.copy(this._state)), null, "\t"),
+				},
+			],
+		});
+		$tblData.append(Renderer.utils.getBorderTr());
+		$tblData.append(`<tr><td colspan="6">${asCode}</td></tr>`);
+		$tblData.append(Renderer.utils.getBorderTr());
+
+		// Markdown
+		const $tblMarkdown = $(`<table class="w-100 stats stats--book mkbru__wrp-output-tab-data"></table>`).appendTo(markdownTab.$wrpTab);
+		$tblMarkdown.append(Renderer.utils.getBorderTr());
+		$tblMarkdown.append(`<tr><td colspan="6">${this._getRenderedMarkdownCode()}</td></tr>`);
+		$tblMarkdown.append(Renderer.utils.getBorderTr());
+	}
+}
+
+const raceBuilder = new RaceBuilder();
+
+ui.raceBuilder = raceBuilder;
+raceBuilder.ui = ui;
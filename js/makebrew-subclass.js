@@ -0,0 +1,139 @@
+"use strict";
+
+class SubclassBuilder extends _ClassSubclassBuilderBase {
+	constructor () {
+		super({
+			titleSidebarLoadExisting: "Copy Existing Subclass",
+			titleSidebarDownloadJson: "Download Subclasses as JSON",
+			prop: "subclass",
+			propFeature: "subclassFeature",
+			propFeatures: "subclassFeatures",
+			propTableGroups: "subclassTableGroups",
+			titleSelectDefaultSource: "(Same as Subclass)",
+		});
+
+		this._classMetas = [];
+	}
+
+	async _pInit () {
+		const rawData = await this.constructor._pGetRawData();
+		this._classMetas = rawData.class
+			.filter(cls => cls.name && cls.source)
+			.map(cls => ({name: cls.name, source: cls.source}))
+			.sort((a, b) => SortUtil.ascSortLower(a.name, b.name) || SortUtil.ascSortLower(a.source, b.source));
+	}
+
+	_getFeatureIdentity (sc) {
+		return {
+			className: sc.className,
+			classSource: sc.classSource || Parser.SRC_PHB,
+			subclassShortName: sc.shortName,
+			subclassSource: sc.source,
+		};
+	}
+
+	async pHandleSidebarLoadExistingClick () {
+		const rawData = await this.constructor._pGetRawData();
+		const subclasses = rawData.subclass
+			.filter(sc => sc.name && sc.shortName && sc.source && sc.className)
+			.sort((a, b) => SortUtil.ascSortLower(a.className, b.className) || SortUtil.ascSortLower(a.name, b.name) || SortUtil.ascSortLower(a.source, b.source));
+
+		const sc = await InputUiUtil.pGetUserEnum({
+			values: subclasses,
+			fnDisplay: sc => `${sc.className}: ${sc.name} (${Parser.sourceJsonToAbv(sc.source)})`,
+			title: "Select Subclass",
+			isResolveItem: true,
+		});
+		if (sc) return this.pHandleSidebarLoadExistingData(MiscUtil.copy(sc));
+	}
+
+	_getInitialState () {
+		return {
+			...super._getInitialState(),
+			name: "New Subclass",
+			shortName: "New",
+			source: this._ui ? this._ui.source : "",
+			className: "Fighter",
+			classSource: Parser.SRC_PHB,
+		};
+	}
+
+	_renderInputMain () {
+		this._sourcesCache = MiscUtil.copy(this._ui.allSources);
+		const $wrp = this._ui.$wrpInput.empty();
+
+		const cb = this._getInputCallback();
+
+		// initialise tabs
+		this._resetTabs({tabGroup: "input"});
+		const tabs = this._renderTabs(
+			[
+				new TabUiUtil.TabMeta({name: "Info", hasBorder: true}),
+				new TabUiUtil.TabMeta({name: "Spellcasting", hasBorder: true}),
+				new TabUiUtil.TabMeta({name: "Table", hasBorder: true}),
+				new TabUiUtil.TabMeta({name: "Progression", hasBorder: true}),
+				new TabUiUtil.TabMeta({name: "Features", hasBorder: true}),
+				new TabUiUtil.TabMeta({name: "Flavor/Misc", hasBorder: true}),
+			],
+			{
+				tabGroup: "input",
+				cbTabChange: this.doUiSave.bind(this),
+			},
+		);
+		const [infoTab, spellcastingTab, tableTab, progressionTab, featuresTab, miscTab] = tabs;
+		$$`<div class="ve-flex-v-center w-100 no-shrink ui-tab__wrp-tab-heads--border">${tabs.map(it => it.$btnTab)}</div>`.appendTo($wrp);
+		tabs.forEach(it => it.$wrpTab.appendTo($wrp));
+
+		// INFO
+		BuilderUi.$getStateIptString("Name", cb, this._state, {nullable: false, callback: () => this.pRenderSideMenu()}, "name").appendTo(infoTab.$wrpTab);
+		BuilderUi.$getStateIptString("Short Name", cb, this._state, {nullable: false, title: "Used in URLs and feature UIDs, for example \"Champion\"."}, "shortName").appendTo(infoTab.$wrpTab);
+		this._$selSource = this.$getSourceInput(cb).appendTo(infoTab.$wrpTab);
+		BuilderUi.$getStateIptString("Page", cb, this._state, {}, "page").appendTo(infoTab.$wrpTab);
+		this.__$getClassInput(cb).appendTo(infoTab.$wrpTab);
+
+		// SPELLCASTING
+		this._$getSpellcastingInputs(cb).forEach($ele => $ele.appendTo(spellcastingTab.$wrpTab));
+		BuilderUi.$getStateIptAdditionalSpells("Additional Spells", cb, this._state, {}, "additionalSpells").appendTo(spellcastingTab.$wrpTab);
+
+		// TABLE
+		this._$getTableGroupsInput(cb).appendTo(tableTab.$wrpTab);
+
+		// PROGRESSION
+		this._$getFeatureRefsInput(cb).appendTo(progressionTab.$wrpTab);
+		BuilderUi.$getStateIptOptionalFeatureProgression("Optional Features", cb, this._state, {}, "optionalfeatureProgression").appendTo(progressionTab.$wrpTab);
+
+		// FEATURES
+		this._$getFeaturesInput(cb).appendTo(featuresTab.$wrpTab);
+
+		// FLAVOR/MISC
+		this.$getFluffInput(cb).appendTo(miscTab.$wrpTab);
+	}
+
+	__$getClassInput (cb) {
+		const classMetas = [...this._classMetas];
+
+		// Keep the current class selectable, even if it is not loaded
+		const ixCur = classMetas.findIndex(meta => meta.name.toLowerCase() === (this._state.className || "").toLowerCase() && meta.source.toLowerCase() === (this._state.classSource || Parser.SRC_PHB).toLowerCase());
+		if (!~ixCur && this._state.className) classMetas.unshift({name: this._state.className, source: this._state.classSource || Parser.SRC_PHB});
+
+		const $sel = $(`<select class="form-control input-xs form-control--minimal">`);
+		classMetas.forEach((meta, i) => $(`<option>`).val(i).text(`${meta.name} (${Parser.sourceJsonToAbv(meta.source)})`).appendTo($sel));
+		$sel.val(Math.max(0, ixCur))
+			.change(() => {
+				const meta = classMetas[Number($sel.val())];
+				this._state.className = meta.name;
+				this._state.classSource = meta.source;
+				cb();
+			});
+
+		return BuilderUi.__$getRow("Class", $sel, {title: "The class this subclass belongs to."});
+	}
+
+	_getOutputTabName () { return "Subclass"; }
+	_getFnGetFluff () { return Renderer.subclass.pGetFluff.bind(Renderer.subclass); }
+}
+
+const subclassBuilder = new SubclassBuilder();
+
+ui.subclassBuilder = subclassBuilder;
+subclassBuilder.ui = ui;
@@ -37,6 +37,12 @@ class PageUi {
 	set creatureBuilder (creatureBuilder) { this._builders.creatureBuilder = creatureBuilder; }
 	set legendaryGroupBuilder (legendaryGroupBuilder) { this._builders.legendaryGroupBuilder = legendaryGroupBuilder; }
 	set spellBuilder (spellBuilder) { this._builders.spellBuilder = spellBuilder; }
+	set itemBuilder (itemBuilder) { this._builders.itemBuilder = itemBuilder; }
+	set featBuilder (featBuilder) { this._builders.featBuilder = featBuilder; }
+	set backgroundBuilder (backgroundBuilder) { this._builders.backgroundBuilder = backgroundBuilder; }
+	set raceBuilder (raceBuilder) { this._builders.raceBuilder = raceBuilder; }
+	set classBuilder (classBuilder) { this._builders.classBuilder = classBuilder; }
+	set subclassBuilder (subclassBuilder) { this._builders.subclassBuilder = subclassBuilder; }
 
 	get creatureBuilder () { return this._builders.creatureBuilder; }
 
@@ -93,6 +99,7 @@ class PageUi {
 
 		this._doRenderActiveBuilder();
 		this._doInitNavHandler();
+		this._doInitHotkeys();
 
 		const brewSources = BrewUtil2.getSources();
 		if (this._settings.activeSource && brewSources.some(it => it.json === this._settings.activeSource)) {
@@ -194,6 +201,12 @@ class PageUi {
 				<option value="creatureBuilder">Creature</option>
 				<option value="legendaryGroupBuilder">Legendary Group</option>
 				<option value="spellBuilder">Spell</option>
+				<option value="itemBuilder">Item</option>
+				<option value="featBuilder">Feat</option>
+				<option value="backgroundBuilder">Background</option>
+				<option value="raceBuilder">Race</option>
+				<option value="classBuilder">Class</option>
+				<option value="subclassBuilder">Subclass</option>
 				<option value="none" class="italic">Everything Else?</option>
 			</select>
 		`)
@@ -277,6 +290,23 @@ class PageUi {
 		*/
 	}
 
+	_doInitHotkeys () {
+		$(document.body).on("keydown", evt => {
+			if (!EventUtil.isCtrlMetaKey(evt) || evt.altKey || EventUtil.isInInput(evt)) return;
+			if (!this._$wrpMain.is(":visible")) return;
+
+			const key = evt.key.toLowerCase();
+			const isUndo = key === "z" && !evt.shiftKey;
+			const isRedo = (key === "z" && evt.shiftKey) || (key === "y" && !evt.shiftKey);
+			if (!isUndo && !isRedo) return;
+
+			evt.preventDefault();
+			const builder = this._builders[this._settings.activeBuilder];
+			if (isUndo) builder.doUndo();
+			else builder.doRedo();
+		});
+	}
+
 	_doAddSourceOption (source) {
 		this._allSources.push(source.json);
 		// TODO this should detach + re-order. Ensure correct is re-selected; ensure disabled option is first
@@ -305,6 +335,56 @@ PageUi._STORAGE_STATE = "brewbuilderState";
 PageUi._STORAGE_SETTINGS = "brewbuilderSettings";
 PageUi._DEFAULT_ACTIVE_BUILDER = "creatureBuilder";
 
+/**
+ * Undo/redo stacks of (serialized) builder states. The history is reset whenever the builder switches to a different
+ * entity.
+ */
+class BuilderHistory {
+	static _MAX_LENGTH = 100;
+
+	constructor () {
+		this._stackUndo = [];
+		this._stackRedo = [];
+		this._cur = null;
+		this._curUniqueId = null;
+	}
+
+	get isUndoable () { return !!this._stackUndo.length; }
+	get isRedoable () { return !!this._stackRedo.length; }
+
+	/**
+	 * @param state The current builder state.
+	 * @return {boolean} `true` if the state differed from the last checkpoint.
+	 */
+	doCheckpoint (state) {
+		const json = JSON.stringify(state);
+		if (json === this._cur) return false;
+
+		if (this._cur == null || state.uniqueId !== this._curUniqueId) {
+			this._stackUndo = [];
+			this._stackRedo = [];
+		} else {
+			this._stackUndo.push(this._cur);
+			if (this._stackUndo.length > this.constructor._MAX_LENGTH) this._stackUndo.shift();
+			this._stackRedo = [];
+		}
+
+		this._cur = json;
+		this._curUniqueId = state.uniqueId;
+		return true;
+	}
+
+	getUndo () { return this._getMoved(this._stackUndo, this._stackRedo); }
+	getRedo () { return this._getMoved(this._stackRedo, this._stackUndo); }
+
+	_getMoved (stackFrom, stackTo) {
+		if (!stackFrom.length) return null;
+		stackTo.push(this._cur);
+		this._cur = stackFrom.pop();
+		return JSON.parse(this._cur);
+	}
+}
+
 class Builder extends ProxyBase {
 	static async pInitAll () {
 		return Promise.all(Builder._BUILDERS.map(b => b.pInit()));
@@ -344,6 +424,14 @@ class Builder extends ProxyBase {
 		this._$sideMenuStageSaved = null;
 		this._$sideMenuWrpList = null;
 		this._$eles = {}; // Generic internal element storage
+
+		this._history = new BuilderHistory();
+		this._$btnUndo = null;
+		this._$btnRedo = null;
+
+		this._schemaErrors = null;
+		this._$btnValidate = null;
+		this._doValidateSchemaDebounced = MiscUtil.debounce(() => this._pDoValidateSchemaBackground(), 200);
 	}
 
 	_doResetProxies () {
@@ -421,10 +509,138 @@ class Builder extends ProxyBase {
 	}
 
 	doUiSave () {
+		this._doHistoryCheckpoint();
+		// Validation is fast once the schemas have been loaded, so keep the errors up-to-date
+		if (BrewValidator.isLoaded()) this._doValidateSchemaDebounced();
 		// Trigger a save at a higher level
 		this._ui.doSaveDebounced();
 	}
 
+	// region Undo/redo
+	_doHistoryCheckpoint () {
+		if (this._history.doCheckpoint(this.__state)) this._doUpdateHistoryButtons();
+	}
+
+	_doUpdateHistoryButtons () {
+		if (this._$btnUndo) this._$btnUndo.prop("disabled", !this._history.isUndoable);
+		if (this._$btnRedo) this._$btnRedo.prop("disabled", !this._history.isRedoable);
+	}
+
+	doUndo () { this._doApplyHistoryState(this._history.getUndo()); }
+	doRedo () { this._doApplyHistoryState(this._history.getRedo()); }
+
+	_doApplyHistoryState (state) {
+		if (!state) return;
+
+		this.setStateFromLoaded({
+			s: state,
+			m: {...MiscUtil.copy(this.__meta), isModified: true},
+		});
+		this.renderInput();
+		this.renderOutput();
+		this._doUpdateHistoryButtons();
+		this._ui.doSaveDebounced();
+	}
+	// endregion
+
+	// region Schema validation
+	/** The entities to validate, each of the form `{prop, ent}`. */
+	_getSchemaValidationMetas () {
+		return [{prop: this._prop, ent: DataUtil.cleanJson(MiscUtil.copy(this.__state))}];
+	}
+
+	async _pDoValidateSchema () {
+		const out = [];
+		for (const {prop, ent} of this._getSchemaValidationMetas()) {
+			const errors = await BrewValidator.pGetEntityErrors(prop, ent);
+			if (errors.length) out.push({prop, name: ent.name, errors});
+		}
+
+		this._schemaErrors = out;
+		this._doUpdateBtnValidate();
+		return out;
+	}
+
+	async _pDoValidateSchemaBackground () {
+		try {
+			await this._pDoValidateSchema();
+		} catch (e) {
+			this._schemaErrors = null;
+			this._doUpdateBtnValidate();
+			setTimeout(() => { throw e; });
+		}
+	}
+
+	_doUpdateBtnValidate () {
+		if (!this._$btnValidate) return;
+
+		const cntErrors = this._schemaErrors?.map(({errors}) => errors.length).sum() || 0;
+		this._$btnValidate
+			.text(this._schemaErrors == null ? "Validate" : cntErrors ? `${cntErrors} Error${cntErrors === 1 ? "" : "s"}` : "Valid")
+			.toggleClass("btn-danger", !!cntErrors)
+			.toggleClass("btn-default", !cntErrors);
+	}
+
+	async _pHandleClick_pValidate () {
+		let errorMetas;
+		try {
+			this._$btnValidate.text("Validating...").prop("disabled", true);
+			errorMetas = await this._pDoValidateSchema();
+		} catch (e) {
+			JqueryUtil.doToast({type: "danger", content: `Failed to validate! ${VeCt.STR_SEE_CONSOLE}`});
+			throw e;
+		} finally {
+			this._$btnValidate.prop("disabled", false);
+			this._doUpdateBtnValidate();
+		}
+
+		if (!errorMetas.length) return JqueryUtil.doToast({type: "success", content: "No schema errors found!"});
+
+		const {$modalInner} = UiUtil.getShowModal({
+			title: "Schema Errors",
+			isUncappedHeight: true,
+			isHeight100: true,
+		});
+		errorMetas.forEach(({prop, name, errors}) => {
+			$modalInner.append(`<div class="bold mb-1">${(name || "(Unnamed)").qq()} <span class="ve-muted">(${prop.qq()})</span></div>`);
+			$modalInner.append(BrewValidator.getHtmlErrors(errors));
+		});
+	}
+	// endregion
+
+	// region Diff
+	async _pHandleClick_pShowChanges () {
+		const fnGetComparable = ent => PropOrder.getOrdered(DataUtil.cleanJson(MiscUtil.copy(ent)), this._prop);
+
+		const saved = await BrewUtil2.pGetEditableBrewEntity(this._prop, this._state.uniqueId);
+		const linesSaved = saved ? JSON.stringify(fnGetComparable(saved), null, "\t").split("\n") : [];
+		const linesCurrent = JSON.stringify(fnGetComparable(this.__state), null, "\t").split("\n");
+
+		const {$modalInner} = UiUtil.getShowModal({
+			title: "Changes Since Last Save",
+			isWidth100: true,
+			isHeight100: true,
+			isUncappedHeight: true,
+		});
+
+		const diff = BuilderUtil.getLineDiff(linesSaved, linesCurrent);
+		if (!diff.some(it => it.type !== "same")) return $modalInner.append(`<div class="ve-muted italic">No changes.</div>`);
+
+		const $tbl = $(`<table class="w-100 mkbru__diff">
+			<thead><tr><th>${saved ? "Last Saved" : "Last Saved (Never)"}</th><th>Current</th></tr></thead>
+		</table>`);
+		const $tbody = $(`<tbody></tbody>`).appendTo($tbl);
+		BuilderUtil.getSideBySideDiffRows(diff).forEach(({left, right, cntSkipped}) => {
+			if (cntSkipped) return $tbody.append(`<tr><td colspan="2" class="mkbru__diff-cell mkbru__diff-cell--skip">\u22EF ${cntSkipped} unchanged line${cntSkipped === 1 ? "" : "s"}</td></tr>`);
+
+			const getTd = (meta) => `<td class="mkbru__diff-cell ${meta?.type === "del" ? "mkbru__diff-cell--del" : meta?.type === "add" ? "mkbru__diff-cell--add" : ""}">${meta ? meta.line.qq() : ""}</td>`;
+			$tbody.append(`<tr>${getTd(left)}${getTd(right)}</tr>`);
+		});
+
+		$$`<div class="ve-overflow-auto">${$tbl}</div>`.appendTo($modalInner);
+	}
+	// endregion
+
 	async pRenderSideMenu () {
 		// region Detach any sidemenu renders from other builders
 		if (this._ui.sidemenuRenderCache) {
@@ -679,12 +895,29 @@ class Builder extends ProxyBase {
 		this._addHook("meta", "isModified", hkBtnSaveText);
 		hkBtnSaveText();
 
-		$(`<button class="btn btn-xs btn-default" title="SHIFT to reset additional state (such as whether or not certain attributes are auto-calculated)">New</button>`)
+		$(`<button class="btn btn-xs btn-default mr-2" title="SHIFT to reset additional state (such as whether or not certain attributes are auto-calculated)">New</button>`)
 			.click(async (evt) => {
 				if (!await InputUiUtil.pGetUserBoolean({title: "Reset Builder", htmlDescription: "Are you sure?", textYes: "Yes", textNo: "Cancel"})) return;
 				this.reset({isResetAllMeta: !!evt.shiftKey});
 			})
 			.appendTo($wrpControls);
+
+		this._$btnUndo = $(`<button class="btn btn-xs btn-default" title="Undo (CTRL-Z)"><span class="glyphicon glyphicon-arrow-left"></span></button>`)
+			.click(() => this.doUndo());
+		this._$btnRedo = $(`<button class="btn btn-xs btn-default" title="Redo (CTRL-SHIFT-Z)"><span class="glyphicon glyphicon-arrow-right"></span></button>`)
+			.click(() => this.doRedo());
+		$$`<div class="btn-group mr-2">${this._$btnUndo}${this._$btnRedo}</div>`.appendTo($wrpControls);
+		this._doUpdateHistoryButtons();
+
+		$(`<button class="btn btn-xs btn-default mr-2" title="View changes since the last save">Changes</button>`)
+			.click(() => this._pHandleClick_pShowChanges())
+			.appendTo($wrpControls);
+
+		this._$btnValidate = $(`<button class="btn btn-xs btn-default" title="Validate against the homebrew schema"></button>`)
+			.click(() => this._pHandleClick_pValidate())
+			.appendTo($wrpControls);
+		this._doUpdateBtnValidate();
+		if (BrewValidator.isLoaded()) this._doValidateSchemaDebounced();
 	}
 
 	reset ({isResetAllMeta = false} = {}) {
@@ -755,6 +988,10 @@ class Builder extends ProxyBase {
 		this.doUiSave();
 		await this.pDoPostSave();
 		await this._pDoUpdateSidemenu();
+
+		if (BrewValidator.isLoaded() && (await this._pDoValidateSchema()).length) {
+			JqueryUtil.doToast({type: "warning", content: `"${this._state.name}" was saved, but has schema errors!`});
+		}
 	}
 
 	// TODO use this in creature builder
@@ -907,6 +1144,7 @@ class Builder extends ProxyBase {
 		try {
 			this._renderInputImpl();
 			this._isLastRenderInputFail = false;
+			this._doHistoryCheckpoint();
 		} catch (e) {
 			if (!this._isLastRenderInputFail) {
 				JqueryUtil.doToast({type: "danger", content: `Could not load homebrew, it contained errors! ${VeCt.STR_SEE_CONSOLE}`});
@@ -1315,7 +1553,584 @@ class BuilderUi {
 		<div class="ui-drag__patch-col"><div>&#8729</div><div>&#8729</div><div>&#8729</div></div>
 		</div>`).mousedown(() => doDragRender());
 	}
+
+	/**
+	 * Generic list of "alternative" rows, e.g. one row per prerequisite option.
+	 * @param name
+	 * @param fnRender
+	 * @param state
+	 * @param options Options object.
+	 * @param options.shortName Row name, used in button titles.
+	 * @param options.fnGetRow Function which takes `(doUpdateState, initialState)` and returns a `{$wrp, getState}` row.
+	 * @param [options.title] Tooltip text.
+	 * @param [options.nullable]
+	 * @param [options.$btnsAdditional] Buttons to display alongside the "Add" button.
+	 * @param path
+	 */
+	static $getStateIptObjectArray (name, fnRender, state, options, ...path) {
+		if (options.nullable == null) options.nullable = true;
+
+		const [$row, $rowInner] = BuilderUi.getLabelledRowTuple(name, {isMarked: true, title: options.title});
+
+		const rows = [];
+
+		const doUpdateState = () => {
+			const out = rows.map(row => row.getState()).filter(Boolean);
+			BuilderUi.__setProp(out.length || !options.nullable ? out : null, options, state, ...path);
+			fnRender();
+		};
+
+		const addRow = (initialState) => {
+			const row = options.fnGetRow(doUpdateState, initialState);
+
+			const $wrpBtnRemove = $(`<div class="text-right mb-2"></div>`);
+			const $wrp = $$`<div class="ve-flex-col mkbru__wrp-rows mkbru__wrp-rows--removable">
+				${row.$wrp}
+				${$wrpBtnRemove}
+			</div>`.appendTo($wrpRows);
+			const out = {getState: row.getState};
+			Builder.$getBtnRemoveRow(doUpdateState, rows, out, $wrp, options.shortName).appendTo($wrpBtnRemove);
+			rows.push(out);
+		};
+
+		const $wrpRows = $(`<div></div>`).appendTo($rowInner);
+		(MiscUtil.get(state, ...path) || []).forEach(it => addRow(it));
+
+		const $wrpBtnAdd = $(`<div class="ve-flex-v-center"></div>`).appendTo($rowInner);
+		$(`<button class="btn btn-xs btn-default">Add ${options.shortName}</button>`)
+			.appendTo($wrpBtnAdd)
+			.click(() => {
+				addRow(null);
+				doUpdateState();
+			});
+		(options.$btnsAdditional || []).forEach($btn => $btn.addClass("ml-2").appendTo($wrpBtnAdd));
+
+		return $row;
+	}
+
+	/**
+	 * A list of alternatives, each of which is an object of key-value conditions, e.g. `prerequisite`.
+	 * @param name
+	 * @param fnRender
+	 * @param state
+	 * @param options Options object.
+	 * @param options.keyMetas Object mapping each supported key to its metadata; see `BuilderUtil.PREREQUISITE_KEY_METAS`.
+	 * @param options.shortName
+	 * @param [options.title]
+	 * @param path
+	 */
+	static $getStateIptConditionsArray (name, fnRender, state, options, ...path) {
+		return BuilderUi.$getStateIptObjectArray(
+			name,
+			fnRender,
+			state,
+			{
+				...options,
+				fnGetRow: (doUpdateState, initialState) => BuilderUi._getConditionsRow(doUpdateState, options.keyMetas, initialState),
+			},
+			...path,
+		);
+	}
+
+	static _getConditionsRow (doUpdateState, keyMetas, initialState) {
+		const conditionRows = [];
+
+		// Preserve any conditions we can't edit
+		const unhandled = Object.entries(initialState || {})
+			.filter(([k]) => !keyMetas[k])
+			.mergeMap(([k, v]) => ({[k]: v}));
+
+		const getState = () => {
+			const out = {...MiscUtil.copy(unhandled)};
+			conditionRows.forEach(row => {
+				const [k, v] = row.getCondition();
+				if (v != null) out[k] = v;
+			});
+			return Object.keys(out).length ? out : null;
+		};
+
+		const $wrpConditions = $(`<div class="ve-flex-col"></div>`);
+		Object.entries(initialState || {})
+			.filter(([k]) => keyMetas[k])
+			.forEach(([k, v]) => BuilderUi._getConditionsRow_getConditionRow(doUpdateState, keyMetas, conditionRows, k, v).$wrp.appendTo($wrpConditions));
+
+		const $btnAddCondition = $(`<button class="btn btn-xs btn-default">Add Condition</button>`)
+			.click(() => {
+				BuilderUi._getConditionsRow_getConditionRow(doUpdateState, keyMetas, conditionRows, Object.keys(keyMetas)[0], null).$wrp.appendTo($wrpConditions);
+			});
+
+		const $wrp = $$`<div class="ve-flex-col">
+			${$wrpConditions}
+			<div class="ve-flex-v-center mb-2">${$btnAddCondition}</div>
+		</div>`;
+
+		return {$wrp, getState};
+	}
+
+	static _getConditionsRow_getConditionRow (doUpdateState, keyMetas, conditionRows, key, value) {
+		const keys = Object.keys(keyMetas);
+
+		const getCondition = () => {
+			const meta = keyMetas[$selKey.val()];
+			const raw = $iptValue.val().trim();
+			// Avoid lossy conversion of conditions which have not been edited
+			if (!meta.isBoolean && value != null && $selKey.val() === key && raw === textInitial) return [key, MiscUtil.copy(value)];
+			return [$selKey.val(), BuilderUtil.getConditionValue(meta, raw, {valuePrev: $selKey.val() === key ? MiscUtil.copy(value) : null})];
+		};
+
+		const doUpdateIptValue = () => {
+			const meta = keyMetas[$selKey.val()];
+			$iptValue
+				.attr("placeholder", meta.placeholder || "")
+				.toggleVe(!meta.isBoolean);
+		};
+
+		const $selKey = $(`<select class="form-control input-xs form-control--minimal mr-2 mkbru__sub-name--33">
+			${keys.map(it => `<option value="${it}">${keyMetas[it].name}</option>`).join("")}
+		</select>`)
+			.val(keys.includes(key) ? key : keys[0])
+			.change(() => {
+				doUpdateIptValue();
+				doUpdateState();
+			});
+
+		const textInitial = BuilderUtil.getConditionText(keyMetas[$selKey.val()], value);
+		const $iptValue = $(`<input class="form-control input-xs form-control--minimal mr-2">`)
+			.val(textInitial)
+			.change(() => doUpdateState());
+		doUpdateIptValue();
+
+		const $btnRemove = $(`<button class="btn btn-xs btn-danger ml-auto" title="Remove Condition"><span class="glyphicon glyphicon-trash"></span></button>`)
+			.click(() => {
+				conditionRows.splice(conditionRows.indexOf(out), 1);
+				$wrp.empty().remove();
+				doUpdateState();
+			});
+
+		const $wrp = $$`<div class="ve-flex-v-center mb-2">${$selKey}${$iptValue}${$btnRemove}</div>`;
+		const out = {$wrp, getCondition};
+		conditionRows.push(out);
+		return out;
+	}
+
+	static $getStateIptPrerequisite (name, fnRender, state, options, ...path) {
+		return BuilderUi.$getStateIptConditionsArray(
+			name,
+			fnRender,
+			state,
+			{
+				shortName: "Prerequisite",
+				title: "Each prerequisite is an alternative; every condition within a prerequisite must be met.",
+				keyMetas: BuilderUtil.PREREQUISITE_KEY_METAS,
+				...options,
+			},
+			...path,
+		);
+	}
+
+	/**
+	 * Ability score increases, as used by races, feats, and backgrounds. Each row is an alternative, which may combine
+	 * fixed increases with a choice.
+	 */
+	static $getStateIptAbility (name, fnRender, state, options, ...path) {
+		return BuilderUi.$getStateIptObjectArray(
+			name,
+			fnRender,
+			state,
+			{
+				shortName: "Ability Score Increase",
+				title: "If more than one set of increases is specified, the user picks one.",
+				fnGetRow: (doUpdateState, initialState) => BuilderUi._getAbilityRow(doUpdateState, initialState),
+				...options,
+			},
+			...path,
+		);
+	}
+
+	static _getAbilityRow (doUpdateState, initialState) {
+		initialState = initialState || {};
+
+		// Weighted choices are not editable here; preserve them as-is
+		const chooseWeighted = initialState.choose?.weighted ? MiscUtil.copy(initialState.choose) : null;
+		const unhandled = Object.entries(initialState)
+			.filter(([k]) => k !== "choose" && !Parser.ABIL_ABVS.includes(k))
+			.mergeMap(([k, v]) => ({[k]: v}));
+
+		const iptsFixed = Parser.ABIL_ABVS.map(abv => {
+			const $ipt = $(`<input class="form-control input-xs form-control--minimal text-center">`)
+				.val(initialState[abv] || "")
+				.change(() => {
+					$ipt.val(UiUtil.strToInt($ipt.val(), 0) || "");
+					doUpdateState();
+				});
+			return {abv, $ipt};
+		});
+
+		const cbsChoose = Parser.ABIL_ABVS.map(abv => {
+			const $cb = $(`<input type="checkbox" class="mkbru__ipt-cb">`)
+				.prop("checked", !chooseWeighted && (initialState.choose?.from || []).includes(abv))
+				.change(() => doUpdateState());
+			return {abv, $cb};
+		});
+
+		const $iptCount = $(`<input class="form-control input-xs form-control--minimal mr-2" placeholder="1">`)
+			.val(initialState.choose?.count || "")
+			.change(() => {
+				$iptCount.val(UiUtil.strToInt($iptCount.val(), 0) || "");
+				doUpdateState();
+			});
+
+		const $iptAmount = $(`<input class="form-control input-xs form-control--minimal" placeholder="1">`)
+			.val(initialState.choose?.amount || "")
+			.change(() => {
+				$iptAmount.val(UiUtil.strToInt($iptAmount.val(), 0) || "");
+				doUpdateState();
+			});
+
+		const getState = () => {
+			const out = {...MiscUtil.copy(unhandled)};
+
+			iptsFixed.forEach(({abv, $ipt}) => {
+				const val = UiUtil.strToInt($ipt.val(), 0);
+				if (val) out[abv] = val;
+			});
+
+			if (chooseWeighted) out.choose = chooseWeighted;
+			else {
+				const from = cbsChoose.filter(({$cb}) => $cb.prop("checked")).map(({abv}) => abv);
+				if (from.length) {
+					out.choose = {from};
+					const count = UiUtil.strToInt($iptCount.val(), 0);
+					if (count > 1) out.choose.count = count;
+					const amount = UiUtil.strToInt($iptAmount.val(), 0);
+					if (amount && amount !== 1) out.choose.amount = amount;
+				}
+			}
+
+			return Object.keys(out).length ? out : null;
+		};
+
+		const $stageChoose = chooseWeighted
+			? $(`<div class="ve-flex-v-center mb-2 italic">This increase includes a weighted choice, which is preserved as-is.</div>`)
+			: $$`<div class="ve-flex-col">
+				<div class="ve-flex-v-center mb-2"><span class="mr-2 mkbru__sub-name--33">Choose From</span><div class="ve-flex w-100">${cbsChoose.map(({abv, $cb}) => $$`<label class="ve-flex-col ve-flex-vh-center mr-1"><span class="small">${abv.toUpperCase()}</span>${$cb}</label>`)}</div></div>
+				<div class="ve-flex-v-center mb-2"><span class="mr-2 mkbru__sub-name--33" title="The number of abilities to choose.">Choose Count</span>${$iptCount}<span class="mx-2" title="The increase applied to each chosen ability.">Amount</span>${$iptAmount}</div>
+			</div>`;
+
+		const $wrp = $$`<div class="ve-flex-col">
+			<div class="ve-flex-v-center mb-2"><span class="mr-2 mkbru__sub-name--33">Fixed</span><div class="ve-flex w-100">${iptsFixed.map(({abv, $ipt}) => $$`<label class="ve-flex-col ve-flex-vh-center mr-1"><span class="small">${abv.toUpperCase()}</span>${$ipt}</label>`)}</div></div>
+			${$stageChoose}
+		</div>`;
+
+		return {$wrp, getState};
+	}
+
+	/**
+	 * Skill, tool, or language proficiencies, in the shape produced by `BackgroundSkillToolLanguageTag`. Each row is
+	 * an alternative, which may combine fixed proficiencies with a choice and/or "any" proficiencies.
+	 * @param name
+	 * @param fnRender
+	 * @param state
+	 * @param options
+	 * @param options.anyKeys "Any" keys supported by the proficiency type, mapped to display names, e.g. `anyStandard`.
+	 * @param [options.placeholder] Example proficiencies.
+	 * @param path
+	 */
+	static $getStateIptProficiencies (name, fnRender, state, options, ...path) {
+		return BuilderUi.$getStateIptObjectArray(
+			name,
+			fnRender,
+			state,
+			{
+				shortName: "Proficiency Set",
+				title: "If more than one set of proficiencies is specified, the user picks one.",
+				fnGetRow: (doUpdateState, initialState) => BuilderUi._getProficienciesRow(doUpdateState, options, initialState),
+				...options,
+			},
+			...path,
+		);
+	}
+
+	static _getProficienciesRow (doUpdateState, {anyKeys, placeholder}, initialState) {
+		initialState = initialState || {};
+
+		const unhandled = Object.entries(initialState)
+			.filter(([k, v]) => k !== "choose" && !anyKeys[k] && v !== true)
+			.mergeMap(([k, v]) => ({[k]: v}));
+
+		const $iptFixed = $(`<input class="form-control input-xs form-control--minimal" placeholder="${(placeholder || "").qq()}">`)
+			.val(Object.entries(initialState).filter(([k, v]) => v === true && !anyKeys[k]).map(([k]) => k).join(", "))
+			.change(() => doUpdateState());
+
+		const $iptChooseFrom = $(`<input class="form-control input-xs form-control--minimal" placeholder="${(placeholder || "").qq()}">`)
+			.val((initialState.choose?.from || []).join(", "))
+			.change(() => doUpdateState());
+
+		const $iptChooseCount = $(`<input class="form-control input-xs form-control--minimal" placeholder="1">`)
+			.val(initialState.choose?.count || "")
+			.change(() => {
+				$iptChooseCount.val(UiUtil.strToInt($iptChooseCount.val(), 0) || "");
+				doUpdateState();
+			});
+
+		const iptsAny = Object.entries(anyKeys).map(([k, name]) => {
+			const $ipt = $(`<input class="form-control input-xs form-control--minimal">`)
+				.val(initialState[k] || "")
+				.change(() => {
+					$ipt.val(UiUtil.strToInt($ipt.val(), 0) || "");
+					doUpdateState();
+				});
+			return {k, name, $ipt};
+		});
+
+		const getList = $ipt => $ipt.val().split(",").map(it => it.trim().toLowerCase()).filter(Boolean);
+
+		const getState = () => {
+			const out = {...MiscUtil.copy(unhandled)};
+
+			getList($iptFixed).forEach(it => out[it] = true);
+
+			iptsAny.forEach(({k, $ipt}) => {
+				const val = UiUtil.strToInt($ipt.val(), 0);
+				if (val) out[k] = val;
+			});
+
+			const from = getList($iptChooseFrom);
+			if (from.length) {
+				out.choose = {from};
+				const count = UiUtil.strToInt($iptChooseCount.val(), 0);
+				if (count) out.choose.count = count;
+			}
+
+			return Object.keys(out).length ? out : null;
+		};
+
+		const $wrp = $$`<div class="ve-flex-col">
+			<div class="ve-flex-v-center mb-2"><span class="mr-2 mkbru__sub-name--33" title="Comma-separated.">Fixed</span>${$iptFixed}</div>
+			<div class="ve-flex-v-center mb-2"><span class="mr-2 mkbru__sub-name--33" title="Comma-separated.">Choose From</span>${$iptChooseFrom}</div>
+			<div class="ve-flex-v-center mb-2"><span class="mr-2 mkbru__sub-name--33">Choose Count</span>${$iptChooseCount}</div>
+			${iptsAny.map(({name, $ipt}) => $$`<div class="ve-flex-v-center mb-2"><span class="mr-2 mkbru__sub-name--33">${name}</span>${$ipt}</div>`)}
+		</div>`;
+
+		return {$wrp, getState};
+	}
+
+	/**
+	 * Spells granted by a race, feat, background, etc. Each row is a set of spells; if there are multiple sets, the
+	 * user picks one.
+	 */
+	static $getStateIptAdditionalSpells (name, fnRender, state, options, ...path) {
+		return BuilderUi.$getStateIptObjectArray(
+			name,
+			fnRender,
+			state,
+			{
+				shortName: "Spell Set",
+				title: "If more than one set of spells is specified, the user picks one.",
+				fnGetRow: (doUpdateState, initialState) => BuilderUi._getAdditionalSpellsRow(doUpdateState, initialState),
+				...options,
+			},
+			...path,
+		);
+	}
+
+	static _getAdditionalSpellsRow (doUpdateState, initialState) {
+		initialState = initialState || {};
+
+		const unhandled = Object.entries(initialState)
+			.filter(([k]) => k !== "name" && k !== "ability" && !BuilderUtil.ADDITIONAL_SPELLS_CATEGORIES.includes(k))
+			.mergeMap(([k, v]) => ({[k]: v}));
+
+		const $iptName = $(`<input class="form-control input-xs form-control--minimal" placeholder="(Optional)">`)
+			.val(initialState.name || "")
+			.change(() => doUpdateState());
+
+		const $iptAbility = $(`<input class="form-control input-xs form-control--minimal" placeholder="cha; inherit; int, wis, cha">`)
+			.val(BuilderUtil.getAdditionalSpellsAbilityText(initialState.ability))
+			.change(() => doUpdateState());
+
+		const lineRows = [];
+
+		const $wrpLines = $(`<div class="ve-flex-col"></div>`);
+		BuilderUtil.getAdditionalSpellsLines(initialState)
+			.forEach(line => BuilderUi._getAdditionalSpellsRow_getLineRow(doUpdateState, lineRows, line).$wrp.appendTo($wrpLines));
+
+		const $btnAddLine = $(`<button class="btn btn-xs btn-default">Add Spells</button>`)
+			.click(() => {
+				BuilderUi._getAdditionalSpellsRow_getLineRow(doUpdateState, lineRows, {category: "innate", level: "_", frequency: "daily", uses: "1", spells: []}).$wrp.appendTo($wrpLines);
+			});
+
+		const getState = () => {
+			const out = {
+				...MiscUtil.copy(unhandled),
+				...BuilderUtil.getAdditionalSpellsFromLines(lineRows.map(row => row.getLine()).filter(Boolean)),
+			};
+
+			const name = $iptName.val().trim();
+			if (name) out.name = name;
+
+			const ability = BuilderUtil.getAdditionalSpellsAbility($iptAbility.val());
+			if (ability) out.ability = ability;
+
+			return Object.keys(out).length ? out : null;
+		};
+
+		const $wrp = $$`<div class="ve-flex-col">
+			<div class="ve-flex-v-center mb-2"><span class="mr-2 mkbru__sub-name--33">Name</span>${$iptName}</div>
+			<div class="ve-flex-v-center mb-2"><span class="mr-2 mkbru__sub-name--33" title="The spellcasting ability used; either a single ability, &quot;inherit&quot;, or a comma-separated list of abilities for the user to choose from.">Ability</span>${$iptAbility}</div>
+			${$wrpLines}
+			<div class="ve-flex-v-center mb-2">${$btnAddLine}</div>
+		</div>`;
+
+		return {$wrp, getState};
+	}
+
+	static _getAdditionalSpellsRow_getLineRow (doUpdateState, lineRows, line) {
+		const $selCategory = $(`<select class="form-control input-xs form-control--minimal mr-2">
+			${BuilderUtil.ADDITIONAL_SPELLS_CATEGORIES.map(it => `<option value="${it}">${it.toTitleCase()}</option>`).join("")}
+		</select>`)
+			.val(line.category)
+			.change(() => doUpdateState());
+
+		const $iptLevel = $(`<input class="form-control input-xs form-control--minimal mr-2" title="The character level at which the spells are gained, or &quot;_&quot; for any level. For expanded spell lists, the spell level prefixed with &quot;s&quot;, e.g. &quot;s1&quot;.">`)
+			.val(line.level)
+			.change(() => doUpdateState());
+
+		const $selFrequency = $(`<select class="form-control input-xs form-control--minimal mr-2">
+			${Object.entries(BuilderUtil.ADDITIONAL_SPELLS_FREQUENCIES).map(([k, v]) => `<option value="${k}">${v}</option>`).join("")}
+		</select>`)
+			.val(line.frequency || "")
+			.change(() => {
+				$iptUses.toggleVe(BuilderUtil.ADDITIONAL_SPELLS_FREQUENCIES_WITH_USES.has($selFrequency.val()));
+				doUpdateState();
+			});
+
+		const $iptUses = $(`<input class="form-control input-xs form-control--minimal mr-2" placeholder="1" title="Uses, e.g. &quot;1&quot;; suffix with &quot;e&quot; (&quot;1e&quot;) if each spell may be used this many times.">`)
+			.val(line.uses || "")
+			.change(() => doUpdateState())
+			.toggleVe(BuilderUtil.ADDITIONAL_SPELLS_FREQUENCIES_WITH_USES.has(line.frequency || ""));
+
+		const $iptSpells = $(`<input class="form-control input-xs form-control--minimal" placeholder="misty step, fire bolt#c, choose:level=0|class=Wizard" title="Comma-separated spells. Use &quot;choose:<filter>&quot; or &quot;choose:<spell>;<spell>;...&quot; for a choice of spells, optionally followed by &quot;:<count>&quot;.">`)
+			.val(BuilderUtil.getAdditionalSpellsSpellsText(line.spells))
+			.change(() => doUpdateState());
+
+		const getLine = () => {
+			const spells = BuilderUtil.getAdditionalSpellsSpells($iptSpells.val());
+			if (!spells.length) return null;
+			return {
+				category: $selCategory.val(),
+				level: $iptLevel.val().trim() || "_",
+				frequency: $selFrequency.val() || null,
+				uses: $iptUses.val().trim() || "1",
+				spells,
+			};
+		};
+
+		const $btnRemove = $(`<button class="btn btn-xs btn-danger" title="Remove Spells"><span class="glyphicon glyphicon-trash"></span></button>`)
+			.click(() => {
+				lineRows.splice(lineRows.indexOf(out), 1);
+				$wrp.empty().remove();
+				doUpdateState();
+			});
+
+		const $wrp = $$`<div class="ve-flex-col mb-2">
+			<div class="ve-flex-v-center mb-1">${$selCategory}${$iptLevel}${$selFrequency}${$iptUses}${$btnRemove}</div>
+			<div class="ve-flex-v-center">${$iptSpells}</div>
+		</div>`;
+		const out = {$wrp, getLine};
+		lineRows.push(out);
+		return out;
+	}
+
+	/**
+	 * Comma-separated list of integers, e.g. a per-level progression such as `cantripProgression`.
+	 * @param name
+	 * @param fnRender
+	 * @param state
+	 * @param options
+	 * @param [options.nullable]
+	 * @param [options.placeholder]
+	 * @param [options.title]
+	 * @param path
+	 */
+	static $getStateIptNumberArray (name, fnRender, state, options, ...path) {
+		if (options.nullable == null) options.nullable = true;
+
+		const initialState = MiscUtil.get(state, ...path) || [];
+		const $ipt = $(`<input class="form-control input-xs form-control--minimal" ${options.placeholder ? `placeholder="${options.placeholder}"` : ""}>`)
+			.val(initialState.join(", "))
+			.change(() => {
+				const vals = BuilderUtil.getNumberArray($ipt.val());
+				BuilderUi.__setProp(vals.length || !options.nullable ? vals : null, options, state, ...path);
+				$ipt.val(vals.join(", "));
+				fnRender();
+			});
+		return BuilderUi.__$getRow(name, $ipt, options);
+	}
+
+	static $getStateIptOptionalFeatureProgression (name, fnRender, state, options, ...path) {
+		return BuilderUi.$getStateIptObjectArray(
+			name,
+			fnRender,
+			state,
+			{
+				shortName: "Progression",
+				title: "The number of optional features (e.g. Eldritch Invocations) known at each level.",
+				fnGetRow: (doUpdateState, initialState) => BuilderUi._getOptionalFeatureProgressionRow(doUpdateState, initialState),
+				...options,
+			},
+			...path,
+		);
+	}
+
+	static _getOptionalFeatureProgressionRow (doUpdateState, initialState) {
+		initialState = initialState || {};
+
+		const $iptName = $(`<input class="form-control input-xs form-control--minimal" placeholder="Eldritch Invocations">`)
+			.val(initialState.name || "")
+			.change(() => doUpdateState());
+
+		const $iptFeatureType = $(`<input class="form-control input-xs form-control--minimal" placeholder="EI">`)
+			.val((initialState.featureType || []).join(", "))
+			.change(() => doUpdateState());
+
+		const $iptProgression = $(`<input class="form-control input-xs form-control--minimal" placeholder="0, 2, 2, 2, 3, ...; or 3: 1, 7: 2">`)
+			.val(BuilderUtil.getOptionalFeatureProgressionText(initialState.progression))
+			.change(() => {
+				$iptProgression.val(BuilderUtil.getOptionalFeatureProgressionText(BuilderUtil.getOptionalFeatureProgression($iptProgression.val())));
+				doUpdateState();
+			});
+
+		const getState = () => {
+			const name = $iptName.val().trim();
+			const featureType = $iptFeatureType.val().split(",").map(it => it.trim()).filter(Boolean);
+			const progression = BuilderUtil.getOptionalFeatureProgression($iptProgression.val());
+			if (!name || !featureType.length || !progression) return null;
+			return {...MiscUtil.copy(initialState), name, featureType, progression};
+		};
+
+		const $wrp = $$`<div class="ve-flex-col">
+			<div class="ve-flex-v-center mb-2"><span class="mr-2 mkbru__sub-name--33">Name</span>${$iptName}</div>
+			<div class="ve-flex-v-center mb-2"><span class="mr-2 mkbru__sub-name--33" title="Comma-separated optional feature type abbreviations.">Feature Types</span>${$iptFeatureType}</div>
+			<div class="ve-flex-v-center mb-2"><span class="mr-2 mkbru__sub-name--33" title="Either a count for each level, or comma-separated &quot;level: count&quot; pairs.">Progression</span>${$iptProgression}</div>
+		</div>`;
+
+		return {$wrp, getState};
+	}
 }
+BuilderUi.PROFICIENCY_ANY_KEYS_SKILL = {
+	"any": "Any",
+};
+BuilderUi.PROFICIENCY_ANY_KEYS_TOOL = {
+	"any": "Any",
+	"anyArtisansTool": "Any Artisan's Tool",
+	"anyMusicalInstrument": "Any Musical Instrument",
+};
+BuilderUi.PROFICIENCY_ANY_KEYS_LANGUAGE = {
+	"any": "Any",
+	"anyStandard": "Any Standard",
+	"anyExotic": "Any Exotic",
+};
 
 class Makebrew {
 	static async doPageInit () {
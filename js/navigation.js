@@ -20,6 +20,7 @@ class NavBar {
 		NavBar._clearAllTimers();
 
 		NavBar._initAdventureBookElements().then(null);
+		NavBar._initBlocklistProfileElements().then(null);
 	}
 
 	static _initInstallPrompt () {
@@ -100,6 +101,7 @@ class NavBar {
 		this._addElement_li(NavBar._CAT_UTILITIES, "search.html", "Search");
 		this._addElement_divider(NavBar._CAT_UTILITIES);
 		this._addElement_li(NavBar._CAT_UTILITIES, "blocklist.html", "Content Blocklist");
+		this._addElement_dropdown(NavBar._CAT_UTILITIES, NavBar._CAT_BLOCKLIST_PROFILES, {isSide: true});
 		this._addElement_li(NavBar._CAT_UTILITIES, "manageprerelease.html", "Prerelease Content Manager");
 		this._addElement_li(NavBar._CAT_UTILITIES, "makebrew.html", "Homebrew Builder");
 		this._addElement_li(NavBar._CAT_UTILITIES, "managebrew.html", "Homebrew Manager");
@@ -366,6 +368,35 @@ class NavBar {
 		NavBar.highlightCurrentPage();
 	}
 
+	/**
+	 * Blocklist profile elements are added as a second, asynchronous, step, as they require loading of the user's
+	 * Blocklist.
+	 */
+	static async _initBlocklistProfileElements () {
+		await ExcludeUtil.pInitialise();
+
+		ExcludeUtil.getProfiles()
+			.forEach(({id, name, isActive, mode, cntExcludes}) => {
+				this._addElement_button(
+					NavBar._CAT_BLOCKLIST_PROFILES,
+					{
+						html: `<span class="glyphicon glyphicon-ok mr-2 ${isActive ? "" : "ve-hidden"}"></span>${name.qq()}`,
+						click: async evt => {
+							evt.stopPropagation();
+							evt.preventDefault();
+							if (isActive) return;
+							await ExcludeUtil.pSetActiveProfile({id});
+							location.reload();
+						},
+						title: `${mode === ExcludeUtil.MODE_ALLOWLIST ? "Allowlist" : "Blocklist"}, ${cntExcludes} row${cntExcludes === 1 ? "" : "s"}${isActive ? " (active)" : ""}`,
+					},
+				);
+			});
+
+		this._addElement_divider(NavBar._CAT_BLOCKLIST_PROFILES);
+		this._addElement_li(NavBar._CAT_BLOCKLIST_PROFILES, "blocklist.html", "Manage Profiles", {isSide: true});
+	}
+
 	/**
 	 * Adds a new item to the navigation bar. Can be used either in root, or in a different UL.
 	 * @param parentCategory - Element to append this link to.
@@ -805,6 +836,7 @@ NavBar._CAT_DUNGEON_MASTER = "Dungeon Master";
 NavBar._CAT_ADVENTURES = "Adventures";
 NavBar._CAT_REFERENCES = "References";
 NavBar._CAT_UTILITIES = "Utilities";
+NavBar._CAT_BLOCKLIST_PROFILES = "Blocklist Profiles";
 NavBar._CAT_SETTINGS = "Settings";
 NavBar._CAT_CACHE = "Preload Data";
 
@@ -298,17 +298,30 @@ class Omnisearch {
 			results = results.filter(r => !r.doc.s || !SourceUtil.isNonstandardSourceWotc(r.doc.s));
 		}
 
-		if (!this._state.isShowBlocklisted && ExcludeUtil.getList().length) {
+		if (!this._state.isShowBlocklisted && (ExcludeUtil.getList().length || ExcludeUtil.hasRules())) {
+			const isSkipBlocklist = r => r.doc.c === Parser.CAT_ID_QUICKREF || r.doc.c === Parser.CAT_ID_PAGE;
+
+			// Load the entities, so that any blocklist rules can be evaluated against them
+			const entitiesRule = await Promise.all(
+				results.map(r => {
+					if (isSkipBlocklist(r)) return null;
+					const bCat = Parser.pageCategoryToProp(r.doc.c);
+					if (bCat === "item" || !ExcludeUtil.isRuleCategory(bCat)) return null;
+					return DataLoader.pCacheAndGetHash(UrlUtil.categoryToHoverPage(r.doc.c), r.doc.u, {isSilent: true});
+				}),
+			);
+
 			const resultsNxt = [];
-			for (const r of results) {
-				if (r.doc.c === Parser.CAT_ID_QUICKREF || r.doc.c === Parser.CAT_ID_PAGE) {
+			for (let i = 0; i < results.length; ++i) {
+				const r = results[i];
+				if (isSkipBlocklist(r)) {
 					resultsNxt.push(r);
 					continue;
 				}
 
 				const bCat = Parser.pageCategoryToProp(r.doc.c);
 				if (bCat !== "item") {
-					if (!ExcludeUtil.isExcluded(r.doc.u, bCat, r.doc.s, {isNoCount: true})) resultsNxt.push(r);
+					if (!ExcludeUtil.isExcluded(r.doc.u, bCat, r.doc.s, {isNoCount: true, entity: entitiesRule[i]})) resultsNxt.push(r);
 					continue;
 				}
 
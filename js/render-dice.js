@@ -16,8 +16,17 @@ Renderer.dice = {
 	_histIndex: null,
 	_$lastRolledBy: null,
 	_storage: null,
+	_variables: {},
+	_scripts: {},
+
+	_$btnRollerDist: null,
+	_eleRollerDist: null,
+	_timeoutRollerDist: null,
 
 	_isManualMode: false,
+	_manualRollHandlers: [],
+	_fnGetManualDieValue: null,
+	_rng: null,
 
 	/* -------------------------------------------- */
 
@@ -34,6 +43,21 @@ Renderer.dice = {
 		if (~idx) return Renderer.dice.DICE[idx - 1];
 		else return null;
 	},
+
+	/**
+	 * Set the random number generator used when rolling, e.g. to a seeded generator (see `Math.seed`), for
+	 * deterministic rolls.
+	 * @param rng Function which returns a number in the range [0, 1), or `null` to restore the default.
+	 */
+	setRng (rng) { Renderer.dice._rng = rng; },
+
+	_getRandom () { return Renderer.dice._rng ? Renderer.dice._rng() : Math.random(); },
+
+	/** Get a random integer in the range [1, `max`]. */
+	_getRandomInt (max) {
+		if (!Renderer.dice._rng) return RollerUtil.randomise(max);
+		return Math.floor(Renderer.dice._rng() * max) + 1;
+	},
 	// endregion
 
 	/* -------------------------------------------- */
@@ -81,10 +105,78 @@ Renderer.dice = {
 			evt.stopImmediatePropagation();
 			Renderer.dice.pRollerClickUseData(evt, eleDice).then(null);
 		});
+
+		ele.addEventListener("mouseover", evt => {
+			const eleDice = evt.target.closest?.("[data-packed-dice]");
+			if (!eleDice) return;
+			Renderer.dice._doShowRollerDistButton(eleDice);
+		});
+
+		ele.addEventListener("mouseout", evt => {
+			const eleDice = evt.target.closest?.("[data-packed-dice]");
+			if (!eleDice || eleDice.contains(evt.relatedTarget)) return;
+			Renderer.dice._doHideRollerDistButtonDebounced();
+		});
 	},
 
 	/* -------------------------------------------- */
 
+	// region Roller distribution button
+	_ROLLER_DIST_HIDE_DELAY_MS: 300,
+
+	/** @return {?string} The expression to show the distribution of, for rollers with a single expression. */
+	_getRollerDistExpression (eleDice) {
+		const rollData = $(eleDice).data("packed-dice");
+		if (!rollData?.toRoll || rollData.prompt) return null;
+		const options = rollData.toRoll.split(";").map(it => it.trim()).filter(Boolean);
+		return options.length === 1 ? options[0] : null;
+	},
+
+	_get$BtnRollerDist () {
+		if (Renderer.dice._$btnRollerDist) return Renderer.dice._$btnRollerDist;
+
+		return Renderer.dice._$btnRollerDist = $(`<button class="btn btn-default btn-xxs rll__btn-roller-dist ve-hidden" title="Show Probability Distribution"><span class="glyphicon glyphicon-stats"></span></button>`)
+			.on("mouseenter", () => clearTimeout(Renderer.dice._timeoutRollerDist))
+			.on("mouseleave", () => Renderer.dice._doHideRollerDistButtonDebounced())
+			.on("mousedown", evt => evt.preventDefault())
+			.on("click", evt => {
+				evt.stopPropagation();
+				evt.preventDefault();
+
+				const expression = Renderer.dice._getRollerDistExpression(Renderer.dice._eleRollerDist);
+				Renderer.dice._doHideRollerDistButton();
+				if (expression) Renderer.dice.pShowDistribution(expression).then(null);
+			})
+			.appendTo(document.body);
+	},
+
+	_doShowRollerDistButton (eleDice) {
+		clearTimeout(Renderer.dice._timeoutRollerDist);
+
+		if (!Renderer.dice._getRollerDistExpression(eleDice)) return Renderer.dice._doHideRollerDistButton();
+
+		Renderer.dice._eleRollerDist = eleDice;
+
+		const rect = eleDice.getBoundingClientRect();
+		Renderer.dice._get$BtnRollerDist()
+			.css({top: rect.top + window.scrollY, left: rect.right + window.scrollX + 2})
+			.removeClass("ve-hidden");
+	},
+
+	_doHideRollerDistButtonDebounced () {
+		clearTimeout(Renderer.dice._timeoutRollerDist);
+		Renderer.dice._timeoutRollerDist = setTimeout(() => Renderer.dice._doHideRollerDistButton(), Renderer.dice._ROLLER_DIST_HIDE_DELAY_MS);
+	},
+
+	_doHideRollerDistButton () {
+		clearTimeout(Renderer.dice._timeoutRollerDist);
+		Renderer.dice._eleRollerDist = null;
+		if (Renderer.dice._$btnRollerDist) Renderer.dice._$btnRollerDist.addClass("ve-hidden");
+	},
+	// endregion
+
+	/* -------------------------------------------- */
+
 	/**
 	 * Silently roll an expression and get the result.
 	 * Note that this does not support dynamic variables (e.g. user proficiency bonus).
@@ -188,6 +280,8 @@ Renderer.dice = {
 		$wrpRoll.on("click", ".out-roll-item-code", (evt) => Renderer.dice._$iptRoll.val($(evt.target).text()).focus());
 
 		Renderer.dice.storage = await StorageUtil.pGet(VeCt.STORAGE_ROLLER_MACRO) || {};
+		Renderer.dice._variables = await StorageUtil.pGet(VeCt.STORAGE_ROLLER_VARIABLES) || {};
+		Renderer.dice._scripts = await StorageUtil.pGet(VeCt.STORAGE_ROLLER_SCRIPT) || {};
 	},
 
 	_prevHistory () { Renderer.dice._histIndex--; Renderer.dice._prevNextHistory_load(); },
@@ -347,7 +441,15 @@ Renderer.dice = {
 
 	_pRollerClick_getMsgBug (total) { return `<span class="message">No result found matching roll ${total}?! <span class="help-subtle" title="Bug!">🐛</span></span>`; },
 
-	async pRollerClick (evtMock, ele, packed, name) {
+	/**
+	 * @param evtMock The click event, or an object with its `shiftKey`/`ctrlKey`/`metaKey` state.
+	 * @param ele The roller element.
+	 * @param packed The roller's packed dice data.
+	 * @param [name] The label for this roll.
+	 * @param [opts] Options object.
+	 * @param [opts.isCrit] If a damage roll should be rolled as a critical hit.
+	 */
+	async pRollerClick (evtMock, ele, packed, name, {isCrit = false} = {}) {
 		const $ele = $(ele);
 		const entry = JSON.parse(packed);
 		const additionalData = {...ele.dataset};
@@ -357,9 +459,10 @@ Renderer.dice = {
 			label: name != null ? name : Renderer.dice._pRollerClick_attemptToGetNameOfRoll({entry, $ele}),
 		};
 
-		const modRollMeta = Renderer.dice.getEventModifiedRollMeta(evtMock, entry);
+		const modRollMeta = Renderer.dice.getEventModifiedRollMeta(evtMock, entry, {isCrit});
 		const $parent = $ele.closest("th, p, table");
 
+		let isCritHit = false;
 		const rollResult = await this._pRollerClick_pGetResult({
 			$parent,
 			$ele,
@@ -367,8 +470,13 @@ Renderer.dice = {
 			modRollMeta,
 			rolledBy,
 			additionalData,
+			fnOnRoll: ({diceRolls}) => isCritHit = isCritHit || Renderer.dice.isNaturalTwenty(diceRolls),
 		});
 
+		if (rollResult != null && entry.context?.type === "hit" && Renderer.dice._getConfig("isAutoRollDamage")) {
+			await Renderer.dice._pRollerClick_pRollDamageAfterHit({$ele, isCrit: isCritHit});
+		}
+
 		if (!entry.autoRoll) return;
 
 		const $tgt = $ele.next(`[data-rd-is-autodice-result="true"]`);
@@ -377,11 +485,31 @@ Renderer.dice = {
 		JqueryUtil.showCopiedEffect($tgt, curTxt, true);
 	},
 
-	async _pRollerClick_pGetResult ({$parent, $ele, entry, modRollMeta, rolledBy, additionalData}) {
+	/** Roll the damage which follows an attack's hit roll, e.g. `Hit: 5 ({@damage 1d6 + 2}) slashing damage`. */
+	async _pRollerClick_pRollDamageAfterHit ({$ele, isCrit}) {
+		const elesRoller = $ele.closest("p, li, td").find(`.render-roller`).get();
+		const ixHit = elesRoller.indexOf($ele[0]);
+		if (!~ixHit) return;
+
+		for (const ele of elesRoller.slice(ixHit + 1)) {
+			const entry = $(ele).data("packed-dice");
+			if (!entry) continue;
+			// Stop at the next attack's hit roll, e.g. in a multiattack
+			if (entry.context?.type === "hit") break;
+			if (entry.subType !== "damage") continue;
+			// Skip damage which requires user input to roll
+			if (entry.prompt || entry.toRoll.includes(";") || entry.toRoll.includes("#$prompt")) continue;
+
+			await Renderer.dice.pRollerClick({}, ele, JSON.stringify(entry), null, {isCrit});
+		}
+	},
+
+	async _pRollerClick_pGetResult ({$parent, $ele, entry, modRollMeta, rolledBy, additionalData, fnOnRoll}) {
 		const sharedRollOpts = {
 			rollCount: modRollMeta.rollCount,
 			additionalData,
 			isHidden: !!entry.autoRoll,
+			fnOnRoll,
 		};
 
 		if ($parent.is("th") && $parent.attr("data-rd-isroller") === "true") {
@@ -539,29 +667,35 @@ Renderer.dice = {
 		return total;
 	},
 
-	getEventModifiedRollMeta (evt, entry) {
+	/**
+	 * @param evt The click event, or an object with its `shiftKey`/`ctrlKey`/`metaKey` state.
+	 * @param entry The roller's dice data, which is modified in place.
+	 * @param [opts] Options object.
+	 * @param [opts.isCrit] If a damage roll should be rolled as a critical hit, regardless of the keys held.
+	 */
+	getEventModifiedRollMeta (evt, entry, {isCrit = false} = {}) {
 		// Change roll type/count depending on CTRL/SHIFT status
 		const out = {rollCount: 1, entry};
 
-		if (evt.shiftKey) {
-			if (entry.subType === "damage") { // If SHIFT is held, roll crit
-				const dice = [];
-				// TODO(future) in order for this to correctly catch everything, would need to parse the toRoll as a tree and then pull all dice expressions from the first level of that tree
-				entry.toRoll
-					.replace(/\s+/g, "") // clean whitespace
-					.replace(/\d*?d\d+/gi, m0 => dice.push(m0));
-				entry.toRoll = `${entry.toRoll}${dice.length ? `+${dice.join("+")}` : ""}`;
-			} else if (entry.subType === "d20") { // If SHIFT is held, roll advantage
+		// By default, SHIFT rolls crits/advantage, and CTRL halves damage/rolls disadvantage
+		const isSwapKeys = Renderer.dice._getConfig("modifierKeys") === "ctrlAdvantage";
+		const isKeyAdvantage = isSwapKeys ? EventUtil.isCtrlMetaKey(evt) : !!evt.shiftKey;
+		const isKeyDisadvantage = isSwapKeys ? !!evt.shiftKey : EventUtil.isCtrlMetaKey(evt);
+
+		if (isKeyAdvantage || (isCrit && entry.subType === "damage")) {
+			if (entry.subType === "damage") { // Roll crit
+				entry.toRoll = Renderer.dice.getCritToRoll(entry.toRoll, Renderer.dice._getConfig("critRule"));
+			} else if (entry.subType === "d20") { // Roll advantage
 				// If we have a cached d20mod value, use it
 				if (entry.d20mod != null) entry.toRoll = `2d20dl1${entry.d20mod}`;
 				else entry.toRoll = entry.toRoll.replace(/^\s*1?\s*d\s*20/, "2d20dl1");
 			} else out.rollCount = 2; // otherwise, just roll twice
 		}
 
-		if (EventUtil.isCtrlMetaKey(evt)) {
-			if (entry.subType === "damage") { // If CTRL is held, half the damage
+		if (isKeyDisadvantage) {
+			if (entry.subType === "damage") { // Half the damage
 				entry.toRoll = `floor((${entry.toRoll}) / 2)`;
-			} else if (entry.subType === "d20") { // If CTRL is held, roll disadvantage (assuming SHIFT is not held)
+			} else if (entry.subType === "d20") { // Roll disadvantage (assuming advantage is not also being rolled)
 				// If we have a cached d20mod value, use it
 				if (entry.d20mod != null) entry.toRoll = `2d20dh1${entry.d20mod}`;
 				else entry.toRoll = entry.toRoll.replace(/^\s*1?\s*d\s*20/, "2d20dh1");
@@ -570,6 +704,47 @@ Renderer.dice = {
 
 		return out;
 	},
+
+	/**
+	 * @param diceRolls The individual dice rolled, as passed to roll listeners.
+	 * @return {boolean} If a d20 which was kept rolled a 20.
+	 */
+	isNaturalTwenty (diceRolls) {
+		return (diceRolls || []).some(({faces, rolls}) => faces === 20 && rolls.some(it => it.val === 20 && !it.isDropped));
+	},
+
+	/**
+	 * @param toRoll A damage roll.
+	 * @param [critRule] The "critRule" dice setting.
+	 */
+	getCritToRoll (toRoll, critRule = "double") {
+		const dice = [];
+		// TODO(future) in order for this to correctly catch everything, would need to parse the toRoll as a tree and then pull all dice expressions from the first level of that tree
+		toRoll
+			.replace(/\s+/g, "") // clean whitespace
+			.replace(/\d*?d\d+/gi, m0 => dice.push(m0));
+		if (!dice.length) return toRoll;
+
+		switch (critRule) {
+			case "maxDice": {
+				const max = dice
+					.map(it => {
+						const [num, faces] = it.toLowerCase().split("d");
+						return (num ? Number(num) : 1) * Number(faces);
+					})
+					.sum();
+				return `${toRoll}+${max}`;
+			}
+			case "doubleTotal": return `(${toRoll})*2`;
+			case "brutal": {
+				const facesMax = Math.max(...dice.map(it => Number(it.toLowerCase().split("d")[1])));
+				return `${toRoll}+${dice.join("+")}+1d${facesMax}`;
+			}
+			default: return `${toRoll}+${dice.join("+")}`;
+		}
+	},
+
+	_getConfig (configId) { return VetoolsConfig.get("dice", configId); },
 	// endregion
 
 	/**
@@ -600,11 +775,43 @@ Renderer.dice = {
 			str = tail.join(":");
 			rolledBy.label = head;
 		}
-		const wrpTree = Renderer.dice.lang.getTree3(str);
+		const wrpTree = Renderer.dice.lang.getTree3(Renderer.dice._getWithVariables(str));
 		if (!wrpTree) return Renderer.dice._SYMBOL_PARSE_FAILED;
 		return Renderer.dice._pHandleRoll2(wrpTree, rolledBy, opts);
 	},
 
+	// region Variables
+	_M_VARIABLE_NAME: /^[a-z_]+$/,
+	// Variables which replace a value the user would otherwise be prompted for
+	_VARIABLE_NAMES_PROMPTED: new Set(["pb", "summonspelllevel", "summonclasslevel"]),
+
+	_isValidVariableName (name) {
+		if (!Renderer.dice._M_VARIABLE_NAME.test(name)) return false;
+		if (Renderer.dice._VARIABLE_NAMES_PROMPTED.has(name)) return true;
+		// Disallow names which are part of the dice language, e.g. "floor" or "kh"
+		try {
+			Renderer.dice.lang._lex3(name);
+			return false;
+		} catch (e) {
+			return true;
+		}
+	},
+
+	/** Replace any user-defined variables in an expression with their values. */
+	_getWithVariables (str) {
+		const names = Object.keys(Renderer.dice._variables);
+		if (!names.length) return str;
+		return str.replace(
+			new RegExp(`\\b(${names.join("|")})\\b`, "gi"),
+			(...m) => `(${Renderer.dice._variables[m[1].toLowerCase()]})`,
+		);
+	},
+
+	async _pSaveVariables () {
+		await StorageUtil.pSet(VeCt.STORAGE_ROLLER_VARIABLES, Renderer.dice._variables);
+	},
+	// endregion
+
 	/**
 	 * Parse and roll an entry, and display the result in the roll box.
 	 * Returns the total rolled, if available.
@@ -652,6 +859,20 @@ Renderer.dice = {
 	async _pHandleRoll2 (wrpTree, rolledBy, opts) {
 		opts = {...opts};
 
+		if (!(await Renderer.dice._pMutUserVariables(wrpTree, opts))) return null;
+
+		if (Renderer.dice._isManualMode) return Renderer.dice._pHandleRoll2_manual(wrpTree.tree, rolledBy, opts);
+		else return Renderer.dice._pHandleRoll2_automatic(wrpTree.tree, rolledBy, opts);
+	},
+
+	/**
+	 * Prompt the user for any variables used by the expression, e.g. proficiency bonus.
+	 * @param wrpTree
+	 * @param opts Options object, to which the user-entered variables are added.
+	 * @param [opts.additionalData]
+	 * @return {Promise<boolean>} `false` if the user cancelled.
+	 */
+	async _pMutUserVariables (wrpTree, opts) {
 		if (wrpTree.meta && wrpTree.meta.hasPb) {
 			const userPb = await InputUiUtil.pGetUserNumber({
 				min: 0,
@@ -661,7 +882,7 @@ Renderer.dice = {
 				storageKey_default: "dice.playerProficiencyBonus",
 				isGlobal_default: true,
 			});
-			if (userPb == null) return null;
+			if (userPb == null) return false;
 			opts.pb = userPb;
 		}
 
@@ -676,7 +897,7 @@ Renderer.dice = {
 				title: "Enter Spell Level",
 				default: predefinedSpellLevel ?? 1,
 			});
-			if (userSummonSpellLevel == null) return null;
+			if (userSummonSpellLevel == null) return false;
 			opts.summonSpellLevel = userSummonSpellLevel;
 		}
 
@@ -691,12 +912,11 @@ Renderer.dice = {
 				title: "Enter Class Level",
 				default: predefinedClassLevel ?? 1,
 			});
-			if (userSummonClassLevel == null) return null;
+			if (userSummonClassLevel == null) return false;
 			opts.summonClassLevel = userSummonClassLevel;
 		}
 
-		if (Renderer.dice._isManualMode) return Renderer.dice._pHandleRoll2_manual(wrpTree.tree, rolledBy, opts);
-		else return Renderer.dice._pHandleRoll2_automatic(wrpTree.tree, rolledBy, opts);
+		return true;
 	},
 
 	/**
@@ -709,6 +929,7 @@ Renderer.dice = {
 	 * @param [opts.summonClassLevel] User-entered summon class level, to be propagated to the meta.
 	 * @param [opts.target] Generic target number (e.g. save DC, AC) to meet/beat.
 	 * @param [opts.isHidden] If the result should not be posted to the rollbox.
+	 * @param [opts.fnOnRoll] Function which is called with `{result, diceRolls}` once the roll is made.
 	 */
 	_pHandleRoll2_automatic (tree, rolledBy, opts) {
 		opts = opts || {};
@@ -743,6 +964,8 @@ Renderer.dice = {
 
 			const title = `${rolledBy.name ? `${rolledBy.name} \u2014 ` : ""}${lbl ? `${lbl}: ` : ""}${tree}`;
 
+			if (opts.fnOnRoll) opts.fnOnRoll({result, diceRolls: meta.diceRolls || []});
+
 			const message = opts.fnGetMessage ? opts.fnGetMessage(result) : null;
 			ExtensionUtil.doSendRoll({
 				dice: tree.toString(),
@@ -752,6 +975,14 @@ Renderer.dice = {
 			});
 
 			if (!opts.isHidden) {
+				Renderer.dice._doFireRollListeners({
+					dice: tree.toString(),
+					result,
+					rolledBy: rolledBy.name,
+					label: [lbl, message].filter(Boolean).join(" \u2013 "),
+					diceRolls: meta.diceRolls || [],
+				});
+
 				$out.append(`
 					<div class="out-roll-item" title="${title}">
 						<div>
@@ -762,6 +993,7 @@ Renderer.dice = {
 							${message ? `<span class="message">${message}</span>` : ""}
 						</div>
 						<div class="out-roll-item-button-wrp">
+							<button title="Show Probability Distribution" class="btn btn-default btn-xs btn-copy-roll mr-1" onclick="Renderer.dice.pShowDistribution('${tree.toString().replace(/\s+/g, "")}')"><span class="glyphicon glyphicon-stats"></span></button>
 							<button title="Copy to input" class="btn btn-default btn-xs btn-copy-roll" onclick="Renderer.dice._$iptRoll.val('${tree.toString().replace(/\s+/g, "")}'); Renderer.dice._$iptRoll.focus()"><span class="glyphicon glyphicon-pencil"></span></button>
 						</div>
 					</div>`);
@@ -779,11 +1011,36 @@ Renderer.dice = {
 		}
 	},
 
+	_rollListeners: [],
+
+	/**
+	 * @param listener Function which is called with `{dice, result, rolledBy, label, diceRolls}` for each roll posted to
+	 * the roll box. The `diceRolls` are the individual dice rolled, as `{faces, rolls}` groups, where each of the `rolls`
+	 * is `{val, isDropped, isRerolled, isExploded, isSuccess}`.
+	 */
+	addRollListener (listener) { Renderer.dice._rollListeners.push(listener); },
+
+	removeRollListener (listener) {
+		const ix = Renderer.dice._rollListeners.indexOf(listener);
+		if (~ix) Renderer.dice._rollListeners.splice(ix, 1);
+	},
+
+	_doFireRollListeners (roll) {
+		Renderer.dice._rollListeners.forEach(listener => {
+			try {
+				listener(roll);
+			} catch (e) { setTimeout(() => { throw e; }); }
+		});
+	},
+
 	_pHandleRoll2_manual (tree, rolledBy, opts) {
 		opts = opts || {};
 
 		if (!tree) return JqueryUtil.doToast({type: "danger", content: `Invalid roll input!`});
 
+		const handler = Renderer.dice._manualRollHandlers.last();
+		if (handler) return handler({tree, rolledBy, opts});
+
 		const title = (rolledBy.label || "").toTitleCase() || "Roll Dice";
 		const $dispDice = $(`<div class="p-2 bold ve-flex-vh-center rll__prompt-header">${tree.toString()}</div>`);
 		if (opts.isResultUsed) {
@@ -801,6 +1058,59 @@ Renderer.dice = {
 		}
 	},
 
+	// region Manual ("roll physically") mode
+	isManualMode () { return Renderer.dice._isManualMode; },
+
+	setManualMode (val) { Renderer.dice._isManualMode = !!val; },
+
+	/**
+	 * @param handler Function which is called with `{tree, rolledBy, opts}` for each roll made in manual mode, in place
+	 * of the default prompt, and which returns a promise resolving to the result entered by the user.
+	 */
+	addManualRollHandler (handler) { Renderer.dice._manualRollHandlers.push(handler); },
+
+	/** Manual mode is turned off once the last handler is removed, as it may have been turned on by any of them. */
+	removeManualRollHandler (handler) {
+		const ix = Renderer.dice._manualRollHandlers.indexOf(handler);
+		if (!~ix) return;
+		Renderer.dice._manualRollHandlers.splice(ix, 1);
+		if (!Renderer.dice._manualRollHandlers.length) Renderer.dice.setManualMode(false);
+	},
+
+	/**
+	 * Evaluate an expression using die values entered by the user, rather than rolling.
+	 * @param tree
+	 * @param vals The value of each die, in the order the dice are rolled. Dice without a value are treated as not yet
+	 * rolled, and do not trigger any rerolls or explosions.
+	 * @param [meta] Any user-entered variables, e.g. `pb`.
+	 * @return {{result: ?number, diceRolls: Array}} The `result` is `null` until every die required has a value; the
+	 * `diceRolls` are as passed to roll listeners, with `NaN` values for dice not yet rolled.
+	 */
+	getManualResult (tree, vals, meta = {}) {
+		meta = {...meta, isSilent: true};
+
+		let ixDie = 0;
+		let isComplete = true;
+		Renderer.dice._fnGetManualDieValue = faces => {
+			const val = vals[ixDie++];
+			if (val != null && Number.isInteger(val) && val >= 1 && val <= faces) return val;
+			isComplete = false;
+			return NaN;
+		};
+
+		try {
+			const result = tree.evl(meta);
+			return {result: isComplete ? result : null, diceRolls: meta.diceRolls || []};
+		} catch (e) {
+			// e.g. the number of dice to roll is itself a roll, which has not yet been entered
+			if (isComplete) throw e;
+			return {result: null, diceRolls: meta.diceRolls || []};
+		} finally {
+			Renderer.dice._fnGetManualDieValue = null;
+		}
+	},
+	// endregion
+
 	_showMessage (message, rolledBy) {
 		Renderer.dice._showBox();
 		Renderer.dice._checkHandleName(rolledBy.name);
@@ -813,9 +1123,77 @@ Renderer.dice = {
 		Renderer.dice._showMessage("Invalid input! Try &quot;/help&quot;", Renderer.dice.SYSTEM_USER);
 	},
 
-	_validCommands: new Set(["/c", "/cls", "/clear", "/iterroll"]),
+	_DIST_MAX_ROWS: 40,
+
+	/**
+	 * Calculate the probability distribution of an expression, and display it in the roll box.
+	 * @param str The expression.
+	 */
+	async pShowDistribution (str) {
+		const wrpTree = Renderer.dice.lang.getTree3(str);
+		if (!wrpTree) return Renderer.dice._showInvalid();
+
+		const opts = {};
+		if (!(await Renderer.dice._pMutUserVariables(wrpTree, opts))) return;
+
+		let distMeta;
+		try {
+			distMeta = await Renderer.dice.distribution.pGetDistribution(
+				wrpTree.tree,
+				{pb: opts.pb, summonSpellLevel: opts.summonSpellLevel, summonClassLevel: opts.summonClassLevel},
+			);
+		} catch (e) {
+			Renderer.dice._showMessage(`Could not calculate distribution: ${e.message.escapeQuotes()}`, Renderer.dice.SYSTEM_USER);
+			return;
+		}
+
+		Renderer.dice.addElement({rolledBy: Renderer.dice.SYSTEM_USER, $ele: Renderer.dice._getDistribution$Ele(wrpTree.tree, distMeta)});
+	},
+
+	_getDistribution$Ele (tree, {dist, isExact, cntSamples}) {
+		const {mean, stdev, min, max} = Renderer.dice.distribution.getStats(dist);
+		const fmt = num => Number(num.toFixed(2)).toLocaleString();
+		const fmtPercent = prob => `${Number((prob * 100).toFixed(2))}%`;
+
+		const vals = [...dist.keys()].sort(SortUtil.ascSort);
+		// Group consecutive results, so that wide distributions remain readable
+		const rowSize = Math.ceil(vals.length / Renderer.dice._DIST_MAX_ROWS);
+		const rows = [];
+		for (let i = 0; i < vals.length; i += rowSize) rows.push(vals.slice(i, i + rowSize));
+		const rowMetas = rows.map(rowVals => ({
+			lbl: rowVals.length === 1 ? fmt(rowVals[0]) : `${fmt(rowVals[0])}–${fmt(rowVals.last())}`,
+			prob: rowVals.map(val => dist.get(val)).sum(),
+			probAtLeast: Renderer.dice.distribution.getProbAtLeast(dist, rowVals[0]),
+		}));
+		const probMax = Math.max(...rowMetas.map(({prob}) => prob));
+
+		const $iptTarget = $(`<input class="form-control input-xs form-control--minimal rll__dist-ipt-target" type="number" value="${Math.round(mean)}">`);
+		const $dispAtLeast = $(`<span class="bold"></span>`);
+		const hkTarget = () => {
+			const target = Number($iptTarget.val());
+			$dispAtLeast.text(isNaN(target) ? "—" : fmtPercent(Renderer.dice.distribution.getProbAtLeast(dist, target)));
+		};
+		$iptTarget.on("change keyup", () => hkTarget());
+		hkTarget();
+
+		return $$`<div class="ve-flex-col">
+			<div class="bold">${tree.toString()}</div>
+			<div>Mean <b>${fmt(mean)}</b>, SD <b>${fmt(stdev)}</b>, range <b>${fmt(min)}–${fmt(max)}</b></div>
+			${isExact ? "" : `<div class="italic ve-muted">Estimated from ${cntSamples.toLocaleString()} rolls</div>`}
+			<div class="ve-flex-v-center my-1">P(&geq;${$iptTarget}) = ${$dispAtLeast}</div>
+			<div class="ve-flex-col">
+				${rowMetas.map(({lbl, prob, probAtLeast}) => `<div class="ve-flex-v-center rll__dist-row" title="P(=${lbl}) = ${fmtPercent(prob)}">
+					<div class="rll__dist-lbl">${lbl}</div>
+					<div class="rll__dist-wrp-bar"><div class="rll__dist-bar" style="width: ${(prob / probMax) * 100}%"></div></div>
+					<div class="rll__dist-prob ve-muted">${fmtPercent(probAtLeast)}</div>
+				</div>`).join("")}
+			</div>
+		</div>`;
+	},
+
+	_validCommands: new Set(["/c", "/cls", "/clear", "/iterroll", "/dist"]),
 	async _pHandleCommand (com, rolledBy) {
-		Renderer.dice._showMessage(`<span class="out-roll-item-code">${com}</span>`, rolledBy); // parrot the user's command back to them
+		Renderer.dice._showMessage(`<span class="out-roll-item-code">${com.qq()}</span>`, rolledBy); // parrot the user's command back to them
 
 		const comParsed = Renderer.dice._getParsedCommand(com);
 		const [comOp] = comParsed;
@@ -865,7 +1243,12 @@ Use <span class="out-roll-item-code">/macro list</span> to list saved macros.<br
 				Use <span class="out-roll-item-code">/macro add myName 1d2+3</span> to add (or update) a macro. Macro names should not contain spaces or hashes.<br>
 				Use <span class="out-roll-item-code">/macro remove myName</span> to remove a macro.<br>
 				Use <span class="out-roll-item-code">#myName</span> to roll a macro.<br>
-				Use <span class="out-roll-item-code">/iterroll roll count [target]</span> to roll multiple times, optionally against a target.
+				Use <span class="out-roll-item-code">/set str=4</span> to set a variable, which can then be used in rolls (<span class="out-roll-item-code">1d20+str</span>). Setting <span class="out-roll-item-code">pb</span> skips the proficiency bonus prompt.<br>
+				Use <span class="out-roll-item-code">/set</span> to list variables, and <span class="out-roll-item-code">/unset str</span> to remove a variable.<br>
+				Use <span class="out-roll-item-code">/script add myName</span> to write (or edit) a script of several rolls, one per line, e.g. <span class="out-roll-item-code">Longsword Hit: 1d20+str+pb</span><br>
+				Use <span class="out-roll-item-code">/script run myName</span> to roll every line of a script, and <span class="out-roll-item-code">/script list</span> or <span class="out-roll-item-code">/script remove myName</span> to manage scripts.<br>
+				Use <span class="out-roll-item-code">/iterroll roll count [target]</span> to roll multiple times, optionally against a target.<br>
+				Use <span class="out-roll-item-code">/dist 4d6dl1</span> to show the probability distribution of a roll.<br>
 				Use <span class="out-roll-item-code">/clear</span> to clear the roller.`,
 				Renderer.dice.SYSTEM_USER,
 			);
@@ -919,6 +1302,110 @@ Use <span class="out-roll-item-code">/macro list</span> to list saved macros.<br
 			return;
 		}
 
+		if (comOp === "/set") {
+			const [, ...others] = comParsed;
+
+			if (!others.length) {
+				const names = Object.keys(Renderer.dice._variables).sort(SortUtil.ascSortLower);
+				if (!names.length) Renderer.dice._showMessage(`No variables set`, Renderer.dice.SYSTEM_USER);
+				names.forEach(name => {
+					Renderer.dice._showMessage(`<span class="out-roll-item-code">${name.qq()}</span> = ${Renderer.dice._variables[name]}`, Renderer.dice.SYSTEM_USER);
+				});
+				return;
+			}
+
+			const [name, val, ...rest] = others.join("").split("=");
+			if (rest.length || !name || !val || isNaN(val)) return Renderer.dice._showInvalid();
+
+			const nameClean = name.toLowerCase();
+			if (!Renderer.dice._isValidVariableName(nameClean)) {
+				Renderer.dice._showMessage(`Variable names should contain only letters and underscores, and should not be part of the dice syntax (e.g. <span class="out-roll-item-code">d</span> or <span class="out-roll-item-code">floor</span>).`, Renderer.dice.SYSTEM_USER);
+				return;
+			}
+
+			Renderer.dice._variables[nameClean] = Number(val);
+			await Renderer.dice._pSaveVariables();
+			Renderer.dice._showMessage(`Set <span class="out-roll-item-code">${nameClean.qq()}</span> = ${Number(val)}`, Renderer.dice.SYSTEM_USER);
+			return;
+		}
+
+		if (comOp === "/unset") {
+			const [, name, ...others] = comParsed;
+
+			if (!name || others.length) return Renderer.dice._showInvalid();
+
+			const nameClean = name.toLowerCase();
+			if (Renderer.dice._variables[nameClean] == null) {
+				Renderer.dice._showMessage(`Variable <span class="out-roll-item-code">${nameClean.qq()}</span> not found`, Renderer.dice.SYSTEM_USER);
+				return;
+			}
+
+			delete Renderer.dice._variables[nameClean];
+			await Renderer.dice._pSaveVariables();
+			Renderer.dice._showMessage(`Removed variable <span class="out-roll-item-code">${nameClean.qq()}</span>`, Renderer.dice.SYSTEM_USER);
+			return;
+		}
+
+		if (comOp === "/script") {
+			const [, mode, ...others] = comParsed;
+
+			if (!["list", "add", "remove", "run"].includes(mode)) Renderer.dice._showInvalid();
+			else {
+				switch (mode) {
+					case "list":
+						if (!others.length) {
+							const names = Object.keys(Renderer.dice._scripts);
+							if (!names.length) Renderer.dice._showMessage(`No scripts saved`, Renderer.dice.SYSTEM_USER);
+							names.forEach(name => {
+								Renderer.dice._showMessage(`<span class="out-roll-item-code">/script run ${name.qq()}</span> \u2014 ${Renderer.dice._scripts[name].split("\n").filter(it => it.trim()).length} line(s)`, Renderer.dice.SYSTEM_USER);
+							});
+						} else {
+							Renderer.dice._showInvalid();
+						}
+						break;
+					case "add": {
+						if (others.length === 1) {
+							const [name] = others;
+							if (name.includes("#")) Renderer.dice._showInvalid();
+							else {
+								const script = await InputUiUtil.pGetUserText({
+									title: `Script: ${name}`,
+									default: Renderer.dice._scripts[name] || `Attack: 1d20+5\nDamage: 1d8+3`,
+									isCode: true,
+								});
+								if (script == null) return;
+
+								Renderer.dice._scripts[name] = script;
+								await Renderer.dice._pSaveScripts();
+								Renderer.dice._showMessage(`Saved script <span class="out-roll-item-code">/script run ${name.qq()}</span>`, Renderer.dice.SYSTEM_USER);
+							}
+						} else {
+							Renderer.dice._showInvalid();
+						}
+						break;
+					}
+					case "remove":
+						if (others.length === 1) {
+							if (Renderer.dice._scripts[others[0]]) {
+								delete Renderer.dice._scripts[others[0]];
+								await Renderer.dice._pSaveScripts();
+								Renderer.dice._showMessage(`Removed script <span class="out-roll-item-code">${others[0].qq()}</span>`, Renderer.dice.SYSTEM_USER);
+							} else {
+								Renderer.dice._showMessage(`Script <span class="out-roll-item-code">${others[0].qq()}</span> not found`, Renderer.dice.SYSTEM_USER);
+							}
+						} else {
+							Renderer.dice._showInvalid();
+						}
+						break;
+					case "run":
+						if (others.length === 1) await Renderer.dice._pHandleScript(others[0]);
+						else Renderer.dice._showInvalid();
+						break;
+				}
+			}
+			return;
+		}
+
 		if (Renderer.dice._validCommands.has(comOp)) {
 			switch (comOp) {
 				case "/c":
@@ -929,6 +1416,12 @@ Use <span class="out-roll-item-code">/macro list</span> to list saved macros.<br
 					Renderer.dice._$lastRolledBy = null;
 					return;
 
+				case "/dist": {
+					const [, ...expParts] = comParsed;
+					if (!expParts.length) return Renderer.dice._showInvalid();
+					return Renderer.dice.pShowDistribution(Renderer.dice._getWithVariables(expParts.join(" ")));
+				}
+
 				case "/iterroll": {
 					let [, exp, count, target] = comParsed;
 
@@ -962,6 +1455,34 @@ Use <span class="out-roll-item-code">/macro list</span> to list saved macros.<br
 		await StorageUtil.pSet(VeCt.STORAGE_ROLLER_MACRO, Renderer.dice.storage);
 	},
 
+	async _pSaveScripts () {
+		await StorageUtil.pSet(VeCt.STORAGE_ROLLER_SCRIPT, Renderer.dice._scripts);
+	},
+
+	/**
+	 * Roll each line of a script. The rolls are made in the script's name, so are grouped together in the roll box.
+	 */
+	async _pHandleScript (name) {
+		const script = Renderer.dice._scripts[name];
+		if (!script) return Renderer.dice._showMessage(`Script <span class="out-roll-item-code">${name.qq()}</span> not found`, Renderer.dice.SYSTEM_USER);
+
+		const lines = script
+			.split("\n")
+			.map(line => line.trim())
+			.filter(line => line && !line.startsWith("//"));
+
+		for (const line of lines) {
+			// Avoid commands and macros, which could run this script again
+			const result = line.startsWith("/") || line.startsWith("#")
+				? Renderer.dice._SYMBOL_PARSE_FAILED
+				: await Renderer.dice.pRoll2(line, {name});
+
+			if (result === Renderer.dice._SYMBOL_PARSE_FAILED) {
+				Renderer.dice._showMessage(`Invalid line: <span class="out-roll-item-code">${line.qq()}</span>`, {name});
+			}
+		}
+	},
+
 	_getParsedCommand (str) {
 		// TODO(Future) this is probably too naive
 		return str.split(/\s+/);
@@ -972,7 +1493,7 @@ Use <span class="out-roll-item-code">/macro list</span> to list saved macros.<br
 		const macro = Renderer.dice.storage[id];
 		if (macro) {
 			rolledBy.label = id;
-			const wrpTree = Renderer.dice.lang.getTree3(macro);
+			const wrpTree = Renderer.dice.lang.getTree3(Renderer.dice._getWithVariables(macro));
 			return Renderer.dice._pHandleRoll2(wrpTree, rolledBy, opts);
 		} else Renderer.dice._showMessage(`Macro <span class="out-roll-item-code">#${id}</span> not found`, Renderer.dice.SYSTEM_USER);
 	},
@@ -1015,7 +1536,7 @@ Use <span class="out-roll-item-code">/macro list</span> to list saved macros.<br
 
 	_checkHandleName (name) {
 		if (!Renderer.dice._$lastRolledBy || Renderer.dice._$lastRolledBy.data("name") !== name) {
-			Renderer.dice._$outRoll.prepend(`<div class="ve-muted out-roll-id">${name}</div>`);
+			Renderer.dice._$outRoll.prepend(`<div class="ve-muted out-roll-id">${`${name ?? ""}`.qq()}</div>`);
 			Renderer.dice._$lastRolledBy = $(`<div class="out-roll-wrp"></div>`).data("name", name);
 			Renderer.dice._$outRoll.prepend(Renderer.dice._$lastRolledBy);
 		}
@@ -1028,6 +1549,294 @@ Renderer.dice.util = {
 	},
 };
 
+/**
+ * Probability distributions of expression results. A distribution is a `Map` of result value to probability.
+ * Calculations which would be too expensive return `null`, in which case the distribution is instead estimated by
+ * repeatedly rolling the expression.
+ */
+Renderer.dice.distribution = {
+	_MAX_OUTCOMES: 10000, // distinct results in a distribution
+	_MAX_OPERATIONS: 1000000, // pairwise combinations when combining two distributions, or enumerated sets of rolls
+	_MAX_EXPLODE_DEPTH: 50,
+	_EPSILON: 1e-12,
+	_MONTE_CARLO_SAMPLES: 20000,
+	_MONTE_CARLO_TIME_LIMIT_MS: 1000,
+	_MONTE_CARLO_CHUNK_MS: 15, // time spent sampling before yielding to the UI thread
+
+	/**
+	 * @param tree The parsed expression.
+	 * @param [meta] Variables used by the expression, e.g. `pb`.
+	 * @return {Promise<{dist: Map<number, number>, isExact: boolean, cntSamples: ?number}>}
+	 */
+	async pGetDistribution (tree, meta = {}) {
+		const dist = tree.dst({...meta});
+		if (dist) return {dist, isExact: true, cntSamples: null};
+
+		const counts = new Map();
+		const timeStart = Date.now();
+		let timeChunkStart = timeStart;
+		let cntSamples = 0;
+		for (; cntSamples < Renderer.dice.distribution._MONTE_CARLO_SAMPLES; ++cntSamples) {
+			if (cntSamples % 100 === 0) {
+				if (Date.now() - timeStart > Renderer.dice.distribution._MONTE_CARLO_TIME_LIMIT_MS) break;
+				if (Date.now() - timeChunkStart > Renderer.dice.distribution._MONTE_CARLO_CHUNK_MS) {
+					await MiscUtil.pDelay(0);
+					timeChunkStart = Date.now();
+				}
+			}
+			const val = tree.evl({...meta, isSilent: true});
+			counts.set(val, (counts.get(val) || 0) + 1);
+		}
+
+		return {
+			dist: Renderer.dice.distribution._getMapped(counts, cnt => cnt / cntSamples, {isMapProbabilities: true}),
+			isExact: false,
+			cntSamples,
+		};
+	},
+
+	/** @return {{mean: number, stdev: number, min: number, max: number}} */
+	getStats (dist) {
+		let mean = 0;
+		dist.forEach((p, val) => mean += val * p);
+		let variance = 0;
+		dist.forEach((p, val) => variance += p * ((val - mean) ** 2));
+		const vals = [...dist.keys()];
+		return {mean, stdev: Math.sqrt(variance), min: Math.min(...vals), max: Math.max(...vals)};
+	},
+
+	/** @return {number} The probability of a result greater than or equal to `target`. */
+	getProbAtLeast (dist, target) {
+		let out = 0;
+		dist.forEach((p, val) => { if (val >= target) out += p; });
+		return Math.min(out, 1);
+	},
+
+	/* -------------------------------------------- */
+
+	getConstant (val) { return new Map([[val, 1]]); },
+
+	getDie (faces) {
+		const out = new Map();
+		for (let i = 1; i <= faces; ++i) out.set(i, 1 / faces);
+		return out;
+	},
+
+	/** @return {?number} The only value in the distribution, if the distribution is a constant. */
+	getConstantValue (dist) {
+		if (!dist || dist.size !== 1) return null;
+		return dist.keys().next().value;
+	},
+
+	getMapped (dist, fn) {
+		if (!dist) return null;
+		return Renderer.dice.distribution._getMapped(dist, fn);
+	},
+
+	_getMapped (dist, fn, {isMapProbabilities = false} = {}) {
+		const out = new Map();
+		dist.forEach((p, val) => {
+			if (isMapProbabilities) return out.set(val, fn(p));
+			const valNxt = fn(val);
+			out.set(valNxt, (out.get(valNxt) || 0) + p);
+		});
+		return out;
+	},
+
+	/** Combine two independent distributions. */
+	getCombined (distA, distB, fn) {
+		if (!distA || !distB) return null;
+		if (distA.size * distB.size > Renderer.dice.distribution._MAX_OPERATIONS) return null;
+
+		const out = new Map();
+		distA.forEach((pA, valA) => {
+			distB.forEach((pB, valB) => {
+				const val = fn(valA, valB);
+				out.set(val, (out.get(val) || 0) + pA * pB);
+			});
+		});
+		return out.size > Renderer.dice.distribution._MAX_OUTCOMES ? null : out;
+	},
+
+	/** The distribution of the sum of `cnt` independent results of `dist`. */
+	getSumRepeated (dist, cnt) {
+		if (!dist) return null;
+
+		let out = Renderer.dice.distribution.getConstant(0);
+		let distPow = dist;
+		// Exponentiation by squaring
+		while (cnt > 0) {
+			if (cnt & 1) out = Renderer.dice.distribution.getCombined(out, distPow, (a, b) => a + b);
+			cnt >>= 1;
+			if (cnt) distPow = Renderer.dice.distribution.getCombined(distPow, distPow, (a, b) => a + b);
+			if (!out || !distPow) return null;
+		}
+		return out;
+	},
+
+	/** Weight the distributions returned by `fnGetDist` for each value of `dist`. */
+	getMixture (dist, fnGetDist) {
+		if (!dist) return null;
+
+		const out = new Map();
+		for (const [val, p] of dist) {
+			const distSub = fnGetDist(val);
+			if (!distSub) return null;
+			distSub.forEach((pSub, valSub) => out.set(valSub, (out.get(valSub) || 0) + p * pSub));
+		}
+		return out.size > Renderer.dice.distribution._MAX_OUTCOMES ? null : out;
+	},
+
+	/**
+	 * Enumerate every set of `cnt` independent results of `dist`, ignoring order.
+	 * @param dist
+	 * @param cnt
+	 * @param fnGetVal Function which takes a (descending) array of values, and returns the result for that set.
+	 */
+	getEnumerated (dist, cnt, fnGetVal) {
+		if (!dist) return null;
+
+		const outcomes = [...dist.entries()]
+			.filter(([, p]) => p > 0)
+			.sort(([valA], [valB]) => valB - valA);
+
+		// Number of multisets of size `cnt` from `outcomes.length` values
+		let cntSets = 1;
+		for (let i = 1; i <= cnt; ++i) {
+			cntSets = cntSets * (outcomes.length - 1 + i) / i;
+			if (cntSets > Renderer.dice.distribution._MAX_OPERATIONS) return null;
+		}
+
+		const logFactorials = [0];
+		for (let i = 1; i <= cnt; ++i) logFactorials[i] = logFactorials[i - 1] + Math.log(i);
+
+		const out = new Map();
+		const vals = [];
+		const recurse = (ixOutcome, remaining, logP) => {
+			if (ixOutcome === outcomes.length - 1 || !remaining) {
+				const [valLast, pLast] = outcomes[ixOutcome];
+				for (let i = 0; i < remaining; ++i) vals.push(valLast);
+				const p = Math.exp(logP - logFactorials[remaining] + remaining * Math.log(pLast));
+				const val = fnGetVal([...vals]);
+				out.set(val, (out.get(val) || 0) + p);
+				for (let i = 0; i < remaining; ++i) vals.pop();
+				return;
+			}
+
+			const [val, p] = outcomes[ixOutcome];
+			for (let c = 0; c <= remaining; ++c) {
+				recurse(ixOutcome + 1, remaining - c, logP - logFactorials[c] + c * Math.log(p));
+				vals.push(val);
+			}
+			for (let c = 0; c <= remaining; ++c) vals.pop();
+		};
+		recurse(0, cnt, logFactorials[cnt]);
+
+		return out.size > Renderer.dice.distribution._MAX_OUTCOMES ? null : out;
+	},
+
+	/**
+	 * Enumerate every combination of results of independent distributions.
+	 * @param dists
+	 * @param fnGetVal Function which takes an array of values, one per distribution, and returns the result.
+	 */
+	getEnumeratedProduct (dists, fnGetVal) {
+		if (dists.some(dist => !dist)) return null;
+
+		let combos = [{vals: [], p: 1}];
+		for (const dist of dists) {
+			if (combos.length * dist.size > Renderer.dice.distribution._MAX_OPERATIONS) return null;
+			combos = combos.flatMap(({vals, p}) => [...dist].map(([val, pVal]) => ({vals: [...vals, val], p: p * pVal})));
+		}
+
+		const out = new Map();
+		combos.forEach(({vals, p}) => {
+			const val = fnGetVal(vals);
+			out.set(val, (out.get(val) || 0) + p);
+		});
+		return out.size > Renderer.dice.distribution._MAX_OUTCOMES ? null : out;
+	},
+
+	/** The distribution of a single die which is rerolled once if its result matches `fnPartition`. */
+	getRerolled (dist, fnPartition) {
+		let pReroll = 0;
+		dist.forEach((p, val) => { if (fnPartition(val)) pReroll += p; });
+
+		const out = new Map();
+		dist.forEach((p, val) => out.set(val, (fnPartition(val) ? 0 : p) + pReroll * p));
+		return out;
+	},
+
+	/** The distribution of the total of a single die which is rolled again while its result matches `fnPartition`. */
+	getExploded (dist, fnPartition) {
+		let pExplode = 0;
+		dist.forEach((p, val) => { if (fnPartition(val)) pExplode += p; });
+		if (pExplode >= 1) return null;
+
+		let depth = 0;
+		for (let pRemaining = pExplode; pRemaining > Renderer.dice.distribution._EPSILON; pRemaining *= pExplode) {
+			if (++depth > Renderer.dice.distribution._MAX_EXPLODE_DEPTH) return null;
+		}
+
+		// Expand from the deepest explosion outwards, ignoring the negligible chance of exploding further
+		let out = new Map();
+		for (let i = 0; i <= depth; ++i) {
+			const outNxt = new Map();
+			dist.forEach((p, val) => {
+				if (!fnPartition(val) || i === 0) return outNxt.set(val, (outNxt.get(val) || 0) + p);
+				out.forEach((pSub, valSub) => outNxt.set(val + valSub, (outNxt.get(val + valSub) || 0) + p * pSub));
+			});
+			out = outNxt;
+			if (out.size > Renderer.dice.distribution._MAX_OUTCOMES) return null;
+		}
+
+		const pTotal = [...out.values()].sum();
+		return Renderer.dice.distribution._getMapped(out, p => p / pTotal, {isMapProbabilities: true});
+	},
+};
+
+/**
+ * The dice language.
+ *
+ * Before lexing, the input is lowercased and stripped of whitespace, and some alternate notation is normalized, e.g.
+ * "plus" to "+", "×" to "*", "**" to "^", and "--" to "+". The remaining input is then parsed according to the
+ * following grammar (EBNF):
+ *
+ *   expression = [ "+" | "-" ], term, { ( "+" | "-" ), term } ;
+ *   term       = exponent, { ( "*" | "/" ), exponent } ;
+ *   exponent   = dice, { "^", dice } ;
+ *   dice       = ( factor | "d", factor, [ modifiers ] ), { "d", factor, [ modifiers ] } ;
+ *   factor     = number
+ *              | "pb" | "summonspelllevel" | "summonclasslevel"
+ *              | function1, "(", expression, ")"
+ *              | "pow", "(", expression, ",", expression, ")"
+ *              | ( "max" | "min" ), "(", expression, { ",", expression }, ")"
+ *              | "(", expression, ")"
+ *              | "{", expression, { ",", expression }, "}", [ modifiers ] ;
+ *   function1  = "floor" | "ceil" | "round" | "trunc" | "sign" | "abs" | "cbrt" | "sqrt" | "exp" | "log" | "random"
+ *              | "avg" | "dmax" | "dmin" ;
+ *   modifiers  = modifier, { modifier } ;
+ *   modifier   = ( "kh" | "kl" | "dh" | "dl" ), [ factor ]
+ *              | ( "r" | "x" ), [ ">" | ">=" | "<" | "<=" ], factor
+ *              | ( "cs" | "ms" ), ( "=" | ">" | ">=" | "<" | "<=" ), factor ;
+ *   number     = digit, { digit }, [ ".", { digit } ] ;
+ *
+ * Notes:
+ * - Operators, from lowest to highest precedence, are: "+"/"-"; "*"/"/"; "^" (right-associative); "d". A sign may
+ *   only lead an expression, e.g. `2*(-1)` rather than `2*-1`.
+ * - A leading "d" rolls a single die, e.g. `d20` is `1d20`. Chained dice use the result of each roll as the number of
+ *   dice for the next, e.g. `2d4d6`.
+ * - Modifiers are applied in the order given. Keep/drop modifiers default to 1 die, e.g. `2d20kh` is `2d20kh1`.
+ *   Rerolls ("r") reroll each matching die once; explosions ("x") roll an additional die for each matching die,
+ *   including any additional dice. Dice which are dropped or rerolled are not counted in the result.
+ * - "cs" makes the result the number of dice which meet the condition, and "ms" the margin by which the total of
+ *   the dice meets it, e.g. `4d6ms>=12`.
+ * - Pools ("{...}") treat the result of each expression as a die, so may be modified in the same way, e.g.
+ *   `{1d20+5, 1d20+3}kh`.
+ * - "avg", "dmax", and "dmin" evaluate their expression using the average, maximum, and minimum of each die.
+ * - Outside of pools and multi-argument functions, numbers may use commas as thousands separators, e.g. `1,000`.
+ * - Any input following a complete expression is ignored.
+ */
 Renderer.dice.lang = {
 	// region Public API
 	validate3 (str) {
@@ -1454,7 +2263,7 @@ Renderer.dice.lang = {
 	},
 
 	_parse3__dice_modifiers_nxtFactor (self, nxtSym) {
-		if (nxtSym.diceModifierImplicit == null) return this._parse3_factor(self, {isSilent: true});
+		if (nxtSym.diceModifierImplicit == null) return this._parse3_factor(self);
 
 		const fallback = new Renderer.dice.parsed.Factor(Renderer.dice.tk.NUMBER(nxtSym.diceModifierImplicit));
 		if (self.sym == null) return fallback;
@@ -1610,10 +2419,12 @@ Renderer.dice.AbstractSymbol = class {
 	avg (meta) { this.meta = meta; return this._avg(meta); }
 	min (meta) { this.meta = meta; return this._min(meta); } // minimum value of all _rolls_, not the minimum possible result
 	max (meta) { this.meta = meta; return this._max(meta); } // maximum value of all _rolls_, not the maximum possible result
+	dst (meta) { this.meta = meta; return this._dst(meta); } // probability distribution of the result, or `null` if infeasible
 	_evl () { throw new Error("Unimplemented!"); }
 	_avg () { throw new Error("Unimplemented!"); }
 	_min () { throw new Error("Unimplemented!"); } // minimum value of all _rolls_, not the minimum possible result
 	_max () { throw new Error("Unimplemented!"); } // maximum value of all _rolls_, not the maximum possible result
+	_dst () { throw new Error("Unimplemented!"); }
 	toString () { throw new Error("Unimplemented!"); }
 	addToMeta (meta, {text, html = null, md = null} = {}) {
 		if (!meta) return;
@@ -1697,7 +2508,10 @@ Renderer.dice.parsed = {
 					}
 
 					const toReroll = valsAlive.filter(val => fnPartition(val.val, modNum));
-					toReroll.forEach(val => val.isDropped = true);
+					toReroll.forEach(val => {
+						val.isDropped = true;
+						val.isRerolled = true;
+					});
 
 					const nuVals = opts.fnGetRerolls(toReroll);
 
@@ -1739,7 +2553,7 @@ Renderer.dice.parsed = {
 						displayVals.push(...nuVals);
 					} while (tries-- > 0 && vals.length !== lastLen);
 
-					if (!~tries) JqueryUtil.doToast({type: "warning", content: `Stopped exploding after 999 additional rolls.`});
+					if (!~tries && !meta?.isSilent) JqueryUtil.doToast({type: "warning", content: `Stopped exploding after 999 additional rolls.`});
 
 					break;
 				}
@@ -1815,6 +2629,74 @@ Renderer.dice.parsed = {
 		return displayVals;
 	},
 
+	_getDistFnPartition (modSym) {
+		switch (modSym.type) {
+			case Renderer.dice.tk.REROLL_EXACT.type:
+			case Renderer.dice.tk.EXPLODE_EXACT.type: return Renderer.dice.parsed._PARTITION_EQ;
+			case Renderer.dice.tk.REROLL_GT.type:
+			case Renderer.dice.tk.EXPLODE_GT.type: return Renderer.dice.parsed._PARTITION_GT;
+			case Renderer.dice.tk.REROLL_GTEQ.type:
+			case Renderer.dice.tk.EXPLODE_GTEQ.type: return Renderer.dice.parsed._PARTITION_GTEQ;
+			case Renderer.dice.tk.REROLL_LT.type:
+			case Renderer.dice.tk.EXPLODE_LT.type: return Renderer.dice.parsed._PARTITION_LT;
+			case Renderer.dice.tk.REROLL_LTEQ.type:
+			case Renderer.dice.tk.EXPLODE_LTEQ.type: return Renderer.dice.parsed._PARTITION_LTEQ;
+			default: return null;
+		}
+	},
+
+	_isDistRerollMod (mod) { return mod.modSym.type.startsWith("REROLL"); },
+	_isDistExplodeMod (mod) { return mod.modSym.type.startsWith("EXPLODE"); },
+
+	/** Get the result of a set of rolls after the given modifiers, which must not roll further dice, are applied. */
+	_getDistModifiedResult (vals, nodeMod, mods, faces) {
+		const rolls = vals.map(val => ({val}));
+		Renderer.dice.parsed._handleModifiers("avg", {}, rolls, {mods}, {faces});
+		if (nodeMod.isSuccessMode) return rolls.filter(it => !it.isDropped && it.isSuccess).length;
+		return rolls.filter(it => !it.isDropped).map(it => it.val).sum();
+	},
+
+	/**
+	 * @param dist The distribution of each die.
+	 * @param cnt The number of dice.
+	 * @param nodeMod The dice modifiers, if any.
+	 * @param faces
+	 */
+	_getDistModified ({dist, cnt, nodeMod, faces}) {
+		if (!nodeMod) return Renderer.dice.distribution.getSumRepeated(dist, cnt);
+
+		const modNums = nodeMod.mods.map(mod => Renderer.dice.distribution.getConstantValue(mod.numSym.dst({})));
+		if (modNums.some(it => it == null)) return null;
+
+		let ixMod = 0;
+		// A leading reroll only changes the distribution of each die
+		if (Renderer.dice.parsed._isDistRerollMod(nodeMod.mods[0])) {
+			const fnPartition = Renderer.dice.parsed._getDistFnPartition(nodeMod.mods[0].modSym);
+			dist = Renderer.dice.distribution.getRerolled(dist, val => fnPartition(val, modNums[0]));
+			ixMod++;
+		}
+
+		const mods = nodeMod.mods.slice(ixMod);
+		if (!mods.length) return Renderer.dice.distribution.getSumRepeated(dist, cnt);
+
+		if (mods.some(mod => Renderer.dice.parsed._isDistRerollMod(mod) || Renderer.dice.parsed._isDistExplodeMod(mod))) {
+			// Explosions roll the base die, so can only be calculated as the sole modifier
+			if (ixMod || mods.length !== 1 || !Renderer.dice.parsed._isDistExplodeMod(mods[0]) || nodeMod.isSuccessMode) return null;
+
+			const fnPartition = Renderer.dice.parsed._getDistFnPartition(mods[0].modSym);
+			return Renderer.dice.distribution.getSumRepeated(
+				Renderer.dice.distribution.getExploded(dist, val => fnPartition(val, modNums[ixMod])),
+				cnt,
+			);
+		}
+
+		return Renderer.dice.distribution.getEnumerated(
+			dist,
+			cnt,
+			vals => Renderer.dice.parsed._getDistModifiedResult(vals, nodeMod, mods, faces),
+		);
+	},
+
 	_rollToNumPart_html (r, faces) {
 		if (faces == null) return r.val;
 		return r.val === faces ? `<span class="rll__max--muted">${r.val}</span>` : r.val === 1 ? `<span class="rll__min--muted">${r.val}</span>` : r.val;
@@ -1831,6 +2713,35 @@ Renderer.dice.parsed = {
 		_min (meta) { return this._invoke("min", meta); }
 		_max (meta) { return this._invoke("max", meta); }
 
+		_dst (meta) {
+			const [symFunc, ...symExps] = this._nodes;
+			switch (symFunc.type) {
+				case Renderer.dice.tk.FLOOR.type:
+				case Renderer.dice.tk.CEIL.type:
+				case Renderer.dice.tk.ROUND.type:
+				case Renderer.dice.tk.SIGN.type:
+				case Renderer.dice.tk.ABS.type:
+				case Renderer.dice.tk.CBRT.type:
+				case Renderer.dice.tk.SQRT.type:
+				case Renderer.dice.tk.EXP.type:
+				case Renderer.dice.tk.LOG.type:
+				case Renderer.dice.tk.TRUNC.type:
+				case Renderer.dice.tk.POW.type:
+				case Renderer.dice.tk.MAX.type:
+				case Renderer.dice.tk.MIN.type: {
+					const fn = Math[symFunc.toString()];
+					const dists = symExps.map(symExp => symExp.dst(meta));
+					if (dists.length === 1) return Renderer.dice.distribution.getMapped(dists[0], val => fn(val));
+					return Renderer.dice.distribution.getEnumeratedProduct(dists, vals => fn(...vals));
+				}
+				case Renderer.dice.tk.RANDOM.type: return null;
+				case Renderer.dice.tk.AVERAGE.type: return Renderer.dice.distribution.getConstant(symExps[0].avg(meta));
+				case Renderer.dice.tk.DMAX.type: return Renderer.dice.distribution.getConstant(symExps[0].max(meta));
+				case Renderer.dice.tk.DMIN.type: return Renderer.dice.distribution.getConstant(symExps[0].min(meta));
+				default: throw new Error(`Unimplemented!`);
+			}
+		}
+
 		_invoke (fnName, meta) {
 			const [symFunc] = this._nodes;
 			switch (symFunc.type) {
@@ -1838,6 +2749,7 @@ Renderer.dice.parsed = {
 				case Renderer.dice.tk.CEIL.type:
 				case Renderer.dice.tk.ROUND.type:
 				case Renderer.dice.tk.SIGN.type:
+				case Renderer.dice.tk.ABS.type:
 				case Renderer.dice.tk.CBRT.type:
 				case Renderer.dice.tk.SQRT.type:
 				case Renderer.dice.tk.EXP.type:
@@ -1854,7 +2766,9 @@ Renderer.dice.parsed = {
 						if (i !== 0) this.addToMeta(meta, {text: `, `});
 						args.push(symExp[fnName](meta));
 					});
-					const out = Math[symFunc.toString()](...args);
+					const out = symFunc.type === Renderer.dice.tk.RANDOM.type
+						? Renderer.dice._getRandom()
+						: Math[symFunc.toString()](...args);
 					this.addToMeta(meta, {text: ")"});
 					return out;
 				}
@@ -1915,6 +2829,20 @@ Renderer.dice.parsed = {
 		_min (meta) { return this._invoke("min", meta); }
 		_max (meta) { return this._invoke("max", meta); }
 
+		_dst (meta) {
+			const dists = this._nodesPool.map(it => it.dst({}));
+			if (!this._nodeMod) return dists.reduce((distOut, dist) => Renderer.dice.distribution.getCombined(distOut, dist, (a, b) => a + b));
+
+			// Rerolls and explosions re-roll individual members of the pool
+			if (this._nodeMod.mods.some(mod => Renderer.dice.parsed._isDistRerollMod(mod) || Renderer.dice.parsed._isDistExplodeMod(mod))) return null;
+			if (this._nodeMod.mods.some(mod => Renderer.dice.distribution.getConstantValue(mod.numSym.dst({})) == null)) return null;
+
+			return Renderer.dice.distribution.getEnumeratedProduct(
+				dists,
+				vals => Renderer.dice.parsed._getDistModifiedResult(vals, this._nodeMod, this._nodeMod.mods),
+			);
+		}
+
 		_invoke (fnName, meta) {
 			const vals = this._nodesPool.map(it => {
 				const subMeta = {};
@@ -1984,6 +2912,17 @@ Renderer.dice.parsed = {
 		_min (meta) { return this._invoke("min", meta); }
 		_max (meta) { return this._invoke("max", meta); }
 
+		_dst (meta) {
+			switch (this._node.type) {
+				case Renderer.dice.tk.TYP_NUMBER: return Renderer.dice.distribution.getConstant(Number(this._node.value));
+				case Renderer.dice.tk.TYP_SYMBOL: return this._node.dst(meta);
+				case Renderer.dice.tk.PB.type: return Renderer.dice.distribution.getConstant(meta.pb == null ? 0 : meta.pb);
+				case Renderer.dice.tk.SUMMON_SPELL_LEVEL.type: return Renderer.dice.distribution.getConstant(meta.summonSpellLevel == null ? 0 : meta.summonSpellLevel);
+				case Renderer.dice.tk.SUMMON_CLASS_LEVEL.type: return Renderer.dice.distribution.getConstant(meta.summonClassLevel == null ? 0 : meta.summonClassLevel);
+				default: throw new Error(`Unimplemented!`);
+			}
+		}
+
 		_invoke (fnName, meta) {
 			switch (this._node.type) {
 				case Renderer.dice.tk.TYP_NUMBER: {
@@ -2029,7 +2968,7 @@ Renderer.dice.parsed = {
 	Dice: class extends Renderer.dice.AbstractSymbol {
 		static _facesToValue (faces, fnName) {
 			switch (fnName) {
-				case "evl": return RollerUtil.randomise(faces);
+				case "evl": return Renderer.dice._fnGetManualDieValue ? Renderer.dice._fnGetManualDieValue(faces) : Renderer.dice._getRandomInt(faces);
 				case "avg": return (faces + 1) / 2;
 				case "min": return 1;
 				case "max": return faces;
@@ -2046,6 +2985,29 @@ Renderer.dice.parsed = {
 		_min (meta) { return this._invoke("min", meta); }
 		_max (meta) { return this._invoke("max", meta); }
 
+		_dst (meta) {
+			if (this._nodes.length === 1) return this._nodes[0].dst(meta); // if it's just a factor
+
+			const view = this._nodes.slice();
+			let dist = view.shift().dst(Renderer.dice.util.getReducedMeta(meta));
+
+			while (view.length) {
+				const faces = Renderer.dice.distribution.getConstantValue(view.shift().dst({}));
+				if (faces == null || Math.round(faces) !== faces) return null;
+
+				const nodeMod = view.length && view[0].isDiceModifierGroup ? view.shift() : null;
+
+				dist = Renderer.dice.distribution.getMixture(dist, cnt => {
+					// Leave invalid dice counts to be reported when rolling
+					if (Math.round(cnt) !== cnt || cnt < 0) return null;
+					return Renderer.dice.parsed._getDistModified({dist: Renderer.dice.distribution.getDie(faces), cnt, nodeMod, faces});
+				});
+				if (!dist) return null;
+			}
+
+			return dist;
+		}
+
 		_invoke (fnName, meta) {
 			if (this._nodes.length === 1) return this._nodes[0][fnName](meta); // if it's just a factor
 
@@ -2056,7 +3018,10 @@ Renderer.dice.parsed = {
 			// Shift the first symbol and use that as our initial number of dice
 			//   e.g. the "2" in 2d3d5
 			const numSym = view.shift();
-			let tmp = numSym[fnName](Renderer.dice.util.getReducedMeta(meta));
+			const metaNum = Renderer.dice.util.getReducedMeta(meta);
+			let tmp = numSym[fnName](metaNum);
+			// Keep track of any dice rolled to determine the number of dice, e.g. the "1d4" in `(1d4)d6`
+			if (metaNum.diceRolls) (meta.diceRolls = meta.diceRolls || []).push(...metaNum.diceRolls);
 
 			while (view.length) {
 				if (Math.round(tmp) !== tmp) throw new Error(`Number of dice to roll (${tmp}) was not an integer!`);
@@ -2132,6 +3097,11 @@ Renderer.dice.parsed = {
 			}
 
 			if (fnName === "evl") {
+				const diceRolls = displayRolls
+					.filter(r => !r.htmlDisplay)
+					.map(r => ({val: r.val, isDropped: !!r.isDropped, isRerolled: !!r.isRerolled, isExploded: !!r.isExploded, isSuccess: !!r.isSuccess}));
+				if (diceRolls.length) (meta.diceRolls = meta.diceRolls || []).push({faces, rolls: diceRolls});
+
 				const maxRolls = rolls.filter(it => it.val === faces && !it.isDropped);
 				const minRolls = rolls.filter(it => it.val === 1 && !it.isDropped);
 				meta.allMax = meta.allMax || [];
@@ -2174,6 +3144,13 @@ Renderer.dice.parsed = {
 		_min (meta) { return this._invoke("min", meta); }
 		_max (meta) { return this._invoke("max", meta); }
 
+		_dst (meta) {
+			const view = this._nodes.slice();
+			let dist = view.pop().dst(meta);
+			while (view.length) dist = Renderer.dice.distribution.getCombined(view.pop().dst(meta), dist, (a, b) => a ** b);
+			return dist;
+		}
+
 		_invoke (fnName, meta) {
 			const view = this._nodes.slice();
 			let val = view.pop()[fnName](meta);
@@ -2203,6 +3180,19 @@ Renderer.dice.parsed = {
 		_min (meta) { return this._invoke("min", meta); }
 		_max (meta) { return this._invoke("max", meta); }
 
+		_dst (meta) {
+			let out = this._nodes[0].dst(meta);
+
+			for (let i = 1; i < this._nodes.length; i += 2) {
+				const dist = this._nodes[i + 1].dst(meta);
+				if (this._nodes[i].eq(Renderer.dice.tk.MULT)) out = Renderer.dice.distribution.getCombined(out, dist, (a, b) => a * b);
+				else if (this._nodes[i].eq(Renderer.dice.tk.DIV)) out = Renderer.dice.distribution.getCombined(out, dist, (a, b) => a / b);
+				else throw new Error(`Unimplemented!`);
+			}
+
+			return out;
+		}
+
 		_invoke (fnName, meta) {
 			let out = this._nodes[0][fnName](meta);
 
@@ -2241,6 +3231,25 @@ Renderer.dice.parsed = {
 		_min (meta) { return this._invoke("min", meta); }
 		_max (meta) { return this._invoke("max", meta); }
 
+		_dst (meta) {
+			const view = this._nodes.slice();
+
+			let isNeg = false;
+			if (view[0].eq(Renderer.dice.tk.ADD) || view[0].eq(Renderer.dice.tk.SUB)) isNeg = view.shift().eq(Renderer.dice.tk.SUB);
+
+			let out = view[0].dst(meta);
+			if (isNeg) out = Renderer.dice.distribution.getMapped(out, val => -val);
+
+			for (let i = 1; i < view.length; i += 2) {
+				const dist = view[i + 1].dst(meta);
+				if (view[i].eq(Renderer.dice.tk.ADD)) out = Renderer.dice.distribution.getCombined(out, dist, (a, b) => a + b);
+				else if (view[i].eq(Renderer.dice.tk.SUB)) out = Renderer.dice.distribution.getCombined(out, dist, (a, b) => a - b);
+				else throw new Error(`Unimplemented!`);
+			}
+
+			return out;
+		}
+
 		_invoke (fnName, meta) {
 			const view = this._nodes.slice();
 
@@ -123,24 +123,27 @@ class RendererMarkdown {
 			}
 		}
 
-		textStack[0] += "\n";
+		textStack[0] += `${RendererMarkdown._getNextPrefix(options)}\n`;
 	}
 
 	_renderTable (entry, textStack, meta, options) {
+		// Prefix each line, so that tables nested in e.g. insets do not break out of their parent block
+		const prefix = RendererMarkdown._getNextPrefix(options);
+
 		if (entry.intro) for (const ent of entry.intro) this._recursiveRender(ent, textStack, meta);
 
-		textStack[0] += "\n";
+		textStack[0] += `${prefix}\n`;
 
-		if (entry.caption) textStack[0] += `##### ${entry.caption}\n`;
+		if (entry.caption) textStack[0] += `${prefix}##### ${entry.caption}\n`;
 
 		const headerRowMetas = Renderer.table.getHeaderRowMetas(entry);
 
 		const hasLabels = headerRowMetas != null;
 		// If there's no data, render a stub table.
 		if (!hasLabels && (!entry.rows || !entry.rows.length)) {
-			textStack[0] += `|   |\n`;
-			textStack[0] += `|---|\n`;
-			textStack[0] += `|   |\n`;
+			textStack[0] += `${prefix}|   |\n`;
+			textStack[0] += `${prefix}|---|\n`;
+			textStack[0] += `${prefix}|   |\n`;
 			return;
 		}
 
@@ -247,21 +250,18 @@ class RendererMarkdown {
 			});
 
 		// region Build style headers
-		const mdStyles = [];
-		if (styles) {
-			styles.forEach((style, i) => {
-				mdStyles.push(RendererMarkdown._md_getPaddedStyleText({style, width: widths[i]}));
-			});
-		}
+		// A header break is required for valid Markdown tables, so fall back on default styles if none are set
+		const mdStyles = (styles || widths.map(() => ""))
+			.map((style, i) => RendererMarkdown._md_getPaddedStyleText({style, width: widths[i]}));
 		// endregion
 
 		// region Assemble the table
 		for (const mdHeaderRowPadded of mdHeaderRowsPadded) {
-			textStack[0] += `|${mdHeaderRowPadded.join("|")}|\n`;
+			textStack[0] += `${prefix}|${mdHeaderRowPadded.join("|")}|\n`;
 		}
-		if (mdStyles.length) textStack[0] += `|${mdStyles.join("|")}|\n`;
+		if (mdStyles.length) textStack[0] += `${prefix}|${mdStyles.join("|")}|\n`;
 		for (const mdRow of mdTable) {
-			textStack[0] += "|";
+			textStack[0] += `${prefix}|`;
 
 			const numCells = mdRow.length;
 			for (let ixCell = 0; ixCell < numCells; ++ixCell) {
@@ -283,11 +283,11 @@ class RendererMarkdown {
 		if (entry.outro) for (const ent of entry.outro) this._recursiveRender(ent, textStack, meta);
 
 		if (!entry.rows) {
-			textStack[0] += `||\n`;
+			textStack[0] += `${prefix}||\n`;
 			return;
 		}
 
-		textStack[0] += "\n";
+		textStack[0] += `${prefix}\n`;
 	}
 
 	static _md_getPaddedTableText ({text, width, ixCell, styles}) {
@@ -1142,7 +1142,7 @@ RendererMarkdown.item = class {
 
 	static getTypeRarityAndAttunementText (item) {
 		const typeRarity = [
-			item._typeHtml === "other" ? "" : $(`<div></div>`).html(item._typeHtml).text(),
+			item._typeHtml === "other" ? "" : item._typeHtml.replace(/<[^>]*>/g, ""),
 			(item.rarity && Renderer.item.doRenderRarity(item.rarity) ? item.rarity : ""),
 		].filter(Boolean).join(", ");
 
@@ -2039,13 +2039,13 @@ class MarkdownConverter {
 					// Skip forwards until we run out of lines, or until we hit a line that isn't part of the block
 					for (; i + j < buf.length; ++j) {
 						const nxt = buf[i + j];
+						if (nxt && typeof nxt !== "string") break;
 						if (!nxt || !nxt.trim()) {
 							// Allow a max of one blank line before breaking into another list
 							if (blankCount++ < 1) continue;
 							else break;
 						}
 						blankCount = 0;
-						if (typeof nxt !== "string") break;
 						if (!this._coalesceLists_isListItem(nxt)) break;
 					}
 
@@ -2315,7 +2315,7 @@ class MarkdownConverter {
 				],
 			};
 			const ixRoot = buf.indexOf(stack[0]);
-			if (~ixRoot) throw new Error(`Could not find root in buffer!`);
+			if (!~ixRoot) throw new Error(`Could not find root in buffer!`);
 			buf[ixRoot] = nuRoot;
 			stack.pop();
 			stack.push(nuRoot);
@@ -2356,27 +2356,7 @@ class MarkdownConverter {
 
 					obj[meta.key] = obj[meta.key].map(ent => {
 						if (typeof ent !== "string") return ent;
-
-						// Handle "emphasis" markers (*italic*/**bold**/***bold+italic***)
-						ent = ent.replace(/(\*+)(.+?)(\*+)|(_+)(.+?)(_+)/g, (...m) => {
-							const [open, text, close] = m[1] ? [m[1], m[2], m[3]] : [m[4], m[5], m[6]];
-
-							const minLen = Math.min(open.length, close.length);
-							const cleanOpen = open.slice(minLen);
-							const cleanClose = close.slice(minLen);
-
-							if (minLen === 1) return `{@i ${cleanOpen}${text}${cleanClose}}`;
-							else if (minLen === 2) return `{@b ${cleanOpen}${text}${cleanClose}}`;
-							else return `{@b {@i ${cleanOpen}${text}${cleanClose}}}`;
-						});
-
-						// Strikethrough
-						ent = ent.replace(/~~(.+?)~~/g, (...m) => `{@s ${m[1]}}`);
-
-						// Links (basic inline only)
-						ent = ent.replace(/\[(.+?)]\((.+?)\)/g, (...m) => `{@link ${m[1]}|${m[2]}}`);
-
-						return ent;
+						return this.getConvertedInlineStyling(ent);
 					});
 				}
 				return obj;
@@ -2387,6 +2367,29 @@ class MarkdownConverter {
 		buf.push(...nxtBuf);
 	}
 
+	static getConvertedInlineStyling (str) {
+		// Handle "emphasis" markers (*italic*/**bold**/***bold+italic***)
+		str = str.replace(/(\*+)(.+?)(\*+)|(_+)(.+?)(_+)/g, (...m) => {
+			const [open, text, close] = m[1] ? [m[1], m[2], m[3]] : [m[4], m[5], m[6]];
+
+			const minLen = Math.min(open.length, close.length);
+			const cleanOpen = open.slice(minLen);
+			const cleanClose = close.slice(minLen);
+
+			if (minLen === 1) return `{@i ${cleanOpen}${text}${cleanClose}}`;
+			else if (minLen === 2) return `{@b ${cleanOpen}${text}${cleanClose}}`;
+			else return `{@b {@i ${cleanOpen}${text}${cleanClose}}}`;
+		});
+
+		// Strikethrough
+		str = str.replace(/~~(.+?)~~/g, (...m) => `{@s ${m[1]}}`);
+
+		// Links (basic inline only)
+		str = str.replace(/\[(.+?)]\((.+?)\)/g, (...m) => `{@link ${m[1]}|${m[2]}}`);
+
+		return str;
+	}
+
 	static _cleanEmptyLines (buf) {
 		const handlersDoTrim = {
 			array: (arr) => arr.map(it => typeof it === "string" ? it.trim() : it),
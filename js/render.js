@@ -2888,8 +2888,12 @@ Renderer.utils = class {
 		const ptBrewSourceLink = Renderer.utils._getNameTr_getPtPrereleaseBrewSourceLink({ent: it, brewUtil: PrereleaseUtil})
 			|| Renderer.utils._getNameTr_getPtPrereleaseBrewSourceLink({ent: it, brewUtil: BrewUtil2});
 
+		// Avoid touching the DOM unless required, so this may be used headlessly
+		const isJquery = opts.asJquery || (typeof jQuery !== "undefined" && opts.controlRhs instanceof jQuery);
+		const fnTemplate = isJquery ? $$ : Renderer.utils._getNameTr_getHtml;
+
 		// Add data-page/source/hash attributes for external script use (e.g. Rivet)
-		const $ele = $$`<tr>
+		const out = fnTemplate`<tr>
 			<th class="rnd-name ${opts.extraThClasses ? opts.extraThClasses.join(" ") : ""}" colspan="6" ${dataPart}>
 				<div class="name-inner">
 					<div class="ve-flex-v-center">
@@ -2908,8 +2912,12 @@ Renderer.utils = class {
 			</th>
 		</tr>`;
 
-		if (opts.asJquery) return $ele;
-		else return $ele[0].outerHTML;
+		if (isJquery && !opts.asJquery) return out[0].outerHTML;
+		return out;
+	}
+
+	static _getNameTr_getHtml (parts, ...args) {
+		return parts.reduce((out, part, i) => `${out}${args[i - 1]}${part}`);
 	}
 
 	static _getNameTr_getPtPrereleaseBrewSourceLink ({ent, brewUtil}) {
@@ -2937,7 +2945,7 @@ Renderer.utils = class {
 			if (page && !UrlUtil.URL_TO_HASH_BUILDER[page]) return "";
 			const hash = page ? UrlUtil.URL_TO_HASH_BUILDER[page](entity) : UrlUtil.autoEncodeHash(entity);
 			isExcluded = isExcluded
-				|| dataProp === "item" ? Renderer.item.isExcluded(entity, {hash}) : ExcludeUtil.isExcluded(hash, dataProp, entity.source);
+				|| dataProp === "item" ? Renderer.item.isExcluded(entity, {hash}) : ExcludeUtil.isExcluded(hash, dataProp, entity.source, {entity});
 		}
 		return isExcluded ? `<div class="ve-text-center text-danger"><b><i>Warning: This content has been <a href="blocklist.html">blocklisted</a>.</i></b></div>` : "";
 	}
@@ -9498,7 +9506,10 @@ Renderer.item = class {
 
 		hash = hash || UrlUtil.URL_TO_HASH_BUILDER[UrlUtil.PG_ITEMS]({name, source});
 
-		if (ExcludeUtil.isExcluded(hash, "item", source)) return true;
+		if (ExcludeUtil.isExcluded(hash, "item", source, {entity: item})) return true;
+
+		// When allowlisting, an allowed item is not further restricted by its component categories
+		if (ExcludeUtil.isAllowlistMode()) return false;
 
 		if (item._isBaseItem) return ExcludeUtil.isExcluded(hash, "baseitem", source);
 		if (item._isItemGroup) return ExcludeUtil.isExcluded(hash, "itemGroup", source);
@@ -299,7 +299,7 @@ class SpellsPage extends ListPageMultiSource {
 		if (this._seenHashes.has(hash)) return null;
 		this._seenHashes.add(hash);
 
-		const isExcluded = ExcludeUtil.isExcluded(hash, "spell", spell.source);
+		const isExcluded = ExcludeUtil.isExcluded(hash, "spell", spell.source, {entity: spell});
 
 		this._pageFilter.mutateAndAddToFilters(spell, isExcluded);
 
@@ -114,7 +114,7 @@ class StatGenPage {
 		]
 			.filter(it => {
 				const hash = UrlUtil.URL_TO_HASH_BUILDER[UrlUtil.PG_RACES](it);
-				return !ExcludeUtil.isExcluded(hash, "race", it.source);
+				return !ExcludeUtil.isExcluded(hash, "race", it.source, {entity: it});
 			});
 	}
 
@@ -126,7 +126,7 @@ class StatGenPage {
 		]
 			.filter(it => {
 				const hash = UrlUtil.URL_TO_HASH_BUILDER[UrlUtil.PG_BACKGROUNDS](it);
-				return !ExcludeUtil.isExcluded(hash, "background", it.source);
+				return !ExcludeUtil.isExcluded(hash, "background", it.source, {entity: it});
 			});
 	}
 
@@ -138,7 +138,7 @@ class StatGenPage {
 		]
 			.filter(it => {
 				const hash = UrlUtil.URL_TO_HASH_BUILDER[UrlUtil.PG_FEATS](it);
-				return !ExcludeUtil.isExcluded(hash, "feat", it.source);
+				return !ExcludeUtil.isExcluded(hash, "feat", it.source, {entity: it});
 			});
 	}
 
@@ -1,8 +1,10 @@
 import {BrewUtilShared} from "./utils-brew/utils-brew-helpers.js";
 import {PrereleaseUtil_} from "./utils-brew/utils-brew-impl-prerelease.js";
 import {BrewUtil2_} from "./utils-brew/utils-brew-impl-brew.js";
+import {BrewValidator} from "./utils-brew/utils-brew-validator.js";
 
 globalThis.BrewUtilShared = BrewUtilShared;
+globalThis.BrewValidator = BrewValidator;
 
 globalThis.PrereleaseUtil = new PrereleaseUtil_();
 globalThis.BrewUtil2 = new BrewUtil2_({parent: globalThis.PrereleaseUtil}); // Homebrew can depend on prerelease, but not the other way around
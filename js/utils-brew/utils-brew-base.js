@@ -1,5 +1,8 @@
 import {BrewUtilShared} from "./utils-brew-helpers.js";
 import {BrewDoc} from "./utils-brew-models.js";
+import {BrewDependencyUtil} from "./utils-brew-dependencies.js";
+import {BrewLocalRepo} from "./utils-brew-local-repo.js";
+import {BrewDiffUtil} from "./utils-brew-diff.js";
 
 export class BrewUtil2Base {
 	_STORAGE_KEY_LEGACY;
@@ -11,6 +14,7 @@ export class BrewUtil2Base {
 
 	_STORAGE_KEY_CUSTOM_URL;
 	_STORAGE_KEY_MIGRATION_VERSION;
+	_STORAGE_KEY_LOCAL_REPO;
 
 	_VERSION;
 
@@ -34,6 +38,7 @@ export class BrewUtil2Base {
 	_cache_metas = null;
 	_cache_brews = null;
 	_cache_brewsLocal = null;
+	_cache_localRepoBrewInfos = null;
 
 	_isDirty = false;
 
@@ -111,6 +116,26 @@ export class BrewUtil2Base {
 
 	/* -------------------------------------------- */
 
+	/** @return {Promise<?BrewLocalRepo>} */
+	async pGetLocalRepo () { return BrewLocalRepo.fromStorage(await this._storage.pGet(this._STORAGE_KEY_LOCAL_REPO)); }
+
+	/** @param {?BrewLocalRepo} localRepo */
+	async pSetLocalRepo (localRepo) {
+		this._cache_localRepoBrewInfos = null;
+		await (!localRepo
+			? this._storage.pRemove(this._STORAGE_KEY_LOCAL_REPO)
+			: this._storage.pSet(this._STORAGE_KEY_LOCAL_REPO, localRepo.toStorage()));
+	}
+
+	/** Get the local repo, if it is set and can be read without prompting the user. */
+	async _pGetLocalRepoReadable () {
+		const localRepo = await this.pGetLocalRepo();
+		if (!localRepo || !(await localRepo.pIsReadable())) return null;
+		return localRepo;
+	}
+
+	/* -------------------------------------------- */
+
 	isReloadRequired () { return this._isDirty; }
 
 	doLocationReload ({isRetainHash = false} = {}) {
@@ -398,6 +423,14 @@ export class BrewUtil2Base {
 
 	/* -------------------------------------------- */
 
+	/** Fetch the raw brew of the parent, which this brew may depend on. */
+	async pGetParentBrew () {
+		if (!this._parent) return [];
+		return this._parent.pGetBrew();
+	}
+
+	/* -------------------------------------------- */
+
 	async _pLoadParentDependencies ({unavailableSources}) {
 		if (!unavailableSources?.length) return false;
 		if (!this._parent) return false;
@@ -425,7 +458,10 @@ export class BrewUtil2Base {
 
 	async _pGetBrewDependencies_ ({brewDocs, brewsRaw = null, brewsRawLocal = null, isIgnoreNetworkErrors = false, lockToken}) {
 		const urlRoot = await this.pGetCustomUrl();
-		const brewIndex = await this._pGetBrewDependencies_getBrewIndex({urlRoot, isIgnoreNetworkErrors});
+		const brewIndexRemote = await this._pGetBrewDependencies_getBrewIndex({urlRoot, isIgnoreNetworkErrors});
+		const brewIndexLocalRepo = await this._pGetBrewDependencies_pGetBrewIndexLocalRepo();
+		// Prefer the local repo, as it is likely to be a working copy of the remote
+		const brewIndex = {...brewIndexRemote, ...brewIndexLocalRepo};
 
 		const toLoadSources = [];
 		const loadedSources = new Set();
@@ -452,8 +488,9 @@ export class BrewUtil2Base {
 			if (loadedSources.has(src)) continue;
 			loadedSources.add(src);
 
-			const url = this.getFileUrl(brewIndex[src], urlRoot);
-			const brewDocDep = await this._pGetBrewDocFromUrl({url});
+			const brewDocDep = brewIndexLocalRepo[src]
+				? await this._pGetBrewDocFromLocalRepo({path: brewIndexLocalRepo[src]})
+				: await this._pGetBrewDocFromUrl({url: this.getFileUrl(brewIndex[src], urlRoot)});
 			brewDocsDependencies.push(brewDocDep);
 			this._pGetBrewDependencies_mutAddLoaded({loadedSources, brewDoc: brewDocDep});
 
@@ -489,6 +526,17 @@ export class BrewUtil2Base {
 		}
 	}
 
+	/** Index local repo files by source, if the local repo has been browsed during this session. */
+	async _pGetBrewDependencies_pGetBrewIndexLocalRepo () {
+		if (!this._cache_localRepoBrewInfos) return {};
+		if (!(await this._pGetLocalRepoReadable())) return {};
+
+		const out = {};
+		this._cache_localRepoBrewInfos
+			.forEach(brewInfo => brewInfo.sources.forEach(src => out[src] ||= brewInfo.localRepoPath));
+		return out;
+	}
+
 	async pGetSourceUrl (source) {
 		const urlRoot = await this.pGetCustomUrl();
 		const brewIndex = await this.pGetSourceIndex(urlRoot);
@@ -554,14 +602,7 @@ export class BrewUtil2Base {
 					sources: meta.sources,
 				};
 
-				const spl = out.name.trim().replace(/\.json$/, "").split(";").map(it => it.trim());
-				if (spl.length > 1) {
-					out._brewName = spl[1];
-					out._brewAuthor = spl[0];
-				} else {
-					out._brewName = spl[0];
-					out._brewAuthor = this.DEFAULT_AUTHOR;
-				}
+				this._mutBrewInfoNameAuthor(out);
 
 				out._brewAdded = timestamps[out.path]?.a ?? 0;
 				out._brewModified = timestamps[out.path]?.m ?? 0;
@@ -576,6 +617,17 @@ export class BrewUtil2Base {
 			.sort((a, b) => SortUtil.ascSortLower(a._brewName, b._brewName));
 	}
 
+	_mutBrewInfoNameAuthor (brewInfo) {
+		const spl = brewInfo.name.trim().replace(/\.json$/, "").split(";").map(it => it.trim());
+		if (spl.length > 1) {
+			brewInfo._brewName = spl[1];
+			brewInfo._brewAuthor = spl[0];
+		} else {
+			brewInfo._brewName = spl[0];
+			brewInfo._brewAuthor = this.DEFAULT_AUTHOR;
+		}
+	}
+
 	async _pGetCombinedIndexes_pGetIndexes ({urlRoot}) {
 		try {
 			const [timestamps, propIndex, metaIndex, sourceIndex] = await Promise.all([
@@ -599,28 +651,66 @@ export class BrewUtil2Base {
 
 	/* -------------------------------------------- */
 
-	_PROPS_DEPS = ["dependencies", "includes"];
-	_PROPS_DEPS_DEEP = ["otherSources"];
+	/**
+	 * Read every file in the local repo, and build a list of entries in the same format as `pGetCombinedIndexes`.
+	 * @param [isForce] If any cached list should be discarded, e.g. to pick up changes to the repo.
+	 */
+	async pGetLocalRepoCombinedIndexes ({isForce = false} = {}) {
+		if (this._cache_localRepoBrewInfos && !isForce) return this._cache_localRepoBrewInfos;
 
-	_getBrewDependencySources ({brewDoc, brewIndex}) {
-		const sources = new Set();
-
-		this._PROPS_DEPS.forEach(prop => {
-			const obj = brewDoc.body._meta?.[prop];
-			if (!obj || !Object.keys(obj).length) return;
-			Object.values(obj)
-				.flat()
-				.forEach(src => sources.add(src));
-		});
+		const localRepo = await this._pGetLocalRepoReadable();
+		if (!localRepo) return [];
 
-		this._PROPS_DEPS_DEEP.forEach(prop => {
-			const obj = brewDoc.body._meta?.[prop];
-			if (!obj || !Object.keys(obj).length) return;
-			return Object.values(obj)
-				.map(objSub => Object.keys(objSub))
-				.flat()
-				.forEach(src => sources.add(src));
-		});
+		const fileMetas = await localRepo.pGetFileMetas();
+
+		const brewInfos = (await fileMetas
+			.pMap(async ({path, lastModified}) => {
+				let json;
+				try {
+					json = await localRepo.pLoadJson(path);
+				} catch (e) {
+					setTimeout(() => { throw new Error(`Failed to load "${path}" from local ${this.DISPLAY_NAME} folder!`, {cause: e}); });
+					return null;
+				}
+
+				// Skip any non-brew JSON, e.g. `package.json`
+				if (!json?._meta?.sources?.length) return null;
+
+				const props = Object.keys(json).filter(prop => prop !== "_meta" && prop !== "_test" && json[prop] instanceof Array);
+				const pathParts = path.split("/");
+
+				const out = {
+					urlDownload: localRepo.getFileUrl(path),
+					localRepoPath: path,
+					path,
+					name: pathParts.last(),
+					dirProp: pathParts.length > 1 ? this.getDirProp(pathParts[0]) : (props[0] || null),
+					props,
+					sources: json._meta.sources.map(src => src.json).filter(Boolean),
+				};
+
+				this._mutBrewInfoNameAuthor(out);
+
+				out._brewAdded = json._meta.dateAdded ?? 0;
+				out._brewModified = lastModified != null ? Math.round(lastModified / 1000) : (json._meta.dateLastModified ?? 0);
+				out._brewPublished = 0;
+				out._brewInternalSources = out.sources;
+				out._brewStatus = json._meta.status || "ready";
+				out._brewIsPartnered = false;
+				out._brewPropDisplayName = out.dirProp ? this.getPropDisplayName(out.dirProp) : "";
+
+				return out;
+			}))
+			.filter(Boolean)
+			.sort((a, b) => SortUtil.ascSortLower(a._brewName, b._brewName));
+
+		return this._cache_localRepoBrewInfos = brewInfos;
+	}
+
+	/* -------------------------------------------- */
+
+	_getBrewDependencySources ({brewDoc, brewIndex}) {
+		const sources = new Set(BrewDependencyUtil.getDependencyMetas({brewDoc}).map(({source}) => source));
 
 		const [available, unavailable] = [...sources]
 			.segregate(src => brewIndex[src]);
@@ -650,7 +740,34 @@ export class BrewUtil2Base {
 
 	async _pAddBrewFromUrl ({url, lockToken, isLazy}) {
 		const brewDoc = await this._pGetBrewDocFromUrl({url});
+		return this._pAddBrewDoc({brewDoc, lockToken, isLazy});
+	}
 
+	async pAddBrewFromLocalRepo (path, {isLazy} = {}) {
+		let brewDocs = []; let unavailableSources = [];
+
+		try {
+			const brewDoc = await this._pGetBrewDocFromLocalRepo({path});
+			({brewDocs, unavailableSources} = await this._pAddBrewDoc({brewDoc, isLazy}));
+		} catch (e) {
+			JqueryUtil.doToast({type: "danger", content: `Failed to load ${this.DISPLAY_NAME} "${path}" from local folder! ${VeCt.STR_SEE_CONSOLE}`});
+			setTimeout(() => { throw e; });
+			return [];
+		}
+
+		await this._pLoadParentDependencies({unavailableSources});
+		return brewDocs;
+	}
+
+	async _pGetBrewDocFromLocalRepo ({path}) {
+		const localRepo = await this._pGetLocalRepoReadable();
+		if (!localRepo) throw new Error(`Local ${this.DISPLAY_NAME} folder is not available!`);
+
+		const json = await localRepo.pLoadJson(path);
+		return this._getBrewDoc({json, url: localRepo.getFileUrl(path), filename: UrlUtil.getFilename(path), localRepoPath: path});
+	}
+
+	async _pAddBrewDoc ({brewDoc, lockToken, isLazy}) {
 		if (isLazy) {
 			try {
 				await this._LOCK.pLock({token: lockToken});
@@ -740,31 +857,34 @@ export class BrewUtil2Base {
 		return {brewDocs, unavailableSources};
 	}
 
-	async pPullAllBrews ({brews} = {}) {
+	/**
+	 * @param [brews]
+	 * @param [isLocalRepoOnly] If only brews loaded from the local repo should be pulled, i.e. to pick up local changes.
+	 */
+	async pPullAllBrews ({brews, isLocalRepoOnly = false} = {}) {
 		try {
 			const lockToken = await this._LOCK.pLock();
-			return (await this._pPullAllBrews_({lockToken, brews}));
+			return (await this._pPullAllBrews_({lockToken, brews, isLocalRepoOnly}));
 		} finally {
 			this._LOCK.unlock();
 		}
 	}
 
-	async _pPullAllBrews_ ({lockToken, brews}) {
+	async _pPullAllBrews_ ({lockToken, brews, isLocalRepoOnly}) {
 		let cntPulls = 0;
 
+		const localRepo = await this._pGetLocalRepoReadable();
+
 		brews = brews || MiscUtil.copyFast(await this._pGetBrewRaw({lockToken}));
 		const brewsNxt = await brews.pMap(async brew => {
-			if (!this.isPullable(brew)) return brew;
-
-			const json = await DataUtil.loadRawJSON(brew.head.url, {isBustCache: true});
-
-			const localLastModified = brew.body._meta?.dateLastModified ?? 0;
-			const sourceLastModified = json._meta?.dateLastModified ?? 0;
+			if (!this.isPullable(brew) || brew.head.isPinned) return brew;
+			if (isLocalRepoOnly && !brew.head.localRepoPath) return brew;
 
-			if (sourceLastModified <= localLastModified) return brew;
+			const brewPulled = await this._pGetPulledBrew({brew, localRepo});
+			if (!brewPulled) return brew;
 
 			cntPulls++;
-			return BrewDoc.fromObject(brew).mutUpdate({json}).toObject();
+			return brewPulled;
 		});
 
 		if (!cntPulls) return cntPulls;
@@ -773,7 +893,34 @@ export class BrewUtil2Base {
 		return cntPulls;
 	}
 
-	isPullable (brew) { return !brew.head.isEditable && !!brew.head.url; }
+	isPullable (brew) { return !brew.head.isEditable && (!!brew.head.url || !!brew.head.localRepoPath); }
+
+	/**
+	 * @return {Promise<?object>} The updated brew, or `null` if there is no update.
+	 */
+	async _pGetPulledBrew ({brew, localRepo}) {
+		const json = await this._pGetBrewUpstreamJson({brew, localRepo});
+		if (!json) return null;
+
+		// Files in the local repo are compared by content, as local edits may not bump the last-modified date
+		if (brew.head.localRepoPath && localRepo) {
+			if (CryptUtil.md5(JSON.stringify(json)) === brew.head.checksum) return null;
+			return BrewDoc.fromObject(brew).mutUpdate({json}).toObject();
+		}
+
+		const localLastModified = brew.body._meta?.dateLastModified ?? 0;
+		const sourceLastModified = json._meta?.dateLastModified ?? 0;
+
+		if (sourceLastModified <= localLastModified) return null;
+
+		return BrewDoc.fromObject(brew).mutUpdate({json}).toObject();
+	}
+
+	async _pGetBrewUpstreamJson ({brew, localRepo}) {
+		if (brew.head.localRepoPath && localRepo) return localRepo.pLoadJson(brew.head.localRepoPath);
+		if (brew.head.url) return DataUtil.loadRawJSON(brew.head.url, {isBustCache: true});
+		return null;
+	}
 
 	async pPullBrew (brew) {
 		try {
@@ -788,19 +935,17 @@ export class BrewUtil2Base {
 		const brews = await this._pGetBrewRaw({lockToken});
 		if (!brews?.length) return;
 
+		const localRepo = await this._pGetLocalRepoReadable();
+
 		let isPull = false;
 		const brewsNxt = await brews.pMap(async it => {
-			if (it.head.docIdLocal !== brew.head.docIdLocal || !this.isPullable(it)) return it;
+			if (it.head.docIdLocal !== brew.head.docIdLocal || !this.isPullable(it) || it.head.isPinned) return it;
 
-			const json = await DataUtil.loadRawJSON(it.head.url, {isBustCache: true});
-
-			const localLastModified = it.body._meta?.dateLastModified ?? 0;
-			const sourceLastModified = json._meta?.dateLastModified ?? 0;
-
-			if (sourceLastModified <= localLastModified) return it;
+			const brewPulled = await this._pGetPulledBrew({brew: it, localRepo});
+			if (!brewPulled) return it;
 
 			isPull = true;
-			return BrewDoc.fromObject(it).mutUpdate({json}).toObject();
+			return brewPulled;
 		});
 
 		if (!isPull) return isPull;
@@ -809,6 +954,46 @@ export class BrewUtil2Base {
 		return isPull;
 	}
 
+	/**
+	 * Re-fetch a brew from its URL or local folder, and compare it against the stored copy. Unlike pulling, this ignores
+	 * the document's last-modified date, and the result is not saved.
+	 * @return {Promise<?{json: object, checksum: string, isChanged: boolean, diff: ?object}>} `null` if the brew
+	 * could not be re-fetched.
+	 */
+	async pGetBrewUpdate (brew) {
+		if (!this.isPullable(brew)) return null;
+
+		const localRepo = brew.head.localRepoPath ? await this._pGetLocalRepoReadable() : null;
+		const json = await this._pGetBrewUpstreamJson({brew, localRepo});
+		if (!json) return null;
+
+		const checksum = CryptUtil.md5(JSON.stringify(json));
+		const isChanged = checksum !== brew.head.checksum;
+
+		return {
+			json,
+			checksum,
+			isChanged,
+			diff: isChanged ? BrewDiffUtil.getEntityDiff({jsonPrev: brew.body, jsonNext: json}) : null,
+		};
+	}
+
+	/** Replace a brew's contents with a version fetched by `pGetBrewUpdate`, and unpin it. */
+	async pApplyBrewUpdate ({brew, json}) {
+		const brewNxt = BrewDoc.fromObject(brew, {isCopy: true}).mutUpdate({json}).toObject();
+		brewNxt.head.isPinned = false;
+		await this.pUpdateBrew(brewNxt);
+		return brewNxt;
+	}
+
+	/** Pinned brews are skipped when pulling, so that the current version is kept. */
+	async pSetBrewPinned ({brew, isPinned}) {
+		const brewNxt = BrewDoc.fromObject(brew, {isCopy: true}).toObject();
+		brewNxt.head.isPinned = !!isPinned;
+		await this.pUpdateBrew(brewNxt);
+		return brewNxt;
+	}
+
 	async pAddBrewFromLoaderTag (ele) {
 		const $ele = $(ele);
 		if (!$ele.hasClass("rd__wrp-loadbrew--ready")) return; // an existing click is being handled
@@ -856,7 +1041,7 @@ export class BrewUtil2Base {
 		return brewDocsAdded;
 	}
 
-	_getBrewDoc ({json, url = null, filename = null, isLocal = false, isEditable = false}) {
+	_getBrewDoc ({json, url = null, filename = null, isLocal = false, isEditable = false, localRepoPath = null}) {
 		return BrewDoc.fromValues({
 			head: {
 				json,
@@ -864,6 +1049,7 @@ export class BrewUtil2Base {
 				filename,
 				isLocal,
 				isEditable,
+				localRepoPath,
 			},
 			body: json,
 		}).toObject();
@@ -0,0 +1,240 @@
+/**
+ * Dependency graph and conflict detection across loaded homebrew documents.
+ */
+export class BrewDependencyUtil {
+	static PROPS_DEPS = ["dependencies", "includes"];
+	static PROPS_DEPS_DEEP = ["otherSources"];
+
+	static PROPS_NON_ENTITY = new Set(["_meta", "_test", "$schema"]);
+
+	/**
+	 * @param brewDoc A `BrewDoc`-like object, with a `body`.
+	 * @return {Array<{prop: string, source: string}>} The sources the document depends on, and the `_meta` prop
+	 * which declares each.
+	 */
+	static getDependencyMetas ({brewDoc}) {
+		const out = [];
+
+		this.PROPS_DEPS.forEach(prop => {
+			const obj = brewDoc.body._meta?.[prop];
+			if (!obj || !Object.keys(obj).length) return;
+			Object.values(obj)
+				.flat()
+				.forEach(source => out.push({prop, source}));
+		});
+
+		this.PROPS_DEPS_DEEP.forEach(prop => {
+			const obj = brewDoc.body._meta?.[prop];
+			if (!obj || !Object.keys(obj).length) return;
+			Object.values(obj)
+				.map(objSub => Object.keys(objSub))
+				.flat()
+				.forEach(source => out.push({prop, source}));
+		});
+
+		return out;
+	}
+
+	static _getDocSources ({brewDoc}) {
+		return (brewDoc.body._meta?.sources || [])
+			.map(src => src.json)
+			.filter(Boolean);
+	}
+
+	/* -------------------------------------------- */
+
+	/**
+	 * @param brewDocs The documents to graph.
+	 * @param [brewDocsExternal] Documents which may satisfy dependencies, but which are only graphed if required,
+	 * e.g. prerelease documents for a homebrew graph.
+	 * @return {{nodes: Array, edges: Array, missing: Array}}
+	 * `nodes`: `{ix, brewDoc, sources, isExternal}`;
+	 * `edges`: `{ixFrom, ixTo, props}`, where `ixFrom` depends on `ixTo`;
+	 * `missing`: `{ixFrom, source, props}`, for dependencies which are not satisfied by any loaded document.
+	 */
+	static getGraph ({brewDocs, brewDocsExternal = []}) {
+		const nodes = [];
+		const sourceToNode = {};
+
+		const addNode = ({brewDoc, isExternal}) => {
+			const node = {ix: nodes.length, brewDoc, sources: this._getDocSources({brewDoc}), isExternal};
+			nodes.push(node);
+			node.sources.forEach(src => sourceToNode[src.toLowerCase()] ||= node);
+			return node;
+		};
+
+		brewDocs.forEach(brewDoc => addNode({brewDoc, isExternal: false}));
+		const nodesExternal = brewDocsExternal.map(brewDoc => addNode({brewDoc, isExternal: true}));
+
+		const edges = {};
+		const missing = {};
+
+		nodes
+			.filter(node => !node.isExternal)
+			.forEach(node => {
+				this.getDependencyMetas({brewDoc: node.brewDoc})
+					.forEach(({prop, source}) => {
+						if (SourceUtil.isSiteSource(source)) return;
+
+						const nodeTo = sourceToNode[source.toLowerCase()];
+						if (nodeTo === node) return;
+
+						if (!nodeTo) {
+							const meta = (missing[`${node.ix}__${source.toLowerCase()}`] ||= {ixFrom: node.ix, source, props: []});
+							if (!meta.props.includes(prop)) meta.props.push(prop);
+							return;
+						}
+
+						const meta = (edges[`${node.ix}__${nodeTo.ix}`] ||= {ixFrom: node.ix, ixTo: nodeTo.ix, props: []});
+						if (!meta.props.includes(prop)) meta.props.push(prop);
+					});
+			});
+
+		// Only keep external documents which are depended upon
+		const edgesList = Object.values(edges);
+		const ixsExternalUsed = new Set(edgesList.map(({ixTo}) => ixTo));
+		const ixsRemoved = new Set(nodesExternal.filter(node => !ixsExternalUsed.has(node.ix)).map(node => node.ix));
+
+		return {
+			nodes: nodes.filter(node => !ixsRemoved.has(node.ix)),
+			edges: edgesList,
+			missing: Object.values(missing),
+		};
+	}
+
+	/**
+	 * Assign each node a column, such that every node is to the right of all of its dependencies.
+	 * @return {Object<number, number>} Map of node index to column index.
+	 */
+	static getNodeColumns ({nodes, edges}) {
+		const ixToDeps = {};
+		edges.forEach(({ixFrom, ixTo}) => (ixToDeps[ixFrom] ||= []).push(ixTo));
+
+		const out = {};
+		const visiting = new Set();
+
+		const getColumn = ix => {
+			if (out[ix] != null) return out[ix];
+			// Break dependency cycles
+			if (visiting.has(ix)) return 0;
+			visiting.add(ix);
+			const col = Math.max(-1, ...(ixToDeps[ix] || []).map(ixDep => getColumn(ixDep))) + 1;
+			visiting.delete(ix);
+			return out[ix] = col;
+		};
+
+		nodes.forEach(node => getColumn(node.ix));
+		return out;
+	}
+
+	/* -------------------------------------------- */
+
+	static getEntityHash ({prop, ent}) {
+		try {
+			const hash = UrlUtil.URL_TO_HASH_BUILDER[prop]?.(ent);
+			if (hash) return hash;
+		} catch (ignored) {
+			// Fall through
+		}
+		return [ent.name, SourceUtil.getEntitySource(ent)].join("|").toLowerCase();
+	}
+
+	static _getEntityMetas ({brewDocs}) {
+		const out = [];
+		brewDocs.forEach((brewDoc, ixDoc) => {
+			Object.entries(brewDoc.body)
+				.forEach(([prop, arr]) => {
+					if (this.PROPS_NON_ENTITY.has(prop) || !(arr instanceof Array)) return;
+					arr.forEach(ent => {
+						if (ent == null || typeof ent !== "object") return;
+						out.push({ixDoc, prop, ent});
+					});
+				});
+		});
+		return out;
+	}
+
+	/**
+	 * @param brewDocs The documents to check.
+	 * @param [brewDocsExternal] Documents which may satisfy `_copy` targets, but which are not otherwise checked,
+	 * e.g. prerelease documents for a homebrew report.
+	 * @param [pFnGetSiteEntities] Function which resolves to the list of site entities for a prop, or `null` if the
+	 * prop cannot be checked. Used to verify `_copy` targets which are not in any of the documents.
+	 * @return {Promise<{entities: Array, copies: Array, sources: Array}>}
+	 * `entities`: `{prop, name, source, hash, ixDocs}`, for entities defined more than once;
+	 * `copies`: `{ixDoc, prop, ent, copy}`, for `_copy`s whose target does not exist;
+	 * `sources`: `{source, ixDocs}`, for sources declared more than once.
+	 */
+	static async pGetConflicts ({brewDocs, brewDocsExternal = [], pFnGetSiteEntities = null}) {
+		pFnGetSiteEntities ||= prop => DataLoader.pCacheAndGetAllSite(prop, {isSilent: true});
+
+		const entityMetas = this._getEntityMetas({brewDocs});
+
+		// region Duplicate entities
+		const hashToMetas = {};
+		entityMetas.forEach(meta => {
+			const {prop, ent} = meta;
+			if (!ent.name || !SourceUtil.getEntitySource(ent)) return;
+			meta.hash = this.getEntityHash({prop, ent});
+			(hashToMetas[`${prop}__${meta.hash}`] ||= []).push(meta);
+		});
+
+		const entities = Object.values(hashToMetas)
+			.filter(metas => metas.length > 1)
+			.map(metas => ({
+				prop: metas[0].prop,
+				name: metas[0].ent.name,
+				source: SourceUtil.getEntitySource(metas[0].ent),
+				hash: metas[0].hash,
+				ixDocs: metas.map(({ixDoc}) => ixDoc),
+			}));
+		// endregion
+
+		// region Missing `_copy` targets
+		const propToHashes = {};
+		[
+			...entityMetas,
+			...this._getEntityMetas({brewDocs: brewDocsExternal}),
+		].forEach(({prop, ent}) => {
+			if (!ent.name || !SourceUtil.getEntitySource(ent)) return;
+			(propToHashes[prop] ||= new Set()).add(this.getEntityHash({prop, ent}));
+		});
+
+		const propToSiteHashes = {};
+		const pGetSiteHashes = async prop => {
+			if (propToSiteHashes[prop] !== undefined) return propToSiteHashes[prop];
+			const ents = await pFnGetSiteEntities(prop);
+			return propToSiteHashes[prop] = ents ? new Set(ents.map(ent => this.getEntityHash({prop, ent}))) : null;
+		};
+
+		const copies = [];
+		for (const {ixDoc, prop, ent} of entityMetas) {
+			if (!ent._copy?.name || !ent._copy.source) continue;
+
+			const hash = this.getEntityHash({prop, ent: ent._copy});
+			if (propToHashes[prop]?.has(hash)) continue;
+
+			if (SourceUtil.isSiteSource(ent._copy.source)) {
+				const siteHashes = await pGetSiteHashes(prop);
+				// If the site data could not be checked, assume the target exists
+				if (!siteHashes || siteHashes.has(hash)) continue;
+			}
+
+			copies.push({ixDoc, prop, ent, copy: ent._copy});
+		}
+		// endregion
+
+		// region Duplicate sources
+		const sourceToIxDocs = {};
+		brewDocs.forEach((brewDoc, ixDoc) => {
+			this._getDocSources({brewDoc})
+				.forEach(src => (sourceToIxDocs[src.toLowerCase()] ||= {source: src, ixDocs: []}).ixDocs.push(ixDoc));
+		});
+
+		const sources = Object.values(sourceToIxDocs)
+			.filter(({ixDocs}) => ixDocs.length > 1);
+		// endregion
+
+		return {entities, copies, sources};
+	}
+}
@@ -0,0 +1,58 @@
+import {BrewDependencyUtil} from "./utils-brew-dependencies.js";
+
+/**
+ * Entity-level comparison of two versions of a homebrew document.
+ */
+export class BrewDiffUtil {
+	static _getEntityMap ({json}) {
+		const out = new Map();
+		Object.entries(json || {})
+			.forEach(([prop, arr]) => {
+				if (BrewDependencyUtil.PROPS_NON_ENTITY.has(prop) || !(arr instanceof Array)) return;
+				arr.forEach(ent => {
+					if (ent == null || typeof ent !== "object" || !ent.name) return;
+					out.set(`${prop}__${BrewDependencyUtil.getEntityHash({prop, ent})}`, {prop, ent});
+				});
+			});
+		return out;
+	}
+
+	static _getEntityDiffMeta ({prop, ent}) {
+		return {prop, name: ent.name, source: SourceUtil.getEntitySource(ent)};
+	}
+
+	/**
+	 * @param jsonPrev The current version of the document.
+	 * @param jsonNext The incoming version of the document.
+	 * @return {{added: Array, removed: Array, changed: Array, isMetaChanged: boolean}}
+	 * `added`/`removed`/`changed`: `{prop, name, source}`, sorted by prop then name;
+	 * `isMetaChanged`: if the document's `_meta` differs.
+	 */
+	static getEntityDiff ({jsonPrev, jsonNext}) {
+		const mapPrev = this._getEntityMap({json: jsonPrev});
+		const mapNext = this._getEntityMap({json: jsonNext});
+
+		const added = [];
+		const removed = [];
+		const changed = [];
+
+		mapNext.forEach((metaNext, key) => {
+			const metaPrev = mapPrev.get(key);
+			if (!metaPrev) return added.push(this._getEntityDiffMeta(metaNext));
+			if (!CollectionUtil.deepEquals(metaPrev.ent, metaNext.ent)) changed.push(this._getEntityDiffMeta(metaNext));
+		});
+
+		mapPrev.forEach((metaPrev, key) => {
+			if (!mapNext.has(key)) removed.push(this._getEntityDiffMeta(metaPrev));
+		});
+
+		const fnSort = (a, b) => SortUtil.ascSortLower(a.prop, b.prop) || SortUtil.ascSortLower(a.name, b.name);
+
+		return {
+			added: added.sort(fnSort),
+			removed: removed.sort(fnSort),
+			changed: changed.sort(fnSort),
+			isMetaChanged: !CollectionUtil.deepEquals(jsonPrev?._meta ?? null, jsonNext?._meta ?? null),
+		};
+	}
+}
@@ -11,6 +11,7 @@ export class BrewUtil2_ extends BrewUtil2Base {
 
 	_STORAGE_KEY_CUSTOM_URL = "HOMEBREW_CUSTOM_REPO_URL";
 	_STORAGE_KEY_MIGRATION_VERSION = "HOMEBREW_2_STORAGE_MIGRATION";
+	_STORAGE_KEY_LOCAL_REPO = "HOMEBREW_LOCAL_REPO";
 
 	_VERSION = 2;
 
@@ -9,6 +9,7 @@ export class PrereleaseUtil_ extends BrewUtil2Base {
 
 	_STORAGE_KEY_CUSTOM_URL = "PRERELEASE_CUSTOM_REPO_URL";
 	_STORAGE_KEY_MIGRATION_VERSION = "PRERELEASE_STORAGE_MIGRATION";
+	_STORAGE_KEY_LOCAL_REPO = "PRERELEASE_LOCAL_REPO";
 
 	_PATH_LOCAL_DIR = "prerelease";
 	_PATH_LOCAL_INDEX = VeCt.JSON_PRERELEASE_INDEX;
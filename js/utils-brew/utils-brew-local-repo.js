@@ -0,0 +1,147 @@
+/**
+ * A local folder of homebrew, such as a git checkout of a homebrew repository, which can be browsed and loaded from.
+ *
+ * Folders are read using the File System Access API, where available. Otherwise, a folder served by a local dev server
+ * may be used instead, in which case the folder must contain an `index.json` listing its files, in the same format as
+ * the site's own `homebrew/index.json`.
+ */
+export class BrewLocalRepo {
+	static _TYPE_DIRECTORY = "directory";
+	static _TYPE_URL = "url";
+
+	static isDirectorySupported () { return typeof window !== "undefined" && !!window.showDirectoryPicker; }
+
+	/** Prompt the user to pick a folder. Must be called from a user gesture. */
+	static async pGetUserDirectoryRepo () {
+		try {
+			const handle = await window.showDirectoryPicker({id: "brew-local-repo", mode: "read"});
+			return new _BrewLocalRepoDirectory({handle});
+		} catch (e) {
+			// The user closed the picker
+			if (e.name === "AbortError") return null;
+			throw e;
+		}
+	}
+
+	static getUrlRepo (url) { return new _BrewLocalRepoUrl({url}); }
+
+	static fromStorage (obj) {
+		switch (obj?.type) {
+			case this._TYPE_DIRECTORY: return new _BrewLocalRepoDirectory({handle: obj.handle});
+			case this._TYPE_URL: return new _BrewLocalRepoUrl({url: obj.url});
+			default: return null;
+		}
+	}
+
+	/** @abstract */
+	toStorage () { throw new Error("Unimplemented!"); }
+
+	/** @abstract */
+	getDisplayName () { throw new Error("Unimplemented!"); }
+
+	/** If the folder can be read without prompting the user. */
+	async pIsReadable () { return true; }
+
+	/** Prompt the user for access to the folder, if required. Must be called from a user gesture. */
+	async pRequestAccess () { return true; }
+
+	/**
+	 * @abstract
+	 * @return {Promise<Array<{path: string, lastModified: ?number}>>} The JSON files in the folder, with paths relative
+	 * to the folder root, and last-modified epoch millis, where known.
+	 */
+	async pGetFileMetas () { throw new Error("Unimplemented!"); }
+
+	/** @abstract */
+	async pLoadJson (path) { throw new Error("Unimplemented!"); }
+
+	/** @return {?string} A URL from which the file may be viewed, if the file is available via URL. */
+	getFileUrl (path) { return null; }
+}
+
+class _BrewLocalRepoDirectory extends BrewLocalRepo {
+	// e.g. `.git`, `_generated`, `node_modules`
+	static _RE_DIR_IGNORED = /^[._]|^node_modules$/;
+
+	constructor ({handle}) {
+		super();
+		this._handle = handle;
+	}
+
+	toStorage () { return {type: this.constructor._TYPE_DIRECTORY, handle: this._handle}; }
+
+	getDisplayName () { return this._handle.name; }
+
+	async pIsReadable () {
+		return (await this._handle.queryPermission({mode: "read"})) === "granted";
+	}
+
+	async pRequestAccess () {
+		if (await this.pIsReadable()) return true;
+		try {
+			return (await this._handle.requestPermission({mode: "read"})) === "granted";
+		} catch (e) {
+			// Thrown if not called from a user gesture
+			setTimeout(() => { throw e; });
+			return false;
+		}
+	}
+
+	async pGetFileMetas () {
+		const out = [];
+		await this._pGetFileMetas_pWalk({handleDir: this._handle, pathParts: [], out});
+		return out.sort((a, b) => SortUtil.ascSortLower(a.path, b.path));
+	}
+
+	async _pGetFileMetas_pWalk ({handleDir, pathParts, out}) {
+		for await (const [name, handle] of handleDir.entries()) {
+			if (handle.kind === "directory") {
+				if (this.constructor._RE_DIR_IGNORED.test(name)) continue;
+				await this._pGetFileMetas_pWalk({handleDir: handle, pathParts: [...pathParts, name], out});
+				continue;
+			}
+
+			if (!/\.json$/i.test(name)) continue;
+			const file = await handle.getFile();
+			out.push({path: [...pathParts, name].join("/"), lastModified: file.lastModified});
+		}
+	}
+
+	async pLoadJson (path) {
+		const pathParts = path.split("/");
+		const filename = pathParts.pop();
+
+		let handleDir = this._handle;
+		for (const part of pathParts) handleDir = await handleDir.getDirectoryHandle(part);
+
+		const file = await (await handleDir.getFileHandle(filename)).getFile();
+		return JSON.parse(await file.text());
+	}
+}
+
+class _BrewLocalRepoUrl extends BrewLocalRepo {
+	static _FILENAME_INDEX = "index.json";
+
+	constructor ({url}) {
+		super();
+		this._url = url.trim().endsWith("/") ? url.trim() : `${url.trim()}/`;
+	}
+
+	toStorage () { return {type: this.constructor._TYPE_URL, url: this._url}; }
+
+	getDisplayName () { return this._url; }
+
+	async pGetFileMetas () {
+		const index = await DataUtil.loadRawJSON(`${this._url}${this.constructor._FILENAME_INDEX}`, {isBustCache: true});
+		return (index?.toImport || [])
+			.map(path => `${path}`.trim())
+			.filter(path => path && !/^https?:\/\//.test(path))
+			.map(path => ({path, lastModified: null}));
+	}
+
+	async pLoadJson (path) {
+		return DataUtil.loadRawJSON(this.getFileUrl(path), {isBustCache: true});
+	}
+
+	getFileUrl (path) { return `${this._url}${path}`; }
+}
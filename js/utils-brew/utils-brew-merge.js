@@ -0,0 +1,153 @@
+import {BrewDoc} from "./utils-brew-models.js";
+import {BrewDependencyUtil} from "./utils-brew-dependencies.js";
+
+/**
+ * Consolidation of several homebrew documents into a single document.
+ */
+export class BrewMergeUtil {
+	/**
+	 * @param brewDocs The documents to merge.
+	 * @param [isResolveCopies] If `_copy`s which target an entity in the merged document should be applied.
+	 * @return {Promise<{json: object, collisions: object, copies: object}>}
+	 * `collisions`: `{entities, sources, meta}`, where `entities` and `sources` are as returned by
+	 * `BrewDependencyUtil.pGetConflicts`, and `meta` is `{metaProp, key, ixDocs}`, for `_meta` entries which are
+	 * defined differently by more than one document;
+	 * `copies`: `{cntResolved, unresolved}`, where `unresolved` is `{prop, name, source, message}`.
+	 */
+	static async pGetMerged ({brewDocs, isResolveCopies = false}) {
+		const {entities, sources} = await BrewDependencyUtil.pGetConflicts({brewDocs, pFnGetSiteEntities: async () => null});
+		const meta = this._getMetaCollisions({brewDocs});
+
+		const json = BrewDoc.mergeObjects({isMutMakeCompatible: false}, ...brewDocs.map(brewDoc => brewDoc.body));
+		this._mutMeta({json});
+
+		const copies = isResolveCopies
+			? await this._pMutResolveCopies({json})
+			: {cntResolved: 0, unresolved: []};
+		if (isResolveCopies) this._mutMetaInternalCopies({json});
+
+		return {json, collisions: {entities, sources, meta}, copies};
+	}
+
+	static _getMetaCollisions ({brewDocs}) {
+		const out = [];
+
+		BrewDoc.getMetaKeysMergeableObjects()
+			.forEach(metaProp => {
+				const keyToMetas = {};
+				brewDocs.forEach((brewDoc, ixDoc) => {
+					Object.entries(brewDoc.body._meta?.[metaProp] || {})
+						.forEach(([key, val]) => (keyToMetas[key] ||= []).push({ixDoc, val}));
+				});
+
+				Object.entries(keyToMetas)
+					.forEach(([key, metas]) => {
+						if (metas.length < 2) return;
+						if (metas.every(({val}) => CollectionUtil.deepEquals(val, metas[0].val))) return;
+						out.push({metaProp, key, ixDocs: metas.map(({ixDoc}) => ixDoc)});
+					});
+			});
+
+		return out;
+	}
+
+	/* -------------------------------------------- */
+
+	static _mutMeta ({json}) {
+		if (!json._meta) return;
+
+		const sourcesSeen = new Set();
+		json._meta.sources = (json._meta.sources || [])
+			.filter(src => {
+				if (!src.json) return true;
+				const source = src.json.toLowerCase();
+				if (sourcesSeen.has(source)) return false;
+				sourcesSeen.add(source);
+				return true;
+			});
+
+		// Dependencies on sources which are now part of the document become internal copies
+		["dependencies", "includes"].forEach(metaProp => {
+			const obj = json._meta[metaProp];
+			if (!obj) return;
+
+			Object.entries(obj)
+				.forEach(([prop, sources]) => {
+					const sourcesExternal = sources.filter(source => !sourcesSeen.has(source.toLowerCase()));
+					if (metaProp === "dependencies" && sourcesExternal.length !== sources.length) {
+						json._meta.internalCopies = [...(json._meta.internalCopies || []), prop].unique();
+					}
+
+					if (sourcesExternal.length) obj[prop] = sourcesExternal;
+					else delete obj[prop];
+				});
+
+			if (!Object.keys(obj).length) delete json._meta[metaProp];
+		});
+	}
+
+	static _mutMetaInternalCopies ({json}) {
+		if (!json._meta?.internalCopies) return;
+
+		json._meta.internalCopies = json._meta.internalCopies
+			.filter(prop => json[prop] instanceof Array && json[prop].some(ent => ent?._copy));
+		if (!json._meta.internalCopies.length) delete json._meta.internalCopies;
+	}
+
+	/* -------------------------------------------- */
+
+	static async _pMutResolveCopies ({json}) {
+		const unresolved = [];
+		let cntResolved = 0;
+		let templateData = null;
+
+		for (const [prop, arr] of Object.entries(json)) {
+			if (BrewDependencyUtil.PROPS_NON_ENTITY.has(prop) || !(arr instanceof Array)) continue;
+
+			const hashToEnt = new Map();
+			arr.forEach(ent => {
+				if (!ent?.name || !SourceUtil.getEntitySource(ent)) return;
+				const hash = BrewDependencyUtil.getEntityHash({prop, ent});
+				// As with loading, the first definition of an entity is used
+				if (!hashToEnt.has(hash)) hashToEnt.set(hash, ent);
+			});
+
+			const pResolve = async (ent, stack) => {
+				if (!ent._copy) return;
+				if (stack.includes(ent)) throw new Error(`Circular "_copy" chain!`);
+
+				const entFrom = hashToEnt.get(BrewDependencyUtil.getEntityHash({prop, ent: ent._copy}));
+				// Copies of entities from other documents are left as-is
+				if (!entFrom) return;
+
+				const impl = DataUtil[prop];
+				if (!impl?.pMergeCopy) throw new Error(`No "_copy" merge strategy for "${prop}"!`);
+
+				await pResolve(entFrom, [...stack, ent]);
+				if (entFrom._copy) throw new Error(`Copied entity "${entFrom.name}" copies an entity from another document!`);
+
+				if (ent._copy._templates) templateData ||= await DataUtil.loadJSON(`${Renderer.get().baseUrl}data/bestiary/template.json`);
+
+				// Apply to a copy, so that a failed application leaves the entity untouched
+				const entNxt = MiscUtil.copyFast(ent);
+				DataUtil.generic.copyApplier.getCopy(impl, MiscUtil.copyFast(entFrom), entNxt, templateData);
+				delete entNxt._isCopy;
+
+				Object.keys(ent).forEach(k => delete ent[k]);
+				Object.assign(ent, entNxt);
+				cntResolved++;
+			};
+
+			for (const ent of arr) {
+				if (!ent?._copy) continue;
+				try {
+					await pResolve(ent, []);
+				} catch (e) {
+					unresolved.push({prop, name: ent.name, source: SourceUtil.getEntitySource(ent), message: e.message});
+				}
+			}
+		}
+
+		return {cntResolved, unresolved};
+	}
+}
@@ -98,6 +98,9 @@ export class BrewDoc {
 		...this._META_KEYS_CONTENT_METADATA__OBJECT,
 	];
 
+	/** The `_meta` props which are merged as objects, e.g. `spellSchools`. */
+	static getMetaKeysMergeableObjects () { return [...this._META_KEYS_MERGEABLE_OBJECTS]; }
+
 	static _META_KEYS_MERGEABLE_SPECIAL = {
 		"dateAdded": (a, b) => a != null && b != null ? Math.min(a, b) : a ?? b,
 		"dateLastModified": (a, b) => a != null && b != null ? Math.max(a, b) : a ?? b,
@@ -221,6 +224,9 @@ class _BrewDocHead {
 		this.filename = opts.filename;
 		this.isLocal = opts.isLocal;
 		this.isEditable = opts.isEditable;
+		this.localRepoPath = opts.localRepoPath;
+		this.timeFetched = opts.timeFetched;
+		this.isPinned = opts.isPinned;
 	}
 
 	toObject () { return MiscUtil.copyFast({...this}); }
@@ -232,6 +238,7 @@ class _BrewDocHead {
 			filename = null,
 			isLocal = false,
 			isEditable = false,
+			localRepoPath = null,
 		},
 	) {
 		return new this({
@@ -242,6 +249,9 @@ class _BrewDocHead {
 			filename: filename,
 			isLocal: isLocal,
 			isEditable: isEditable,
+			localRepoPath: localRepoPath,
+			timeFetched: url || localRepoPath ? Date.now() : null,
+			isPinned: false,
 		});
 	}
 
@@ -251,6 +261,7 @@ class _BrewDocHead {
 
 	mutUpdate ({json}) {
 		this.checksum = CryptUtil.md5(JSON.stringify(json));
+		if (this.url || this.localRepoPath) this.timeFetched = Date.now();
 		return this;
 	}
 
@@ -115,13 +115,18 @@ export class GetBrewUi {
 		}
 	};
 
-	static async pDoGetBrew ({brewUtil, isModal: isParentModal = false} = {}) {
+	/**
+	 * @param brewUtil
+	 * @param [isModal]
+	 * @param [isLocalRepo] If the user's local folder should be listed, rather than the remote repository.
+	 */
+	static async pDoGetBrew ({brewUtil, isModal: isParentModal = false, isLocalRepo = false} = {}) {
 		return new Promise((resolve, reject) => {
-			const ui = new this({brewUtil, isModal: true});
+			const ui = new this({brewUtil, isModal: true, isLocalRepo});
 			const rdState = new this._RenderState();
 			const {$modalInner} = UiUtil.getShowModal({
 				isHeight100: true,
-				title: `Get ${brewUtil.DISPLAY_NAME.toTitleCase()}`,
+				title: isLocalRepo ? `Get ${brewUtil.DISPLAY_NAME.toTitleCase()} from Local Folder` : `Get ${brewUtil.DISPLAY_NAME.toTitleCase()}`,
 				isUncappedHeight: true,
 				isWidth100: true,
 				overlayColor: isParentModal ? "transparent" : undefined,
@@ -155,9 +160,10 @@ export class GetBrewUi {
 	static _sortUrlList_byName (a, b) { return SortUtil.ascSortLower(a._brewName, b._brewName); }
 	static _sortUrlList_orFallback (a, b, fn, prop) { return fn(a[prop], b[prop]) || this._sortUrlList_byName(a, b); }
 
-	constructor ({brewUtil, isModal} = {}) {
+	constructor ({brewUtil, isModal, isLocalRepo = false} = {}) {
 		this._brewUtil = brewUtil;
 		this._isModal = isModal;
+		this._isLocalRepo = isLocalRepo;
 
 		this._dataList = null;
 
@@ -165,7 +171,10 @@ export class GetBrewUi {
 	}
 
 	async pInit () {
-		this._dataList = await this._brewUtil.pGetCombinedIndexes();
+		this._dataList = this._isLocalRepo
+			// Always re-read the folder, to pick up any changes
+			? await this._brewUtil.pGetLocalRepoCombinedIndexes({isForce: true})
+			: await this._brewUtil.pGetCombinedIndexes();
 	}
 
 	async pHandlePreCloseModal ({rdState}) {
@@ -226,8 +235,7 @@ export class GetBrewUi {
 		</div>`;
 
 		$$($wrp)`
-		<div class="mt-1"><i>A list of ${this._brewUtil.DISPLAY_NAME} available in the public repository. Click a name to load the ${this._brewUtil.DISPLAY_NAME}, or view the source directly.${this._brewUtil.IS_EDITABLE ? `<br>
-		Contributions are welcome; see the <a href="${this._brewUtil.URL_REPO_DEFAULT}/blob/master/README.md" target="_blank" rel="noopener noreferrer">README</a>, or stop by our <a href="https://discord.gg/5etools" target="_blank" rel="noopener noreferrer">Discord</a>.` : ""}</i></div>
+		<div class="mt-1">${await this._pGetHtmlDescription()}</div>
 		<hr class="hr-3">
 		<div class="lst__form-top">
 			${$btnAddSelected}
@@ -270,7 +278,7 @@ export class GetBrewUi {
 			$btnOpen: $btnFilter,
 			$btnToggleSummaryHidden,
 			$wrpMiniPills,
-			namespace: `get-homebrew-${UrlUtil.getCurrentPage()}`,
+			namespace: `get-homebrew${this._isLocalRepo ? "-local" : ""}-${UrlUtil.getCurrentPage()}`,
 		});
 
 		this._dataList.forEach(it => rdState.pageFilter.mutateAndAddToFilters(it));
@@ -294,6 +302,17 @@ export class GetBrewUi {
 		$iptSearch.focus();
 	}
 
+	async _pGetHtmlDescription () {
+		if (this._isLocalRepo) {
+			const localRepo = await this._brewUtil.pGetLocalRepo();
+			return `<i>A list of ${this._brewUtil.DISPLAY_NAME} available in your local folder, <code>${(localRepo?.getDisplayName() || "").qq()}</code>. Click a name to load the ${this._brewUtil.DISPLAY_NAME}.<br>
+			${this._brewUtil.DISPLAY_NAME.uppercaseFirst()} loaded from the folder can be reloaded after editing it, using &quot;Reload Changed Files.&quot;</i>`;
+		}
+
+		return `<i>A list of ${this._brewUtil.DISPLAY_NAME} available in the public repository. Click a name to load the ${this._brewUtil.DISPLAY_NAME}, or view the source directly.${this._brewUtil.IS_EDITABLE ? `<br>
+		Contributions are welcome; see the <a href="${this._brewUtil.URL_REPO_DEFAULT}/blob/master/README.md" target="_blank" rel="noopener noreferrer">README</a>, or stop by our <a href="https://discord.gg/5etools" target="_blank" rel="noopener noreferrer">Discord</a>.` : ""}</i>`;
+	}
+
 	_handleFilterChange (rdState) {
 		const f = rdState.pageFilter.filterBox.getValues();
 		rdState.list.filter(li => rdState.pageFilter.toDisplay(f, this._dataList[li.ix]));
@@ -318,7 +337,7 @@ export class GetBrewUi {
 			tag: "span",
 			clazz: `ve-col-3-5 bold manbrew__load_from_url pl-0 clickable`,
 			text: brewInfo._brewName,
-			click: evt => this._pHandleClick_btnGetRemote({evt, btn: btnAdd, url: brewInfo.urlDownload}),
+			click: evt => this._pHandleClick_btnGetRemote({evt, btn: btnAdd, brewInfo}),
 		});
 
 		const eleLi = e_({
@@ -343,19 +362,26 @@ export class GetBrewUi {
 							tag: "span",
 							clazz: "ve-col-1 manbrew__source ve-text-center pr-0",
 							children: [
-								e_({
-									tag: "a",
-									text: `View Raw`,
-								})
-									.attr("href", brewInfo.urlDownload)
-									.attr("target", "_blank")
-									.attr("rel", "noopener noreferrer"),
+								brewInfo.urlDownload
+									? e_({
+										tag: "a",
+										text: `View Raw`,
+									})
+										.attr("href", brewInfo.urlDownload)
+										.attr("target", "_blank")
+										.attr("rel", "noopener noreferrer")
+									: e_({
+										tag: "span",
+										clazz: "ve-muted code",
+										text: brewInfo.path,
+										title: brewInfo.path,
+									}),
 							],
 						}),
 					],
 				}),
 			],
-			keydown: evt => this._pHandleKeydown_row(evt, {rdState, btnAdd, url: brewInfo.urlDownload, listItem}),
+			keydown: evt => this._pHandleKeydown_row(evt, {rdState, btnAdd, brewInfo, listItem}),
 		})
 			.attr("tabindex", ix);
 
@@ -371,7 +397,7 @@ export class GetBrewUi {
 			{
 				btnAdd,
 				cbSel,
-				pFnDoDownload: ({isLazy = false} = {}) => this._pHandleClick_btnGetRemote({btn: btnAdd, url: brewInfo.urlDownload, isLazy}),
+				pFnDoDownload: ({isLazy = false} = {}) => this._pHandleClick_btnGetRemote({btn: btnAdd, brewInfo, isLazy}),
 			},
 		);
 
@@ -421,8 +447,9 @@ export class GetBrewUi {
 		JqueryUtil.doToast(`Finished loading selected ${this._brewUtil.DISPLAY_NAME}!`);
 	}
 
-	async _pHandleClick_btnGetRemote ({evt, btn, url, isLazy}) {
-		if (!(url || "").trim()) return JqueryUtil.doToast({type: "danger", content: `${this._brewUtil.DISPLAY_NAME.uppercaseFirst()} had no download URL!`});
+	async _pHandleClick_btnGetRemote ({evt, btn, brewInfo, isLazy}) {
+		const url = brewInfo.urlDownload;
+		if (!brewInfo.localRepoPath && !(url || "").trim()) return JqueryUtil.doToast({type: "danger", content: `${this._brewUtil.DISPLAY_NAME.uppercaseFirst()} had no download URL!`});
 
 		if (evt) {
 			evt.stopPropagation();
@@ -431,15 +458,17 @@ export class GetBrewUi {
 
 		const cachedHtml = btn.html();
 		btn.txt("Loading...").attr("disabled", true);
-		const brewsAdded = await this._brewUtil.pAddBrewFromUrl(url, {isLazy});
+		const brewsAdded = brewInfo.localRepoPath
+			? await this._brewUtil.pAddBrewFromLocalRepo(brewInfo.localRepoPath, {isLazy})
+			: await this._brewUtil.pAddBrewFromUrl(url, {isLazy});
 		this._brewsLoaded.push(...brewsAdded);
 		btn.txt("Done!");
 		setTimeout(() => btn.html(cachedHtml).attr("disabled", false), VeCt.DUR_INLINE_NOTIFY);
 	}
 
-	async _pHandleKeydown_row (evt, {rdState, btnAdd, url, listItem}) {
+	async _pHandleKeydown_row (evt, {rdState, btnAdd, brewInfo, listItem}) {
 		switch (evt.key) {
-			case "Enter": return this._pHandleClick_btnGetRemote({evt, btn: btnAdd, url});
+			case "Enter": return this._pHandleClick_btnGetRemote({evt, btn: btnAdd, brewInfo});
 
 			case "ArrowUp": {
 				const ixCur = rdState.list.visibleItems.indexOf(listItem);
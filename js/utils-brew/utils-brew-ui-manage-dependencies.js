@@ -0,0 +1,258 @@
+import {BrewDependencyUtil} from "./utils-brew-dependencies.js";
+
+export class ManageBrewDependenciesUi {
+	static _NODE_WIDTH = 200;
+	static _NODE_HEIGHT = 28;
+	static _NODE_GAP_X = 80;
+	static _NODE_GAP_Y = 12;
+	static _NODE_PADDING = 8;
+	static _NODE_NAME_LENGTH_MAX = 26;
+
+	// Props which cannot be linked using a `{@tag name|source}` tag
+	static _PROPS_NO_LINK = new Set(["subclass", "classFeature", "subclassFeature"]);
+
+	/**
+	 * @param brewUtil The brew util which owns the documents.
+	 * @param brews The documents to report on.
+	 * @param [brewsExternal] Documents which may satisfy dependencies, e.g. prerelease documents for a homebrew report.
+	 * @param fnGetBrewTitle Function which returns a display title for a document.
+	 */
+	static async pShow ({brewUtil, brews, brewsExternal = [], fnGetBrewTitle}) {
+		const graph = BrewDependencyUtil.getGraph({brewDocs: brews, brewDocsExternal: brewsExternal});
+
+		let conflicts;
+		try {
+			conflicts = await BrewDependencyUtil.pGetConflicts({brewDocs: brews, brewDocsExternal: brewsExternal});
+		} catch (e) {
+			JqueryUtil.doToast({content: `Failed to check for conflicts! ${VeCt.STR_SEE_CONSOLE}`, type: "danger"});
+			throw e;
+		}
+
+		const ui = new this({brewUtil, brews, graph, conflicts, fnGetBrewTitle});
+
+		const {$modalInner} = UiUtil.getShowModal({
+			title: `Dependencies & Conflicts`,
+			isUncappedHeight: true,
+			isHeight100: true,
+			isWidth100: true,
+		});
+		ui.render($modalInner);
+	}
+
+	constructor ({brewUtil, brews, graph, conflicts, fnGetBrewTitle}) {
+		this._brewUtil = brewUtil;
+		this._brews = brews;
+		this._graph = graph;
+		this._conflicts = conflicts;
+		this._fnGetBrewTitle = fnGetBrewTitle;
+	}
+
+	render ($wrp) {
+		const cntConflicts = this._conflicts.entities.length + this._conflicts.copies.length + this._conflicts.sources.length;
+
+		$wrp.append(`<div class="mb-2 italic">${this._brews.length} ${this._brews.length === 1 ? this._brewUtil.DISPLAY_NAME : this._brewUtil.DISPLAY_NAME_PLURAL} loaded, with ${this._graph.edges.length} dependenc${this._graph.edges.length === 1 ? "y" : "ies"}, ${this._graph.missing.length} missing dependenc${this._graph.missing.length === 1 ? "y" : "ies"}, and ${cntConflicts} conflict${cntConflicts === 1 ? "" : "s"}.</div>`);
+
+		$wrp.append(`<h4 class="mt-1 mb-1">Dependency Graph</h4>`);
+		if (this._graph.edges.length || this._graph.missing.length) {
+			$wrp.append(`<div class="mb-1 ve-muted">Arrows point from a document to the documents which require it. Missing dependencies are shown with a dashed border.</div>`);
+			$wrp.append(`<div class="manbrew-deps__wrp-graph mb-2">${this._getGraphHtml()}</div>`);
+		} else {
+			$wrp.append(`<div class="mb-2 italic ve-muted">No ${this._brewUtil.DISPLAY_NAME} depends on another.</div>`);
+		}
+		$wrp.append(this._getDocumentsHtml());
+
+		$wrp.append(`<h4 class="mt-1 mb-1">Conflicts</h4>`);
+		if (!cntConflicts) {
+			$wrp.append(`<div class="mb-2 italic ve-muted">No conflicts found.</div>`);
+			return;
+		}
+
+		if (this._conflicts.entities.length) $wrp.append(this._getConflictsEntitiesHtml());
+		if (this._conflicts.copies.length) $wrp.append(this._getConflictsCopiesHtml());
+		if (this._conflicts.sources.length) $wrp.append(this._getConflictsSourcesHtml());
+	}
+
+	/* -------------------------------------------- */
+
+	_getNodeTitle (node) {
+		const title = this._fnGetBrewTitle(node.brewDoc);
+		return node.isExternal ? `${title} (${PrereleaseUtil.DISPLAY_NAME})` : title;
+	}
+
+	_getNodeName (name) {
+		if (name.length <= this.constructor._NODE_NAME_LENGTH_MAX) return name;
+		return `${name.slice(0, this.constructor._NODE_NAME_LENGTH_MAX - 1)}…`;
+	}
+
+	_getGraphHtml () {
+		const {nodes, edges, missing} = this._graph;
+
+		// Only graph documents which are part of a dependency
+		const ixsLinked = new Set([...edges.map(({ixFrom, ixTo}) => [ixFrom, ixTo]).flat(), ...missing.map(({ixFrom}) => ixFrom)]);
+		const nodesGraphed = nodes.filter(node => ixsLinked.has(node.ix));
+
+		const ixToColumn = BrewDependencyUtil.getNodeColumns({nodes: nodesGraphed, edges});
+
+		// Missing dependencies are placed in the first column, so as to be left of their dependents
+		const offsetColumn = missing.length ? 1 : 0;
+		const boxes = [
+			...missing.map(({source}) => ({id: `missing__${source.toLowerCase()}`, col: 0, name: source, title: `Missing: ${source}`, isMissing: true})),
+			...nodesGraphed.map(node => ({id: `node__${node.ix}`, col: ixToColumn[node.ix] + offsetColumn, name: this._getNodeTitle(node), title: `${this._getNodeTitle(node)}\nSources: ${node.sources.join(", ")}`, isExternal: node.isExternal})),
+		];
+
+		// Deduplicate missing sources required by multiple documents
+		const idToBox = {};
+		boxes.forEach(box => idToBox[box.id] ||= box);
+		const boxesUnique = Object.values(idToBox);
+
+		const cntsRows = [];
+		boxesUnique.forEach(box => {
+			box.row = cntsRows[box.col] = (cntsRows[box.col] || 0);
+			cntsRows[box.col]++;
+			box.x = this.constructor._NODE_PADDING + box.col * (this.constructor._NODE_WIDTH + this.constructor._NODE_GAP_X);
+			box.y = this.constructor._NODE_PADDING + box.row * (this.constructor._NODE_HEIGHT + this.constructor._NODE_GAP_Y);
+		});
+
+		const width = (this.constructor._NODE_PADDING * 2) + (cntsRows.length * this.constructor._NODE_WIDTH) + ((cntsRows.length - 1) * this.constructor._NODE_GAP_X);
+		const height = (this.constructor._NODE_PADDING * 2) + (Math.max(...cntsRows) * (this.constructor._NODE_HEIGHT + this.constructor._NODE_GAP_Y)) - this.constructor._NODE_GAP_Y;
+
+		const links = [
+			...edges.map(({ixFrom, ixTo, props}) => ({boxFrom: idToBox[`node__${ixTo}`], boxTo: idToBox[`node__${ixFrom}`], props})),
+			...missing.map(({ixFrom, source, props}) => ({boxFrom: idToBox[`missing__${source.toLowerCase()}`], boxTo: idToBox[`node__${ixFrom}`], props, isMissing: true})),
+		];
+
+		const htmlLinks = links
+			.map(({boxFrom, boxTo, props, isMissing}) => {
+				const x1 = boxFrom.x + this.constructor._NODE_WIDTH;
+				const y1 = boxFrom.y + (this.constructor._NODE_HEIGHT / 2);
+				const x2 = boxTo.x;
+				const y2 = boxTo.y + (this.constructor._NODE_HEIGHT / 2);
+				const xMid = (x1 + x2) / 2;
+				return `<path class="manbrew-deps__edge ${isMissing ? "manbrew-deps__edge--missing" : ""}" d="M${x1},${y1} C${xMid},${y1} ${xMid},${y2} ${x2},${y2}" marker-end="url(#manbrew-deps__arrow)"><title>${props.join(", ").qq()}</title></path>`;
+			})
+			.join("");
+
+		const htmlBoxes = boxesUnique
+			.map(box => {
+				return `<g class="manbrew-deps__node ${box.isMissing ? "manbrew-deps__node--missing" : ""} ${box.isExternal ? "manbrew-deps__node--external" : ""}">
+					<title>${box.title.qq()}</title>
+					<rect x="${box.x}" y="${box.y}" width="${this.constructor._NODE_WIDTH}" height="${this.constructor._NODE_HEIGHT}" rx="3"></rect>
+					<text x="${box.x + (this.constructor._NODE_WIDTH / 2)}" y="${box.y + (this.constructor._NODE_HEIGHT / 2)}" text-anchor="middle" dominant-baseline="central">${this._getNodeName(box.name).qq()}</text>
+				</g>`;
+			})
+			.join("");
+
+		return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" class="manbrew-deps__graph">
+			<defs>
+				<marker id="manbrew-deps__arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">
+					<path d="M0,0 L10,5 L0,10 Z" class="manbrew-deps__arrow"></path>
+				</marker>
+			</defs>
+			${htmlLinks}
+			${htmlBoxes}
+		</svg>`;
+	}
+
+	/* -------------------------------------------- */
+
+	_getDocumentsHtml () {
+		const {nodes, edges, missing} = this._graph;
+		const ixToNode = Object.fromEntries(nodes.map(node => [node.ix, node]));
+
+		const getHtmlNodes = nodesSub => nodesSub.length
+			? nodesSub.map(node => this._getNodeTitle(node).qq()).join("<br>")
+			: `<span class="ve-muted">—</span>`;
+
+		const rows = nodes
+			.filter(node => !node.isExternal)
+			.map(node => {
+				const nodesDeps = edges.filter(({ixFrom}) => ixFrom === node.ix).map(({ixTo}) => ixToNode[ixTo]);
+				const nodesRequiredBy = edges.filter(({ixTo}) => ixTo === node.ix).map(({ixFrom}) => ixToNode[ixFrom]);
+				const missingDeps = missing.filter(({ixFrom}) => ixFrom === node.ix);
+
+				const htmlDeps = missingDeps.length
+					? [
+						...nodesDeps.map(nodeDep => this._getNodeTitle(nodeDep).qq()),
+						...missingDeps.map(({source}) => `<span class="text-danger" title="Not loaded">${source.qq()} (missing)</span>`),
+					].join("<br>")
+					: getHtmlNodes(nodesDeps);
+
+				return `<tr>
+					<td class="px-1">${this._getNodeTitle(node).qq()}</td>
+					<td class="px-1">${htmlDeps}</td>
+					<td class="px-1">${getHtmlNodes(nodesRequiredBy)}</td>
+				</tr>`;
+			});
+
+		return `<table class="w-100 table-striped mb-2">
+			<thead><tr><th class="ve-col-4 px-1">Document</th><th class="ve-col-4 px-1">Depends On</th><th class="ve-col-4 px-1">Required By</th></tr></thead>
+			<tbody>${rows.join("")}</tbody>
+		</table>`;
+	}
+
+	/* -------------------------------------------- */
+
+	_getDocTitlesHtml (ixDocs) {
+		return ixDocs
+			.map(ixDoc => this._fnGetBrewTitle(this._brews[ixDoc]).qq())
+			.join("<br>");
+	}
+
+	_getEntityHtml ({prop, name, source}) {
+		const tag = Parser.getPropTag(prop);
+		if (!this.constructor._PROPS_NO_LINK.has(prop) && Renderer.tag.TAG_LOOKUP[tag] && !name.includes("|")) {
+			return Renderer.get().render(`{@${tag} ${name}|${source}}`);
+		}
+		return `${name.qq()} (${Parser.sourceJsonToAbv(source).qq()})`;
+	}
+
+	_getConflictsEntitiesHtml () {
+		const rows = this._conflicts.entities
+			.sort((a, b) => SortUtil.ascSortLower(a.prop, b.prop) || SortUtil.ascSortLower(a.name, b.name))
+			.map(({prop, name, source, ixDocs}) => `<tr>
+				<td class="px-1">${Parser.getPropDisplayName(prop).qq()}</td>
+				<td class="px-1">${this._getEntityHtml({prop, name, source})}</td>
+				<td class="px-1">${this._getDocTitlesHtml(ixDocs)}</td>
+			</tr>`);
+
+		return `<div class="bold mb-1">Duplicate Entities</div>
+		<div class="mb-1 ve-muted">The same entity is defined more than once. Only one definition will be used.</div>
+		<table class="w-100 table-striped mb-2">
+			<thead><tr><th class="ve-col-2 px-1">Type</th><th class="ve-col-5 px-1">Entity</th><th class="ve-col-5 px-1">Defined In</th></tr></thead>
+			<tbody>${rows.join("")}</tbody>
+		</table>`;
+	}
+
+	_getConflictsCopiesHtml () {
+		const rows = this._conflicts.copies
+			.map(({ixDoc, prop, ent, copy}) => `<tr>
+				<td class="px-1">${Parser.getPropDisplayName(prop).qq()}</td>
+				<td class="px-1">${ent.name && ent.source ? this._getEntityHtml({prop, name: ent.name, source: ent.source}) : (ent.name || "(Unnamed)").qq()}</td>
+				<td class="px-1">${copy.name.qq()} (${Parser.sourceJsonToAbv(copy.source).qq()})</td>
+				<td class="px-1">${this._getDocTitlesHtml([ixDoc])}</td>
+			</tr>`);
+
+		return `<div class="bold mb-1">Missing Copy Targets</div>
+		<div class="mb-1 ve-muted">These entities use <code>_copy</code> to copy an entity which could not be found, and will fail to load.</div>
+		<table class="w-100 table-striped mb-2">
+			<thead><tr><th class="ve-col-2 px-1">Type</th><th class="ve-col-3 px-1">Entity</th><th class="ve-col-3 px-1">Copies</th><th class="ve-col-4 px-1">Defined In</th></tr></thead>
+			<tbody>${rows.join("")}</tbody>
+		</table>`;
+	}
+
+	_getConflictsSourcesHtml () {
+		const rows = this._conflicts.sources
+			.sort((a, b) => SortUtil.ascSortLower(a.source, b.source))
+			.map(({source, ixDocs}) => `<tr>
+				<td class="px-1"><code>${source.qq()}</code></td>
+				<td class="px-1">${this._getDocTitlesHtml(ixDocs)}</td>
+			</tr>`);
+
+		return `<div class="bold mb-1">Duplicate Sources</div>
+		<div class="mb-1 ve-muted">The same source is declared by more than one document.</div>
+		<table class="w-100 table-striped mb-2">
+			<thead><tr><th class="ve-col-5 px-1">Source</th><th class="ve-col-7 px-1">Declared In</th></tr></thead>
+			<tbody>${rows.join("")}</tbody>
+		</table>`;
+	}
+}
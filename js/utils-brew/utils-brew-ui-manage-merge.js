@@ -0,0 +1,180 @@
+import {BrewMergeUtil} from "./utils-brew-merge.js";
+
+export class ManageBrewMergeUi {
+	/**
+	 * @param brewUtil The brew util which owns the documents.
+	 * @param brews The documents to merge.
+	 * @param fnGetBrewTitle Function which returns a display title for a document.
+	 */
+	static async pShow ({brewUtil, brews, fnGetBrewTitle}) {
+		if (brews.length < 2) return JqueryUtil.doToast({content: `Please select at least two ${brewUtil.DISPLAY_NAME_PLURAL} to merge!`, type: "warning"});
+
+		const ui = new this({brewUtil, brews, fnGetBrewTitle});
+
+		const {$modalInner} = UiUtil.getShowModal({
+			title: `Merge & Export`,
+			isUncappedHeight: true,
+			isHeight100: true,
+		});
+		await ui.pRender($modalInner);
+	}
+
+	constructor ({brewUtil, brews, fnGetBrewTitle}) {
+		this._brewUtil = brewUtil;
+		this._brews = brews;
+		this._fnGetBrewTitle = fnGetBrewTitle;
+
+		this._merged = null;
+	}
+
+	async pRender ($wrp) {
+		const $iptFilename = $(`<input class="form-control input-xs form-control--minimal" placeholder="merged-${this._brewUtil.DISPLAY_NAME.toLowerCase()}">`);
+		const $cbResolveCopies = $(`<input type="checkbox">`);
+		const $wrpReport = $(`<div class="ve-flex-col"></div>`);
+
+		const $btnExport = $(`<button class="btn btn-primary btn-sm" disabled>Export</button>`)
+			.click(() => {
+				if (!this._merged) return;
+				const filename = $iptFilename.val().trim() || $iptFilename.attr("placeholder");
+				DataUtil.userDownload(DataUtil.getCleanFilename(filename), this._merged.json, {isSkipAdditionalMetadata: true});
+			});
+
+		const pDoRefresh = async () => {
+			$btnExport.prop("disabled", true);
+			$cbResolveCopies.prop("disabled", true);
+			$wrpReport.empty().append(`<div class="italic ve-muted">Merging...</div>`);
+
+			try {
+				this._merged = await BrewMergeUtil.pGetMerged({
+					brewDocs: this._brews,
+					isResolveCopies: $cbResolveCopies.prop("checked"),
+				});
+			} catch (e) {
+				this._merged = null;
+				$wrpReport.empty().append(`<div class="text-danger">Failed to merge! ${VeCt.STR_SEE_CONSOLE}</div>`);
+				throw e;
+			} finally {
+				$cbResolveCopies.prop("disabled", false);
+			}
+
+			$wrpReport.empty().append(this._getReportHtml());
+			$btnExport.prop("disabled", false);
+		};
+
+		$cbResolveCopies.change(() => pDoRefresh());
+
+		$$($wrp)`
+			<div class="mb-2 italic">Combine ${this._brews.length} ${this._brewUtil.DISPLAY_NAME_PLURAL} into a single file. Sources and <code>_meta</code> entries are combined, and dependencies between the merged documents are converted to internal copies.</div>
+			<ul class="mb-2">${this._brews.map(brew => `<li>${this._fnGetBrewTitle(brew).qq()}</li>`).join("")}</ul>
+			<label class="split-v-center mb-2">
+				<div class="mr-2 no-shrink">Filename</div>
+				${$iptFilename}
+			</label>
+			<label class="ve-flex-v-center mb-2" title="Apply any &quot;_copy&quot; which targets an entity in the merged file, so that the entity no longer depends on its copy target.">
+				<div class="mr-2">Resolve internal <code>_copy</code>s</div>
+				${$cbResolveCopies}
+			</label>
+			${$wrpReport}
+			<div class="ve-flex-v-center ve-flex-h-right mt-auto pt-2">${$btnExport}</div>
+		`;
+
+		await pDoRefresh();
+	}
+
+	/* -------------------------------------------- */
+
+	_getDocTitlesHtml (ixDocs) {
+		return ixDocs
+			.map(ixDoc => this._fnGetBrewTitle(this._brews[ixDoc]).qq())
+			.join("<br>");
+	}
+
+	_getReportHtml () {
+		const {json, collisions, copies} = this._merged;
+
+		const cntEntities = Object.entries(json)
+			.filter(([prop, arr]) => prop !== "_meta" && arr instanceof Array)
+			.map(([, arr]) => arr.length)
+			.sum();
+		const cntSources = json._meta?.sources?.length || 0;
+		const cntCollisions = collisions.entities.length + collisions.sources.length + collisions.meta.length;
+
+		const ptsCopies = copies.cntResolved || copies.unresolved.length
+			? `, with ${copies.cntResolved} <code>_copy</code>${copies.cntResolved === 1 ? "" : "s"} resolved`
+			: "";
+
+		return [
+			`<div class="mb-2">The merged file contains ${cntEntities} entit${cntEntities === 1 ? "y" : "ies"} from ${cntSources} source${cntSources === 1 ? "" : "s"}${ptsCopies}, and ${cntCollisions} ID collision${cntCollisions === 1 ? "" : "s"} ${cntCollisions === 1 ? "was" : "were"} found.</div>`,
+			collisions.entities.length ? this._getCollisionsEntitiesHtml() : "",
+			collisions.sources.length ? this._getCollisionsSourcesHtml() : "",
+			collisions.meta.length ? this._getCollisionsMetaHtml() : "",
+			copies.unresolved.length ? this._getCopiesUnresolvedHtml() : "",
+		].join("");
+	}
+
+	_getCollisionsEntitiesHtml () {
+		const rows = this._merged.collisions.entities
+			.sort((a, b) => SortUtil.ascSortLower(a.prop, b.prop) || SortUtil.ascSortLower(a.name, b.name))
+			.map(({prop, name, source, ixDocs}) => `<tr>
+				<td class="px-1">${Parser.getPropDisplayName(prop).qq()}</td>
+				<td class="px-1">${name.qq()} (${Parser.sourceJsonToAbv(source).qq()})</td>
+				<td class="px-1">${this._getDocTitlesHtml(ixDocs)}</td>
+			</tr>`);
+
+		return `<div class="bold mb-1">Duplicate Entities</div>
+		<div class="mb-1 ve-muted">These entities are defined more than once, and every definition is kept in the merged file. Only the first will be used when the file is loaded.</div>
+		<table class="w-100 table-striped mb-2">
+			<thead><tr><th class="ve-col-2 px-1">Type</th><th class="ve-col-5 px-1">Entity</th><th class="ve-col-5 px-1">Defined In</th></tr></thead>
+			<tbody>${rows.join("")}</tbody>
+		</table>`;
+	}
+
+	_getCollisionsSourcesHtml () {
+		const rows = this._merged.collisions.sources
+			.sort((a, b) => SortUtil.ascSortLower(a.source, b.source))
+			.map(({source, ixDocs}) => `<tr>
+				<td class="px-1"><code>${source.qq()}</code></td>
+				<td class="px-1">${this._getDocTitlesHtml(ixDocs)}</td>
+			</tr>`);
+
+		return `<div class="bold mb-1">Duplicate Sources</div>
+		<div class="mb-1 ve-muted">These sources are declared by more than one document. Only the first declaration is kept.</div>
+		<table class="w-100 table-striped mb-2">
+			<thead><tr><th class="ve-col-5 px-1">Source</th><th class="ve-col-7 px-1">Declared In</th></tr></thead>
+			<tbody>${rows.join("")}</tbody>
+		</table>`;
+	}
+
+	_getCollisionsMetaHtml () {
+		const rows = this._merged.collisions.meta
+			.sort((a, b) => SortUtil.ascSortLower(a.metaProp, b.metaProp) || SortUtil.ascSortLower(a.key, b.key))
+			.map(({metaProp, key, ixDocs}) => `<tr>
+				<td class="px-1"><code>${metaProp.qq()}</code></td>
+				<td class="px-1"><code>${key.qq()}</code></td>
+				<td class="px-1">${this._getDocTitlesHtml(ixDocs)}</td>
+			</tr>`);
+
+		return `<div class="bold mb-1">Conflicting Metadata</div>
+		<div class="mb-1 ve-muted">These <code>_meta</code> entries are defined differently by more than one document. The last definition is kept.</div>
+		<table class="w-100 table-striped mb-2">
+			<thead><tr><th class="ve-col-3 px-1">Property</th><th class="ve-col-3 px-1">Key</th><th class="ve-col-6 px-1">Defined In</th></tr></thead>
+			<tbody>${rows.join("")}</tbody>
+		</table>`;
+	}
+
+	_getCopiesUnresolvedHtml () {
+		const rows = this._merged.copies.unresolved
+			.map(({prop, name, source, message}) => `<tr>
+				<td class="px-1">${Parser.getPropDisplayName(prop).qq()}</td>
+				<td class="px-1">${(name || "(Unnamed)").qq()}${source ? ` (${Parser.sourceJsonToAbv(source).qq()})` : ""}</td>
+				<td class="px-1">${message.qq()}</td>
+			</tr>`);
+
+		return `<div class="bold mb-1">Unresolved Copies</div>
+		<div class="mb-1 ve-muted">These entities keep their <code>_copy</code>, as it could not be resolved.</div>
+		<table class="w-100 table-striped mb-2">
+			<thead><tr><th class="ve-col-2 px-1">Type</th><th class="ve-col-4 px-1">Entity</th><th class="ve-col-6 px-1">Reason</th></tr></thead>
+			<tbody>${rows.join("")}</tbody>
+		</table>`;
+	}
+}
@@ -0,0 +1,147 @@
+export class ManageBrewUpdatesUi {
+	/**
+	 * @param brewUtil The brew util which owns the documents.
+	 * @param brews The documents to check. Documents which cannot be re-fetched are ignored.
+	 * @param fnGetBrewTitle Function which returns a display title for a document.
+	 * @param cbChange Called after a document is updated or pinned.
+	 */
+	static async pShow ({brewUtil, brews, fnGetBrewTitle, cbChange}) {
+		brews = brews.filter(brew => brewUtil.isPullable(brew));
+		if (!brews.length) return JqueryUtil.doToast({content: `No ${brewUtil.DISPLAY_NAME} can be checked for updates!`, type: "warning"});
+
+		JqueryUtil.doToast(`Checking ${brews.length} ${brews.length === 1 ? brewUtil.DISPLAY_NAME : brewUtil.DISPLAY_NAME_PLURAL} for updates...`);
+
+		const updateMetas = await brews.pMap(async brew => {
+			try {
+				return {brew, update: await brewUtil.pGetBrewUpdate(brew)};
+			} catch (e) {
+				setTimeout(() => { throw e; });
+				return {brew, update: null};
+			}
+		});
+
+		const ui = new this({brewUtil, updateMetas, fnGetBrewTitle, cbChange});
+
+		const {$modalInner} = UiUtil.getShowModal({
+			title: `Check for Updates`,
+			isUncappedHeight: true,
+			isHeight100: true,
+		});
+		ui.render($modalInner);
+	}
+
+	constructor ({brewUtil, updateMetas, fnGetBrewTitle, cbChange}) {
+		this._brewUtil = brewUtil;
+		this._updateMetas = updateMetas;
+		this._fnGetBrewTitle = fnGetBrewTitle;
+		this._cbChange = cbChange;
+	}
+
+	render ($wrp) {
+		const updateMetasFailed = this._updateMetas.filter(({update}) => !update);
+		const updateMetasChanged = this._updateMetas.filter(({update}) => update?.isChanged);
+
+		$wrp.append(`<div class="mb-2 italic">Checked ${this._updateMetas.length} ${this._updateMetas.length === 1 ? this._brewUtil.DISPLAY_NAME : this._brewUtil.DISPLAY_NAME_PLURAL}. ${updateMetasChanged.length} ${updateMetasChanged.length === 1 ? "has" : "have"} changed${updateMetasFailed.length ? `, and ${updateMetasFailed.length} could not be fetched (${VeCt.STR_SEE_CONSOLE.toLowerCase()})` : ""}.</div>`);
+
+		if (!updateMetasChanged.length) {
+			$wrp.append(`<div class="italic ve-muted">Everything is up-to-date.</div>`);
+			return;
+		}
+
+		const rowMetas = updateMetasChanged.map(updateMeta => this._getRowMeta(updateMeta));
+
+		const $btnAcceptAll = $(`<button class="btn btn-primary btn-xs">Accept All</button>`)
+			.click(async () => {
+				$btnAcceptAll.prop("disabled", true);
+				for (const rowMeta of rowMetas) await rowMeta.pDoAccept();
+			});
+
+		$$`<div class="ve-flex-v-center ve-flex-h-right mb-2">${$btnAcceptAll}</div>`.appendTo($wrp);
+
+		rowMetas.forEach(({$row}) => $wrp.append($row));
+	}
+
+	_getRowMeta ({brew, update}) {
+		const {diff} = update;
+
+		const $btnAccept = $(`<button class="btn btn-primary btn-xs mr-2" title="Replace the stored copy with the new version">Accept Update</button>`);
+		const $btnPin = $(`<button class="btn btn-default btn-xs" title="Keep the stored copy, and skip this ${this._brewUtil.DISPLAY_NAME} when updating">${brew.head.isPinned ? "Keep Pinned Version" : "Pin Current Version"}</button>`);
+		const $dispStatus = $(`<div class="italic ve-muted"></div>`);
+
+		let isDone = false;
+		const pDoAction = async ({pFn, msgDone}) => {
+			if (isDone) return;
+			isDone = true;
+			$btnAccept.prop("disabled", true);
+			$btnPin.prop("disabled", true);
+
+			try {
+				await pFn();
+			} catch (e) {
+				$dispStatus.text(`Failed! ${VeCt.STR_SEE_CONSOLE}`);
+				throw e;
+			}
+
+			$dispStatus.text(msgDone);
+			await this._cbChange();
+		};
+
+		const pDoAccept = () => pDoAction({
+			pFn: () => this._brewUtil.pApplyBrewUpdate({brew, json: update.json}),
+			msgDone: "Updated.",
+		});
+
+		$btnAccept.click(() => pDoAccept());
+		$btnPin.click(() => pDoAction({
+			pFn: () => this._brewUtil.pSetBrewPinned({brew, isPinned: true}),
+			msgDone: "Pinned. This version will be kept until you accept an update.",
+		}));
+
+		const ptFetched = brew.head.timeFetched
+			? `Stored copy fetched ${DatetimeUtil.getDatetimeStr({date: new Date(brew.head.timeFetched)})}`
+			: `Stored copy fetched at an unknown time`;
+
+		const $row = $$`<div class="ve-flex-col mb-3">
+			<div class="split-v-center mb-1">
+				<div class="ve-flex-col">
+					<div class="bold">${this._fnGetBrewTitle(brew).qq()}${brew.head.isPinned ? ` <span class="ve-muted">(pinned)</span>` : ""}</div>
+					<div class="ve-small ve-muted" title="Checksum: ${brew.head.checksum} → ${update.checksum}">${ptFetched}</div>
+				</div>
+				<div class="ve-flex-v-center no-shrink">${$btnAccept}${$btnPin}</div>
+			</div>
+			<div class="mb-1">${this._getSummaryHtml(diff)}</div>
+			${this._getDiffTableHtml(diff)}
+			${$dispStatus}
+		</div>`;
+
+		return {$row, pDoAccept};
+	}
+
+	_getSummaryHtml ({added, removed, changed, isMetaChanged}) {
+		const parts = [
+			`<span class="text-success">+${added.length} added</span>`,
+			`<span class="text-danger">−${removed.length} removed</span>`,
+			`<span class="text-warning">~${changed.length} changed</span>`,
+		];
+		if (isMetaChanged) parts.push(`<span class="ve-muted">metadata changed</span>`);
+		return parts.join(", ");
+	}
+
+	_getDiffTableHtml ({added, removed, changed}) {
+		const rows = [
+			...added.map(meta => ({...meta, type: "Added", clazz: "text-success"})),
+			...removed.map(meta => ({...meta, type: "Removed", clazz: "text-danger"})),
+			...changed.map(meta => ({...meta, type: "Changed", clazz: "text-warning"})),
+		];
+		if (!rows.length) return "";
+
+		return `<table class="w-100 table-striped mb-1">
+			<thead><tr><th class="ve-col-2 px-1">Change</th><th class="ve-col-3 px-1">Type</th><th class="ve-col-7 px-1">Entity</th></tr></thead>
+			<tbody>${rows.map(({type, clazz, prop, name, source}) => `<tr>
+				<td class="px-1 ${clazz}">${type}</td>
+				<td class="px-1">${Parser.getPropDisplayName(prop).qq()}</td>
+				<td class="px-1">${name.qq()}${source ? ` (${Parser.sourceJsonToAbv(source).qq()})` : ""}</td>
+			</tr>`).join("")}</tbody>
+		</table>`;
+	}
+}
@@ -2,6 +2,10 @@ import {SOURCE_UNKNOWN_ABBREVIATION, SOURCE_UNKNOWN_FULL} from "./utils-brew-con
 import {BrewDoc} from "./utils-brew-models.js";
 import {GetBrewUi} from "./utils-brew-ui-get.js";
 import {ManageEditableBrewContentsUi} from "./utils-brew-ui-manage-editable-contents.js";
+import {ManageBrewDependenciesUi} from "./utils-brew-ui-manage-dependencies.js";
+import {ManageBrewUpdatesUi} from "./utils-brew-ui-manage-updates.js";
+import {ManageBrewMergeUi} from "./utils-brew-ui-manage-merge.js";
+import {BrewLocalRepo} from "./utils-brew-local-repo.js";
 import {ManageExternalUtils} from "../manageexternal/manageexternal-utils.js";
 
 export class ManageBrewUi {
@@ -12,6 +16,7 @@ export class ManageBrewUi {
 			this.listSelectClickHandler = null;
 			this.brews = [];
 			this.menuListMass = null;
+			this.menuLocalRepo = null;
 			this.rowMetas = [];
 		}
 	};
@@ -228,12 +233,14 @@ export class ManageBrewUi {
 		rdState.list.update();
 	}
 
-	async _pDoPullAll ({rdState, brews = null}) {
+	async _pDoPullAll ({rdState, brews = null, isLocalRepoOnly = false}) {
 		if (brews && !brews.length) return;
 
+		if ((brews || rdState.brews).some(brew => brew.head.localRepoPath)) await this._pRequestLocalRepoAccess();
+
 		let cntPulls;
 		try {
-			cntPulls = await this._brewUtil.pPullAllBrews({brews});
+			cntPulls = await this._brewUtil.pPullAllBrews({brews, isLocalRepoOnly});
 		} catch (e) {
 			JqueryUtil.doToast({content: `Update failed! ${VeCt.STR_SEE_CONSOLE}`, type: "danger"});
 			throw e;
@@ -266,9 +273,25 @@ export class ManageBrewUi {
 		const $btnCustomUrl = $(`<button class="btn ${this._brewUtil.STYLE_BTN} btn-sm px-2" title="Set Custom Repository URL"><span class="glyphicon glyphicon-cog"></span></button>`)
 			.click(() => this._pHandleClick_btnSetCustomRepo());
 
+		const $btnLocalRepo = await this._pGet$BtnLocalRepo(rdState);
+
 		const $btnPullAll = this._isModal ? null : this._$getBtnPullAll(rdState);
 		const $btnDeleteAll = this._isModal ? null : this._$getBtnDeleteAll(rdState);
 
+		const $btnValidateAll = $(`<button class="btn btn-default btn-sm" title="Check all loaded ${this._brewUtil.DISPLAY_NAME} against the homebrew schema">Validate All</button>`)
+			.click(async () => {
+				const cachedHtml = $btnValidateAll.html();
+				try {
+					$btnValidateAll.text(`Validating...`).prop("disabled", true);
+					await this._pDoValidate({brews: rdState.brews});
+				} finally {
+					$btnValidateAll.html(cachedHtml).prop("disabled", false);
+				}
+			});
+
+		const $btnDependencies = $(`<button class="btn btn-default btn-sm" title="View the dependencies between loaded ${this._brewUtil.DISPLAY_NAME_PLURAL}, and any conflicts between them">Dependencies &amp; Conflicts</button>`)
+			.click(() => this._pDoShowDependencies({brews: rdState.brews}));
+
 		const $btnSaveToUrl = $(`<button class="btn btn-default btn-sm" title="Note that this does not include &quot;Editable&quot; or &quot;Local&quot; content.">Export List as URL</button>`)
 			.click(async evt => {
 				await this.constructor.pOnClickBtnExportListAsUrl({ele: evt.originalEvent.currentTarget});
@@ -279,6 +302,7 @@ export class ManageBrewUi {
 				<div class="ve-flex-v-center btn-group mr-2">
 					${$btnGet}
 					${$btnCustomUrl}
+					${$btnLocalRepo}
 				</div>
 				<div class="ve-flex-v-center btn-group mr-2">
 					${btnLoadPartnered}
@@ -291,6 +315,11 @@ export class ManageBrewUi {
 			<div class="ve-flex-v-center">
 				<a href="${this._brewUtil.URL_REPO_DEFAULT}" class="ve-flex-v-center" target="_blank" rel="noopener noreferrer"><button class="btn btn-default btn-sm mr-2">Browse Source Repository</button></a>
 
+				<div class="ve-flex-v-center btn-group mr-2">
+					${$btnValidateAll}
+					${$btnDependencies}
+				</div>
+
 				<div class="ve-flex-v-center btn-group mr-2">
 					${$btnSaveToUrl}
 				</div>
@@ -373,6 +402,110 @@ export class ManageBrewUi {
 		await this._brewUtil.pSetCustomUrl(nxtUrl);
 	}
 
+	/* -------------------------------------------- */
+
+	async _pGet$BtnLocalRepo (rdState) {
+		const $btn = $(`<button class="btn ${this._brewUtil.STYLE_BTN} btn-sm px-2"><span class="glyphicon glyphicon-folder-open"></span></button>`)
+			.click(evt => ContextUtil.pOpenMenu(evt, rdState.menuLocalRepo));
+
+		const doUpdateTitle = async () => {
+			const localRepo = await this._brewUtil.pGetLocalRepo();
+			$btn.title(localRepo ? `Local Folder: ${localRepo.getDisplayName()}` : "Load from a Local Folder");
+		};
+		await doUpdateTitle();
+
+		if (rdState.menuLocalRepo) ContextUtil.deleteMenu(rdState.menuLocalRepo);
+		rdState.menuLocalRepo = ContextUtil.getMenu([
+			new ContextUtil.Action(
+				"Browse Local Folder",
+				async () => this._pHandleClick_pBrowseLocalRepo(rdState),
+			),
+			new ContextUtil.Action(
+				"Reload Changed Files",
+				async () => this._pDoPullAll({rdState, isLocalRepoOnly: true}),
+				{title: `Update any ${this._brewUtil.DISPLAY_NAME} loaded from the local folder which has changed since it was loaded`},
+			),
+			null,
+			new ContextUtil.Action(
+				"Choose Folder...",
+				async () => {
+					if (await this._pGetUserLocalRepo({isDirectory: true})) await doUpdateTitle();
+				},
+				{
+					isDisabled: !BrewLocalRepo.isDirectorySupported(),
+					title: BrewLocalRepo.isDirectorySupported() ? null : "Your browser does not support opening local folders. Use a dev server URL instead.",
+				},
+			),
+			new ContextUtil.Action(
+				"Set Dev Server URL...",
+				async () => {
+					if (await this._pGetUserLocalRepo({isDirectory: false})) await doUpdateTitle();
+				},
+			),
+			new ContextUtil.Action(
+				"Forget Local Folder",
+				async () => {
+					await this._brewUtil.pSetLocalRepo(null);
+					await doUpdateTitle();
+					JqueryUtil.doToast(`Local folder forgotten! Any ${this._brewUtil.DISPLAY_NAME} already loaded from it has been kept.`);
+				},
+			),
+		]);
+
+		return $btn;
+	}
+
+	async _pHandleClick_pBrowseLocalRepo (rdState) {
+		const localRepo = (await this._brewUtil.pGetLocalRepo())
+			|| (await this._pGetUserLocalRepo({isDirectory: BrewLocalRepo.isDirectorySupported()}));
+		if (!localRepo) return;
+
+		if (!(await this._pRequestLocalRepoAccess())) return;
+
+		await GetBrewUi.pDoGetBrew({brewUtil: this._brewUtil, isModal: this._isModal, isLocalRepo: true});
+		await this._pRender_pBrewList(rdState);
+	}
+
+	async _pGetUserLocalRepo ({isDirectory}) {
+		const localRepo = isDirectory
+			? await BrewLocalRepo.pGetUserDirectoryRepo()
+			: await this._pGetUserLocalRepoUrl();
+		if (!localRepo) return null;
+
+		await this._brewUtil.pSetLocalRepo(localRepo);
+		return localRepo;
+	}
+
+	async _pGetUserLocalRepoUrl () {
+		const localRepo = await this._brewUtil.pGetLocalRepo();
+
+		const url = await InputUiUtil.pGetUserString({
+			title: `Local ${this._brewUtil.DISPLAY_NAME.toTitleCase()} Folder URL`,
+			$elePre: $(`<div>
+				<p>The URL of a folder served by a local dev server, for example <code>http://localhost:5050/my-${this._brewUtil.DISPLAY_NAME}/</code>.</p>
+				<div>The folder must contain an <code>index.json</code> file listing the files to load, relative to the folder. For example: <code>{"toImport": ["creature/Author; Name.json"]}</code></div>
+				<hr class="hr-3">
+			</div>`),
+			default: localRepo?.getFileUrl("") || "",
+		});
+		if (!url?.trim()) return null;
+
+		return BrewLocalRepo.getUrlRepo(url);
+	}
+
+	/** Ensure the local folder, if any, can be read. Should be called from a user gesture. */
+	async _pRequestLocalRepoAccess () {
+		const localRepo = await this._brewUtil.pGetLocalRepo();
+		if (!localRepo) return false;
+
+		if (await localRepo.pRequestAccess()) return true;
+
+		JqueryUtil.doToast({type: "warning", content: `Could not access local folder "${localRepo.getDisplayName()}"!`});
+		return false;
+	}
+
+	/* -------------------------------------------- */
+
 	async _pRender_pBrewList (rdState) {
 		rdState.$stgBrewList.empty();
 		rdState.rowMetas.splice(0, rdState.rowMetas.length)
@@ -429,9 +562,14 @@ export class ManageBrewUi {
 	}
 
 	get _LBL_LIST_UPDATE () { return "Update"; }
+	get _LBL_LIST_CHECK_UPDATES () { return "Check for Updates"; }
+	get _LBL_LIST_PIN () { return "Pin Current Version"; }
+	get _LBL_LIST_UNPIN () { return "Unpin Version"; }
 	get _LBL_LIST_MANAGE_CONTENTS () { return "Manage Contents"; }
 	get _LBL_LIST_EXPORT () { return "Export"; }
+	get _LBL_LIST_MERGE_EXPORT () { return "Merge & Export"; }
 	get _LBL_LIST_VIEW_JSON () { return "View JSON"; }
+	get _LBL_LIST_VALIDATE () { return "Validate"; }
 	get _LBL_LIST_DELETE () { return "Delete"; }
 	get _LBL_LIST_MOVE_TO_EDITABLE () { return `Move to Editable ${this._brewUtil.DISPLAY_NAME.toTitleCase()} Document`; }
 
@@ -457,12 +595,32 @@ export class ManageBrewUi {
 					brews: getSelBrews(),
 				}),
 			),
+			new ContextUtil.Action(
+				this._LBL_LIST_CHECK_UPDATES,
+				async () => this._pDoCheckForUpdates({
+					rdState,
+					brews: getSelBrews({
+						fnFilter: brew => this._isBrewOperationPermitted_update(brew),
+					}),
+				}),
+			),
 			new ContextUtil.Action(
 				this._LBL_LIST_EXPORT,
 				async () => {
 					for (const brew of getSelBrews()) await this._pRender_pDoDownloadBrew({brew});
 				},
 			),
+			new ContextUtil.Action(
+				this._LBL_LIST_MERGE_EXPORT,
+				async () => this._pDoMergeExport({brews: getSelBrews()}),
+				{
+					title: `Combine the selected ${this._brewUtil.DISPLAY_NAME_PLURAL} into a single file`,
+				},
+			),
+			new ContextUtil.Action(
+				this._LBL_LIST_VALIDATE,
+				async () => this._pDoValidate({brews: getSelBrews()}),
+			),
 			this._brewUtil.IS_EDITABLE
 				? new ContextUtil.Action(
 					this._LBL_LIST_MOVE_TO_EDITABLE,
@@ -658,6 +816,9 @@ export class ManageBrewUi {
 			: brew.head.isEditable
 				? {short: `Editable`, title: `Editable Document`}
 				: {short: `Standard`, title: `Standard Document`};
+		if (brew.head.timeFetched) ptCategory.title += `\nFetched ${DatetimeUtil.getDatetimeStr({date: new Date(brew.head.timeFetched), isPlainText: true})}`;
+		if (brew.head.checksum) ptCategory.title += `\nChecksum: ${brew.head.checksum}`;
+		if (brew.head.isPinned) ptCategory.title += `\nVersion pinned; will not be updated`;
 
 		const eleLi = e_({
 			tag: "div",
@@ -672,7 +833,9 @@ export class ManageBrewUi {
 					tag: "div",
 					clazz: `ve-col-1 ve-text-center italic mobile__text-clip-ellipsis`,
 					title: ptCategory.title,
-					text: ptCategory.short,
+					html: brew.head.isPinned
+						? `${ptCategory.short} <span class="glyphicon glyphicon-pushpin"></span>`
+						: ptCategory.short,
 				}),
 				e_({
 					tag: "div",
@@ -741,7 +904,8 @@ export class ManageBrewUi {
 			],
 			click: () => this._pRender_pDoPullBrew({rdState, brew}),
 		});
-		if (!this._brewUtil.isPullable(brew)) btnPull.attr("disabled", true).attr("title", `(Update disabled\u2014no URL available)`);
+		if (!this._brewUtil.isPullable(brew)) btnPull.attr("disabled", true).attr("title", `(Update disabled\u2014no URL or local folder available)`);
+		else if (brew.head.isPinned) btnPull.attr("disabled", true).attr("title", `(Update disabled\u2014version pinned)`);
 		return btnPull;
 	}
 
@@ -763,6 +927,8 @@ export class ManageBrewUi {
 	}
 
 	async _pRender_pDoPullBrew ({rdState, brew}) {
+		if (brew.head.localRepoPath) await this._pRequestLocalRepoAccess();
+
 		const isPull = await this._brewUtil.pPullBrew(brew);
 
 		JqueryUtil.doToast(
@@ -883,6 +1049,18 @@ export class ManageBrewUi {
 				new ContextUtil.Action(
 					this._LBL_LIST_UPDATE,
 					async () => this._pRender_pDoPullBrew({rdState, brew}),
+					{
+						isDisabled: brew.head.isPinned,
+						title: brew.head.isPinned ? `Version pinned` : null,
+					},
+				),
+				new ContextUtil.Action(
+					this._LBL_LIST_CHECK_UPDATES,
+					async () => this._pDoCheckForUpdates({rdState, brews: [brew]}),
+				),
+				new ContextUtil.Action(
+					brew.head.isPinned ? this._LBL_LIST_UNPIN : this._LBL_LIST_PIN,
+					async () => this._pRender_pDoSetPinned({rdState, brew, isPinned: !brew.head.isPinned}),
 				),
 			);
 		} else if (brew.head.isEditable) {
@@ -903,6 +1081,10 @@ export class ManageBrewUi {
 				this._LBL_LIST_VIEW_JSON,
 				async evt => this._pRender_doViewBrew({evt, brew, brewName}),
 			),
+			new ContextUtil.Action(
+				this._LBL_LIST_VALIDATE,
+				async () => this._pDoValidate({brews: [brew]}),
+			),
 		);
 
 		if (this._brewUtil.IS_EDITABLE && this._isBrewOperationPermitted_moveToEditable(brew)) {
@@ -926,6 +1108,87 @@ export class ManageBrewUi {
 		return ContextUtil.getMenu(menuItems);
 	}
 
+	async _pDoValidate ({brews}) {
+		if (!brews?.length) return;
+
+		let results;
+		try {
+			results = await brews.pSerialAwaitMap(async brew => {
+				const json = brew.head.isEditable
+					? this.constructor._mutExportableEditableData({json: MiscUtil.copy(brew.body)})
+					: brew.body;
+				return {brew, errors: await BrewValidator.pGetBrewErrors(json)};
+			});
+		} catch (e) {
+			JqueryUtil.doToast({content: `Failed to validate! ${VeCt.STR_SEE_CONSOLE}`, type: "danger"});
+			throw e;
+		}
+
+		const resultsInvalid = results.filter(({errors}) => errors.length);
+		if (!resultsInvalid.length) {
+			return JqueryUtil.doToast({
+				content: brews.length === 1
+					? `The ${this._brewUtil.DISPLAY_NAME} is valid!`
+					: `All ${brews.length} ${this._brewUtil.DISPLAY_NAME_PLURAL} are valid!`,
+				type: "success",
+			});
+		}
+
+		const {$modalInner} = UiUtil.getShowModal({
+			title: `Validation Report`,
+			isUncappedHeight: true,
+			isHeight100: true,
+		});
+
+		$modalInner.append(`<div class="mb-2 italic">${resultsInvalid.length} of ${brews.length} ${brews.length === 1 ? this._brewUtil.DISPLAY_NAME : this._brewUtil.DISPLAY_NAME_PLURAL} failed validation. Invalid ${this._brewUtil.DISPLAY_NAME} may cause pages to fail to load.</div>`);
+		resultsInvalid.forEach(({brew, errors}) => {
+			$modalInner.append(`<div class="bold mb-1">${this.constructor._getBrewJsonTitle({brew}).qq()}</div>`);
+			$modalInner.append(BrewValidator.getHtmlErrors(errors));
+		});
+	}
+
+	async _pDoCheckForUpdates ({rdState, brews}) {
+		if (!brews?.length) return;
+
+		if (brews.some(brew => brew.head.localRepoPath)) await this._pRequestLocalRepoAccess();
+
+		await ManageBrewUpdatesUi.pShow({
+			brewUtil: this._brewUtil,
+			brews,
+			fnGetBrewTitle: brew => this.constructor._getBrewJsonTitle({brew}),
+			cbChange: () => this._pRender_pBrewList(rdState),
+		});
+	}
+
+	async _pRender_pDoSetPinned ({rdState, brew, isPinned}) {
+		await this._brewUtil.pSetBrewPinned({brew, isPinned});
+		await this._pRender_pBrewList(rdState);
+		JqueryUtil.doToast(isPinned ? `Version pinned! This version will be kept when updating.` : `Version unpinned!`);
+	}
+
+	async _pDoMergeExport ({brews}) {
+		if (!brews?.length) return;
+
+		await ManageBrewMergeUi.pShow({
+			brewUtil: this._brewUtil,
+			brews: brews.map(brew => brew.head.isEditable
+				? {...brew, body: this.constructor._mutExportableEditableData({json: MiscUtil.copyFast(brew.body)})}
+				: brew),
+			fnGetBrewTitle: brew => this.constructor._getBrewJsonTitle({brew}),
+		});
+	}
+
+	async _pDoShowDependencies ({brews}) {
+		if (!brews?.length) return JqueryUtil.doToast({content: `No ${this._brewUtil.DISPLAY_NAME_PLURAL} loaded!`, type: "warning"});
+
+		await ManageBrewDependenciesUi.pShow({
+			brewUtil: this._brewUtil,
+			brews,
+			brewsExternal: await this._brewUtil.pGetParentBrew(),
+			fnGetBrewTitle: brew => this.constructor._getBrewJsonTitle({brew}),
+		});
+	}
+
 	_pGetUserBoolean_isMoveBrewsToEditable ({brews}) {
 		return InputUiUtil.pGetUserBoolean({
 			title: `Move to Editable ${this._brewUtil.DISPLAY_NAME.toTitleCase()} Document`,
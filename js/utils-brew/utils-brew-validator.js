@@ -0,0 +1,110 @@
+/**
+ * Validates homebrew against the same JSON schemas used by the repo's data tests.
+ *
+ * The schemas (including any referenced by URL) and validator are bundled by `npm run build:brew-validator`, and
+ * are loaded on first use.
+ */
+export class BrewValidator {
+	static _SCHEMA_ID_HOMEBREW = "homebrew.json";
+
+	static _pLoading = null;
+	static _validators = {};
+
+	static async _pGetAjv () {
+		this._pLoading ||= (async () => {
+			let module;
+			try {
+				module = await import("../../lib/brew-validator.js");
+			} catch (e) {
+				throw new Error(`Failed to load homebrew schemas! Run "npm run build:brew-validator" to build them.`, {cause: e});
+			}
+
+			return module.getValidator();
+		})();
+
+		try {
+			return await this._pLoading;
+		} catch (e) {
+			// Allow a retry
+			this._pLoading = null;
+			throw e;
+		}
+	}
+
+	static async _pGetValidator (schemaId) {
+		if (this._validators[schemaId]) return this._validators[schemaId];
+
+		const ajv = await this._pGetAjv();
+		return this._validators[schemaId] = ajv.getSchema(schemaId);
+	}
+
+	/** If the validator has been loaded, such that validation will be fast. */
+	static isLoaded () { return !!this._validators[this._SCHEMA_ID_HOMEBREW]; }
+
+	static async pGetBrewProps () {
+		const ajv = await this._pGetAjv();
+		return Object.keys(ajv.getSchema(this._SCHEMA_ID_HOMEBREW).schema.properties);
+	}
+
+	/**
+	 * @param json A homebrew document, e.g. the `body` of a `BrewDoc`.
+	 * @return {Promise<Array<{path: string, message: string}>>}
+	 */
+	static async pGetBrewErrors (json) {
+		const validator = await this._pGetValidator(this._SCHEMA_ID_HOMEBREW);
+		if (validator(json)) return [];
+		return this._getErrors(validator.errors);
+	}
+
+	/**
+	 * @param prop The homebrew prop of the entity, e.g. `"monster"`.
+	 * @param ent The entity.
+	 * @return {Promise<Array<{path: string, message: string}>>}
+	 */
+	static async pGetEntityErrors (prop, ent) {
+		// Ensure the full schema is compiled, so any shared definitions are only compiled once
+		await this._pGetValidator(this._SCHEMA_ID_HOMEBREW);
+
+		if (!(await this.pGetBrewProps()).includes(prop)) return [{path: "/", message: `Unknown homebrew prop "${prop}"`}];
+
+		const validator = await this._pGetValidator(`${this._SCHEMA_ID_HOMEBREW}#/properties/${prop}`);
+		if (validator([ent])) return [];
+		return this._getErrors(validator.errors, {fnGetPath: path => path.replace(/^\/0/, "")});
+	}
+
+	/**
+	 * @param {Array<{path: string, message: string}>} errors
+	 * @return {string} HTML table of the errors.
+	 */
+	static getHtmlErrors (errors) {
+		return `<table class="w-100 table-striped mb-2">
+			<thead><tr><th class="ve-col-5 px-1">Path</th><th class="ve-col-7 px-1">Problem</th></tr></thead>
+			<tbody>${errors.map(({path, message}) => `<tr><td class="px-1"><code>${path.qq()}</code></td><td class="px-1">${message.qq()}</td></tr>`).join("")}</tbody>
+		</table>`;
+	}
+
+	/**
+	 * Reduce ajv's errors to one per path, deepest first, as the deepest errors are usually the most relevant.
+	 */
+	static _getErrors (errors, {fnGetPath = null} = {}) {
+		const out = [];
+		const seen = new Set();
+
+		[...errors]
+			.sort((a, b) => b.instancePath.length - a.instancePath.length)
+			.forEach(err => {
+				const path = fnGetPath ? fnGetPath(err.instancePath) : err.instancePath;
+				if (seen.has(path)) return;
+				seen.add(path);
+
+				const message = err.params?.allowedValues
+					? `${err.message}: ${err.params.allowedValues.slice(0, 10).join(", ")}${err.params.allowedValues.length > 10 ? ", ..." : ""}`
+					: err.params?.additionalProperty
+						? `${err.message}: "${err.params.additionalProperty}"`
+						: err.message;
+				out.push({path: path || "/", message});
+			});
+
+		return out;
+	}
+}
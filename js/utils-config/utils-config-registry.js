@@ -68,7 +68,60 @@ const settingsGroupMarkdown = new ConfigSettingsGroup({
 	],
 });
 
+const _DICE_CRIT_RULES = {
+	"double": "Roll Twice the Dice",
+	"maxDice": "Maximize the Extra Dice",
+	"doubleTotal": "Double the Total",
+	"brutal": "Brutal (Twice the Dice, Plus One Extra Die)",
+};
+
+const _DICE_MODIFIER_KEYS = {
+	"shiftAdvantage": "SHIFT: Advantage/Critical, CTRL: Disadvantage/Half",
+	"ctrlAdvantage": "CTRL: Advantage/Critical, SHIFT: Disadvantage/Half",
+};
+
+const settingsGroupDice = new ConfigSettingsGroup({
+	groupId: "dice",
+	name: "Dice Rolling",
+	configSettings: [
+		new ConfigSettingEnum({
+			configId: "critRule",
+			name: "Critical Hits",
+			help: `How damage is rolled for a critical hit. "Maximize the Extra Dice" rolls the damage as normal, and adds the maximum value of the damage dice.`,
+			isRowLabel: true,
+			default: "double",
+			values: [
+				"double",
+				"maxDice",
+				"doubleTotal",
+				"brutal",
+			],
+			fnDisplay: it => _DICE_CRIT_RULES[it] || it,
+		}),
+		new ConfigSettingEnum({
+			configId: "modifierKeys",
+			name: "Modifier Keys",
+			help: `The keys to hold when clicking a roller to roll with advantage or disadvantage, or to roll critical or halved damage. On Mac, CMD may be used in place of CTRL.`,
+			isRowLabel: true,
+			default: "shiftAdvantage",
+			values: [
+				"shiftAdvantage",
+				"ctrlAdvantage",
+			],
+			fnDisplay: it => _DICE_MODIFIER_KEYS[it] || it,
+		}),
+		new ConfigSettingBoolean({
+			configId: "isAutoRollDamage",
+			name: "Roll Damage After Hit",
+			help: `If clicking an attack's to-hit roller should also roll the damage for that attack.`,
+			isRowLabel: true,
+			default: false,
+		}),
+	],
+});
+
 export const SETTINGS_GROUPS = [
 	settingsGroupStyleSwitcher,
 	settingsGroupMarkdown,
+	settingsGroupDice,
 ];
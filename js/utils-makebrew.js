@@ -0,0 +1,368 @@
+"use strict";
+
+/**
+ * Homebrew Builder helpers which do not depend on the page, e.g. parsing input text and diffing entities.
+ */
+class BuilderUtil {
+	static _DIFF_MAX_CELLS = 4_000_000;
+
+	static ADDITIONAL_SPELLS_CATEGORIES = ["innate", "known", "prepared", "expanded"];
+	static ADDITIONAL_SPELLS_FREQUENCIES = {
+		"": "(Always)",
+		"will": "At Will",
+		"ritual": "Ritual",
+		"daily": "Per Day",
+		"rest": "Per Short/Long Rest",
+		"resource": "Per Resource Use",
+	};
+	static ADDITIONAL_SPELLS_FREQUENCIES_WITH_USES = new Set(["daily", "rest", "resource"]);
+
+	/**
+	 * Prerequisite keys which can be edited in the Homebrew Builder. Each maps to metadata for the key's condition input:
+	 * - `fnGetValue` converts input text to the key's data
+	 * - `fnGetText` (optional) is its inverse
+	 * - `isBoolean` keys have no input, and are `true` when present
+	 */
+	static PREREQUISITE_KEY_METAS = {
+		"level": {
+			name: "Level",
+			placeholder: "4; 4 Fighter; 4 Fighter|XPHB",
+			fnGetValue: str => {
+				const m = /^(?<level>\d+)(?:\s+(?<className>[^|]+)(?:\|(?<classSource>.+))?)?$/.exec(str);
+				if (!m) return null;
+				const level = Number(m.groups.level);
+				if (!m.groups.className) return level;
+				return {level, class: {name: m.groups.className.trim().toTitleCase(), ...(m.groups.classSource ? {source: m.groups.classSource.trim()} : {}), visible: true}};
+			},
+			fnGetText: v => typeof v === "number" ? `${v}` : `${v.level}${v.class ? ` ${v.class.name}${v.class.source ? `|${v.class.source}` : ""}` : ""}`,
+		},
+		"ability": {
+			name: "Ability Score",
+			placeholder: "str 13, dex 13",
+			fnGetValue: str => {
+				const out = str.split(",")
+					.map(pt => pt.split("+")
+						.map(it => /^(?<abv>str|dex|con|int|wis|cha)\s+(?<score>\d+)$/i.exec(it.trim()))
+						.filter(Boolean)
+						.mergeMap(m => ({[m.groups.abv.toLowerCase()]: Number(m.groups.score)})))
+					.filter(it => Object.keys(it).length);
+				return out.length ? out : null;
+			},
+			fnGetText: v => v.map(it => Object.entries(it).map(([abv, score]) => `${abv} ${score}`).join(" + ")).join(", "),
+		},
+		"race": {
+			name: "Race",
+			placeholder: "elf; dwarf (hill)",
+			fnGetValue: str => str.split(",")
+				.map(it => it.trim())
+				.filter(Boolean)
+				.map(it => /^(?<name>[^(]+?)\s*(?:\((?<subrace>[^)]+)\))?$/.exec(it))
+				.filter(Boolean)
+				.map(m => ({name: m.groups.name.toLowerCase(), ...(m.groups.subrace ? {subrace: m.groups.subrace.toLowerCase()} : {})})),
+			fnGetText: v => v.map(it => `${it.name}${it.subrace ? ` (${it.subrace})` : ""}`).join(", "),
+		},
+		"background": {
+			name: "Background",
+			placeholder: "Acolyte|PHB",
+			fnGetValue: str => str.split(",")
+				.map(it => it.trim())
+				.filter(Boolean)
+				.map(it => {
+					const [name, source] = it.split("|").map(it => it.trim());
+					return {name, ...(source ? {displayEntry: `{@background ${name}|${source}}`} : {})};
+				}),
+			fnGetText: v => v.map(it => /^{@background (?<tag>[^}]+)}$/.exec(it.displayEntry || "")?.groups.tag || it.name).join(", "),
+		},
+		"feat": {
+			name: "Feat",
+			placeholder: "grappler|phb",
+			fnGetValue: str => str.split(",").map(it => it.trim()).filter(Boolean),
+			fnGetText: v => v.join(", "),
+		},
+		"spell": {
+			name: "Spell",
+			placeholder: "eldritch blast#c",
+			fnGetValue: str => str.split(",").map(it => it.trim().toLowerCase()).filter(Boolean),
+			fnGetText: v => v.filter(it => typeof it === "string").join(", "),
+			// Spell choices (`{choose, entry}`) have no text form, so are kept as-is
+			fnGetUneditable: v => v.filter(it => typeof it !== "string"),
+		},
+		"proficiency": {
+			name: "Proficiency",
+			placeholder: "armor medium; weapon martial",
+			fnGetValue: str => {
+				const out = str.split(",")
+					.map(it => /^(?<type>armor|weapon|weaponGroup)\s+(?<prof>.+)$/i.exec(it.trim()))
+					.filter(Boolean)
+					.map(m => ({[m.groups.type.toLowerCase() === "weapongroup" ? "weaponGroup" : m.groups.type.toLowerCase()]: m.groups.prof.trim().toLowerCase()}));
+				return out.length ? out : null;
+			},
+			fnGetText: v => v.map(it => Object.entries(it).map(([type, prof]) => `${type} ${prof}`).join(", ")).join(", "),
+		},
+		"spellcasting": {name: "Spellcasting", isBoolean: true},
+		"spellcasting2020": {name: "Spellcasting (2020)", isBoolean: true},
+		"spellcastingFeature": {name: "Spellcasting Feature", isBoolean: true},
+		"spellcastingPrepared": {name: "Prepares Spells", isBoolean: true},
+		"psionics": {name: "Psionics", isBoolean: true},
+		"campaign": {
+			name: "Campaign",
+			placeholder: "Eberron",
+			fnGetValue: str => str.split(",").map(it => it.trim()).filter(Boolean),
+			fnGetText: v => v.join(", "),
+		},
+		"other": {name: "Other", placeholder: "Glide trait", fnGetValue: str => str},
+		"note": {name: "Note", fnGetValue: str => str},
+	};
+
+	/** Attunement tag keys which can be edited in the Homebrew Builder; see `PREREQUISITE_KEY_METAS`. */
+	static REQ_ATTUNE_TAG_KEY_METAS = {
+		"class": {name: "Class", placeholder: "artificer|tce", fnGetValue: str => str.toLowerCase()},
+		"race": {name: "Race", placeholder: "dwarf", fnGetValue: str => str.toLowerCase()},
+		"background": {name: "Background", placeholder: "acolyte", fnGetValue: str => str.toLowerCase()},
+		"creatureType": {name: "Creature Type", placeholder: "humanoid", fnGetValue: str => str.toLowerCase()},
+		"size": {name: "Size", placeholder: "S", fnGetValue: str => str[0].toUpperCase()},
+		"alignment": {
+			name: "Alignment",
+			placeholder: "L G",
+			fnGetValue: str => str.toUpperCase().split(/[\s,]+/g).filter(it => Parser._ALIGNMENT_ABV_TO_FULL[it]),
+			fnGetText: v => v.join(" "),
+		},
+		"languageProficiency": {name: "Language", placeholder: "infernal", fnGetValue: str => str.toLowerCase()},
+		"skillProficiency": {name: "Skill", placeholder: "arcana", fnGetValue: str => str.toLowerCase()},
+		"spellcasting": {name: "Spellcaster", isBoolean: true},
+		"psionics": {name: "Psionics", isBoolean: true},
+		...Object.fromEntries(
+			Parser.ABIL_ABVS.map(abv => [abv, {name: `Minimum ${Parser.attAbvToFull(abv)}`, placeholder: "13", fnGetValue: str => UiUtil.strToInt(str, null, {fallbackOnNaN: null}) || null}]),
+		),
+	};
+
+	/**
+	 * Convert the input text for a condition to the key's data, or `null` if there is none.
+	 * @param keyMeta Metadata for the condition's key; see `PREREQUISITE_KEY_METAS`.
+	 * @param raw The input text.
+	 * @param [opts] Options object.
+	 * @param [opts.valuePrev] The condition's previous data, any parts of which that cannot be edited as text are kept.
+	 */
+	static getConditionValue (keyMeta, raw, {valuePrev = null} = {}) {
+		if (keyMeta.isBoolean) return true;
+		raw = (raw || "").trim();
+		const val = raw ? keyMeta.fnGetValue(raw) : null;
+
+		const uneditable = valuePrev != null && keyMeta.fnGetUneditable ? keyMeta.fnGetUneditable(valuePrev) : [];
+		if (uneditable.length) return [...(val || []), ...uneditable];
+
+		return val instanceof Array && !val.length ? null : val;
+	}
+
+	/** Inverse of `getConditionValue`. */
+	static getConditionText (keyMeta, value) {
+		if (value == null || keyMeta.isBoolean) return "";
+		return (keyMeta.fnGetText || (it => `${it}`))(value);
+	}
+
+	/** Comma-separated list of integers, e.g. a per-level progression such as `cantripProgression`. */
+	static getNumberArray (str) {
+		return str.split(",").map(it => it.trim()).filter(Boolean).map(it => UiUtil.strToInt(it, 0, {fallbackOnNaN: 0}));
+	}
+
+	static getOptionalFeatureProgressionText (progression) {
+		if (!progression) return "";
+		if (progression instanceof Array) return progression.join(", ");
+		return Object.entries(progression).map(([level, count]) => `${level}: ${count}`).join(", ");
+	}
+
+	/** Inverse of `getOptionalFeatureProgressionText`. */
+	static getOptionalFeatureProgression (str) {
+		if (!str.trim()) return null;
+		if (!str.includes(":")) return BuilderUtil.getNumberArray(str);
+
+		const out = str.split(",")
+			.map(it => /^(?<level>\d+)\s*:\s*(?<count>\d+)$/.exec(it.trim()))
+			.filter(Boolean)
+			.mergeMap(m => ({[m.groups.level]: Number(m.groups.count)}));
+		return Object.keys(out).length ? out : null;
+	}
+
+	/**
+	 * Line-by-line diff of two texts, via the longest common subsequence of their lines.
+	 * @param {Array<string>} linesA
+	 * @param {Array<string>} linesB
+	 * @return {Array<{type: "same" | "del" | "add", line: string}>}
+	 */
+	static getLineDiff (linesA, linesB) {
+		// Trim any common head/tail, as edits are usually local
+		let cntHead = 0;
+		while (cntHead < linesA.length && cntHead < linesB.length && linesA[cntHead] === linesB[cntHead]) ++cntHead;
+		let cntTail = 0;
+		while (
+			cntTail < linesA.length - cntHead
+			&& cntTail < linesB.length - cntHead
+			&& linesA[linesA.length - 1 - cntTail] === linesB[linesB.length - 1 - cntTail]
+		) ++cntTail;
+
+		const midA = linesA.slice(cntHead, linesA.length - cntTail);
+		const midB = linesB.slice(cntHead, linesB.length - cntTail);
+
+		const out = linesA.slice(0, cntHead).map(line => ({type: "same", line}));
+
+		if (midA.length * midB.length > BuilderUtil._DIFF_MAX_CELLS) {
+			// Too large to diff sensibly; treat the whole middle section as replaced
+			midA.forEach(line => out.push({type: "del", line}));
+			midB.forEach(line => out.push({type: "add", line}));
+		} else {
+			// `lcs[i * w + j]` is the LCS length of `midA.slice(i)` and `midB.slice(j)`
+			const w = midB.length + 1;
+			const lcs = new Uint32Array((midA.length + 1) * w);
+			for (let i = midA.length - 1; i >= 0; --i) {
+				for (let j = midB.length - 1; j >= 0; --j) {
+					lcs[i * w + j] = midA[i] === midB[j]
+						? lcs[(i + 1) * w + j + 1] + 1
+						: Math.max(lcs[(i + 1) * w + j], lcs[i * w + j + 1]);
+				}
+			}
+
+			let i = 0;
+			let j = 0;
+			while (i < midA.length || j < midB.length) {
+				if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+					out.push({type: "same", line: midA[i++]});
+					++j;
+				} else if (i < midA.length && (j >= midB.length || lcs[(i + 1) * w + j] >= lcs[i * w + j + 1])) {
+					out.push({type: "del", line: midA[i++]});
+				} else {
+					out.push({type: "add", line: midB[j++]});
+				}
+			}
+		}
+
+		linesA.slice(linesA.length - cntTail).forEach(line => out.push({type: "same", line}));
+
+		return out;
+	}
+
+	/**
+	 * Pair up the lines of a diff for side-by-side display, collapsing long runs of unchanged lines.
+	 * @param diff Output of `getLineDiff`.
+	 * @param [opts]
+	 * @param [opts.cntContext] Number of unchanged lines to show either side of a change.
+	 * @return {Array<{left?: object, right?: object, cntSkipped?: number}>}
+	 */
+	static getSideBySideDiffRows (diff, {cntContext = 3} = {}) {
+		const out = [];
+
+		let ix = 0;
+		while (ix < diff.length) {
+			if (diff[ix].type === "same") {
+				const ixStart = ix;
+				while (ix < diff.length && diff[ix].type === "same") ++ix;
+				const run = diff.slice(ixStart, ix);
+
+				const cntHead = ixStart === 0 ? 0 : cntContext;
+				const cntTail = ix === diff.length ? 0 : cntContext;
+				if (run.length <= cntHead + cntTail + 1) {
+					run.forEach(meta => out.push({left: meta, right: meta}));
+					continue;
+				}
+
+				run.slice(0, cntHead).forEach(meta => out.push({left: meta, right: meta}));
+				out.push({cntSkipped: run.length - cntHead - cntTail});
+				run.slice(run.length - cntTail).forEach(meta => out.push({left: meta, right: meta}));
+				continue;
+			}
+
+			// Align a block of deletions with the block of additions which follows it
+			const dels = [];
+			const adds = [];
+			while (ix < diff.length && diff[ix].type !== "same") (diff[ix].type === "del" ? dels : adds).push(diff[ix++]);
+			for (let i = 0; i < Math.max(dels.length, adds.length); ++i) out.push({left: dels[i], right: adds[i]});
+		}
+
+		return out;
+	}
+
+	/**
+	 * Flatten a set of `additionalSpells` into a list of `{category, level, frequency, uses, spells}` lines.
+	 * @param spellSet An `additionalSpells` item.
+	 */
+	static getAdditionalSpellsLines (spellSet) {
+		const out = [];
+		BuilderUtil.ADDITIONAL_SPELLS_CATEGORIES
+			.filter(category => spellSet[category])
+			.forEach(category => {
+				Object.entries(spellSet[category]).forEach(([level, byFrequency]) => {
+					if (byFrequency instanceof Array) return out.push({category, level, frequency: null, uses: null, spells: byFrequency});
+
+					Object.entries(byFrequency).forEach(([frequency, byUses]) => {
+						if (byUses instanceof Array) return out.push({category, level, frequency, uses: null, spells: byUses});
+
+						Object.entries(byUses).forEach(([uses, spells]) => out.push({category, level, frequency, uses, spells}));
+					});
+				});
+			});
+		return out;
+	}
+
+	/**
+	 * The inverse of `getAdditionalSpellsLines`.
+	 * @param lines
+	 */
+	static getAdditionalSpellsFromLines (lines) {
+		const out = {};
+		lines.forEach(({category, level, frequency, uses, spells}) => {
+			const path = [category, level];
+			if (frequency) path.push(frequency);
+			if (frequency && BuilderUtil.ADDITIONAL_SPELLS_FREQUENCIES_WITH_USES.has(frequency)) path.push(uses);
+
+			const existing = MiscUtil.get(out, ...path);
+			MiscUtil.set(out, ...path, [...(existing instanceof Array ? existing : []), ...spells]);
+		});
+		return out;
+	}
+
+	static getAdditionalSpellsSpellsText (spells) {
+		return (spells || [])
+			.map(it => {
+				if (typeof it === "string") return it;
+				if (typeof it.choose === "string") return `choose:${it.choose}${it.count ? `:${it.count}` : ""}`;
+				if (it.choose?.from) return `choose:${it.choose.from.join(";")}${it.choose.count ? `:${it.choose.count}` : ""}`;
+				return null;
+			})
+			.filter(Boolean)
+			.join(", ");
+	}
+
+	static getAdditionalSpellsSpells (str) {
+		return str.split(",")
+			.map(it => it.trim())
+			.filter(Boolean)
+			.map(it => {
+				const mChoose = /^choose:(?<choose>[^:]+)(?::(?<count>\d+))?$/i.exec(it);
+				if (!mChoose) return it;
+
+				const count = mChoose.groups.count ? Number(mChoose.groups.count) : null;
+
+				// Filter strings always contain at least one `=`; otherwise, treat as a list of spells
+				if (!mChoose.groups.choose.includes("=")) {
+					const from = mChoose.groups.choose.split(";").map(sp => sp.trim().toLowerCase()).filter(Boolean);
+					return {choose: {from, ...(count ? {count} : {})}};
+				}
+
+				return {choose: mChoose.groups.choose.trim(), ...(count ? {count} : {})};
+			});
+	}
+
+	static getAdditionalSpellsAbilityText (ability) {
+		if (!ability) return "";
+		if (typeof ability === "string") return ability;
+		return (ability.choose || []).join(", ");
+	}
+
+	static getAdditionalSpellsAbility (str) {
+		const parts = str.split(",").map(it => it.trim().toLowerCase()).filter(Boolean);
+		if (!parts.length) return null;
+		if (parts.length === 1) return parts[0];
+		return {choose: parts};
+	}
+}
+
+globalThis.BuilderUtil = BuilderUtil;
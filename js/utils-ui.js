@@ -1537,11 +1537,31 @@ class SearchUiUtil {
 			}
 		};
 
+		// Load the entities of any categories which have blocklist rules, so that the rules can be evaluated against them
+		const isRuleDataItem = d => !SearchUiUtil._isNoHoverCat(d.c) && ExcludeUtil.isRuleCategory(Parser.pageCategoryToProp(d.c));
+		if (ExcludeUtil.hasRules()) {
+			const pagesRule = [...new Set(
+				[data, ...Object.values(additionalData), ...Object.values(alternateData)]
+					.flat()
+					.filter(d => isRuleDataItem(d))
+					.map(d => UrlUtil.categoryToHoverPage(d.c)),
+			)];
+			await Promise.all(pagesRule.map(page => DataLoader.pCacheAndGetAllSite(page, {isSilent: true})));
+		}
+
 		const handleDataItem = (d, isAlternate) => {
 			if (
 				SearchUiUtil._isNoHoverCat(d.c)
 				|| fromDeepIndex(d)
-				|| ExcludeUtil.isExcluded(d.u, Parser.pageCategoryToProp(d.c), d.s, {isNoCount: true})
+				|| ExcludeUtil.isExcluded(
+					d.u,
+					Parser.pageCategoryToProp(d.c),
+					d.s,
+					{
+						isNoCount: true,
+						entity: isRuleDataItem(d) ? DataLoader.getFromCache(UrlUtil.categoryToHoverPage(d.c), d.s, d.u) : null,
+					},
+				)
 			) return;
 			d.cf = d.c === Parser.CAT_ID_CREATURE ? "Creature" : Parser.pageCategoryToFull(d.c);
 			if (isAlternate) d.cf = `alt_${d.cf}`;
@@ -33,9 +33,12 @@ globalThis.VeCt = {
 	STORAGE_HOMEBREW: "HOMEBREW_STORAGE",
 	STORAGE_HOMEBREW_META: "HOMEBREW_META_STORAGE",
 	STORAGE_EXCLUDES: "EXCLUDES_STORAGE",
+	STORAGE_EXCLUDES_PROFILES: "EXCLUDES_PROFILES_STORAGE",
 	STORAGE_DMSCREEN: "DMSCREEN_STORAGE",
 	STORAGE_DMSCREEN_TEMP_SUBLIST: "DMSCREEN_TEMP_SUBLIST",
 	STORAGE_ROLLER_MACRO: "ROLLER_MACRO_STORAGE",
+	STORAGE_ROLLER_VARIABLES: "ROLLER_VARIABLES_STORAGE",
+	STORAGE_ROLLER_SCRIPT: "ROLLER_SCRIPT_STORAGE",
 	STORAGE_ENCOUNTER: "ENCOUNTER_STORAGE",
 	STORAGE_POINTBUY: "POINTBUY_STORAGE",
 	STORAGE_GLOBAL_COMPONENT_STATE: "GLOBAL_COMPONENT_STATE",
@@ -7602,9 +7605,36 @@ class BookModeViewBase {
 
 // CONTENT EXCLUSION ===================================================================================================
 globalThis.ExcludeUtil = {
+	PROFILE_ID_DEFAULT: "default",
+
+	MODE_BLOCKLIST: "blocklist",
+	/**
+	 * In allowlist mode, the list's rows are the only content which is not excluded. Rows flagged `isBlock` (e.g. those
+	 * from a homebrew's embedded blocklist) are always excluded, whatever the mode.
+	 */
+	MODE_ALLOWLIST: "allowlist",
+
 	isInitialised: false,
 	_excludes: null,
+	/**
+	 * The active profile's list is stored as `_excludes`; other profiles store their list in their `excludes`.
+	 * Filter-based `rules`, the list `mode`, and the categories which are exempt from an allowlist
+	 * (`allowlistExceptions`) are stored on each profile.
+	 * @type {?{idActive: string, profiles: Array<{id: string, name: string, excludes: ?Array, rules: ?Array, mode: ?string, allowlistExceptions: ?Array<string>}>}}
+	 */
+	_profiles: null,
 	_cache_excludesLookup: null,
+	/** Lookup of `isBlock` rows, which is built alongside `_cache_excludesLookup`. */
+	_cache_blocksLookup: null,
+	_cache_hasListRows: false,
+	_cache_allowlistExceptions: null,
+	/** Map of lowercased category to the functions which test an entity against the filter values of a rule. */
+	_ruleEvaluators: {},
+	_cache_rulesLookup: null,
+	/** Map of entity UID to rule result, for entities looked up from the `DataLoader` cache. */
+	_cache_ruleResults: null,
+	/** Map of rule ID to the error encountered when evaluating the rule. */
+	_ruleErrors: {},
 	_lock: null,
 
 	async pInitialise ({lockToken = null} = {}) {
@@ -7637,9 +7667,28 @@ globalThis.ExcludeUtil = {
 			window.location.hash = "";
 			setTimeout(() => { throw e; });
 		}
+
+		try {
+			ExcludeUtil._profiles = await StorageUtil.pGet(VeCt.STORAGE_EXCLUDES_PROFILES) || ExcludeUtil._getDefaultProfiles();
+		} catch (e) {
+			ExcludeUtil._profiles = ExcludeUtil._getDefaultProfiles();
+			setTimeout(() => { throw e; });
+		}
+
+		await ExcludeUtil._pInitRuleEvaluators();
+
 		ExcludeUtil.isInitialised = true;
 	},
 
+	_getDefaultProfiles () {
+		return {
+			idActive: ExcludeUtil.PROFILE_ID_DEFAULT,
+			profiles: [
+				{id: ExcludeUtil.PROFILE_ID_DEFAULT, name: "Default", excludes: null, rules: [], mode: ExcludeUtil.MODE_BLOCKLIST, allowlistExceptions: []},
+			],
+		};
+	},
+
 	getList () {
 		return MiscUtil.copyFast(ExcludeUtil._excludes || []);
 	},
@@ -7661,28 +7710,44 @@ globalThis.ExcludeUtil = {
 
 	async _pExtendList ({toAdd, lockToken}) {
 		await ExcludeUtil.pInitialise({lockToken});
+		ExcludeUtil._excludes ||= [];
 		this._doBuildCache();
 
-		const out = MiscUtil.copyFast(ExcludeUtil._excludes || []);
-		MiscUtil.copyFast(toAdd || [])
-			.filter(({hash, category, source}) => {
+		const rowsToAdd = ExcludeUtil.getBlockRows(MiscUtil.copyFast(toAdd || []));
+		const out = MiscUtil.copyFast(ExcludeUtil._excludes);
+		rowsToAdd
+			.filter(({hash, category, source, isBlock}) => {
 				if (!hash || !category || !source) return false;
 				const cacheUid = ExcludeUtil._getCacheUids(hash, category, source, true);
-				return !ExcludeUtil._cache_excludesLookup[cacheUid];
+				return !(isBlock ? ExcludeUtil._cache_blocksLookup : ExcludeUtil._cache_excludesLookup)[cacheUid];
 			})
 			.forEach(it => out.push(it));
 
 		await ExcludeUtil.pSetList(out);
 	},
 
+	/**
+	 * Rows from a blocklist (e.g. a homebrew's embedded blocklist, or an uploaded file) must not be added to an
+	 * allowlist as-is, as this would allow the content they are meant to hide.
+	 * @param rows Blocklist rows.
+	 * @return {Array} The rows, flagged as `isBlock` if the active profile is in allowlist mode.
+	 */
+	getBlockRows (rows) {
+		if (!ExcludeUtil.isAllowlistMode()) return rows;
+		return rows.map(row => ({...row, isBlock: true}));
+	},
+
 	_doBuildCache () {
 		if (ExcludeUtil._cache_excludesLookup) return;
 		if (!ExcludeUtil._excludes) return;
 
 		ExcludeUtil._cache_excludesLookup = {};
-		ExcludeUtil._excludes.forEach(({source, category, hash}) => {
+		ExcludeUtil._cache_blocksLookup = {};
+		ExcludeUtil._cache_hasListRows = false;
+		ExcludeUtil._excludes.forEach(({source, category, hash, isBlock}) => {
 			const cacheUid = ExcludeUtil._getCacheUids(hash, category, source, true);
-			ExcludeUtil._cache_excludesLookup[cacheUid] = true;
+			(isBlock ? ExcludeUtil._cache_blocksLookup : ExcludeUtil._cache_excludesLookup)[cacheUid] = true;
+			if (!isBlock) ExcludeUtil._cache_hasListRows = true;
 		});
 	},
 
@@ -7706,6 +7771,339 @@ globalThis.ExcludeUtil = {
 		];
 	},
 
+	/* -------------------------------------------- */
+
+	getProfiles () {
+		return (ExcludeUtil._profiles?.profiles || [])
+			.map(({id, name, excludes, rules, mode}) => {
+				const isActive = id === ExcludeUtil._profiles.idActive;
+				return {
+					id,
+					name,
+					isActive,
+					mode: mode || ExcludeUtil.MODE_BLOCKLIST,
+					cntExcludes: (isActive ? ExcludeUtil._excludes : excludes)?.length || 0,
+					cntRules: rules?.length || 0,
+				};
+			});
+	},
+
+	getActiveProfile () { return ExcludeUtil.getProfiles().find(({isActive}) => isActive) || null; },
+
+	getProfileList (id) {
+		if (id === ExcludeUtil._profiles?.idActive) return ExcludeUtil.getList();
+		const profile = ExcludeUtil._profiles?.profiles.find(it => it.id === id);
+		return MiscUtil.copyFast(profile?.excludes || []);
+	},
+
+	/** @return {Promise<string>} The ID of the new profile. */
+	async pAddProfile ({name, excludes = [], rules = [], mode = ExcludeUtil.MODE_BLOCKLIST, allowlistExceptions = []}) {
+		return ExcludeUtil._pWithProfilesLock(async () => {
+			const id = CryptUtil.uid();
+			ExcludeUtil._profiles.profiles.push({
+				id,
+				name,
+				excludes: MiscUtil.copyFast(excludes),
+				rules: MiscUtil.copyFast(rules).map(rule => ({...rule, id: CryptUtil.uid()})),
+				mode,
+				allowlistExceptions: [...allowlistExceptions],
+			});
+			await ExcludeUtil._pSaveProfiles();
+			return id;
+		});
+	},
+
+	async pRenameProfile ({id, name}) {
+		return ExcludeUtil._pWithProfilesLock(async () => {
+			const profile = ExcludeUtil._profiles.profiles.find(it => it.id === id);
+			if (!profile) return;
+			profile.name = name;
+			await ExcludeUtil._pSaveProfiles();
+		});
+	},
+
+	/** Delete a profile. If the active profile is deleted, the first remaining profile becomes active. */
+	async pDeleteProfile ({id}) {
+		return ExcludeUtil._pWithProfilesLock(async () => {
+			const profiles = ExcludeUtil._profiles.profiles;
+			if (profiles.length <= 1) throw new Error(`Cannot delete the only blocklist profile!`);
+
+			if (id === ExcludeUtil._profiles.idActive) await ExcludeUtil._pSetActiveProfile({id: profiles.find(it => it.id !== id).id});
+
+			ExcludeUtil._profiles.profiles = profiles.filter(it => it.id !== id);
+			await ExcludeUtil._pSaveProfiles();
+		});
+	},
+
+	/** Note that pages must be reloaded for a change of profile to take effect. */
+	async pSetActiveProfile ({id}) {
+		return ExcludeUtil._pWithProfilesLock(async () => {
+			await ExcludeUtil._pSetActiveProfile({id});
+			await ExcludeUtil._pSaveProfiles();
+		});
+	},
+
+	async _pSetActiveProfile ({id}) {
+		if (id === ExcludeUtil._profiles.idActive) return;
+
+		const profile = ExcludeUtil._profiles.profiles.find(it => it.id === id);
+		if (!profile) throw new Error(`Could not find blocklist profile "${id}"!`);
+
+		const profileActive = ExcludeUtil._profiles.profiles.find(it => it.id === ExcludeUtil._profiles.idActive);
+		if (profileActive) profileActive.excludes = MiscUtil.copyFast(ExcludeUtil._excludes || []);
+
+		ExcludeUtil._excludes = profile.excludes || [];
+		ExcludeUtil._cache_excludesLookup = null;
+		ExcludeUtil._doClearRulesCache();
+		ExcludeUtil._cache_allowlistExceptions = null;
+		profile.excludes = null;
+		ExcludeUtil._profiles.idActive = id;
+
+		// Avoid the throttled save, as the page is likely to be reloaded
+		await ExcludeUtil._pSave();
+	},
+
+	async _pWithProfilesLock (pFn) {
+		try {
+			const lockToken = await ExcludeUtil._lock.pLock();
+			await ExcludeUtil.pInitialise({lockToken});
+			return (await pFn());
+		} finally {
+			ExcludeUtil._lock.unlock();
+		}
+	},
+
+	async _pSaveProfiles () {
+		return StorageUtil.pSet(VeCt.STORAGE_EXCLUDES_PROFILES, ExcludeUtil._profiles);
+	},
+
+	/* -------------------------------------------- */
+
+	getMode () { return ExcludeUtil._getActiveProfileRaw()?.mode || ExcludeUtil.MODE_BLOCKLIST; },
+	isAllowlistMode () { return ExcludeUtil.getMode() === ExcludeUtil.MODE_ALLOWLIST; },
+
+	/** Note that pages must be reloaded for a change of mode to take effect. */
+	async pSetMode ({mode}) {
+		return ExcludeUtil._pWithProfilesLock(async () => {
+			ExcludeUtil._getActiveProfileRaw().mode = mode;
+			await ExcludeUtil._pSaveProfiles();
+		});
+	},
+
+	/** @return {Array<string>} The categories which are not restricted by the allowlist. */
+	getAllowlistExceptions () { return [...(ExcludeUtil._getActiveProfileRaw()?.allowlistExceptions || [])]; },
+
+	async pSetAllowlistExceptions (categories) {
+		return ExcludeUtil._pWithProfilesLock(async () => {
+			ExcludeUtil._getActiveProfileRaw().allowlistExceptions = [...categories];
+			ExcludeUtil._cache_allowlistExceptions = null;
+			await ExcludeUtil._pSaveProfiles();
+		});
+	},
+
+	/* -------------------------------------------- */
+
+	_getActiveProfileRaw () {
+		return ExcludeUtil._profiles?.profiles.find(it => it.id === ExcludeUtil._profiles.idActive) || null;
+	},
+
+	/**
+	 * Rules block every entity which would be displayed by a saved filter state.
+	 * @return {Array<{id: string, name: string, page: string, categories: Array<string>, values: object, displayState: string}>}
+	 */
+	getRules () {
+		return MiscUtil.copyFast(ExcludeUtil._getActiveProfileRaw()?.rules || []);
+	},
+
+	/**
+	 * @param name
+	 * @param page The page on which the rule was created.
+	 * @param categories The entity categories (i.e. data props) to which the rule applies.
+	 * @param values Filter values, as returned by `FilterBox.getValues`.
+	 * @param displayState A human-readable summary of the filter values.
+	 * @return {Promise<string>} The ID of the new rule.
+	 */
+	async pAddRule ({name, page, categories, values, displayState}) {
+		return ExcludeUtil._pWithProfilesLock(async () => {
+			const id = CryptUtil.uid();
+			const profile = ExcludeUtil._getActiveProfileRaw();
+			(profile.rules ||= []).push({id, name, page, categories, values: MiscUtil.copyFast(values), displayState});
+			ExcludeUtil._doClearRulesCache();
+			await ExcludeUtil._pSaveProfiles();
+			return id;
+		});
+	},
+
+	async pRemoveRule ({id}) {
+		return ExcludeUtil._pWithProfilesLock(async () => {
+			const profile = ExcludeUtil._getActiveProfileRaw();
+			if (!profile?.rules) return;
+			profile.rules = profile.rules.filter(it => it.id !== id);
+			ExcludeUtil._doClearRulesCache();
+			await ExcludeUtil._pSaveProfiles();
+		});
+	},
+
+	/** The page filter class used to evaluate rules created on each list page. */
+	_RULE_PAGE_FILTER_CLASS_NAMES: {
+		"actions.html": "PageFilterActions",
+		"backgrounds.html": "PageFilterBackgrounds",
+		"bestiary.html": "PageFilterBestiary",
+		"charcreationoptions.html": "PageFilterCharCreationOptions",
+		"conditionsdiseases.html": "PageFilterConditionsDiseases",
+		"cultsboons.html": "PageFilterCultsBoons",
+		"decks.html": "PageFilterDecks",
+		"deities.html": "PageFilterDeities",
+		"feats.html": "PageFilterFeats",
+		"items.html": "PageFilterItems",
+		"languages.html": "PageFilterLanguages",
+		"objects.html": "PageFilterObjects",
+		"optionalfeatures.html": "PageFilterOptionalFeatures",
+		"psionics.html": "PageFilterPsionics",
+		"races.html": "PageFilterRaces",
+		"recipes.html": "PageFilterRecipes",
+		"rewards.html": "PageFilterRewards",
+		"spells.html": "PageFilterSpells",
+		"tables.html": "PageFilterTables",
+		"trapshazards.html": "PageFilterTrapsHazards",
+		"variantrules.html": "PageFilterVariantRules",
+		"vehicles.html": "PageFilterVehicles",
+	},
+
+	/**
+	 * Load the page filters required by the active profile's rules, so that rules can be evaluated on any page.
+	 */
+	async _pInitRuleEvaluators () {
+		const categoriesByPage = {};
+		(ExcludeUtil._getActiveProfileRaw()?.rules || [])
+			.forEach(rule => {
+				rule.categories
+					.filter(category => !ExcludeUtil._ruleEvaluators[category.toLowerCase()])
+					.forEach(category => (categoriesByPage[rule.page] ||= new Set()).add(category));
+			});
+
+		for (const [page, categories] of Object.entries(categoriesByPage)) {
+			try {
+				const pageFilter = await ExcludeUtil._pGetRulePageFilter({page});
+				if (!pageFilter) continue;
+				categories.forEach(category => ExcludeUtil.registerRuleEvaluator({category, pageFilter}));
+			} catch (e) {
+				setTimeout(() => { throw e; });
+			}
+		}
+	},
+
+	async _pGetRulePageFilter ({page}) {
+		const className = ExcludeUtil._RULE_PAGE_FILTER_CLASS_NAMES[page];
+		if (!className) return null;
+
+		// The page's own filter scripts may already be loaded
+		if (!globalThis.PageFilterBase) await import("./filter.js");
+		if (!globalThis.FilterCommon) await import("./filter-common.js");
+		if (!globalThis[className]) await import(`./filter-${page.replace(/\.html$/, "")}.js`);
+
+		const pageFilter = new globalThis[className]();
+		await pageFilter.pInitFilterBox({namespace: "blocklistRules"});
+		return pageFilter;
+	},
+
+	/**
+	 * Register the page filter which evaluates rules for a category. Rules are otherwise evaluated using a page filter
+	 * which is loaded when the blocklist is initialised.
+	 * @param category The entity category (i.e. data prop) the page filter can test.
+	 * @param pageFilter A page filter, with an initialised filter box.
+	 */
+	registerRuleEvaluator ({category, pageFilter}) {
+		ExcludeUtil._ruleEvaluators[category.toLowerCase()] = (values, ent) => {
+			pageFilter.constructor.mutateForFilters(ent);
+			return pageFilter.toDisplay(values, ent);
+		};
+		ExcludeUtil._doClearRulesCache();
+	},
+
+	hasRules () { return !!ExcludeUtil._getActiveProfileRaw()?.rules?.length; },
+
+	/** @return {boolean} If any of the active profile's rules can be evaluated for the category. */
+	isRuleCategory (category) {
+		ExcludeUtil._doBuildRulesCache();
+		return !!ExcludeUtil._cache_rulesLookup[category.toLowerCase()];
+	},
+
+	/** @return {object} Map of rule ID to the error message for any rule which could not be evaluated. */
+	getRuleErrors () { return {...ExcludeUtil._ruleErrors}; },
+
+	_doClearRulesCache () {
+		ExcludeUtil._cache_rulesLookup = null;
+		ExcludeUtil._cache_ruleResults = null;
+	},
+
+	_doBuildRulesCache () {
+		if (ExcludeUtil._cache_rulesLookup) return;
+
+		ExcludeUtil._cache_rulesLookup = {};
+		ExcludeUtil._cache_ruleResults = {};
+		(ExcludeUtil._getActiveProfileRaw()?.rules || [])
+			.forEach(rule => {
+				rule.categories
+					.map(category => category.toLowerCase())
+					.filter(category => ExcludeUtil._ruleEvaluators[category])
+					.forEach(category => (ExcludeUtil._cache_rulesLookup[category] ||= []).push(rule));
+			});
+	},
+
+	/**
+	 * @param hash
+	 * @param category
+	 * @param source
+	 * @param [entity] The entity. If not provided, the entity is looked up in the `DataLoader` cache.
+	 */
+	_isExcludedByRule ({hash, category, source, entity}) {
+		ExcludeUtil._doBuildRulesCache();
+
+		const rules = ExcludeUtil._cache_rulesLookup[category];
+		if (!rules) return false;
+
+		if (entity) return ExcludeUtil._isExcludedByRule_entity({category, rules, entity});
+
+		// Wildcard queries cannot be answered by rules
+		if (hash === "*" || source === "*") return false;
+
+		const cacheUid = `${hash}__${category}__${source}`;
+		if (ExcludeUtil._cache_ruleResults[cacheUid] != null) return ExcludeUtil._cache_ruleResults[cacheUid];
+
+		// Entities which have not yet been loaded are evaluated once they are
+		const entityCached = typeof DataLoader !== "undefined" ? DataLoader.getFromCache(category, source, hash) : null;
+		if (!entityCached) return false;
+
+		return ExcludeUtil._cache_ruleResults[cacheUid] = ExcludeUtil._isExcludedByRule_entity({category, rules, entity: entityCached});
+	},
+
+	_isExcludedByRule_entity ({category, rules, entity}) {
+		const fnIsMatch = ExcludeUtil._ruleEvaluators[category];
+		return rules.some(rule => {
+			try {
+				return fnIsMatch(rule.values, entity);
+			} catch (e) {
+				// Rules saved against an older version of the filters may no longer be valid
+				ExcludeUtil._doReportRuleError({rule, error: e});
+				return false;
+			}
+		});
+	},
+
+	_doReportRuleError ({rule, error}) {
+		if (ExcludeUtil._ruleErrors[rule.id]) return;
+		ExcludeUtil._ruleErrors[rule.id] = error.message;
+
+		JqueryUtil.doToast({
+			content: `Failed to apply blocklist rule "${rule.name}"! The rule has been ignored. ${VeCt.STR_SEE_CONSOLE}`,
+			type: "warning",
+		});
+		setTimeout(() => { throw error; });
+	},
+
+	/* -------------------------------------------- */
+
 	_excludeCount: 0,
 	/**
 	 * @param hash
@@ -7713,19 +8111,38 @@ globalThis.ExcludeUtil = {
 	 * @param source
 	 * @param [opts]
 	 * @param [opts.isNoCount]
+	 * @param [opts.entity] The entity, against which any filter-based rules are evaluated.
 	 */
 	isExcluded (hash, category, source, opts) {
-		if (!ExcludeUtil._excludes || !ExcludeUtil._excludes.length) return false;
-		if (!source) throw new Error(`Entity had no source!`);
 		opts = opts || {};
 
-		this._doBuildCache();
+		const hasExcludes = !!ExcludeUtil._excludes?.length;
+		const hasRules = ExcludeUtil.hasRules();
+		if (!hasExcludes && !hasRules) return false;
+		if (!source) {
+			// Rules are only evaluated against entities, which always have a source
+			if (!hasExcludes) return false;
+			throw new Error(`Entity had no source!`);
+		}
+
+		if (hasExcludes) this._doBuildCache();
 
 		hash = (hash || "").toLowerCase();
 		category = (category || "").toLowerCase();
 		source = (source.source || source || "").toLowerCase();
 
-		const isExcluded = ExcludeUtil._isExcluded(hash, category, source);
+		// An empty allowlist does not restrict content
+		const isExcludedByList = hasExcludes
+			&& (
+				ExcludeUtil._isExcluded(hash, category, source, ExcludeUtil._cache_blocksLookup)
+				|| (
+					ExcludeUtil.isAllowlistMode()
+						? !ExcludeUtil._isAllowed(hash, category, source)
+						: ExcludeUtil._isExcluded(hash, category, source)
+				)
+			);
+		const isExcluded = isExcludedByList
+			|| (hasRules && ExcludeUtil._isExcludedByRule({hash, category, source, entity: opts.entity}));
 		if (!isExcluded) return isExcluded;
 
 		if (!opts.isNoCount) ++ExcludeUtil._excludeCount;
@@ -7733,13 +8150,37 @@ globalThis.ExcludeUtil = {
 		return isExcluded;
 	},
 
-	_isExcluded (hash, category, source) {
+	_isExcluded (hash, category, source, lookup = ExcludeUtil._cache_excludesLookup) {
 		for (const cacheUid of ExcludeUtil._getCacheUids(hash, category, source)) {
-			if (ExcludeUtil._cache_excludesLookup[cacheUid]) return true;
+			if (lookup[cacheUid]) return true;
 		}
 		return false;
 	},
 
+	_isAllowed (hash, category, source) {
+		// The list has only `isBlock` rows; an empty allowlist does not restrict content
+		if (!ExcludeUtil._cache_hasListRows) return true;
+
+		ExcludeUtil._cache_allowlistExceptions ||= new Set(ExcludeUtil.getAllowlistExceptions().map(it => it.toLowerCase()));
+
+		if (ExcludeUtil._cache_allowlistExceptions.has(category)) return true;
+
+		// Wildcard queries (e.g. "is every entity from this source excluded?") are allowed if any matching row exists
+		if (hash === "*" || category === "*" || source === "*") {
+			if (category === "*" && ExcludeUtil._cache_allowlistExceptions.size) return true;
+
+			const isMatch = (valRow, val) => valRow === "*" || val === "*" || valRow === val;
+			return ExcludeUtil._excludes.some(row => {
+				return !row.isBlock
+					&& isMatch((row.hash || "").toLowerCase(), hash)
+					&& isMatch((row.category || "").toLowerCase(), category)
+					&& isMatch((row.source || "").toLowerCase(), source);
+			});
+		}
+
+		return ExcludeUtil._isExcluded(hash, category, source);
+	},
+
 	isAllContentExcluded (list) { return (!list.length && ExcludeUtil._excludeCount) || (list.length > 0 && list.length === ExcludeUtil._excludeCount); },
 	getAllContentBlocklistedHtml () { return `<div class="initial-message">(All content <a href="blocklist.html">blocklisted</a>)</div>`; },
 
@@ -0,0 +1,113 @@
+import * as path from "path";
+import esbuild from "esbuild";
+import {Um, Uf} from "5etools-utils";
+
+const LOG_TAG = "BREW_VALIDATOR";
+
+const _DIR_SCHEMA = "node_modules/5etools-utils/schema/brew";
+const _PATH_OUT = "lib/brew-validator.js";
+
+const _TIMEOUT_FETCH_MS = 10_000;
+
+/**
+ * Bundle the homebrew JSON schemas, along with a validator configured as per the `5etools-utils` JSON tester, for
+ * use in-browser. Any schemas referenced by URL are fetched here and embedded, so that validation works offline.
+ */
+class BrewValidatorBuilder {
+	/**
+	 * @param obj A schema, or part thereof.
+	 * @param out Map of remote schema URL to the set of JSON pointers referenced within it.
+	 */
+	static _getRemoteRefs (obj, out = new Map()) {
+		if (obj == null || typeof obj !== "object") return out;
+		if (obj instanceof Array) {
+			obj.forEach(it => this._getRemoteRefs(it, out));
+			return out;
+		}
+
+		if (typeof obj.$ref === "string" && /^https?:\/\//.test(obj.$ref)) {
+			const url = new URL(obj.$ref);
+			const pointer = decodeURIComponent(url.hash.slice(1));
+			url.hash = "";
+			if (!out.has(String(url))) out.set(String(url), new Set());
+			if (pointer) out.get(String(url)).add(pointer);
+		}
+		Object.values(obj).forEach(it => this._getRemoteRefs(it, out));
+		return out;
+	}
+
+	static async _pGetRemoteSchema (url, pointers) {
+		try {
+			const response = await fetch(url, {signal: AbortSignal.timeout(_TIMEOUT_FETCH_MS)});
+			if (!response.ok) throw new Error(`Status ${response.status}`);
+			return await response.json();
+		} catch (e) {
+			Um.warn(LOG_TAG, `Failed to fetch schema "${url}" (${e.message}); data referencing it will not be validated!`);
+			return this._getPlaceholderSchema(pointers);
+		}
+	}
+
+	/** A schema which accepts anything at each of the referenced pointers, e.g. `/$defs/wallArray`. */
+	static _getPlaceholderSchema (pointers) {
+		const out = {};
+		pointers.forEach(pointer => {
+			pointer
+				.split("/")
+				.slice(1)
+				.map(it => it.replace(/~1/g, "/").replace(/~0/g, "~"))
+				.reduce((obj, key) => obj[key] ||= {}, out);
+		});
+		return out;
+	}
+
+	static async pRun () {
+		const remoteRefs = new Map();
+
+		const schemaMetas = Uf.listJsonFiles(_DIR_SCHEMA)
+			.map((filePath, ix) => {
+				const id = path.relative(_DIR_SCHEMA, path.normalize(filePath)).replace(/\\/g, "/");
+				this._getRemoteRefs(Uf.readJsonSync(filePath), remoteRefs);
+				return {id, identifier: `schema${ix}`, filePath: path.resolve(filePath)};
+			});
+
+		const remoteSchemas = await Promise.all(
+			[...remoteRefs.entries()].map(async ([url, pointers]) => [url, await this._pGetRemoteSchema(url, pointers)]),
+		);
+
+		const contents = `import {UtilAjv} from "5etools-utils/lib/UtilAjv.js";
+${schemaMetas.map(({identifier, filePath}) => `import ${identifier} from ${JSON.stringify(filePath)};`).join("\n")}
+
+/** Schemas referenced by URL, as fetched at build time. */
+const REMOTE_SCHEMAS = ${JSON.stringify(remoteSchemas)};
+
+export const getValidator = () => {
+	const ajv = UtilAjv.getValidator();
+	[${schemaMetas.map(({id, identifier}) => `[${JSON.stringify(id)}, ${identifier}]`).join(", ")}]
+		.forEach(([id, schema]) => ajv.addSchema(schema, id));
+	REMOTE_SCHEMAS.forEach(([url, schema]) => ajv.addSchema(schema, url));
+	return ajv;
+};
+`;
+
+		const result = await esbuild.build({
+			stdin: {
+				contents,
+				resolveDir: process.cwd(),
+				sourcefile: "brew-validator.js",
+				loader: "js",
+			},
+			bundle: true,
+			minify: true,
+			format: "esm",
+			platform: "browser",
+			outfile: _PATH_OUT,
+			allowOverwrite: true,
+		});
+		result.errors.forEach(it => Um.error(LOG_TAG, it.text));
+		result.warnings.forEach(it => Um.warn(LOG_TAG, it.text));
+
+		Um.info(LOG_TAG, `Bundled ${schemaMetas.length + remoteSchemas.length} schemas to "${_PATH_OUT}"`);
+	}
+}
+
+await BrewValidatorBuilder.pRun();
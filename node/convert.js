@@ -0,0 +1,124 @@
+/**
+ * Batch-convert a directory of `.txt`/`.md` files to a homebrew JSON file, using the converter page's parsers.
+ *
+ * Each file is parsed in the mode matching its extension. Multiple entities in one file should be separated by a line
+ * containing only the input separator (`===` by default). Warnings and errors are written to stderr, prefixed with the file
+ * and line(s) which caused them. Should be run from the repository root, as data is loaded from `data/`.
+ *
+ * Usage:
+ * ```
+ * node node/convert.js ./my-brew/creatures --source MyBrew --type creature
+ * node node/convert.js ./my-brew/subclasses --source MyBrew --type subclass --class-name Fighter --class-source PHB --out my-brew.json
+ * ```
+ */
+
+import fs from "fs";
+import path from "path";
+import {Command} from "commander";
+import * as ut from "./util.js";
+import {CONVERTERS, getChunks, getConverted, getEntitiesByProp, getHomebrewJson, pInitConverters} from "./util-convert.js";
+
+const _FILE_EXTENSIONS = [".txt", ".md"];
+
+const program = new Command()
+	.argument("<dir>", `Directory of input files; files with extensions ${_FILE_EXTENSIONS.map(it => `"${it}"`).join(", ")} are converted`)
+	.requiredOption("-s, --source <source>", "Source JSON identifier for the converted entities, e.g. \"MyBrew\"")
+	.requiredOption("-t, --type <type>", `Converter type; one of: ${Object.keys(CONVERTERS).join(", ")}`)
+	.option("-o, --out <file>", "Output file (default: \"<source>.json\")")
+	.option("--source-full <name>", "Full source name, for the homebrew \"_meta\"")
+	.option("--source-abbreviation <abv>", "Source abbreviation, for the homebrew \"_meta\"")
+	.option("--author <author...>", "Source author(s), for the homebrew \"_meta\"")
+	.option("--source-version <version>", "Source version, for the homebrew \"_meta\"", "1.0.0")
+	.option("--separator <separator>", "Input separator; lines containing only this text split a file into multiple entities", "===")
+	.option("--page <page>", "Page number for the converted entities", Number, 0)
+	.option("--title-case", "Title-case entity names")
+	.option("--class-name <name>", "Parent class name (subclass converter only)")
+	.option("--class-source <source>", "Parent class source (subclass converter only)")
+;
+
+program.parse(process.argv);
+const params = program.opts();
+
+const getFileMode = (file) => path.extname(file).slice(1).toLowerCase();
+
+const logDiagnostic = ({file, line, diagnostic}) => console.error(diagnostic.getCompilerString({file, ixLineOffset: line - 1}));
+
+async function main () {
+	const [dir] = program.args;
+
+	if (!fs.existsSync(dir) || !fs.lstatSync(dir).isDirectory()) throw new Error(`Input "${dir}" is not a directory!`);
+	if (!CONVERTERS[params.type]) throw new Error(`Unknown converter type "${params.type}"! Expected one of: ${Object.keys(CONVERTERS).join(", ")}`);
+	if (params.type === "subclass" && (!params.className || !params.classSource)) throw new Error(`The "subclass" converter requires "--class-name" and "--class-source"!`);
+
+	const files = ut.listFiles({
+		dir,
+		blocklistFilePrefixes: null,
+		blocklistDirPrefixes: null,
+		blocklistDirs: null,
+		allowlistFileExts: _FILE_EXTENSIONS,
+	})
+		.sort(SortUtil.ascSortLower);
+	if (!files.length) throw new Error(`No ${_FILE_EXTENSIONS.map(it => `"${it}"`).join("/")} files found in "${dir}"!`);
+
+	await pInitConverters();
+
+	const entities = [];
+	let cntErrors = 0;
+	let cntWarnings = 0;
+
+	files.forEach(file => {
+		const mode = getFileMode(file);
+		const chunks = getChunks(fs.readFileSync(file, "utf-8"), {separator: params.separator});
+
+		chunks.forEach(({text, line}) => {
+			try {
+				const {entities: entitiesChunk, diagnostics} = getConverted({
+					text,
+					type: params.type,
+					mode,
+					source: params.source,
+					page: params.page,
+					isTitleCase: !!params.titleCase,
+					parserOptions: {
+						className: params.className,
+						classSource: params.classSource,
+					},
+				});
+
+				entities.push(...entitiesChunk);
+				diagnostics.forEach(diagnostic => {
+					logDiagnostic({file, line, diagnostic});
+					if (diagnostic.severity === ConverterDiagnostic.SEVERITY_ERROR) cntErrors++;
+					else cntWarnings++;
+				});
+			} catch (e) {
+				logDiagnostic({file, line, diagnostic: new ConverterDiagnostic({severity: ConverterDiagnostic.SEVERITY_ERROR, message: e.message})});
+				cntErrors++;
+			}
+		});
+	});
+
+	const json = getHomebrewJson(
+		getEntitiesByProp(entities, params.type),
+		{
+			json: params.source,
+			abbreviation: params.sourceAbbreviation,
+			full: params.sourceFull,
+			authors: params.author,
+			version: params.sourceVersion,
+		},
+	);
+
+	const out = params.out || `${params.source}.json`;
+	fs.writeFileSync(out, CleanUtil.getCleanJson(json));
+
+	console.log(`Converted ${entities.length} entit${entities.length === 1 ? "y" : "ies"} from ${files.length} file${files.length === 1 ? "" : "s"} to "${out}" (${cntWarnings} warning${cntWarnings === 1 ? "" : "s"}, ${cntErrors} error${cntErrors === 1 ? "" : "s"})`);
+
+	if (cntErrors) process.exitCode = 1;
+}
+
+main()
+	.catch(e => {
+		console.error(e.message);
+		process.exitCode = 1;
+	});
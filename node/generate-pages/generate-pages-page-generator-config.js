@@ -132,6 +132,9 @@ class _PageGeneratorConverter extends PageGeneratorGeneric {
 		"converter-feat.js",
 		"converter-race.js",
 		"converter-background.js",
+		"converter-entries.js",
+		"converter-class.js",
+		"converter-vehicle.js",
 	];
 }
 
@@ -272,6 +275,7 @@ class _PageGeneratorMakebrew extends PageGeneratorGeneric {
 	_navbarDescription = "Input values on left, view the results on the right.";
 
 	_stylesheets = [
+		"classes",
 		"makebrew",
 	];
 
@@ -283,6 +287,10 @@ class _PageGeneratorMakebrew extends PageGeneratorGeneric {
 		"render-markdown.js",
 		"render-bestiary.js",
 		"render-spells.js",
+		"render-items.js",
+		"render-feats.js",
+		"render-backgrounds.js",
+		"render-races.js",
 	];
 
 	_scriptsUtilsAdditional = [
@@ -290,12 +298,21 @@ class _PageGeneratorMakebrew extends PageGeneratorGeneric {
 		"filter-spells.js",
 		"converterutils.js",
 		"converterutils-creature.js",
+		"converterutils-item.js",
+		"converterutils-background.js",
+		"utils-makebrew.js",
 	];
 
 	_scripts = [
 		"makebrew.js",
 		"makebrew-creature.js",
 		"makebrew-legendarygroup.js",
+		"makebrew-item.js",
+		"makebrew-feat.js",
+		"makebrew-background.js",
+		"makebrew-race.js",
+		"makebrew-class.js",
+		"makebrew-subclass.js",
 	];
 
 	_scriptsModules = [
@@ -0,0 +1,43 @@
+/**
+ * Render an entity to HTML or Markdown, writing the result to stdout.
+ *
+ * Usage:
+ * ```
+ * node node/render-entity.js spells.html/PHB/fireball_phb
+ * node node/render-entity.js bestiary/MM/goblin_mm --format md
+ * ```
+ */
+
+import {Command} from "commander";
+import {FORMAT_HTML, FORMATS, pGetRenderedEntity} from "./util-render.js";
+
+const program = new Command()
+	.argument("<path>", `The entity to render, as "page/source/hash", e.g. "spells.html/PHB/fireball_phb"`)
+	.option("-f, --format <format>", `Output format; one of: ${FORMATS.join(", ")}`, FORMAT_HTML)
+;
+
+program.parse(process.argv);
+const params = program.opts();
+
+const getPathParts = (path) => {
+	const [page, source, ...hashParts] = path.split("/");
+	const hash = hashParts.join("/");
+	if (!page || !source || !hash) throw new Error(`Expected a path of the form "page/source/hash", but got "${path}"!`);
+	return {
+		page: page.endsWith(".html") ? page : `${page}.html`,
+		source,
+		hash: hash.toLowerCase(),
+	};
+};
+
+async function main () {
+	const {page, source, hash} = getPathParts(program.args[0]);
+	const out = await pGetRenderedEntity({page, source, hash, format: params.format});
+	process.stdout.write(`${out}\n`);
+}
+
+main()
+	.catch(e => {
+		console.error(e.message);
+		process.exitCode = 1;
+	});
@@ -0,0 +1,193 @@
+/**
+ * DOM-free entry point for the converter parsers, for use under plain Node.
+ *
+ * Importing this module loads the parser scripts used by the converter page onto `globalThis`. `pInitConverters` must
+ * be awaited before converting, to load the data used during tagging.
+ *
+ * Usage:
+ * ```
+ * import {pInitConverters, getConverted} from "./node/util-convert.js";
+ * await pInitConverters();
+ * const {entities, diagnostics} = getConverted({text, type: "creature", mode: "txt", source: "MyBrew"});
+ * ```
+ */
+
+import "./util-render.js";
+import "../js/utils-proporder.js";
+import "../js/converterutils.js";
+import "../js/converterutils-entries.js";
+import "../js/converterutils-markdown.js";
+import "../js/converterutils-creature.js";
+import "../js/converterutils-spell.js";
+import "../js/converterutils-item.js";
+import "../js/converterutils-race.js";
+import "../js/converterutils-background.js";
+import "../js/converter-feature.js";
+import "../js/converter-creature.js";
+import "../js/converter-spell.js";
+import "../js/converter-item.js";
+import "../js/converter-table.js";
+import "../js/converter-feat.js";
+import "../js/converter-race.js";
+import "../js/converter-background.js";
+import "../js/converter-entries.js";
+import "../js/converter-class.js";
+import "../js/converter-vehicle.js";
+import * as ut from "./util.js";
+
+export const MODE_TEXT = "txt";
+export const MODE_MARKDOWN = "md";
+
+/**
+ * Converter types, as per the converter page. Each maps to the parser used, the parse modes it supports, and the
+ * homebrew prop its output is saved to.
+ */
+export const CONVERTERS = {
+	"creature": {parser: "CreatureParser", modes: [MODE_TEXT, MODE_MARKDOWN], prop: "monster"},
+	"spell": {parser: "SpellParser", modes: [MODE_TEXT, MODE_MARKDOWN], prop: "spell"},
+	"item": {parser: "ItemParser", modes: [MODE_TEXT, MODE_MARKDOWN], prop: "item"},
+	"race": {parser: "RaceParser", modes: [MODE_TEXT, MODE_MARKDOWN], prop: "race"},
+	"background": {parser: "BackgroundParser", modes: [MODE_TEXT, MODE_MARKDOWN], prop: "background"},
+	"feat": {parser: "FeatParser", modes: [MODE_TEXT, MODE_MARKDOWN], prop: "feat"},
+	"class": {parser: "ClassParser", modes: [MODE_MARKDOWN], prop: "class"},
+	"subclass": {parser: "SubclassParser", modes: [MODE_MARKDOWN], prop: "subclass"},
+	"vehicle": {parser: "VehicleParser", modes: [MODE_TEXT], prop: "vehicle"},
+	"object": {parser: "ObjectParser", modes: [MODE_TEXT], prop: "object"},
+	"table": {parser: "TableParser", modes: [MODE_MARKDOWN], prop: "table"},
+};
+
+const _TITLE_CASE_FIELDS = ["name"];
+
+let _isInit = false;
+
+/**
+ * Load the data required by the various taggers, mirroring the converter page's initialisation.
+ */
+export async function pInitConverters () {
+	if (_isInit) return;
+	_isInit = true;
+
+	ut.patchLoadJson();
+	try {
+		const [spells, items, itemsRaw, legendaryGroups, classes] = await Promise.all([
+			DataUtil.spell.pLoadAll(),
+			Renderer.item.pBuildList(),
+			DataUtil.item.loadRawJSON(),
+			DataUtil.legendaryGroup.pLoadAll(),
+			DataUtil.class.loadJSON(),
+		]);
+		const itemsNoGroups = items.filter(it => !it._isItemGroup);
+		SpellcastingTraitConvert.init(spells);
+		ItemParser.init(itemsNoGroups, classes);
+		AcConvert.init(itemsNoGroups);
+		TaggerUtils.init({legendaryGroups, spells});
+		await TagJsons.pInit({spells});
+		RaceTraitTag.init({itemsRaw});
+		MiscTag.init({items});
+		AttachedItemTag.init({items});
+		TagCondition.init({conditionsBrew: []});
+	} finally {
+		ut.unpatchLoadJson();
+	}
+}
+
+/**
+ * Split input text into chunks on lines consisting only of `separator`, tracking the line each chunk starts on.
+ * @param text Input text.
+ * @param [separator] Chunk separator, as per the converter page's "input separator" option.
+ * @return {Array<{text: string, line: number}>} Non-empty chunks, with 1-indexed starting line numbers.
+ */
+export function getChunks (text, {separator = null} = {}) {
+	return ConverterUtils.getInputChunks(text.replace(/\r\n?/g, "\n"), {separator})
+		.map(({text, ixLine}) => ({text, line: ixLine + 1}));
+}
+
+/**
+ * Convert a single chunk of input.
+ * @param text Input text.
+ * @param type Converter type; a key of `CONVERTERS`.
+ * @param mode Parse mode; one of the converter's `modes`.
+ * @param source Entity source.
+ * @param [page] Entity page.
+ * @param [isTitleCase] Whether title-case fields should be title-cased.
+ * @param [parserOptions] Additional parser-specific options, e.g. `className` for the subclass parser.
+ * @return {{entities: Array<object>, diagnostics: Array<ConverterDiagnostic>}} Entities in output order, and any
+ * diagnostics, with line ranges relative to `text`. Entities destined for a prop other than the converter's own are
+ * marked with `__prop`.
+ */
+export function getConverted ({text, type, mode, source, page = 0, isTitleCase = false, parserOptions = null}) {
+	const meta = CONVERTERS[type];
+	if (!meta) throw new Error(`Unknown converter type "${type}"! Expected one of: ${Object.keys(CONVERTERS).map(it => `"${it}"`).join(", ")}`);
+	if (!meta.modes.includes(mode)) throw new Error(`The "${type}" converter does not support "${mode}" input! Expected one of: ${meta.modes.map(it => `"${it}"`).join(", ")}`);
+
+	const entities = [];
+	const diagnostics = [];
+
+	const opts = {
+		...(parserOptions || {}),
+		cbDiagnostic: diagnostic => diagnostics.push(diagnostic),
+		// Parsers output in "prepend" order, as per the converter page
+		cbOutput: ent => entities.unshift(ent),
+		isAppend: false,
+		titleCaseFields: _TITLE_CASE_FIELDS,
+		isTitleCase,
+		source,
+		page,
+	};
+
+	const parser = globalThis[meta.parser];
+	switch (mode) {
+		case MODE_TEXT: parser.doParseText(text, opts); break;
+		case MODE_MARKDOWN: parser.doParseMarkdown(text, opts); break;
+		default: throw new Error(`Unhandled mode "${mode}"!`);
+	}
+
+	return {entities, diagnostics};
+}
+
+/**
+ * Group converted entities by their homebrew prop, stripping any `__prop` markers.
+ * @param entities Converted entities.
+ * @param type Converter type; a key of `CONVERTERS`.
+ */
+export function getEntitiesByProp (entities, type) {
+	const propDefault = CONVERTERS[type].prop;
+	const out = {};
+	entities.forEach(ent => {
+		const {__prop, ...rest} = ent;
+		(out[__prop || propDefault] ||= []).push(rest);
+	});
+	return out;
+}
+
+/**
+ * @param entitiesByProp Entities grouped by homebrew prop.
+ * @param source Source metadata; `json` is required, and other fields default from it.
+ * @param source.json
+ * @param [source.abbreviation]
+ * @param [source.full]
+ * @param [source.authors]
+ * @param [source.version]
+ */
+export function getHomebrewJson (entitiesByProp, {json, abbreviation = null, full = null, authors = null, version = "1.0.0"}) {
+	const timestamp = Math.round(Date.now() / 1000);
+	return {
+		_meta: {
+			sources: [
+				{
+					json,
+					abbreviation: abbreviation || json,
+					full: full || json,
+					...(authors?.length ? {authors} : {}),
+					version,
+				},
+			],
+			dateAdded: timestamp,
+			dateLastModified: timestamp,
+		},
+		...Object.fromEntries(
+			Object.entries(entitiesByProp)
+				.map(([prop, ents]) => [prop, ents.map(ent => PropOrder.getOrdered(ent, prop))]),
+		),
+	};
+}
@@ -0,0 +1,97 @@
+/**
+ * DOM-free entry point for the entry renderer, for use under plain Node.
+ *
+ * Importing this module loads the (browser-oriented) renderer scripts onto `globalThis`, and re-exports the pieces
+ * which are safe to use without a DOM. Data is read from the local `data/` directory (relative to the current working
+ * directory), as per other Node scripts.
+ *
+ * Usage:
+ * ```
+ * import {Renderer, RendererMarkdown, pGetEntity} from "./node/util-render.js";
+ * const ent = await pGetEntity({page: "spells.html", source: "PHB", hash: "fireball_phb"});
+ * console.log(Renderer.spell.getCompactRenderedString(ent));
+ * ```
+ */
+
+import "../js/parser.js";
+import "../js/utils.js";
+import "../js/utils-ui.js";
+import "../js/utils-config.js";
+import "../js/utils-dataloader.js";
+import "../js/utils-brew.js";
+import "../js/hist.js";
+import "../js/render.js";
+import "../js/render-dice.js";
+import "../js/render-markdown.js";
+import "../js/scalecreature.js";
+import * as ut from "./util.js";
+
+const Renderer = globalThis.Renderer;
+const RendererMarkdown = globalThis.RendererMarkdown;
+
+export const FORMAT_HTML = "html";
+export const FORMAT_MARKDOWN = "md";
+export const FORMATS = [FORMAT_HTML, FORMAT_MARKDOWN];
+
+/**
+ * @param page The page (e.g. `"spells.html"`) the entity is found on.
+ * @param source The entity's source.
+ * @param hash The entity's page hash.
+ * @param [isRequired] If an error should be thrown on a missing entity.
+ */
+export async function pGetEntity ({page, source, hash, isRequired = false}) {
+	ut.patchLoadJson();
+	try {
+		return await DataLoader.pCacheAndGet(page, source, hash, {isCopy: true, isRequired});
+	} finally {
+		ut.unpatchLoadJson();
+	}
+}
+
+/**
+ * Render an entry (or entity) to an HTML string.
+ *
+ * @param entry The entry to render.
+ * @param [page] If `entry` is an entity, the page it belongs to; its compact (hover) renderer is then used.
+ */
+export function getRenderedHtml (entry, {page = null} = {}) {
+	if (page == null) return Renderer.get().setFirstSection(true).render(entry);
+
+	const fnRender = Renderer.hover.getFnRenderCompact(page, {isStatic: true});
+	if (!fnRender) throw new Error(`No HTML renderer found for page "${page}"!`);
+	return `<table class="w-100 stats">${fnRender(entry)}</table>`;
+}
+
+/**
+ * Render an entry (or entity) to a Markdown string.
+ *
+ * @param entry The entry to render.
+ * @param [prop] If `entry` is an entity, its data property (e.g. `"spell"`); its Markdown statblock renderer is then used.
+ */
+export function getRenderedMarkdown (entry, {prop = null} = {}) {
+	if (prop == null) return RendererMarkdown.get().setFirstSection(true).render(entry).trim();
+
+	if (!RendererMarkdown.hover.getFnRenderCompact(prop)) throw new Error(`No Markdown renderer found for data property "${prop}"!`);
+	return RendererMarkdown.get().render({type: "statblockInline", dataType: prop, data: entry}).trim();
+}
+
+/**
+ * @param page The page (e.g. `"spells.html"`) the entity is found on.
+ * @param source The entity's source.
+ * @param hash The entity's page hash.
+ * @param [format] One of `FORMATS`.
+ */
+export async function pGetRenderedEntity ({page, source, hash, format = FORMAT_HTML}) {
+	const ent = await pGetEntity({page, source, hash, isRequired: true});
+
+	switch (format) {
+		case FORMAT_HTML: return getRenderedHtml(ent, {page});
+		case FORMAT_MARKDOWN: return getRenderedMarkdown(ent, {prop: ent.__prop});
+		default: throw new Error(`Unknown format "${format}"! Expected one of: ${FORMATS.map(it => `"${it}"`).join(", ")}`);
+	}
+}
+
+export {
+	Renderer,
+	RendererMarkdown,
+};
@@ -0,0 +1,118 @@
+import "../../js/parser.js";
+import "../../js/utils.js";
+import "../../js/render.js";
+import {BrewDependencyUtil} from "../../js/utils-brew/utils-brew-dependencies.js";
+import {getBrewDoc} from "./util/brew-docs.js";
+
+describe("Homebrew dependency graph", () => {
+	it("Should link documents by their dependencies", () => {
+		const docA = getBrewDoc({sources: ["SrcA"]});
+		const docB = getBrewDoc({sources: ["SrcB"], meta: {dependencies: {monster: ["srca"]}}});
+		const docC = getBrewDoc({sources: ["SrcC"], meta: {otherSources: {monster: {SrcB: "SrcB"}}, includes: {spell: ["SrcA"]}}});
+
+		const graph = BrewDependencyUtil.getGraph({brewDocs: [docA, docB, docC]});
+
+		expect(graph.nodes.length).toBe(3);
+		expect(graph.edges).toEqual([
+			{ixFrom: 1, ixTo: 0, props: ["dependencies"]},
+			{ixFrom: 2, ixTo: 0, props: ["includes"]},
+			{ixFrom: 2, ixTo: 1, props: ["otherSources"]},
+		]);
+		expect(graph.missing).toEqual([]);
+
+		expect(BrewDependencyUtil.getNodeColumns(graph)).toEqual({0: 0, 1: 1, 2: 2});
+	});
+
+	it("Should report missing dependencies, ignoring site sources", () => {
+		const doc = getBrewDoc({sources: ["SrcA"], meta: {dependencies: {monster: ["SrcMissing", Parser.SRC_MM]}}});
+
+		const graph = BrewDependencyUtil.getGraph({brewDocs: [doc]});
+
+		expect(graph.edges).toEqual([]);
+		expect(graph.missing).toEqual([{ixFrom: 0, source: "SrcMissing", props: ["dependencies"]}]);
+	});
+
+	it("Should only include external documents which are depended upon", () => {
+		const doc = getBrewDoc({sources: ["SrcA"], meta: {dependencies: {monster: ["SrcExt"]}}});
+		const docExt = getBrewDoc({sources: ["SrcExt"]});
+		const docExtUnused = getBrewDoc({sources: ["SrcExtUnused"]});
+
+		const graph = BrewDependencyUtil.getGraph({brewDocs: [doc], brewDocsExternal: [docExt, docExtUnused]});
+
+		expect(graph.nodes.map(({ix, isExternal}) => ({ix, isExternal}))).toEqual([{ix: 0, isExternal: false}, {ix: 1, isExternal: true}]);
+		expect(graph.edges).toEqual([{ixFrom: 0, ixTo: 1, props: ["dependencies"]}]);
+	});
+
+	it("Should handle dependency cycles", () => {
+		const docA = getBrewDoc({sources: ["SrcA"], meta: {dependencies: {monster: ["SrcB"]}}});
+		const docB = getBrewDoc({sources: ["SrcB"], meta: {dependencies: {monster: ["SrcA"]}}});
+
+		const graph = BrewDependencyUtil.getGraph({brewDocs: [docA, docB]});
+
+		expect(graph.edges.length).toBe(2);
+		expect(Object.keys(BrewDependencyUtil.getNodeColumns(graph)).length).toBe(2);
+	});
+});
+
+describe("Homebrew conflicts", () => {
+	const pFnGetSiteEntities = async prop => prop === "monster" ? [{name: "Goblin", source: Parser.SRC_MM}] : null;
+
+	it("Should report entities defined more than once", async () => {
+		const docA = getBrewDoc({sources: ["SrcA"], monster: [{name: "Bob", source: "SrcA"}, {name: "Alice", source: "SrcA"}]});
+		const docB = getBrewDoc({sources: ["SrcB"], monster: [{name: "bob", source: "srca"}], spell: [{name: "Bob", source: "SrcA"}]});
+
+		const {entities} = await BrewDependencyUtil.pGetConflicts({brewDocs: [docA, docB], pFnGetSiteEntities});
+
+		expect(entities.length).toBe(1);
+		expect(entities[0]).toMatchObject({prop: "monster", name: "Bob", source: "SrcA", ixDocs: [0, 1]});
+	});
+
+	it("Should report missing copy targets", async () => {
+		const doc = getBrewDoc({
+			sources: ["SrcA"],
+			monster: [
+				{name: "Bob", source: "SrcA"},
+				{name: "Bob Copy", source: "SrcA", _copy: {name: "Bob", source: "SrcA"}},
+				{name: "Goblin Copy", source: "SrcA", _copy: {name: "Goblin", source: Parser.SRC_MM}},
+				{name: "Orc Copy", source: "SrcA", _copy: {name: "Orc", source: Parser.SRC_MM}},
+				{name: "Eve Copy", source: "SrcA", _copy: {name: "Eve", source: "SrcMissing"}},
+			],
+			spell: [
+				{name: "Unchecked Copy", source: "SrcA", _copy: {name: "Fireball", source: Parser.SRC_PHB}},
+			],
+		});
+
+		const {copies} = await BrewDependencyUtil.pGetConflicts({brewDocs: [doc], pFnGetSiteEntities});
+
+		expect(copies.map(({ent}) => ent.name)).toEqual(["Orc Copy", "Eve Copy"]);
+	});
+
+	it("Should find copy targets in external documents", async () => {
+		const doc = getBrewDoc({
+			sources: ["SrcA"],
+			monster: [
+				{name: "Bob Copy", source: "SrcA", _copy: {name: "Bob", source: "SrcPrerelease"}},
+				{name: "Eve Copy", source: "SrcA", _copy: {name: "Eve", source: "SrcPrerelease"}},
+			],
+		});
+		const docExternal = getBrewDoc({
+			sources: ["SrcPrerelease"],
+			monster: [{name: "Bob", source: "SrcPrerelease"}, {name: "Bob Copy", source: "SrcA"}],
+		});
+
+		const {entities, copies} = await BrewDependencyUtil.pGetConflicts({brewDocs: [doc], brewDocsExternal: [docExternal], pFnGetSiteEntities});
+
+		expect(copies.map(({ent}) => ent.name)).toEqual(["Eve Copy"]);
+		// External documents are not themselves checked for conflicts
+		expect(entities).toEqual([]);
+	});
+
+	it("Should report sources declared more than once", async () => {
+		const docA = getBrewDoc({sources: ["SrcA", "SrcB"]});
+		const docB = getBrewDoc({sources: ["srcb"]});
+
+		const {sources} = await BrewDependencyUtil.pGetConflicts({brewDocs: [docA, docB], pFnGetSiteEntities});
+
+		expect(sources).toEqual([{source: "SrcB", ixDocs: [0, 1]}]);
+	});
+});
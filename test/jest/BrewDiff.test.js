@@ -0,0 +1,49 @@
+import "../../js/parser.js";
+import "../../js/utils.js";
+import "../../js/render.js";
+import {BrewDiffUtil} from "../../js/utils-brew/utils-brew-diff.js";
+
+describe("Homebrew entity diff", () => {
+	const jsonPrev = {
+		_meta: {sources: [{json: "SrcA"}], dateLastModified: 1},
+		monster: [
+			{name: "Bob", source: "SrcA", hp: {average: 10}},
+			{name: "Alice", source: "SrcA"},
+		],
+		spell: [
+			{name: "Zap", source: "SrcA"},
+		],
+	};
+
+	it("Should report added, removed, and changed entities", () => {
+		const jsonNext = {
+			_meta: {sources: [{json: "SrcA"}], dateLastModified: 2},
+			monster: [
+				{name: "Bob", source: "SrcA", hp: {average: 12}},
+				{name: "Carol", source: "SrcA"},
+			],
+			spell: [
+				{name: "Zap", source: "SrcA"},
+			],
+			item: [
+				{name: "Wand", source: "SrcA"},
+			],
+		};
+
+		const diff = BrewDiffUtil.getEntityDiff({jsonPrev, jsonNext});
+
+		expect(diff.added).toEqual([
+			{prop: "item", name: "Wand", source: "SrcA"},
+			{prop: "monster", name: "Carol", source: "SrcA"},
+		]);
+		expect(diff.removed).toEqual([{prop: "monster", name: "Alice", source: "SrcA"}]);
+		expect(diff.changed).toEqual([{prop: "monster", name: "Bob", source: "SrcA"}]);
+		expect(diff.isMetaChanged).toBe(true);
+	});
+
+	it("Should report no changes for identical documents", () => {
+		const diff = BrewDiffUtil.getEntityDiff({jsonPrev, jsonNext: MiscUtil.copyFast(jsonPrev)});
+
+		expect(diff).toEqual({added: [], removed: [], changed: [], isMetaChanged: false});
+	});
+});
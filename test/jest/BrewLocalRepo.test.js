@@ -0,0 +1,170 @@
+import {jest} from "@jest/globals";
+import "../../js/parser.js";
+import "../../js/utils.js";
+import "../../js/render.js";
+import {BrewLocalRepo} from "../../js/utils-brew/utils-brew-local-repo.js";
+import {BrewUtil2_} from "../../js/utils-brew/utils-brew-impl-brew.js";
+
+const URL_REPO = "http://localhost:5050/homebrew";
+
+const getFileHandle = (name, {json, lastModified = null}) => ({
+	kind: "file",
+	name,
+	getFile: async () => ({lastModified, text: async () => JSON.stringify(json)}),
+});
+
+const getDirectoryHandle = (name, children, {permission = "granted"} = {}) => ({
+	kind: "directory",
+	name,
+	entries: async function* () { for (const child of children) yield [child.name, child]; },
+	getDirectoryHandle: async nameChild => children.find(it => it.kind === "directory" && it.name === nameChild),
+	getFileHandle: async nameChild => children.find(it => it.kind === "file" && it.name === nameChild),
+	queryPermission: async () => permission,
+	requestPermission: async () => permission,
+});
+
+const getBrewJson = (source, {dateLastModified = 1} = {}) => ({
+	_meta: {sources: [{json: source}], dateAdded: 1, dateLastModified},
+	monster: [{name: "Bob", source}],
+});
+
+/** Mock `DataUtil.loadRawJSON`, serving files relative to the URL repo. */
+const spyLoadRawJson = (filesByPath) => jest.spyOn(DataUtil, "loadRawJSON")
+	.mockImplementation(async url => {
+		const path = url.replace(`${URL_REPO}/`, "");
+		if (!filesByPath[path]) throw new Error(`No file "${path}"`);
+		return MiscUtil.copyFast(filesByPath[path]);
+	});
+
+afterEach(() => {
+	jest.restoreAllMocks();
+});
+
+describe("Homebrew local repo URLs", () => {
+	it("Should normalize and store URLs", () => {
+		const repo = BrewLocalRepo.getUrlRepo(` ${URL_REPO} `);
+		expect(repo.getDisplayName()).toBe(`${URL_REPO}/`);
+		expect(repo.getFileUrl("creature/a.json")).toBe(`${URL_REPO}/creature/a.json`);
+
+		const repoStored = BrewLocalRepo.fromStorage(repo.toStorage());
+		expect(repoStored.getFileUrl("a.json")).toBe(`${URL_REPO}/a.json`);
+
+		expect(BrewLocalRepo.fromStorage(null)).toBe(null);
+		expect(BrewLocalRepo.fromStorage({type: "unknown"})).toBe(null);
+	});
+
+	it("Should list files from the index, ignoring remote and empty paths", async () => {
+		const spy = spyLoadRawJson({
+			"index.json": {toImport: ["creature/a.json", " spell/b.json ", "", "https://example.com/c.json", "http://example.com/d.json"]},
+		});
+
+		const repo = BrewLocalRepo.getUrlRepo(URL_REPO);
+		expect(await repo.pGetFileMetas()).toEqual([
+			{path: "creature/a.json", lastModified: null},
+			{path: "spell/b.json", lastModified: null},
+		]);
+		expect(spy).toHaveBeenCalledWith(`${URL_REPO}/index.json`, {isBustCache: true});
+	});
+
+	it("Should list no files for an index without imports", async () => {
+		spyLoadRawJson({"index.json": {}});
+		expect(await BrewLocalRepo.getUrlRepo(URL_REPO).pGetFileMetas()).toEqual([]);
+	});
+});
+
+describe("Homebrew local repo directories", () => {
+	const handle = getDirectoryHandle("my-brew", [
+		getDirectoryHandle(".git", [getFileHandle("config.json", {json: {}})]),
+		getDirectoryHandle("_generated", [getFileHandle("index.json", {json: {}})]),
+		getDirectoryHandle("node_modules", [getFileHandle("package.json", {json: {}})]),
+		getDirectoryHandle("spell", [getFileHandle("Zed; Spells.json", {json: getBrewJson("SrcB"), lastModified: 2000})]),
+		getDirectoryHandle("creature", [
+			getFileHandle("Alice; Creatures.json", {json: getBrewJson("SrcA"), lastModified: 1000}),
+			getFileHandle("notes.txt", {json: {}}),
+		]),
+		getFileHandle("README.md", {json: {}}),
+	]);
+
+	it("Should list JSON files, ignoring hidden and generated directories", async () => {
+		const repo = BrewLocalRepo.fromStorage({type: "directory", handle});
+		expect(repo.getDisplayName()).toBe("my-brew");
+		expect(await repo.pGetFileMetas()).toEqual([
+			{path: "creature/Alice; Creatures.json", lastModified: 1000},
+			{path: "spell/Zed; Spells.json", lastModified: 2000},
+		]);
+		expect(repo.getFileUrl("creature/Alice; Creatures.json")).toBe(null);
+	});
+
+	it("Should load files in subdirectories", async () => {
+		const repo = BrewLocalRepo.fromStorage({type: "directory", handle});
+		expect(await repo.pLoadJson("creature/Alice; Creatures.json")).toEqual(getBrewJson("SrcA"));
+	});
+
+	it("Should only be readable once permission is granted", async () => {
+		expect(await BrewLocalRepo.fromStorage({type: "directory", handle}).pIsReadable()).toBe(true);
+		expect(await BrewLocalRepo.fromStorage({type: "directory", handle: getDirectoryHandle("x", [], {permission: "prompt"})}).pIsReadable()).toBe(false);
+	});
+});
+
+describe("Homebrew loaded from a local repo", () => {
+	const getBrewUtil = () => {
+		const brewUtil = new BrewUtil2_();
+		brewUtil._storage = {pGet: async key => key === brewUtil._STORAGE_KEY_LOCAL_REPO ? BrewLocalRepo.getUrlRepo(URL_REPO).toStorage() : null};
+		return brewUtil;
+	};
+
+	it("Should list brew files, skipping non-brew JSON", async () => {
+		spyLoadRawJson({
+			"index.json": {toImport: ["creature/Alice; Creatures.json", "package.json", "https://example.com/c.json"]},
+			"creature/Alice; Creatures.json": getBrewJson("SrcA", {dateLastModified: 5}),
+			"package.json": {name: "my-brew"},
+		});
+
+		const brewInfos = await getBrewUtil().pGetLocalRepoCombinedIndexes();
+		expect(brewInfos).toMatchObject([
+			{
+				urlDownload: `${URL_REPO}/creature/Alice; Creatures.json`,
+				localRepoPath: "creature/Alice; Creatures.json",
+				dirProp: "monster",
+				props: ["monster"],
+				sources: ["SrcA"],
+				_brewName: "Creatures",
+				_brewAuthor: "Alice",
+				_brewModified: 5,
+			},
+		]);
+	});
+
+	it("Should record the path and checksum of loaded brew", async () => {
+		spyLoadRawJson({"creature/a.json": getBrewJson("SrcA")});
+
+		const brewDoc = await getBrewUtil()._pGetBrewDocFromLocalRepo({path: "creature/a.json"});
+		expect(brewDoc.head).toMatchObject({
+			localRepoPath: "creature/a.json",
+			url: `${URL_REPO}/creature/a.json`,
+			filename: "a.json",
+			checksum: CryptUtil.md5(JSON.stringify(getBrewJson("SrcA"))),
+		});
+		expect(brewDoc.head.timeFetched).toEqual(expect.any(Number));
+	});
+
+	it("Should pull changed files by checksum, ignoring the last-modified date", async () => {
+		const brewUtil = getBrewUtil();
+		const localRepo = BrewLocalRepo.getUrlRepo(URL_REPO);
+
+		spyLoadRawJson({"creature/a.json": getBrewJson("SrcA")});
+		const brew = await brewUtil._pGetBrewDocFromLocalRepo({path: "creature/a.json"});
+		expect(brewUtil.isPullable(brew)).toBe(true);
+
+		expect(await brewUtil._pGetPulledBrew({brew, localRepo})).toBe(null);
+
+		const jsonNext = getBrewJson("SrcA");
+		jsonNext.monster.push({name: "Carol", source: "SrcA"});
+		spyLoadRawJson({"creature/a.json": jsonNext});
+
+		const brewPulled = await brewUtil._pGetPulledBrew({brew, localRepo});
+		expect(brewPulled.body).toEqual(jsonNext);
+		expect(brewPulled.head.checksum).toBe(CryptUtil.md5(JSON.stringify(jsonNext)));
+		expect(brewPulled.head.localRepoPath).toBe("creature/a.json");
+	});
+});
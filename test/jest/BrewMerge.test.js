@@ -0,0 +1,81 @@
+import "../../js/parser.js";
+import "../../js/utils.js";
+import "../../js/render.js";
+import {BrewMergeUtil} from "../../js/utils-brew/utils-brew-merge.js";
+import {getBrewDoc} from "./util/brew-docs.js";
+
+describe("Homebrew merging", () => {
+	it("Should combine sources and metadata", async () => {
+		const docA = getBrewDoc({
+			sources: ["SrcA"],
+			meta: {spellSchools: {X: {full: "Xeno"}}, optionalFeatureTypes: {AB: "Alpha"}},
+			monster: [{name: "Bob", source: "SrcA"}],
+		});
+		const docB = getBrewDoc({
+			sources: ["SrcB", "srca"],
+			meta: {spellSchools: {X: {full: "Xeno"}, Y: {full: "Yellow"}}, optionalFeatureTypes: {AB: "Beta"}},
+			monster: [{name: "Bob", source: "SrcA"}],
+		});
+
+		const {json, collisions} = await BrewMergeUtil.pGetMerged({brewDocs: [docA, docB]});
+
+		expect(json._meta.sources.map(src => src.json)).toEqual(["SrcA", "SrcB"]);
+		expect(Object.keys(json._meta.spellSchools)).toEqual(["X", "Y"]);
+		expect(json.monster.length).toBe(2);
+
+		expect(collisions.entities).toMatchObject([{prop: "monster", name: "Bob", ixDocs: [0, 1]}]);
+		expect(collisions.sources).toEqual([{source: "SrcA", ixDocs: [0, 1]}]);
+		expect(collisions.meta).toEqual([{metaProp: "optionalFeatureTypes", key: "AB", ixDocs: [0, 1]}]);
+	});
+
+	it("Should convert dependencies between merged documents to internal copies", async () => {
+		const docA = getBrewDoc({sources: ["SrcA"], monster: [{name: "Bob", source: "SrcA"}]});
+		const docB = getBrewDoc({
+			sources: ["SrcB"],
+			meta: {dependencies: {monster: ["SrcA", Parser.SRC_MM]}},
+			monster: [{name: "Bob Jr.", source: "SrcB", _copy: {name: "Bob", source: "SrcA"}}],
+		});
+
+		const {json} = await BrewMergeUtil.pGetMerged({brewDocs: [docA, docB]});
+
+		expect(json._meta.dependencies).toEqual({monster: [Parser.SRC_MM]});
+		expect(json._meta.internalCopies).toEqual(["monster"]);
+	});
+
+	it("Should resolve internal copy chains", async () => {
+		const docA = getBrewDoc({
+			sources: ["SrcA"],
+			monster: [
+				{name: "Bob", source: "SrcA", hp: {average: 10}, str: 12},
+				{name: "Bob Sr.", source: "SrcA", _copy: {name: "Bob Jr.", source: "SrcB", _mod: {"*": {mode: "replaceTxt", replace: "x", with: "y"}}}, str: 8},
+			],
+		});
+		const docB = getBrewDoc({
+			sources: ["SrcB"],
+			meta: {dependencies: {monster: ["SrcA"]}},
+			monster: [
+				{name: "Bob Jr.", source: "SrcB", _copy: {name: "Bob", source: "SrcA"}, str: 10},
+				{name: "Loop", source: "SrcB", _copy: {name: "Loop", source: "SrcB"}},
+				{name: "Goblin Boss", source: "SrcB", _copy: {name: "Goblin", source: Parser.SRC_MM}},
+			],
+		});
+
+		const {json, copies} = await BrewMergeUtil.pGetMerged({brewDocs: [docA, docB], isResolveCopies: true});
+
+		const [bob, bobSr, bobJr, loop, goblinBoss] = json.monster;
+		expect(bob._copy).toBeUndefined();
+		expect(bobJr).toEqual({name: "Bob Jr.", source: "SrcB", hp: {average: 10}, str: 10});
+		expect(bobSr).toEqual({name: "Bob Sr.", source: "SrcA", hp: {average: 10}, str: 8});
+		expect(loop._copy).toBeDefined();
+		expect(goblinBoss._copy).toBeDefined();
+
+		expect(copies.cntResolved).toBe(2);
+		expect(copies.unresolved).toMatchObject([{prop: "monster", name: "Loop"}]);
+
+		// "Loop" still copies within the document
+		expect(json._meta.internalCopies).toEqual(["monster"]);
+
+		// The input documents are not modified
+		expect(docB.body.monster[0]._copy).toBeDefined();
+	});
+});
@@ -0,0 +1,59 @@
+import {jest} from "@jest/globals";
+import {execFileSync} from "child_process";
+import "../../js/parser.js";
+import "../../js/utils.js";
+import {BrewValidator} from "../../js/utils-brew/utils-brew-validator.js";
+
+const getBrew = ({sources = ["TestSrc"], ...rest} = {}) => ({
+	_meta: {
+		sources: sources.map(json => ({json, abbreviation: json, full: `Test ${json}`, authors: ["Tester"], convertedBy: ["Tester"], version: "1.0.0"})),
+		dateAdded: 1700000000,
+		dateLastModified: 1700000000,
+	},
+	...rest,
+});
+
+const spell = {
+	name: "Test Bolt",
+	source: "TestSrc",
+	page: 1,
+	level: 1,
+	school: "V",
+	time: [{number: 1, unit: "action"}],
+	range: {type: "point", distance: {type: "feet", amount: 60}},
+	components: {v: true, s: true},
+	duration: [{type: "instant"}],
+	entries: ["A bolt of test energy."],
+};
+
+describe("Homebrew validation", () => {
+	beforeAll(() => {
+		// Bundle the schemas, as the tests are run against the bundled validator
+		execFileSync(process.execPath, ["node/build-brew-validator.js"], {stdio: "ignore", timeout: 60_000});
+	});
+
+	it("Should accept valid homebrew, without network access", async () => {
+		const spyFetch = jest.spyOn(globalThis, "fetch").mockRejectedValue(new Error("fetch failed"));
+		try {
+			expect(await BrewValidator.pGetBrewErrors(getBrew({spell: [spell]}))).toEqual([]);
+			expect(spyFetch).not.toHaveBeenCalled();
+		} finally {
+			spyFetch.mockRestore();
+		}
+	});
+
+	it("Should report invalid homebrew", async () => {
+		expect(await BrewValidator.pGetBrewErrors(getBrew({spell: [{...spell, notAProp: true}]}))).toEqual([
+			{path: "/spell/0", message: `must NOT have additional properties: "notAProp"`},
+		]);
+		expect(await BrewValidator.pGetBrewErrors({spell: [spell]})).toEqual([
+			{path: "/", message: "must have required property '_meta'"},
+		]);
+	});
+
+	it("Should validate entities by prop", async () => {
+		expect(await BrewValidator.pGetEntityErrors("spell", spell)).toEqual([]);
+		expect(await BrewValidator.pGetEntityErrors("spell", {...spell, level: "first"})).toEqual(expect.arrayContaining([expect.objectContaining({path: "/level"})]));
+		expect(await BrewValidator.pGetEntityErrors("notAProp", spell)).toEqual([{path: "/", message: `Unknown homebrew prop "notAProp"`}]);
+	});
+});
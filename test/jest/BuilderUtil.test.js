@@ -0,0 +1,228 @@
+import "../../js/parser.js";
+import "../../js/utils.js";
+import "../../js/utils-ui.js";
+import "../../js/render.js";
+import "../../js/render-dice.js";
+import "../../js/utils-makebrew.js";
+
+describe("Homebrew Builder number arrays", () => {
+	it("Should parse comma-separated numbers", () => {
+		expect(BuilderUtil.getNumberArray("1, 2,3 ,, 4")).toEqual([1, 2, 3, 4]);
+		expect(BuilderUtil.getNumberArray("")).toEqual([]);
+	});
+
+	it("Should fall back on invalid numbers", () => {
+		expect(BuilderUtil.getNumberArray("1, two, 3")).toEqual([1, 0, 3]);
+	});
+});
+
+describe("Homebrew Builder optional feature progressions", () => {
+	it("Should parse per-level counts", () => {
+		expect(BuilderUtil.getOptionalFeatureProgression("0, 2, 2, 3")).toEqual([0, 2, 2, 3]);
+	});
+
+	it("Should parse level-count pairs", () => {
+		expect(BuilderUtil.getOptionalFeatureProgression("3: 1, 7:2,  10 : 3")).toEqual({3: 1, 7: 2, 10: 3});
+		// Invalid pairs are ignored
+		expect(BuilderUtil.getOptionalFeatureProgression("3: 1, seven: 2")).toEqual({3: 1});
+	});
+
+	it("Should return null for empty or invalid input", () => {
+		expect(BuilderUtil.getOptionalFeatureProgression("")).toBeNull();
+		expect(BuilderUtil.getOptionalFeatureProgression("  ")).toBeNull();
+		expect(BuilderUtil.getOptionalFeatureProgression("a: b")).toBeNull();
+	});
+
+	it("Should convert progressions to text and back", () => {
+		[
+			[0, 2, 2, 3],
+			{3: 1, 7: 2},
+		].forEach(progression => {
+			const text = BuilderUtil.getOptionalFeatureProgressionText(progression);
+			expect(BuilderUtil.getOptionalFeatureProgression(text)).toEqual(progression);
+		});
+
+		expect(BuilderUtil.getOptionalFeatureProgressionText({3: 1, 7: 2})).toBe("3: 1, 7: 2");
+		expect(BuilderUtil.getOptionalFeatureProgressionText(null)).toBe("");
+	});
+});
+
+describe("Homebrew Builder line diff", () => {
+	const getDiffText = diff => diff.map(({type, line}) => `${({same: " ", del: "-", add: "+"})[type]}${line}`);
+
+	it("Should report unchanged lines", () => {
+		expect(getDiffText(BuilderUtil.getLineDiff(["a", "b"], ["a", "b"]))).toEqual([" a", " b"]);
+	});
+
+	it("Should report inserted lines", () => {
+		expect(getDiffText(BuilderUtil.getLineDiff(["a", "c"], ["a", "b", "c"]))).toEqual([" a", "+b", " c"]);
+		expect(getDiffText(BuilderUtil.getLineDiff([], ["a"]))).toEqual(["+a"]);
+	});
+
+	it("Should report deleted lines", () => {
+		expect(getDiffText(BuilderUtil.getLineDiff(["a", "b", "c"], ["a", "c"]))).toEqual([" a", "-b", " c"]);
+		expect(getDiffText(BuilderUtil.getLineDiff(["a"], []))).toEqual(["-a"]);
+	});
+
+	it("Should report replaced lines", () => {
+		expect(getDiffText(BuilderUtil.getLineDiff(["a", "b", "c", "d"], ["a", "x", "c", "y"]))).toEqual([" a", "-b", "+x", " c", "-d", "+y"]);
+	});
+
+	it("Should replace the whole of a diff which is too large", () => {
+		const maxCells = BuilderUtil._DIFF_MAX_CELLS;
+		try {
+			BuilderUtil._DIFF_MAX_CELLS = 3;
+			expect(getDiffText(BuilderUtil.getLineDiff(["a", "b", "c", "z"], ["a", "c", "b", "z"]))).toEqual([" a", "-b", "-c", "+c", "+b", " z"]);
+		} finally {
+			BuilderUtil._DIFF_MAX_CELLS = maxCells;
+		}
+	});
+});
+
+describe("Homebrew Builder side-by-side diff", () => {
+	const getRowText = rows => rows.map(({left, right, cntSkipped}) => cntSkipped ? `...${cntSkipped}` : `${left?.line ?? ""}|${right?.line ?? ""}`);
+
+	it("Should align deletions with insertions", () => {
+		const diff = BuilderUtil.getLineDiff(["a", "b", "c", "d"], ["a", "x", "y", "d"]);
+		expect(getRowText(BuilderUtil.getSideBySideDiffRows(diff))).toEqual(["a|a", "b|x", "c|y", "d|d"]);
+	});
+
+	it("Should show unpaired insertions and deletions", () => {
+		expect(getRowText(BuilderUtil.getSideBySideDiffRows(BuilderUtil.getLineDiff(["a"], ["a", "b"])))).toEqual(["a|a", "|b"]);
+		expect(getRowText(BuilderUtil.getSideBySideDiffRows(BuilderUtil.getLineDiff(["a", "b"], ["a"])))).toEqual(["a|a", "b|"]);
+	});
+
+	it("Should collapse unchanged lines away from changes", () => {
+		const linesA = [..."abcdefghij"];
+		const linesB = [..."abcdeXghij"];
+		expect(getRowText(BuilderUtil.getSideBySideDiffRows(BuilderUtil.getLineDiff(linesA, linesB), {cntContext: 1})))
+			.toEqual(["...4", "e|e", "f|X", "g|g", "...3"]);
+
+		// Runs which are not much longer than the context are not collapsed
+		expect(getRowText(BuilderUtil.getSideBySideDiffRows(BuilderUtil.getLineDiff([..."abc"], [..."abX"]), {cntContext: 1})))
+			.toEqual(["a|a", "b|b", "c|X"]);
+	});
+});
+
+describe("Homebrew Builder additional spells", () => {
+	const spellSet = {
+		innate: {
+			"_": {
+				daily: {"1": ["misty step"], "1e": ["fog cloud", "sleep"]},
+				will: ["light#c"],
+			},
+		},
+		known: {"_": ["fire bolt#c"]},
+		expanded: {"s1": ["shield"]},
+	};
+
+	it("Should flatten spells to lines", () => {
+		expect(BuilderUtil.getAdditionalSpellsLines(spellSet)).toEqual([
+			{category: "innate", level: "_", frequency: "daily", uses: "1", spells: ["misty step"]},
+			{category: "innate", level: "_", frequency: "daily", uses: "1e", spells: ["fog cloud", "sleep"]},
+			{category: "innate", level: "_", frequency: "will", uses: null, spells: ["light#c"]},
+			{category: "known", level: "_", frequency: null, uses: null, spells: ["fire bolt#c"]},
+			{category: "expanded", level: "s1", frequency: null, uses: null, spells: ["shield"]},
+		]);
+	});
+
+	it("Should round trip lines", () => {
+		expect(BuilderUtil.getAdditionalSpellsFromLines(BuilderUtil.getAdditionalSpellsLines(spellSet))).toEqual(spellSet);
+	});
+
+	it("Should merge lines with the same path", () => {
+		expect(BuilderUtil.getAdditionalSpellsFromLines([
+			{category: "known", level: "3", frequency: null, uses: "1", spells: ["shield"]},
+			{category: "known", level: "3", frequency: null, uses: "1", spells: ["sleep"]},
+			// Uses are ignored for frequencies without them
+			{category: "innate", level: "3", frequency: "ritual", uses: "1", spells: ["find familiar"]},
+		])).toEqual({
+			known: {"3": ["shield", "sleep"]},
+			innate: {"3": {ritual: ["find familiar"]}},
+		});
+	});
+
+	it("Should parse spells and choices", () => {
+		const spells = BuilderUtil.getAdditionalSpellsSpells("misty step, , choose:level=0|class=Wizard, choose:Shield; Sleep:2, choose:level=1|school=V:2");
+		expect(spells).toEqual([
+			"misty step",
+			{choose: "level=0|class=Wizard"},
+			{choose: {from: ["shield", "sleep"], count: 2}},
+			{choose: "level=1|school=V", count: 2},
+		]);
+		expect(BuilderUtil.getAdditionalSpellsSpellsText(spells)).toBe("misty step, choose:level=0|class=Wizard, choose:shield;sleep:2, choose:level=1|school=V:2");
+	});
+
+	it("Should parse abilities", () => {
+		expect(BuilderUtil.getAdditionalSpellsAbility("  ")).toBe(null);
+		expect(BuilderUtil.getAdditionalSpellsAbility("CHA")).toBe("cha");
+		expect(BuilderUtil.getAdditionalSpellsAbility("int, wis,cha")).toEqual({choose: ["int", "wis", "cha"]});
+
+		expect(BuilderUtil.getAdditionalSpellsAbilityText(null)).toBe("");
+		expect(BuilderUtil.getAdditionalSpellsAbilityText("inherit")).toBe("inherit");
+		expect(BuilderUtil.getAdditionalSpellsAbilityText({choose: ["int", "wis"]})).toBe("int, wis");
+	});
+});
+
+describe("Homebrew Builder conditions", () => {
+	const getValue = (keyMetas, key, raw) => BuilderUtil.getConditionValue(keyMetas[key], raw);
+	const getText = (keyMetas, key, value) => BuilderUtil.getConditionText(keyMetas[key], value);
+
+	it("Should convert prerequisites", () => {
+		const metas = BuilderUtil.PREREQUISITE_KEY_METAS;
+
+		expect(getValue(metas, "level", "4")).toBe(4);
+		expect(getValue(metas, "level", "4 fighter|XPHB")).toEqual({level: 4, class: {name: "Fighter", source: "XPHB", visible: true}});
+		expect(getValue(metas, "level", "fighter")).toBe(null);
+		expect(getValue(metas, "ability", "str 13 + dex 13, con 15")).toEqual([{str: 13, dex: 13}, {con: 15}]);
+		expect(getValue(metas, "race", "Elf, dwarf (hill)")).toEqual([{name: "elf"}, {name: "dwarf", subrace: "hill"}]);
+		expect(getValue(metas, "background", "Acolyte|PHB")).toEqual([{name: "Acolyte", displayEntry: "{@background Acolyte|PHB}"}]);
+		expect(getValue(metas, "proficiency", "armor medium, weapongroup martial")).toEqual([{armor: "medium"}, {weaponGroup: "martial"}]);
+		expect(getValue(metas, "spell", " , ")).toBe(null);
+		expect(getValue(metas, "spellcasting", "")).toBe(true);
+		expect(getValue(metas, "other", "")).toBe(null);
+	});
+
+	it("Should round trip prerequisites", () => {
+		const metas = BuilderUtil.PREREQUISITE_KEY_METAS;
+		[
+			["level", "4 Fighter|XPHB"],
+			["ability", "str 13 + dex 13, con 15"],
+			["race", "elf, dwarf (hill)"],
+			["background", "Acolyte|PHB"],
+			["proficiency", "armor medium, weapon martial"],
+			["campaign", "Eberron"],
+		].forEach(([key, text]) => expect(getText(metas, key, getValue(metas, key, text))).toBe(text));
+
+		expect(getText(metas, "level", 4)).toBe("4");
+		expect(getText(metas, "spellcasting", true)).toBe("");
+	});
+
+	it("Should keep prerequisites which cannot be edited as text", () => {
+		const meta = BuilderUtil.PREREQUISITE_KEY_METAS.spell;
+		const choice = {choose: "level=0|class=Wizard", entry: "any wizard cantrip"};
+		const value = ["eldritch blast#c", choice];
+
+		const text = BuilderUtil.getConditionText(meta, value);
+		expect(text).toBe("eldritch blast#c");
+		expect(BuilderUtil.getConditionValue(meta, text, {valuePrev: value})).toEqual(value);
+		expect(BuilderUtil.getConditionValue(meta, `${text}, Hex`, {valuePrev: value})).toEqual(["eldritch blast#c", "hex", choice]);
+		expect(BuilderUtil.getConditionValue(meta, "", {valuePrev: value})).toEqual([choice]);
+		expect(BuilderUtil.getConditionValue(meta, "", {valuePrev: ["hex"]})).toBe(null);
+	});
+
+	it("Should convert attunement tags", () => {
+		const metas = BuilderUtil.REQ_ATTUNE_TAG_KEY_METAS;
+
+		expect(getValue(metas, "class", "Artificer|TCE")).toBe("artificer|tce");
+		expect(getValue(metas, "size", "small")).toBe("S");
+		expect(getValue(metas, "alignment", "l, g x")).toEqual(["L", "G"]);
+		expect(getValue(metas, "alignment", "x")).toBe(null);
+		expect(getValue(metas, "str", "13")).toBe(13);
+		expect(getValue(metas, "str", "0")).toBe(null);
+		expect(getValue(metas, "psionics", "")).toBe(true);
+
+		expect(getText(metas, "alignment", ["L", "G"])).toBe("L G");
+		expect(getText(metas, "dex", 13)).toBe("13");
+	});
+});
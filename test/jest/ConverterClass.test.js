@@ -0,0 +1,170 @@
+import "../../node/util-render.js";
+import "../../js/utils-proporder.js";
+import "../../js/converterutils.js";
+import "../../js/converterutils-entries.js";
+import "../../js/converterutils-markdown.js";
+import "../../js/converter-table.js";
+import "../../js/converter-class.js";
+
+const getParsed = (parser, md, opts = {}) => {
+	const out = [];
+	const warnings = [];
+	parser.doParseMarkdown(md, {cbWarning: w => warnings.push(w), cbOutput: ent => out.unshift(ent), source: "TST", page: 1, ...opts});
+	return {out, warnings};
+};
+
+describe("Class Markdown parsing", () => {
+	beforeAll(() => {
+		TagCondition.init({conditionsBrew: []});
+	});
+
+	it("Should parse a class and its features", () => {
+		const {out: [cls, ...features], warnings} = getParsed(
+			ClassParser,
+			`# Warden
+## Class Features
+#### Hit Points
+**Hit Dice:** 1d10 per warden level
+#### Proficiencies
+**Armor:** Light armor, shields
+**Weapons:** Simple weapons
+**Saving Throws:** Strength, Wisdom
+**Skills:** Choose two from Athletics, Nature, and Survival
+
+##### The Warden
+| Level | Proficiency Bonus | Features | Mark Die |
+|:---:|:---:|:---|:---:|
+| 1st | +2 | Warden's Mark | 1d6 |
+| 2nd | +2 | Warden Oath | 1d6 |
+| 3rd | +2 | Ability Score Improvement | 1d8 |
+| 4th | +2 | Warden Oath feature | 1d8 |
+| 5th | +3 | Ability Score Improvement | 1d8 |
+
+### Warden's Mark
+As a bonus action, you can mark a creature.
+
+### Warden Oath
+At 2nd level, you swear an oath.
+
+### Ability Score Improvement
+You can increase one ability score of your choice by 2.`,
+		);
+
+		expect(warnings).toEqual([]);
+
+		expect(cls.name).toEqual("Warden");
+		expect(cls.hd).toEqual({number: 1, faces: 10});
+		expect(cls.proficiency).toEqual(["str", "wis"]);
+		expect(cls.startingProficiencies).toEqual({
+			armor: ["light", "{@item shield|phb|shields}"],
+			weapons: ["simple"],
+			skills: [{choose: {from: ["athletics", "nature", "survival"], count: 2}}],
+		});
+		expect(cls.classTableGroups).toEqual([
+			{
+				colLabels: ["Mark Die"],
+				rows: [6, 6, 8, 8, 8].map(faces => [{type: "dice", toRoll: [{number: 1, faces}]}]),
+			},
+		]);
+		expect(cls.subclassTitle).toEqual("Warden Oath");
+		expect(cls.classFeatures).toEqual([
+			"Warden's Mark|Warden|TST|1",
+			{classFeature: "Warden Oath|Warden|TST|2", gainSubclassFeature: true},
+			"Ability Score Improvement|Warden|TST|3",
+			{classFeature: "Warden Oath Feature|Warden|TST|4", gainSubclassFeature: true},
+			"Ability Score Improvement|Warden|TST|5",
+		]);
+
+		expect(features.map(it => [it.__prop, it.name, it.level])).toEqual([
+			["classFeature", "Warden's Mark", 1],
+			["classFeature", "Warden Oath", 2],
+			["classFeature", "Ability Score Improvement", 3],
+			["classFeature", "Warden Oath Feature", 4],
+			["classFeature", "Ability Score Improvement", 5],
+		]);
+	});
+
+	it("Should parse a subclass and its features", () => {
+		const {out: [sc, ...features]} = getParsed(
+			SubclassParser,
+			`### Oath of the Grove
+Wardens who swear this oath guard ancient forests.
+
+#### Grove Guardian
+*3rd-level Oath of the Grove feature*
+
+You gain proficiency in the Nature skill.
+
+#### Thorned Mark
+*6th-level Oath of the Grove feature*
+
+Your mark restrains.`,
+			{className: "Warden", classSource: "TST"},
+		);
+
+		expect(sc.shortName).toEqual("Grove");
+		expect(sc.subclassFeatures).toEqual([
+			"Oath of the Grove|Warden|TST|Grove|TST|3",
+			"Thorned Mark|Warden|TST|Grove|TST|6",
+		]);
+
+		const [featIntro, featGuardian] = features;
+		expect(featIntro.entries).toEqual([
+			"Wardens who swear this oath guard ancient forests.",
+			{type: "refSubclassFeature", subclassFeature: "Grove Guardian|Warden|TST|Grove|TST|3"},
+		]);
+		expect(featGuardian.entries).toEqual(["You gain proficiency in the {@skill Nature} skill."]);
+	});
+
+	it("Should order subclass features by level", () => {
+		const {out: [sc, ...features], warnings} = getParsed(
+			SubclassParser,
+			`### Oath of the Grove
+Wardens who swear this oath guard ancient forests.
+
+#### Grove Guardian
+*3rd-level Oath of the Grove feature*
+
+You gain proficiency in the Nature skill.
+
+#### Thorned Mark
+*6th-level Oath of the Grove feature*
+
+Your mark restrains.
+
+#### Deep Roots
+When you expend a 5th-level spell slot, you regain hit points.
+
+#### Grove Speech
+*3rd-level Oath of the Grove feature*
+
+You can speak with plants.
+
+#### Heart of the Forest
+Starting at 10th level, you are one with the forest.`,
+			{className: "Warden", classSource: "TST"},
+		);
+
+		expect(warnings).toEqual([]);
+
+		expect(sc.subclassFeatures).toEqual([
+			"Oath of the Grove|Warden|TST|Grove|TST|3",
+			"Thorned Mark|Warden|TST|Grove|TST|6",
+			"Deep Roots|Warden|TST|Grove|TST|6",
+			"Heart of the Forest|Warden|TST|Grove|TST|10",
+		]);
+
+		expect(features.map(it => [it.name, it.level])).toEqual([
+			["Oath of the Grove", 3],
+			["Grove Guardian", 3],
+			["Grove Speech", 3],
+			["Thorned Mark", 6],
+			["Deep Roots", 6],
+			["Heart of the Forest", 10],
+		]);
+		expect(features[0].entries.slice(1).map(it => it.subclassFeature)).toEqual([
+			"Grove Guardian|Warden|TST|Grove|TST|3",
+			"Grove Speech|Warden|TST|Grove|TST|3",
+		]);
+	});
+});
@@ -0,0 +1,102 @@
+import "../../node/util-render.js";
+import "../../js/utils-proporder.js";
+import "../../js/converterutils.js";
+import "../../js/converterutils-entries.js";
+import "../../js/converterutils-creature.js";
+import "../../js/converter-vehicle.js";
+
+const getDiagnostics = (parser, txt) => {
+	const diagnostics = [];
+	parser.doParseText(txt, {cbDiagnostic: d => diagnostics.push(d), cbOutput: () => {}, source: "TST", page: 1});
+	return diagnostics;
+};
+
+describe("Converter diagnostics", () => {
+	beforeAll(() => {
+		TagCondition.init({conditionsBrew: []});
+	});
+
+	it("Should split input into chunks, tracking start lines", () => {
+		expect(ConverterUtils.getInputChunks(`\nFirst\nline two\n===\n\n\nSecond\n  ===\t\nThird\n===\n`, {separator: "==="}))
+			.toEqual([
+				{text: "First\nline two", ixLine: 1},
+				{text: "Second", ixLine: 6},
+				{text: "Third", ixLine: 8},
+			]);
+
+		expect(ConverterUtils.getInputChunks(`\n\nOnly`)).toEqual([{text: "Only", ixLine: 2}]);
+	});
+
+	it("Should only split input on lines containing only the separator", () => {
+		expect(ConverterUtils.getInputChunks(`Goblin\nScimitar. Melee ===> 5 ft.\n===Note===\n---\nOrc\nGreataxe.`, {separator: "---"}))
+			.toEqual([
+				{text: "Goblin\nScimitar. Melee ===> 5 ft.\n===Note===", ixLine: 0},
+				{text: "Orc\nGreataxe.", ixLine: 4},
+			]);
+
+		expect(ConverterUtils.getInputChunks(`Goblin\nStealth +6 === Perception +2\n===\nOrc`, {separator: "==="}))
+			.toEqual([
+				{text: "Goblin\nStealth +6 === Perception +2", ixLine: 0},
+				{text: "Orc", ixLine: 3},
+			]);
+
+		// Separators which are regular expression syntax are matched literally
+		expect(ConverterUtils.getInputChunks(`A\n.*\nB\n**\nC`, {separator: ".*"}))
+			.toEqual([
+				{text: "A", ixLine: 0},
+				{text: "B\n**\nC", ixLine: 2},
+			]);
+	});
+
+	it("Should report the stage and line of the line being parsed", () => {
+		const [diagnostic, ...rest] = getDiagnostics(
+			ObjectParser,
+			`Boulder\nEnormous rock of doom\nArmor Class 17\nHit Points 30`,
+		);
+
+		expect(rest).toEqual([]);
+		expect(diagnostic).toMatchObject({severity: "warning", stage: "size", ixLineStart: 1, ixLineEnd: 1});
+		expect(diagnostic.message).toMatch(/Size line "Enormous rock of doom" requires manual conversion/);
+	});
+
+	it("Should map text to the input lines it spans", () => {
+		const diagnostics = getDiagnostics(
+			VehicleParser,
+			`Scavenger\nHuge vehicle (20 ft. by 10 ft.)\nCreature Capacity 1 crew, 2 passengers\nArmor Class 19\nHit Points 160 (damage threshold 10)\nSpeed 100 ft.`,
+		);
+
+		const diagnosticSpeed = diagnostics.find(it => it.message.includes(`Speed "100 ft."`));
+		expect(diagnosticSpeed).toMatchObject({stage: null, ixLineStart: 5, ixLineEnd: 5});
+
+		const diagnosticTerrain = diagnostics.find(it => it.message.includes("Terrain"));
+		expect(diagnosticTerrain.hasLineRange).toBe(false);
+	});
+
+	it("Should report missing input as an error", () => {
+		const [diagnostic] = getDiagnostics(VehicleParser, "  ");
+		expect(diagnostic).toMatchObject({severity: ConverterDiagnostic.SEVERITY_ERROR, message: "No input!"});
+	});
+
+	it("Should offset and format line ranges", () => {
+		const diagnostic = new ConverterDiagnostic({message: "Foo", stage: "entries", ixLineStart: 2, ixLineEnd: 4});
+		expect(diagnostic.getWithLineOffset(10)).toMatchObject({ixLineStart: 12, ixLineEnd: 14});
+		expect(diagnostic.getLineRangeString()).toBe("3-5");
+		expect(diagnostic.toString()).toBe(`warning (line 3-5, stage "entries"): Foo`);
+	});
+
+	it("Should format compiler-style messages", () => {
+		const diagnostic = new ConverterDiagnostic({message: "Foo", stage: "entries", ixLineStart: 2, ixLineEnd: 4});
+		expect(diagnostic.getCompilerString({file: "a.txt"})).toBe(`a.txt:3-5: warning: [entries] Foo`);
+		expect(diagnostic.getCompilerString({file: "a.txt", ixLineOffset: 10})).toBe(`a.txt:13-15: warning: [entries] Foo`);
+
+		// Diagnostics without lines are not attributed to the start of the chunk
+		const diagnosticNoLines = new ConverterDiagnostic({severity: ConverterDiagnostic.SEVERITY_ERROR, message: "Bar"});
+		expect(diagnosticNoLines.getCompilerString({file: "a.txt", ixLineOffset: 10})).toBe(`a.txt: error: Bar`);
+	});
+
+	it("Should pass plain messages to the warning callback when no diagnostic callback is given", () => {
+		const warnings = [];
+		ObjectParser.doParseText(`Boulder\nEnormous rock of doom`, {cbWarning: w => warnings.push(w), cbOutput: () => {}, source: "TST"});
+		expect(warnings).toEqual([`(Boulder) Size line "Enormous rock of doom" requires manual conversion`]);
+	});
+});
@@ -0,0 +1,96 @@
+import {getRenderedMarkdown} from "../../node/util-render.js";
+import "../../js/utils-proporder.js";
+import "../../js/converterutils.js";
+import "../../js/converterutils-entries.js";
+import "../../js/converterutils-markdown.js";
+import "../../js/converterutils-creature.js";
+import "../../js/converter-creature.js";
+import "../../js/converter-entries.js";
+
+const getRoundTripped = (entries) => {
+	const md = getRenderedMarkdown({type: "entries", entries});
+
+	let out = null;
+	EntriesParser.doParseMarkdown(md, {cbWarning: () => {}, cbOutput: entries => out = entries, source: "TestSrc", page: 1});
+	return out;
+};
+
+describe("Markdown entries round-trip", () => {
+	beforeAll(() => {
+		TagCondition.init({conditionsBrew: []});
+		MiscTag.init({items: []});
+		AttachedItemTag.init({items: []});
+	});
+
+	it("Should handle headers and paragraphs", () => {
+		const entries = [
+			{type: "entries", name: "Header", entries: ["Some {@b bold} and {@i italic} text.", "More text."]},
+			{type: "entries", name: "Other", entries: [{type: "entries", name: "Inline", entries: ["Inline text."]}]},
+		];
+		expect(getRoundTripped(entries)).toEqual(entries);
+	});
+
+	it("Should handle sections", () => {
+		const entries = [
+			{type: "section", name: "Section", entries: ["Section text.", {type: "entries", name: "Header", entries: ["Header text.", {type: "entries", name: "Subheader", entries: ["Subheader text."]}]}]},
+			{type: "section", name: "Other Section", entries: ["Other text."]},
+		];
+		expect(getRoundTripped(entries)).toEqual(entries);
+	});
+
+	it("Should handle statblocks", () => {
+		const mon = {
+			name: "Test Goblin",
+			source: "TestSrc",
+			page: 1,
+			size: ["S"],
+			type: "humanoid",
+			alignment: ["N", "E"],
+			ac: [15],
+			hp: {average: 7, formula: "2d6"},
+			speed: {walk: 30},
+			str: 8,
+			dex: 14,
+			con: 10,
+			int: 10,
+			wis: 8,
+			cha: 8,
+			passive: 9,
+			languages: ["Common"],
+			cr: "1/4",
+			action: [{name: "Scimitar", entries: ["{@atk mw} {@hit 4} to hit."]}],
+		};
+		const entries = [
+			{type: "section", name: "Section", entries: ["Section text.", {type: "statblockInline", dataType: "monster", data: mon}]},
+		];
+
+		const [section] = getRoundTripped(entries);
+		expect(section.type).toEqual("section");
+		expect(section.entries[0]).toEqual("Section text.");
+		expect(section.entries[1].type).toEqual("statblockInline");
+		expect(section.entries[1].data).toEqual(expect.objectContaining(mon));
+	});
+
+	it("Should handle lists", () => {
+		const entries = [
+			{type: "list", items: ["one", "two", {type: "list", items: ["two-a"]}, {type: "item", name: "Named", entry: "Item text."}]},
+		];
+		expect(getRoundTripped(entries)).toEqual(entries);
+	});
+
+	it("Should handle insets", () => {
+		const entries = [
+			{type: "inset", name: "Inset", entries: ["Inset text.", {type: "list", items: ["a", "b"]}, "After list."]},
+			{type: "insetReadaloud", entries: ["Read-aloud text."]},
+			{type: "variant", name: "Variant", source: "DMG", page: 12, entries: ["Variant text."]},
+		];
+		expect(getRoundTripped(entries)).toEqual(entries);
+	});
+
+	it("Should handle tables", () => {
+		const entries = [
+			{type: "inset", entries: [{type: "table", caption: "Table", colLabels: ["d4", "Result"], colStyles: ["col-1 text-center", "col-11"], rows: [["1", "a {@b b}"], ["2-4", "c"]]}]},
+		];
+		expect(getRoundTripped(entries)).toEqual(entries);
+	});
+});
@@ -0,0 +1,159 @@
+import "../../node/util-render.js";
+import "../../js/utils-proporder.js";
+import "../../js/converterutils.js";
+import "../../js/converterutils-entries.js";
+import "../../js/converterutils-markdown.js";
+import "../../js/converterutils-spell.js";
+import "../../js/converterutils-item.js";
+import "../../js/converterutils-race.js";
+import "../../js/converterutils-background.js";
+import "../../js/converter-feature.js";
+import "../../js/converter-spell.js";
+import "../../js/converter-feat.js";
+import "../../js/converter-item.js";
+import "../../js/converter-race.js";
+import "../../js/converter-background.js";
+
+const getParsed = (parser, md) => {
+	let out = null;
+	parser.doParseMarkdown(md, {cbWarning: () => {}, cbOutput: ent => out = ent, source: "TST", page: 1});
+	return out;
+};
+
+describe("Markdown statblock parsing", () => {
+	beforeAll(() => {
+		TagCondition.init({conditionsBrew: []});
+	});
+
+	it("Should parse spells", () => {
+		const spell = getParsed(
+			SpellParser,
+			`#### Chromatic Orb
+*1st-level evocation*
+___
+- **Casting Time:** 1 action
+- **Range:** 90 feet
+- **Components:** V, S, M (a diamond worth at least 50 gp)
+- **Duration:** Instantaneous
+
+You hurl a sphere of energy at a creature that you can see within range.
+
+***At Higher Levels.*** When you cast this spell using a spell slot of 2nd level or higher, the damage increases by 1d8 for each slot level above 1st.
+
+**Classes:** Sorcerer, Wizard`,
+		);
+
+		expect(spell.name).toEqual("Chromatic Orb");
+		expect(spell.level).toEqual(1);
+		expect(spell.school).toEqual("V");
+		expect(spell.time).toEqual([{number: 1, unit: "action"}]);
+		expect(spell.range).toEqual({type: "point", distance: {type: "feet", amount: 90}});
+		expect(spell.duration).toEqual([{type: "instant"}]);
+		expect(spell.entries).toEqual(["You hurl a sphere of energy at a creature that you can see within range."]);
+		expect(spell.entriesHigherLevel[0].name).toEqual("At Higher Levels");
+		expect(spell.classes.fromClassList.map(it => it.name)).toEqual(["Sorcerer", "Wizard"]);
+	});
+
+	it("Should parse feats", () => {
+		const feat = getParsed(
+			FeatParser,
+			`#### Metamagic Adept
+*Prerequisite: Spellcasting or Pact Magic feature*
+
+You gain the following benefits:
+
+- Increase your Intelligence, Wisdom, or Charisma score by 1, to a maximum of 20.
+- You learn two *Metamagic* options of your choice from the sorcerer class.`,
+		);
+
+		expect(feat.name).toEqual("Metamagic Adept");
+		expect(feat.prerequisite).toEqual([{spellcasting2020: true}]);
+		expect(feat.ability).toEqual([{choose: {from: ["int", "wis", "cha"], amount: 1}}]);
+		expect(feat.entries).toEqual([
+			"You gain the following benefits:",
+			{type: "list", items: ["You learn two Metamagic options of your choice from the sorcerer class."]},
+		]);
+	});
+
+	it("Should parse items, including tables", () => {
+		const item = getParsed(
+			ItemParser,
+			`#### Cloak of the Manta Ray
+*Wondrous item, uncommon*
+___
+While wearing this cloak with its hood up, you can breathe *underwater*.
+
+##### Manta Table
+| d6 | Effect |
+|---|---|
+| 1-3 | Swim |
+| 4-6 | Glide |`,
+		);
+
+		expect(item.name).toEqual("Cloak of the Manta Ray");
+		expect(item.rarity).toEqual("uncommon");
+		expect(item.wondrous).toBe(true);
+		expect(item.entries).toEqual([
+			"While wearing this cloak with its hood up, you can breathe underwater.",
+			{
+				type: "table",
+				caption: "Manta Table",
+				colLabels: ["d6", "Effect"],
+				colStyles: ["col-1 text-center", "col-11"],
+				rows: [["1-3", "Swim"], ["4-6", "Glide"]],
+			},
+		]);
+	});
+
+	it("Should parse backgrounds, nesting entries under headers", () => {
+		const background = getParsed(
+			BackgroundParser,
+			`## Acolyte
+**Skill Proficiencies:** Insight, Religion
+**Languages:** Two of your choice
+**Equipment:** A holy symbol, a prayer book, and 15 gp
+
+### Feature: Shelter of the Faithful
+As an acolyte, you command the *respect* of those who share your faith.`,
+		);
+
+		expect(background.name).toEqual("Acolyte");
+		expect(background.skillProficiencies).toEqual([{insight: true, religion: true}]);
+		expect(background.languageProficiencies).toEqual([{anyStandard: 2}]);
+		expect(background.entries.last()).toEqual({
+			type: "entries",
+			name: "Feature: Shelter of the Faithful",
+			entries: ["As an acolyte, you command the respect of those who share your faith."],
+			data: {isFeature: true},
+		});
+	});
+
+	it("Should parse races without extended Markdown entries", () => {
+		const race = getParsed(
+			RaceParser,
+			`## Sea Elf
+***Ability Score Increase.*** Your *Constitution* score increases by 1.
+# Not A Header
+| a | b |
+***Child of the Sea.*** You have a swimming speed of 30 feet.
+- **Darkvision.** You can see in the dark.`,
+		);
+
+		expect(race.name).toEqual("Sea Elf");
+		expect(race.entries).toEqual([
+			{
+				type: "entries",
+				name: "Ability Score Increase",
+				entries: ["Your *Constitution* score increases by 1.", "Not A Header", "a | b |"],
+			},
+			{
+				type: "entries",
+				name: "Child of the Sea",
+				entries: [
+					"You have a swimming speed of 30 feet.",
+					{type: "list", style: "list-hang-notitle", items: [{type: "item", name: "Darkvision", entry: "You can see in the dark."}]},
+				],
+			},
+		]);
+	});
+});
@@ -0,0 +1,48 @@
+import {getChunks, getConverted, getEntitiesByProp, getHomebrewJson, pInitConverters} from "../../node/util-convert.js";
+
+describe("Node converter", () => {
+	beforeAll(async () => {
+		await pInitConverters();
+	});
+
+	it("Should split input into chunks, tracking start lines", () => {
+		expect(getChunks(`\nFirst\nline two\n===\n\n\nSecond\n  ===  \nThird\n===\n`, {separator: "==="}))
+			.toEqual([
+				{text: "First\nline two", line: 2},
+				{text: "Second", line: 7},
+				{text: "Third", line: 9},
+			]);
+
+		expect(getChunks(`One\r\n===\r\nTwo`)).toEqual([{text: "One\n===\nTwo", line: 1}]);
+	});
+
+	it("Should convert a chunk and build homebrew JSON", () => {
+		const {entities, diagnostics} = getConverted({
+			text: `Keen Eye\nYou gain the following benefits:\n• Increase your Wisdom score by 1, to a maximum of 20.\n• You have advantage on Wisdom (Perception) checks.`,
+			type: "feat",
+			mode: "txt",
+			source: "TST",
+			page: 3,
+		});
+
+		expect(diagnostics).toEqual([]);
+		expect(entities).toHaveLength(1);
+		expect(entities[0]).toMatchObject({name: "Keen Eye", source: "TST", page: 3});
+
+		const json = getHomebrewJson(getEntitiesByProp(entities, "feat"), {json: "TST", full: "Test Source", authors: ["Someone"]});
+		expect(json._meta.sources).toEqual([{json: "TST", abbreviation: "TST", full: "Test Source", authors: ["Someone"], version: "1.0.0"}]);
+		expect(json._meta.dateAdded).toBe(json._meta.dateLastModified);
+		expect(Object.keys(json)).toEqual(["_meta", "feat"]);
+		expect(json.feat[0].name).toBe("Keen Eye");
+	});
+
+	it("Should reject unsupported converters and modes", () => {
+		expect(() => getConverted({text: "Foo", type: "potato", mode: "txt", source: "TST"})).toThrow(/Unknown converter type/);
+		expect(() => getConverted({text: "Foo", type: "class", mode: "txt", source: "TST"})).toThrow(/does not support "txt"/);
+	});
+
+	it("Should group entities by their output prop", () => {
+		expect(getEntitiesByProp([{name: "A"}, {name: "B", __prop: "classFeature"}], "class"))
+			.toEqual({class: [{name: "A"}], classFeature: [{name: "B"}]});
+	});
+});
@@ -0,0 +1,183 @@
+import "../../node/util-render.js";
+import "../../js/utils-proporder.js";
+import "../../js/converterutils.js";
+import "../../js/converterutils-entries.js";
+import "../../js/converterutils-creature.js";
+import "../../js/converter-vehicle.js";
+
+const getParsed = (parser, txt) => {
+	const out = [];
+	const warnings = [];
+	parser.doParseText(txt, {cbWarning: w => warnings.push(w), cbOutput: ent => out.push(ent), source: "TST", page: 1});
+	return {out, warnings};
+};
+
+describe("Vehicle text parsing", () => {
+	beforeAll(() => {
+		TagCondition.init({conditionsBrew: []});
+	});
+
+	it("Should parse a ship and its components", () => {
+		const {out: [ship], warnings} = getParsed(
+			VehicleParser,
+			`Rowboat
+Large vehicle (10 ft. by 5 ft.)
+Creature Capacity 2 crew, 2 passengers
+Cargo Capacity 1/2 ton
+Travel Pace 3 miles per hour (72 miles per day)
+STR DEX CON INT WIS CHA
+11 (+0) 8 (-1) 11 (+0) 0 (—) 0 (—) 0 (—)
+Damage Immunities poison, psychic
+Actions
+On its turn, the rowboat can take the move action below. It can't take this action if it has no crew.
+Move. The rowboat can use its oars to move.
+Hull
+Armor Class 11
+Hit Points 50
+Control and Movement: Oars
+Armor Class 12
+Hit Points 25; -5 ft. speed per 5 damage taken
+Speed (water) 20 ft.
+Weapons: Harpoons (2)
+Armor Class 15
+Hit Points 30 each
+Ranged Weapon Attack: +4 to hit, range 30/60 ft., one target. Hit: 7 (1d10 + 2) piercing damage.`,
+		);
+
+		expect(warnings).toEqual([]);
+
+		expect(ship.vehicleType).toEqual("SHIP");
+		expect(ship.size).toEqual("L");
+		expect(ship.dimensions).toEqual(["10 ft.", "5 ft."]);
+		expect(ship.terrain).toEqual(["sea"]);
+		expect(ship.capCrew).toEqual(2);
+		expect(ship.capPassenger).toEqual(2);
+		expect(ship.capCargo).toEqual(0.5);
+		expect(ship.pace).toEqual(3);
+		expect(ship.dex).toEqual(8);
+		expect(ship.immune).toEqual(["poison", "psychic"]);
+		expect(ship.actionThresholds).toEqual({"0": 0, "1": 1});
+		expect(ship.action[1]).toEqual({
+			type: "list",
+			style: "list-hang-notitle",
+			items: [{type: "item", name: "Move", entry: "The rowboat can use its oars to move."}],
+		});
+		expect(ship.hull).toEqual({ac: 11, hp: 50});
+		expect(ship.movement).toEqual([
+			{
+				name: "Oars",
+				isControl: true,
+				ac: 12,
+				hp: 25,
+				hpNote: "-5 ft. speed per 5 damage taken",
+				speed: [{mode: "water", entries: ["20 ft."]}],
+			},
+		]);
+		expect(ship.weapon).toEqual([
+			{
+				name: "Harpoons",
+				count: 2,
+				ac: 15,
+				hp: 30,
+				entries: ["{@atk rw} {@hit 4} to hit, range 30/60 ft., one target. {@h}7 ({@damage 1d10 + 2}) piercing damage."],
+			},
+		]);
+	});
+
+	it("Should parse an infernal war machine", () => {
+		const {out: [machine], warnings} = getParsed(
+			VehicleParser,
+			`Scavenger
+Huge vehicle (5,000 lb.)
+Creature Capacity 3 Medium creatures
+Cargo Capacity 1 ton
+Armor Class 19 (armor plating)
+Hit Points 150 (damage threshold 10, mishap threshold 15)
+Speed 100 ft.
+STR DEX CON INT WIS CHA
+18 (+4) 12 (+1) 16 (+3) 0 (—) 0 (—) 0 (—)
+Magic Weapons. The scavenger's weapon attacks are magical.
+Action Stations
+Helm (Requires 1 Crew and Grants Half Cover). Drive and steer the scavenger.
+Reactions
+Juke. If the scavenger is able to move, the driver can use its reaction to grant the scavenger advantage on a Dexterity saving throw.`,
+		);
+
+		expect(warnings).toEqual([]);
+
+		expect(machine.vehicleType).toEqual("INFWAR");
+		expect(machine.size).toEqual("H");
+		expect(machine.weight).toEqual(5000);
+		expect(machine.terrain).toEqual(["land"]);
+		expect(machine.capCreature).toEqual(3);
+		expect(machine.capCargo).toEqual(2000);
+		expect(machine.ac).toEqual(19);
+		expect(machine.hp).toEqual({hp: 150, dt: 10, mt: 15});
+		expect(machine.speed).toEqual(100);
+		expect(machine.trait).toEqual([{name: "Magic Weapons", entries: ["The scavenger's weapon attacks are magical."]}]);
+		expect(machine.actionStation).toEqual([{name: "Helm (Requires 1 Crew and Grants Half Cover)", entries: ["Drive and steer the scavenger."]}]);
+		expect(machine.reaction.map(it => it.name)).toEqual(["Juke"]);
+	});
+});
+
+describe("Object text parsing", () => {
+	beforeAll(() => {
+		TagCondition.init({conditionsBrew: []});
+	});
+
+	it("Should parse an object with an attack", () => {
+		const {out: [obj], warnings} = getParsed(
+			ObjectParser,
+			`Cannon
+Large object
+Armor Class 19
+Hit Points 75
+Damage Immunities poison, psychic
+A cannon uses gunpowder to propel heavy balls of cast iron through the air at destructive speeds.
+Cannon Ball. Ranged Weapon Attack: +6 to hit, range 600/2,400 ft., one target. Hit: 44 (8d10) bludgeoning damage.`,
+		);
+
+		expect(warnings).toEqual([]);
+
+		expect(obj).toEqual({
+			name: "Cannon",
+			source: "TST",
+			page: 1,
+			size: ["L"],
+			objectType: "SW",
+			ac: 19,
+			hp: 75,
+			immune: ["poison", "psychic"],
+			entries: ["A cannon uses gunpowder to propel heavy balls of cast iron through the air at destructive speeds."],
+			actionEntries: [
+				{
+					type: "actions",
+					name: "Cannon Ball",
+					entries: [
+						{
+							type: "attack",
+							attackType: "RW",
+							attackEntries: ["{@hit 6} to hit, range 600/2,400 ft., one target."],
+							hitEntries: ["44 ({@damage 8d10}) bludgeoning damage."],
+						},
+					],
+				},
+			],
+		});
+	});
+
+	it("Should keep special hit points and treat an object without actions as unknown", () => {
+		const {out: [obj]} = getParsed(
+			ObjectParser,
+			`Warding Pillar
+Huge object
+Armor Class 17
+Hit Points equal to ten times the caster's level
+The pillar hums faintly.`,
+		);
+
+		expect(obj.objectType).toEqual("U");
+		expect(obj.hp).toEqual({special: "equal to ten times the caster's level"});
+		expect(obj.entries).toEqual(["The pillar hums faintly."]);
+	});
+});
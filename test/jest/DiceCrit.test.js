@@ -0,0 +1,80 @@
+import {jest} from "@jest/globals";
+import "../../js/parser.js";
+import "../../js/utils.js";
+import "../../js/render.js";
+import "../../js/render-dice.js";
+
+describe("Dice critical hits", () => {
+	it("Should apply each crit rule", () => {
+		expect(Renderer.dice.getCritToRoll("2d6 + d8 + 3")).toBe("2d6 + d8 + 3+2d6+d8");
+		expect(Renderer.dice.getCritToRoll("2d6 + d8 + 3", "maxDice")).toBe("2d6 + d8 + 3+20");
+		expect(Renderer.dice.getCritToRoll("2d6 + d8 + 3", "doubleTotal")).toBe("(2d6 + d8 + 3)*2");
+		expect(Renderer.dice.getCritToRoll("2d6 + d8 + 3", "brutal")).toBe("2d6 + d8 + 3+2d6+d8+1d8");
+	});
+
+	it("Should not modify rolls without dice", () => {
+		expect(Renderer.dice.getCritToRoll("5", "doubleTotal")).toBe("5");
+	});
+});
+
+describe("Dice natural twenties", () => {
+	it("Should only count kept d20s", () => {
+		const getRolls = (faces, ...rolls) => [{faces, rolls: rolls.map(([val, isDropped = false]) => ({val, isDropped}))}];
+
+		expect(Renderer.dice.isNaturalTwenty(getRolls(20, [20]))).toBe(true);
+		expect(Renderer.dice.isNaturalTwenty(getRolls(20, [20], [3, true]))).toBe(true);
+		expect(Renderer.dice.isNaturalTwenty(getRolls(20, [20, true], [3]))).toBe(false);
+		expect(Renderer.dice.isNaturalTwenty(getRolls(100, [20]))).toBe(false);
+		expect(Renderer.dice.isNaturalTwenty([])).toBe(false);
+	});
+});
+
+describe("Dice modifier keys", () => {
+	let config;
+	let spyConfig;
+
+	beforeEach(() => {
+		config = {modifierKeys: "shiftAdvantage", critRule: "double"};
+		spyConfig = jest.spyOn(Renderer.dice, "_getConfig").mockImplementation(configId => config[configId]);
+	});
+
+	afterEach(() => spyConfig.mockRestore());
+
+	const getToRoll = (evt, entry, opts) => Renderer.dice.getEventModifiedRollMeta(evt, {...entry}, opts).entry.toRoll;
+
+	const entryD20 = {toRoll: "1d20+5", subType: "d20"};
+	const entryDamage = {toRoll: "1d6+2", subType: "damage"};
+
+	it("Should roll advantage and crits with SHIFT by default", () => {
+		expect(getToRoll({shiftKey: true}, entryD20)).toBe("2d20dl1+5");
+		expect(getToRoll({shiftKey: true}, entryDamage)).toBe("1d6+2+1d6");
+		expect(getToRoll({ctrlKey: true}, entryD20)).toBe("2d20dh1+5");
+		expect(getToRoll({metaKey: true}, entryDamage)).toBe("floor((1d6+2) / 2)");
+		expect(getToRoll({}, entryD20)).toBe("1d20+5");
+	});
+
+	it("Should swap keys", () => {
+		config.modifierKeys = "ctrlAdvantage";
+
+		expect(getToRoll({ctrlKey: true}, entryD20)).toBe("2d20dl1+5");
+		expect(getToRoll({metaKey: true}, entryDamage)).toBe("1d6+2+1d6");
+		expect(getToRoll({shiftKey: true}, entryD20)).toBe("2d20dh1+5");
+		expect(getToRoll({shiftKey: true}, entryDamage)).toBe("floor((1d6+2) / 2)");
+	});
+
+	it("Should use the configured crit rule", () => {
+		config.critRule = "maxDice";
+		expect(getToRoll({shiftKey: true}, entryDamage)).toBe("1d6+2+6");
+	});
+
+	it("Should roll crits without a key held", () => {
+		expect(getToRoll({}, entryDamage, {isCrit: true})).toBe("1d6+2+1d6");
+		// Only damage is affected
+		expect(getToRoll({}, entryD20, {isCrit: true})).toBe("1d20+5");
+	});
+
+	it("Should roll twice for other rolls", () => {
+		expect(Renderer.dice.getEventModifiedRollMeta({shiftKey: true}, {toRoll: "1d100"}).rollCount).toBe(2);
+		expect(Renderer.dice.getEventModifiedRollMeta({}, {toRoll: "1d100"}).rollCount).toBe(1);
+	});
+});
@@ -0,0 +1,62 @@
+import {jest} from "@jest/globals";
+import "../../js/parser.js";
+import "../../js/utils.js";
+import "../../js/render.js";
+import "../../js/render-dice.js";
+
+const pGetDist = (str, meta) => {
+	const wrpTree = Renderer.dice.lang.getTree3(str);
+	return Renderer.dice.distribution.pGetDistribution(wrpTree.tree, meta);
+};
+
+describe("Dice distributions", () => {
+	it("Should calculate exact distributions", async () => {
+		const {dist, isExact} = await pGetDist("2d6+pb", {pb: 2});
+		expect(isExact).toBe(true);
+		expect(dist.get(9)).toBeCloseTo(6 / 36);
+		const {mean, min, max} = Renderer.dice.distribution.getStats(dist);
+		expect(mean).toBeCloseTo(9);
+		expect(min).toBe(4);
+		expect(max).toBe(14);
+	});
+
+	it("Should apply dice modifiers", async () => {
+		const {dist: distAdv} = await pGetDist("2d20kh1");
+		expect(Renderer.dice.distribution.getProbAtLeast(distAdv, 20)).toBeCloseTo(39 / 400);
+
+		const {dist: distStat} = await pGetDist("4d6dl1");
+		expect(Renderer.dice.distribution.getStats(distStat).mean).toBeCloseTo(12.2446, 3);
+
+		const {dist: distReroll} = await pGetDist("1d6r1");
+		expect(distReroll.get(1)).toBeCloseTo(1 / 36);
+
+		const {dist: distSuccess} = await pGetDist("3d6cs>=5");
+		expect(distSuccess.get(3)).toBeCloseTo(1 / 27);
+
+		const {dist: distExplode} = await pGetDist("1d6x6");
+		expect(Renderer.dice.distribution.getStats(distExplode).mean).toBeCloseTo(4.2, 3);
+	});
+
+	it("Should fall back to sampling", async () => {
+		const {dist, isExact, cntSamples} = await pGetDist("1d6x>=2");
+		expect(isExact).toBe(false);
+		expect(cntSamples).toBeGreaterThan(0);
+		expect(Renderer.dice.distribution.getStats(dist).min).toBeGreaterThanOrEqual(1);
+	});
+
+	it("Should yield to the UI thread while sampling", async () => {
+		const chunkMs = Renderer.dice.distribution._MONTE_CARLO_CHUNK_MS;
+		const spyDelay = jest.spyOn(MiscUtil, "pDelay");
+		try {
+			Renderer.dice.distribution._MONTE_CARLO_CHUNK_MS = -1;
+
+			const {isExact, cntSamples} = await pGetDist("1d6x>=2");
+			expect(isExact).toBe(false);
+			expect(spyDelay).toHaveBeenCalledWith(0);
+			expect(spyDelay.mock.calls.length).toBeGreaterThanOrEqual(Math.floor((cntSamples - 1) / 100));
+		} finally {
+			Renderer.dice.distribution._MONTE_CARLO_CHUNK_MS = chunkMs;
+			spyDelay.mockRestore();
+		}
+	});
+});
@@ -0,0 +1,280 @@
+import "../../js/parser.js";
+import "../../js/utils.js";
+import "../../js/render.js";
+import "../../js/render-dice.js";
+
+const getTree = str => Renderer.dice.lang.getTree3(str).tree;
+const getLexedTypes = str => Renderer.dice.lang._lex3(str).lexed.map(it => it.type);
+const roll = (str, meta = {}) => getTree(str).evl(meta);
+
+/**
+ * Roll the given values, in order.
+ * @param rolls Array of `[val, faces]` pairs.
+ */
+const setRolls = rolls => {
+	const queue = [...rolls];
+	Renderer.dice.setRng(() => {
+		if (!queue.length) throw new Error(`Rolled more dice than expected!`);
+		const [val, faces] = queue.shift();
+		return (val - 0.5) / faces;
+	});
+};
+
+/** Roll the given values, in order, for dice with the given number of faces. */
+const setRollsFaces = (faces, vals) => setRolls(vals.map(val => [val, faces]));
+
+afterEach(() => Renderer.dice.setRng(null));
+
+describe("Dice lexing", () => {
+	it("Should lex every token type", () => {
+		const tokens = {
+			",": "COMMA",
+			"+": "ADD",
+			"-": "SUB",
+			"*": "MULT",
+			"/": "DIV",
+			"^": "POW",
+			"12.5": "NUMBER",
+			"pb": "PB",
+			"summonspelllevel": "SUMMON_SPELL_LEVEL",
+			"summonclasslevel": "SUMMON_CLASS_LEVEL",
+			"floor": "FLOOR",
+			"ceil": "CEIL",
+			"round": "ROUND",
+			"avg": "AVERAGE",
+			"dmax": "DMAX",
+			"dmin": "DMIN",
+			"sign": "SIGN",
+			"abs": "ABS",
+			"cbrt": "CBRT",
+			"sqrt": "SQRT",
+			"exp": "EXP",
+			"log": "LOG",
+			"random": "RANDOM",
+			"trunc": "TRUNC",
+			"pow": "POW",
+			"max": "MAX",
+			"min": "MIN",
+			"d": "DICE",
+			"dh": "DH",
+			"kh": "KH",
+			"dl": "DL",
+			"kl": "KL",
+			"r": "REROLL",
+			"r>": "REROLL_GT",
+			"r>=": "REROLL_GTEQ",
+			"r<": "REROLL_LT",
+			"r<=": "REROLL_LTEQ",
+			"x": "EXPLODE",
+			"x>": "EXPLODE_GT",
+			"x>=": "EXPLODE_GTEQ",
+			"x<": "EXPLODE_LT",
+			"x<=": "EXPLODE_LTEQ",
+			"cs=": "COUNT_SUCCESS_EXACT",
+			"cs>": "COUNT_SUCCESS_GT",
+			"cs>=": "COUNT_SUCCESS_GTEQ",
+			"cs<": "COUNT_SUCCESS_LT",
+			"cs<=": "COUNT_SUCCESS_LTEQ",
+			"ms=": "MARGIN_SUCCESS_EXACT",
+			"ms>": "MARGIN_SUCCESS_GT",
+			"ms>=": "MARGIN_SUCCESS_GTEQ",
+			"ms<": "MARGIN_SUCCESS_LT",
+			"ms<=": "MARGIN_SUCCESS_LTEQ",
+		};
+
+		Object.entries(tokens)
+			.forEach(([str, type]) => expect([str, getLexedTypes(str)]).toEqual([str, [type]]));
+
+		expect(getLexedTypes("(){}")).toEqual(["PAREN_OPEN", "PAREN_CLOSE", "BRACE_OPEN", "BRACE_CLOSE"]);
+	});
+
+	it("Should normalize alternate notation", () => {
+		expect(getLexedTypes("1 plus 2 times 3 over 4 minus 5")).toEqual(["NUMBER", "ADD", "NUMBER", "MULT", "NUMBER", "DIV", "NUMBER", "SUB", "NUMBER"]);
+		expect(getLexedTypes("2 × 3 ÷ 4 ** 2")).toEqual(["NUMBER", "MULT", "NUMBER", "DIV", "NUMBER", "POW", "NUMBER"]);
+		expect(getLexedTypes("1 -- 2 +- 3 − 4")).toEqual(["NUMBER", "ADD", "NUMBER", "SUB", "NUMBER", "SUB", "NUMBER"]);
+		expect(getLexedTypes("2D20KH1")).toEqual(["NUMBER", "DICE", "NUMBER", "KH", "NUMBER"]);
+	});
+});
+
+describe("Dice evaluation", () => {
+	it("Should respect operator precedence", () => {
+		expect(roll("1 + 2 * 3")).toBe(7);
+		expect(roll("(1 + 2) * 3")).toBe(9);
+		expect(roll("10 - 4 - 3")).toBe(3);
+		expect(roll("12 / 3 / 2")).toBe(2);
+		expect(roll("2 * 3 ^ 2")).toBe(18);
+		expect(roll("2 ^ 3 ^ 2")).toBe(512);
+		expect(roll("-2 + 5")).toBe(3);
+		expect(roll("10 / 4")).toBe(2.5);
+		expect(roll("1,000 + 1")).toBe(1001);
+	});
+
+	it("Should evaluate functions", () => {
+		expect(roll("floor(7 / 2)")).toBe(3);
+		expect(roll("ceil(7 / 2)")).toBe(4);
+		expect(roll("round(2.5)")).toBe(3);
+		expect(roll("trunc(-2.5)")).toBe(-2);
+		expect(roll("sign(-3)")).toBe(-1);
+		expect(roll("abs(-3)")).toBe(3);
+		expect(roll("cbrt(27)")).toBe(3);
+		expect(roll("sqrt(16)")).toBe(4);
+		expect(roll("exp(0)")).toBe(1);
+		expect(roll("log(1)")).toBe(0);
+		expect(roll("pow(2, 10)")).toBe(1024);
+		expect(roll("max(1, 5, 3)")).toBe(5);
+		expect(roll("min(4, 2)")).toBe(2);
+
+		Renderer.dice.setRng(() => 0.25);
+		expect(roll("random(1)")).toBe(0.25);
+	});
+
+	it("Should substitute user-entered variables", () => {
+		expect(roll("pb + 1", {pb: 3})).toBe(4);
+		expect(roll("summonspelllevel * 2", {summonSpellLevel: 4})).toBe(8);
+		expect(roll("summonclasslevel", {summonClassLevel: 7})).toBe(7);
+
+		setRollsFaces(4, [3, 2]);
+		expect(roll("PBd4", {pb: 2})).toBe(5);
+	});
+
+	it("Should calculate averages, minimums, and maximums", () => {
+		const tree = getTree("2d6 + 1");
+		expect(tree.avg({})).toBe(8);
+		expect(tree.min({})).toBe(3);
+		expect(tree.max({})).toBe(13);
+
+		expect(getTree("4d6dl1").max({})).toBe(18);
+		expect(getTree("4d6dl1").min({})).toBe(3);
+
+		expect(roll("avg(1d8)")).toBe(4.5);
+		expect(roll("dmax(2d6) + 1")).toBe(13);
+		expect(roll("dmin(2d6)")).toBe(2);
+	});
+});
+
+describe("Dice rolling", () => {
+	it("Should roll deterministically with a seeded RNG", () => {
+		const rng = Math.seed(42);
+		const expected = [...new Array(4)].map(() => Math.floor(rng() * 6) + 1).sum();
+
+		Renderer.dice.setRng(Math.seed(42));
+		expect(roll("4d6")).toBe(expected);
+
+		Renderer.dice.setRng(Math.seed(42));
+		expect(roll("4d6")).toBe(expected);
+	});
+
+	it("Should roll dice", () => {
+		setRollsFaces(20, [13]);
+		expect(roll("d20 + 2")).toBe(15);
+
+		setRollsFaces(6, [1, 6, 3]);
+		expect(roll("3d6")).toBe(10);
+
+		setRolls([[1, 4], [2, 4], [6, 6], [5, 6], [4, 6]]);
+		expect(roll("2d4d6")).toBe(15);
+
+		setRollsFaces(4, [3]);
+		expect(roll("2 ^ 1d4")).toBe(8);
+	});
+
+	it("Should keep and drop dice", () => {
+		setRollsFaces(6, [1, 3, 5, 6]);
+		expect(roll("4d6kh3")).toBe(14);
+
+		setRollsFaces(6, [1, 3, 5, 6]);
+		expect(roll("4d6kl1")).toBe(1);
+
+		setRollsFaces(6, [1, 3, 5, 6]);
+		expect(roll("4d6dh1")).toBe(9);
+
+		setRollsFaces(6, [1, 3, 5, 6]);
+		expect(roll("4d6dl")).toBe(14);
+
+		setRollsFaces(20, [4, 17]);
+		expect(roll("2d20kh")).toBe(17);
+	});
+
+	it("Should reroll and explode dice", () => {
+		setRollsFaces(6, [1, 4, 3]);
+		expect(roll("2d6r1")).toBe(7);
+
+		setRollsFaces(6, [1, 2, 5, 6]);
+		expect(roll("2d6r<3")).toBe(11);
+
+		// Rerolled dice are only rerolled once
+		setRollsFaces(6, [1, 1]);
+		expect(roll("1d6r1")).toBe(1);
+
+		setRollsFaces(6, [6, 2, 6, 1]);
+		expect(roll("2d6x6")).toBe(15);
+
+		setRollsFaces(6, [5, 6, 2]);
+		expect(roll("1d6x>=5")).toBe(13);
+
+		// Modifiers are applied in order
+		setRollsFaces(6, [1, 3, 5, 6, 4]);
+		expect(roll("4d6r1dl1")).toBe(15);
+	});
+
+	it("Should count successes and margins of success", () => {
+		setRollsFaces(6, [1, 5, 6, 3]);
+		expect(roll("4d6cs>=5")).toBe(2);
+
+		setRollsFaces(6, [6, 6, 1]);
+		expect(roll("3d6cs=6")).toBe(2);
+
+		setRollsFaces(6, [6, 2, 1]);
+		expect(roll("3d6cs<3")).toBe(2);
+
+		setRollsFaces(20, [18]);
+		expect(roll("1d20ms>=15")).toBe(3);
+
+		setRollsFaces(20, [4]);
+		expect(roll("1d20ms<=10")).toBe(6);
+	});
+
+	it("Should roll dice pools", () => {
+		setRollsFaces(20, [10, 15]);
+		expect(roll("{1d20 + 5, 1d20 + 3}kh")).toBe(18);
+
+		setRollsFaces(20, [10, 15]);
+		expect(roll("{1d20 + 5, 1d20 + 3}")).toBe(33);
+
+		setRollsFaces(20, [10, 15]);
+		expect(roll("{1d20, 1d20}cs>=12")).toBe(1);
+	});
+});
+
+describe("Invalid dice expressions", () => {
+	it("Should reject invalid input", () => {
+		[
+			"",
+			"1d",
+			"d",
+			"(1d6",
+			"1d6)",
+			"{1, 2",
+			"1 ? 2",
+			"1..2",
+			"abc",
+			"2 * -1",
+			"1 +",
+			"floor 2",
+			"pow(2)",
+			"max()",
+			"1d6x",
+			"1d6r",
+			"1d6cs",
+		]
+			.forEach(str => {
+				expect([str, Renderer.dice.lang.validate3(str)]).toEqual([str, expect.any(String)]);
+				expect([str, Renderer.dice.lang.getTree3(str)]).toEqual([str, null]);
+			});
+	});
+
+	it("Should report invalid dice counts when rolling", () => {
+		expect(() => roll("1.5d6")).toThrow(/not an integer/);
+		expect(() => roll("2d6.5")).toThrow(/not an integer/);
+	});
+});
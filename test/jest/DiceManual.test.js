@@ -0,0 +1,80 @@
+import "../../js/parser.js";
+import "../../js/utils.js";
+import "../../js/render.js";
+import "../../js/render-dice.js";
+
+const getTree = str => Renderer.dice.lang.getTree3(str).tree;
+
+describe("Manual dice rolls", () => {
+	it("Should evaluate an expression using entered die values", () => {
+		const {result, diceRolls} = Renderer.dice.getManualResult(getTree("4d6r1dl1 + 2"), [1, 3, 5, 6, 4]);
+
+		expect(result).toBe(17);
+		expect(diceRolls).toEqual([
+			{
+				faces: 6,
+				rolls: [
+					{val: 1, isDropped: true, isRerolled: true, isExploded: false, isSuccess: false},
+					{val: 3, isDropped: true, isRerolled: false, isExploded: false, isSuccess: false},
+					{val: 5, isDropped: false, isRerolled: false, isExploded: false, isSuccess: false},
+					{val: 6, isDropped: false, isRerolled: false, isExploded: false, isSuccess: false},
+					{val: 4, isDropped: false, isRerolled: false, isExploded: false, isSuccess: false},
+				],
+			},
+		]);
+	});
+
+	it("Should request further dice until every die has a value", () => {
+		const tree = getTree("(1d4)d6");
+
+		const partial = Renderer.dice.getManualResult(tree, []);
+		expect(partial.result).toBe(null);
+		expect(partial.diceRolls.map(({faces, rolls}) => [faces, rolls.length])).toEqual([[4, 1]]);
+
+		const partialNext = Renderer.dice.getManualResult(tree, [2, 6, 7]);
+		expect(partialNext.result).toBe(null);
+		expect(partialNext.diceRolls.map(({faces, rolls}) => [faces, rolls.length])).toEqual([[4, 1], [6, 2]]);
+		expect(partialNext.diceRolls[1].rolls[1].val).toBeNaN();
+
+		expect(Renderer.dice.getManualResult(tree, [2, 6, 3]).result).toBe(9);
+	});
+});
+
+describe("Manual roll handlers", () => {
+	afterEach(() => {
+		Renderer.dice._manualRollHandlers = [];
+		Renderer.dice.setManualMode(false);
+	});
+
+	it("Should use the most recently added handler", async () => {
+		const handlerA = () => 1;
+		const handlerB = () => 2;
+
+		Renderer.dice.setManualMode(true);
+		Renderer.dice.addManualRollHandler(handlerA);
+		Renderer.dice.addManualRollHandler(handlerB);
+		expect(await Renderer.dice._pHandleRoll2_manual(getTree("1d6"), {})).toBe(2);
+
+		Renderer.dice.removeManualRollHandler(handlerB);
+		expect(await Renderer.dice._pHandleRoll2_manual(getTree("1d6"), {})).toBe(1);
+	});
+
+	it("Should stay in manual mode until the last handler is removed", () => {
+		const handlerA = () => 1;
+		const handlerB = () => 2;
+
+		Renderer.dice.setManualMode(true);
+		Renderer.dice.addManualRollHandler(handlerA);
+		Renderer.dice.addManualRollHandler(handlerB);
+
+		Renderer.dice.removeManualRollHandler(handlerA);
+		expect(Renderer.dice.isManualMode()).toBe(true);
+
+		// Removing an unknown handler has no effect
+		Renderer.dice.removeManualRollHandler(handlerA);
+		expect(Renderer.dice.isManualMode()).toBe(true);
+
+		Renderer.dice.removeManualRollHandler(handlerB);
+		expect(Renderer.dice.isManualMode()).toBe(false);
+	});
+});
@@ -0,0 +1,224 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import {jest} from "@jest/globals";
+import "../../lib/jquery.js";
+import "../../js/parser.js";
+import "../../js/utils.js";
+import "../../js/render.js";
+import "../../js/render-dice.js";
+
+beforeAll(() => JqueryUtil.initEnhancements());
+
+beforeEach(() => {
+	Renderer.dice._$wrpRoll = $(`<div></div>`);
+	Renderer.dice._$minRoll = $(`<div></div>`);
+	Renderer.dice._$head = $(`<div></div>`);
+	Renderer.dice._$outRoll = $(`<div></div>`);
+	Renderer.dice._$iptRoll = $(`<input>`);
+	Renderer.dice._$lastRolledBy = null;
+});
+
+describe("Roll box output", () => {
+	it("Should escape roller names", () => {
+		const name = `<img src="x" onerror="alert(1)">`;
+		Renderer.dice.addRoll({rolledBy: {name}, html: `<div>12</div>`});
+
+		expect(Renderer.dice._$outRoll.find("img").length).toBe(0);
+		expect(Renderer.dice._$outRoll.find(".out-roll-id").text()).toBe(name);
+	});
+});
+
+describe("Roller distribution button", () => {
+	const getRoller = toRoll => {
+		const ele = $(`<span class="roller render-roller" data-packed-dice='${JSON.stringify({type: "dice", toRoll}).qq()}'>${toRoll}</span>`)
+			.appendTo(document.body)[0];
+		return ele;
+	};
+
+	beforeAll(() => Renderer.dice.bindOnclickListener(document.body));
+
+	afterEach(() => {
+		Renderer.dice._doHideRollerDistButton();
+		document.body.querySelectorAll(".roller").forEach(ele => ele.remove());
+	});
+
+	it("Should show the distribution of a hovered roller", () => {
+		const spyDist = jest.spyOn(Renderer.dice, "pShowDistribution").mockImplementation(async () => {});
+		try {
+			getRoller("2d6 + 3").dispatchEvent(new MouseEvent("mouseover", {bubbles: true}));
+
+			const $btn = Renderer.dice._$btnRollerDist;
+			expect($btn.hasClass("ve-hidden")).toBe(false);
+
+			$btn.click();
+			expect(spyDist).toHaveBeenCalledWith("2d6 + 3");
+			expect($btn.hasClass("ve-hidden")).toBe(true);
+		} finally {
+			spyDist.mockRestore();
+		}
+	});
+
+	it("Should not show for rollers with multiple expressions", () => {
+		getRoller("1d6;1d8").dispatchEvent(new MouseEvent("mouseover", {bubbles: true}));
+		expect(Renderer.dice._$btnRollerDist?.hasClass("ve-hidden") ?? true).toBe(true);
+	});
+
+	it("Should hide after the mouse leaves the roller", () => {
+		jest.useFakeTimers();
+		try {
+			const ele = getRoller("1d20");
+			ele.dispatchEvent(new MouseEvent("mouseover", {bubbles: true}));
+			ele.dispatchEvent(new MouseEvent("mouseout", {bubbles: true, relatedTarget: document.body}));
+			expect(Renderer.dice._$btnRollerDist.hasClass("ve-hidden")).toBe(false);
+
+			jest.advanceTimersByTime(Renderer.dice._ROLLER_DIST_HIDE_DELAY_MS);
+			expect(Renderer.dice._$btnRollerDist.hasClass("ve-hidden")).toBe(true);
+		} finally {
+			jest.useRealTimers();
+		}
+	});
+});
+
+describe("Roll variables", () => {
+	afterEach(() => { Renderer.dice._variables = {}; });
+
+	it("Should validate variable names", () => {
+		expect(Renderer.dice._isValidVariableName("str_bonus")).toBe(true);
+		expect(Renderer.dice._isValidVariableName("pb")).toBe(true);
+		expect(Renderer.dice._isValidVariableName("summonspelllevel")).toBe(true);
+
+		expect(Renderer.dice._isValidVariableName("bonus1")).toBe(false);
+		expect(Renderer.dice._isValidVariableName("my-bonus")).toBe(false);
+		expect(Renderer.dice._isValidVariableName("")).toBe(false);
+		// Names which are part of the dice language
+		expect(Renderer.dice._isValidVariableName("d")).toBe(false);
+		expect(Renderer.dice._isValidVariableName("floor")).toBe(false);
+	});
+
+	it("Should substitute variables", () => {
+		Renderer.dice._variables = {bonus: 3, pb: -1};
+
+		expect(Renderer.dice._getWithVariables("1d20 + bonus")).toBe("1d20 + (3)");
+		expect(Renderer.dice._getWithVariables("1d20+BONUS+pb")).toBe("1d20+(3)+(-1)");
+		// Only whole words are substituted
+		expect(Renderer.dice._getWithVariables("1d20 + bonuses")).toBe("1d20 + bonuses");
+	});
+
+	it("Should set and unset variables", async () => {
+		await Renderer.dice._pHandleCommand("/set Bonus=4", Renderer.dice.SYSTEM_USER);
+		expect(Renderer.dice._variables).toEqual({bonus: 4});
+
+		await Renderer.dice._pHandleCommand("/set floor=4", Renderer.dice.SYSTEM_USER);
+		expect(Renderer.dice._variables).toEqual({bonus: 4});
+
+		await Renderer.dice._pHandleCommand("/unset bonus", Renderer.dice.SYSTEM_USER);
+		expect(Renderer.dice._variables).toEqual({});
+	});
+
+	it("Should escape variable names", async () => {
+		await Renderer.dice._pHandleCommand(`/unset <img>`, Renderer.dice.SYSTEM_USER);
+		expect(Renderer.dice._$outRoll.find("img").length).toBe(0);
+		expect(Renderer.dice._$outRoll.text()).toContain(`Variable <img> not found`);
+	});
+});
+
+describe("Roll scripts", () => {
+	beforeEach(() => Renderer.dice.setRng(() => 0.5));
+
+	afterEach(() => {
+		Renderer.dice.setRng(null);
+		Renderer.dice._scripts = {};
+	});
+
+	it("Should roll each line of a script, under the script's name", async () => {
+		Renderer.dice._scripts = {fighter: `Attack: 1d20+5\n\n// Comment\nDamage: 1d8+3`};
+
+		const spyRoll = jest.spyOn(Renderer.dice, "pRoll2");
+		try {
+			await Renderer.dice._pHandleScript("fighter");
+
+			expect(spyRoll.mock.calls.map(([line, rolledBy]) => [line, rolledBy.name])).toEqual([
+				["Attack: 1d20+5", "fighter"],
+				["Damage: 1d8+3", "fighter"],
+			]);
+			expect(Renderer.dice._$outRoll.find(".out-roll-id").text()).toBe("fighter");
+			expect(Renderer.dice._$outRoll.find(".roll-label").map((i, ele) => $(ele).text()).get()).toEqual(["Attack: ", "Damage: "]);
+		} finally {
+			spyRoll.mockRestore();
+		}
+	});
+
+	it("Should not run commands or macros from scripts", async () => {
+		Renderer.dice._scripts = {loop: `/script run loop\n#macro\nnot a roll`};
+
+		const spyScript = jest.spyOn(Renderer.dice, "_pHandleScript");
+		try {
+			await Renderer.dice._pHandleScript("loop");
+
+			expect(spyScript).toHaveBeenCalledTimes(1);
+			expect(Renderer.dice._$outRoll.find(".out-roll-item--message").map((i, ele) => $(ele).text()).get()).toEqual([
+				"Invalid line: /script run loop",
+				"Invalid line: #macro",
+				"Invalid line: not a roll",
+			]);
+		} finally {
+			spyScript.mockRestore();
+		}
+	});
+
+	it("Should escape script names", async () => {
+		const name = `<img src="x" onerror="alert(1)">`;
+
+		await Renderer.dice._pHandleScript(name);
+		await Renderer.dice._pHandleCommand(`/script remove <img>`, Renderer.dice.SYSTEM_USER);
+
+		Renderer.dice._scripts = {[name]: `not a roll`};
+		await Renderer.dice._pHandleScript(name);
+
+		expect(Renderer.dice._$outRoll.find("img").length).toBe(0);
+		expect(Renderer.dice._$outRoll.find(".out-roll-id").map((i, ele) => $(ele).text()).get()).toContain(name);
+	});
+});
+
+describe("Roll damage after hit", () => {
+	let spyConfig;
+	let spyRoll;
+
+	beforeEach(() => {
+		const config = {isAutoRollDamage: true, critRule: "double", modifierKeys: "shiftAdvantage"};
+		spyConfig = jest.spyOn(Renderer.dice, "_getConfig").mockImplementation(configId => config[configId]);
+		spyRoll = jest.spyOn(Renderer.dice, "pRollEntry");
+	});
+
+	afterEach(() => {
+		spyConfig.mockRestore();
+		spyRoll.mockRestore();
+		Renderer.dice.setRng(null);
+		document.body.querySelectorAll("p").forEach(ele => ele.remove());
+	});
+
+	const getEleHit = () => {
+		const getRoller = entry => `<span class="roller render-roller" data-packed-dice='${JSON.stringify({type: "dice", ...entry}).qq()}'>${entry.toRoll}</span>`;
+		const $p = $(`<p>${getRoller({toRoll: "1d20+5", subType: "d20", context: {type: "hit"}})} Hit: ${getRoller({toRoll: "1d6+2", subType: "damage"})} slashing damage.</p>`)
+			.appendTo(document.body);
+		return $p.find(".roller")[0];
+	};
+
+	const pClickHit = async () => {
+		const ele = getEleHit();
+		await Renderer.dice.pRollerClick({}, ele, JSON.stringify($(ele).data("packed-dice")));
+		return spyRoll.mock.calls.map(([entry]) => entry.toRoll);
+	};
+
+	it("Should roll damage after a hit", async () => {
+		Renderer.dice.setRng(() => 0.5);
+		expect(await pClickHit()).toEqual(["1d20+5", "1d6+2"]);
+	});
+
+	it("Should roll critical damage after a natural 20", async () => {
+		Renderer.dice.setRng(() => 0.99);
+		expect(await pClickHit()).toEqual(["1d20+5", "1d6+2+1d6"]);
+	});
+});
@@ -0,0 +1,292 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import {jest} from "@jest/globals";
+import "../../lib/jquery.js";
+import "../../js/parser.js";
+import "../../js/utils.js";
+import "../../js/utils-ui.js";
+import "../../js/render.js";
+import "../../js/utils-dataloader.js";
+import "../../js/hist.js";
+import "../../js/blocklist-ui.js";
+import {BrewUtil2Base} from "../../js/utils-brew/utils-brew-base.js";
+
+/** Reset the blocklist, and re-initialise it from the given stored state. */
+const pInitExcludeUtil = async ({excludes = [], profiles = null} = {}) => {
+	await StorageUtil.pSet(VeCt.STORAGE_EXCLUDES, excludes);
+	if (profiles) await StorageUtil.pSet(VeCt.STORAGE_EXCLUDES_PROFILES, profiles);
+	else await StorageUtil.pRemove(VeCt.STORAGE_EXCLUDES_PROFILES);
+
+	ExcludeUtil.isInitialised = false;
+	ExcludeUtil._cache_excludesLookup = null;
+	ExcludeUtil._cache_blocksLookup = null;
+	ExcludeUtil._cache_allowlistExceptions = null;
+	ExcludeUtil._doClearRulesCache();
+	ExcludeUtil._ruleErrors = {};
+
+	await ExcludeUtil.pInitialise();
+};
+
+const getProfiles = ({rules = [], mode = ExcludeUtil.MODE_BLOCKLIST, allowlistExceptions = []} = {}) => ({
+	idActive: ExcludeUtil.PROFILE_ID_DEFAULT,
+	profiles: [
+		{id: ExcludeUtil.PROFILE_ID_DEFAULT, name: "Default", excludes: null, rules, mode, allowlistExceptions},
+	],
+});
+
+beforeAll(() => JqueryUtil.initEnhancements());
+
+const getRow = (hash, category, source) => ({displayName: hash, hash, category, source});
+
+describe("Blocklist wildcards", () => {
+	beforeAll(async () => {
+		await pInitExcludeUtil({
+			excludes: [
+				getRow("fireball_phb", "spell", Parser.SRC_PHB),
+				getRow("*", "monster", Parser.SRC_MM),
+				getRow("*", "*", Parser.SRC_XGE),
+				getRow("alert_phb", "*", "*"),
+			],
+		});
+	});
+
+	it("Should exclude exact matches", () => {
+		expect(ExcludeUtil.isExcluded("fireball_phb", "spell", Parser.SRC_PHB, {isNoCount: true})).toBe(true);
+		expect(ExcludeUtil.isExcluded("Fireball_PHB", "Spell", "phb", {isNoCount: true})).toBe(true);
+		expect(ExcludeUtil.isExcluded("shield_phb", "spell", Parser.SRC_PHB, {isNoCount: true})).toBe(false);
+	});
+
+	it("Should exclude wildcard matches", () => {
+		expect(ExcludeUtil.isExcluded("goblin_mm", "monster", Parser.SRC_MM, {isNoCount: true})).toBe(true);
+		expect(ExcludeUtil.isExcluded("goblin_mm", "spell", Parser.SRC_MM, {isNoCount: true})).toBe(false);
+		expect(ExcludeUtil.isExcluded("anything_xge", "item", Parser.SRC_XGE, {isNoCount: true})).toBe(true);
+		expect(ExcludeUtil.isExcluded("alert_phb", "feat", Parser.SRC_PHB, {isNoCount: true})).toBe(true);
+		expect(ExcludeUtil.isExcluded("*", "*", Parser.SRC_XGE, {isNoCount: true})).toBe(true);
+		expect(ExcludeUtil.isExcluded("*", "*", Parser.SRC_PHB, {isNoCount: true})).toBe(false);
+	});
+});
+
+describe("Blocklist allowlist mode", () => {
+	beforeAll(async () => {
+		await pInitExcludeUtil({
+			excludes: [
+				getRow("fireball_phb", "spell", Parser.SRC_PHB),
+				getRow("*", "monster", Parser.SRC_MM),
+			],
+			profiles: getProfiles({mode: ExcludeUtil.MODE_ALLOWLIST, allowlistExceptions: ["feat"]}),
+		});
+	});
+
+	it("Should only allow listed content", () => {
+		expect(ExcludeUtil.isAllowlistMode()).toBe(true);
+		expect(ExcludeUtil.isExcluded("fireball_phb", "spell", Parser.SRC_PHB, {isNoCount: true})).toBe(false);
+		expect(ExcludeUtil.isExcluded("shield_phb", "spell", Parser.SRC_PHB, {isNoCount: true})).toBe(true);
+		expect(ExcludeUtil.isExcluded("goblin_mm", "monster", Parser.SRC_MM, {isNoCount: true})).toBe(false);
+		expect(ExcludeUtil.isExcluded("goblin_vgm", "monster", Parser.SRC_VGM, {isNoCount: true})).toBe(true);
+	});
+
+	it("Should allow categories which are always allowed", () => {
+		expect(ExcludeUtil.isExcluded("alert_phb", "feat", Parser.SRC_PHB, {isNoCount: true})).toBe(false);
+	});
+
+	it("Should allow wildcard queries which match a listed row", () => {
+		expect(ExcludeUtil.isExcluded("*", "monster", Parser.SRC_MM, {isNoCount: true})).toBe(false);
+		expect(ExcludeUtil.isExcluded("*", "spell", Parser.SRC_PHB, {isNoCount: true})).toBe(false);
+		expect(ExcludeUtil.isExcluded("*", "spell", Parser.SRC_XGE, {isNoCount: true})).toBe(true);
+		// Always-allowed categories may contain any source
+		expect(ExcludeUtil.isExcluded("*", "*", Parser.SRC_XGE, {isNoCount: true})).toBe(false);
+	});
+
+	it("Should not restrict content if the allowlist is empty", async () => {
+		await pInitExcludeUtil({profiles: getProfiles({mode: ExcludeUtil.MODE_ALLOWLIST})});
+		expect(ExcludeUtil.isExcluded("shield_phb", "spell", Parser.SRC_PHB, {isNoCount: true})).toBe(false);
+	});
+
+	describe("Homebrew blocklists", () => {
+		const pDoLoadBrewBlocklist = blocklist => BrewUtil2Base.prototype._pGetBrewProcessed_pDoBlocklistExtension.call(null, {cpyBrews: [{body: {blocklist}}]});
+
+		it("Should block content from a homebrew's blocklist", async () => {
+			await pInitExcludeUtil({
+				excludes: [getRow("*", "spell", Parser.SRC_PHB)],
+				profiles: getProfiles({mode: ExcludeUtil.MODE_ALLOWLIST}),
+			});
+
+			await pDoLoadBrewBlocklist([getRow("fireball_phb", "spell", Parser.SRC_PHB), getRow("goblin_mm", "monster", Parser.SRC_MM)]);
+
+			expect(ExcludeUtil.getList().filter(it => it.isBlock).map(it => it.hash)).toEqual(["fireball_phb", "goblin_mm"]);
+			expect(ExcludeUtil.isExcluded("fireball_phb", "spell", Parser.SRC_PHB, {isNoCount: true})).toBe(true);
+			expect(ExcludeUtil.isExcluded("shield_phb", "spell", Parser.SRC_PHB, {isNoCount: true})).toBe(false);
+			// Blocked rows are not added to the allowlist
+			expect(ExcludeUtil.isExcluded("goblin_mm", "monster", Parser.SRC_MM, {isNoCount: true})).toBe(true);
+			expect(ExcludeUtil.isExcluded("*", "monster", Parser.SRC_MM, {isNoCount: true})).toBe(true);
+
+			// Loading the same blocklist again has no effect
+			await pDoLoadBrewBlocklist([getRow("fireball_phb", "spell", Parser.SRC_PHB)]);
+			expect(ExcludeUtil.getList().length).toBe(3);
+		});
+
+		it("Should not make an empty allowlist restrictive", async () => {
+			await pInitExcludeUtil({profiles: getProfiles({mode: ExcludeUtil.MODE_ALLOWLIST})});
+
+			await pDoLoadBrewBlocklist([getRow("fireball_phb", "spell", Parser.SRC_PHB)]);
+
+			expect(ExcludeUtil.isExcluded("fireball_phb", "spell", Parser.SRC_PHB, {isNoCount: true})).toBe(true);
+			expect(ExcludeUtil.isExcluded("shield_phb", "spell", Parser.SRC_PHB, {isNoCount: true})).toBe(false);
+		});
+	});
+});
+
+describe("Blocklist profiles", () => {
+	const rowFireball = getRow("fireball_phb", "spell", Parser.SRC_PHB);
+	const rowGoblin = getRow("goblin_mm", "monster", Parser.SRC_MM);
+
+	beforeAll(async () => {
+		await pInitExcludeUtil({excludes: [rowFireball]});
+	});
+
+	it("Should migrate an existing list to a default profile", () => {
+		expect(ExcludeUtil.getProfiles()).toEqual([
+			{id: ExcludeUtil.PROFILE_ID_DEFAULT, name: expect.any(String), isActive: true, mode: ExcludeUtil.MODE_BLOCKLIST, cntExcludes: 1, cntRules: 0},
+		]);
+	});
+
+	it("Should switch between profiles", async () => {
+		const id = await ExcludeUtil.pAddProfile({name: "Goblins", excludes: [rowGoblin], mode: ExcludeUtil.MODE_ALLOWLIST});
+		expect(ExcludeUtil.getActiveProfile().id).toBe(ExcludeUtil.PROFILE_ID_DEFAULT);
+
+		await ExcludeUtil.pSetActiveProfile({id});
+
+		expect(ExcludeUtil.getActiveProfile()).toMatchObject({id, name: "Goblins", mode: ExcludeUtil.MODE_ALLOWLIST, cntExcludes: 1});
+		expect(ExcludeUtil.getList()).toEqual([rowGoblin]);
+		expect(ExcludeUtil.isExcluded("fireball_phb", "spell", Parser.SRC_PHB, {isNoCount: true})).toBe(true);
+		expect(ExcludeUtil.isExcluded("goblin_mm", "monster", Parser.SRC_MM, {isNoCount: true})).toBe(false);
+
+		// The previously-active profile keeps its list
+		expect(ExcludeUtil.getProfileList(ExcludeUtil.PROFILE_ID_DEFAULT)).toEqual([rowFireball]);
+
+		// The active profile is restored on load
+		await pInitExcludeUtil({excludes: ExcludeUtil.getList(), profiles: MiscUtil.copyFast(ExcludeUtil._profiles)});
+		expect(ExcludeUtil.getActiveProfile().id).toBe(id);
+	});
+
+	it("Should delete profiles", async () => {
+		const {id} = ExcludeUtil.getActiveProfile();
+		await ExcludeUtil.pDeleteProfile({id});
+
+		expect(ExcludeUtil.getProfiles().map(({id}) => id)).toEqual([ExcludeUtil.PROFILE_ID_DEFAULT]);
+		expect(ExcludeUtil.getList()).toEqual([rowFireball]);
+		await expect(ExcludeUtil.pDeleteProfile({id: ExcludeUtil.PROFILE_ID_DEFAULT})).rejects.toThrow();
+	});
+
+	it("Should share profiles as URLs", () => {
+		const rule = {id: "rule", name: "PHB Feats", page: UrlUtil.PG_FEATS, categories: ["feat"], values: {Source: {PHB: 1}}, displayState: "Source: PHB"};
+		const url = BlocklistUtil.getProfileShareUrl({
+			name: "Shared",
+			excludes: [rowFireball, {...rowGoblin, isBlock: true}],
+			rules: [rule],
+			mode: ExcludeUtil.MODE_ALLOWLIST,
+			allowlistExceptions: ["feat"],
+		});
+
+		const urlParsed = new URL(url);
+		expect(`${urlParsed.origin}${urlParsed.pathname}`).toBe(new URL("blocklist.html", location.href).href);
+
+		window.location.hash = urlParsed.hash;
+		try {
+			const {id, ...ruleShared} = rule;
+			expect(BlocklistUtil.getProfileFromHash()).toEqual({
+				name: "Shared",
+				excludes: [rowFireball, {...rowGoblin, isBlock: true}],
+				rules: [ruleShared],
+				mode: ExcludeUtil.MODE_ALLOWLIST,
+				allowlistExceptions: ["feat"],
+			});
+		} finally {
+			window.location.hash = "";
+		}
+	});
+});
+
+describe("Blocklist rules", () => {
+	const featPhb = {name: "Alert", source: Parser.SRC_PHB, page: 165, entries: ["Always on the lookout for danger."]};
+	const featXge = {name: "Squat Nimbleness", source: Parser.SRC_XGE, page: 75, entries: ["You are uncommonly nimble for your race."]};
+
+	/** Get filter values which display only PHB feats. */
+	const pGetValuesPhb = async () => {
+		const pageFilter = new PageFilterFeats();
+		await pageFilter.pInitFilterBox({namespace: "test"});
+
+		const values = pageFilter.filterBox.getValues({isIncludeCombineState: true});
+		values.Source = {...values.Source, [Parser.SRC_PHB]: 1, _isActive: true, _totals: {yes: 1, no: 0, ignored: 0}};
+		return values;
+	};
+
+	let toastSpy;
+	beforeEach(() => { toastSpy = jest.spyOn(JqueryUtil, "doToast").mockImplementation(() => {}); });
+	afterEach(() => toastSpy.mockRestore());
+
+	it("Should load the page filters required to evaluate rules", async () => {
+		expect(globalThis.PageFilterFeats).toBeUndefined();
+
+		await pInitExcludeUtil({
+			profiles: getProfiles({rules: [{id: "broken", name: "Broken", page: UrlUtil.PG_FEATS, categories: ["feat"], values: {}, displayState: ""}]}),
+		});
+
+		expect(globalThis.PageFilterFeats).toBeDefined();
+		expect(ExcludeUtil.isRuleCategory("feat")).toBe(true);
+		expect(ExcludeUtil.isRuleCategory("spell")).toBe(false);
+	});
+
+	it("Should report rules which cannot be evaluated", async () => {
+		jest.useFakeTimers();
+		try {
+			expect(ExcludeUtil.isExcluded("alert_phb", "feat", Parser.SRC_PHB, {entity: featPhb})).toBe(false);
+			expect(Object.keys(ExcludeUtil.getRuleErrors())).toEqual(["broken"]);
+			expect(toastSpy).toHaveBeenCalledTimes(1);
+
+			// Errors are reported once per rule
+			ExcludeUtil.isExcluded("alert_phb", "feat", Parser.SRC_PHB, {entity: featPhb});
+			expect(toastSpy).toHaveBeenCalledTimes(1);
+		} finally {
+			jest.clearAllTimers();
+			jest.useRealTimers();
+		}
+	});
+
+	it("Should exclude entities which match a rule", async () => {
+		await pInitExcludeUtil({
+			profiles: getProfiles({rules: [{id: "phb", name: "PHB Feats", page: UrlUtil.PG_FEATS, categories: ["feat"], values: await pGetValuesPhb(), displayState: "Source: PHB"}]}),
+		});
+
+		expect(ExcludeUtil.isExcluded("alert_phb", "feat", Parser.SRC_PHB, {entity: featPhb, isNoCount: true})).toBe(true);
+		expect(ExcludeUtil.isExcluded("squat%20nimbleness_xge", "feat", Parser.SRC_XGE, {entity: featXge, isNoCount: true})).toBe(false);
+
+		// Rules only apply to their own categories
+		expect(ExcludeUtil.isExcluded("alert_phb", "spell", Parser.SRC_PHB, {entity: featPhb, isNoCount: true})).toBe(false);
+		expect(ExcludeUtil.getRuleErrors()).toEqual({});
+	});
+
+	it("Should evaluate rules against entities loaded by the data loader", async () => {
+		expect(ExcludeUtil.isExcluded("alert_phb", "feat", Parser.SRC_PHB, {isNoCount: true})).toBe(false);
+
+		[featPhb, featXge].forEach(ent => DataLoader._pCache_addEntityToCache({prop: "feat", hashBuilder: UrlUtil.URL_TO_HASH_BUILDER["feat"], ent: MiscUtil.copyFast(ent)}));
+
+		expect(ExcludeUtil.isExcluded("alert_phb", "feat", Parser.SRC_PHB, {isNoCount: true})).toBe(true);
+		expect(ExcludeUtil.isExcluded("squat%20nimbleness_xge", "feat", Parser.SRC_XGE, {isNoCount: true})).toBe(false);
+		expect(ExcludeUtil.isExcluded("*", "feat", Parser.SRC_PHB, {isNoCount: true})).toBe(false);
+	});
+
+	it("Should not evaluate rules for entities without a source", () => {
+		expect(ExcludeUtil.isExcluded("alert", "feat", null, {isNoCount: true})).toBe(false);
+	});
+
+	it("Should remove rules", async () => {
+		const [{id}] = ExcludeUtil.getRules();
+		await ExcludeUtil.pRemoveRule({id});
+
+		expect(ExcludeUtil.hasRules()).toBe(false);
+		expect(ExcludeUtil.isExcluded("alert_phb", "feat", Parser.SRC_PHB, {entity: featPhb, isNoCount: true})).toBe(false);
+	});
+});
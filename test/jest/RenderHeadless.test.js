@@ -0,0 +1,30 @@
+import {getRenderedHtml, getRenderedMarkdown, Renderer} from "../../node/util-render.js";
+
+describe("Headless rendering", () => {
+	it("Should render entries to HTML without a DOM", () => {
+		expect(getRenderedHtml("aa {@b bb} cc")).toBe("aa <b>bb</b> cc");
+		expect(Renderer.stripTags("aa {@b bb} cc")).toBe("aa bb cc");
+	});
+
+	it("Should render entries to Markdown", () => {
+		expect(getRenderedMarkdown({type: "entries", name: "Heading", entries: ["aa {@b bb} cc"]})).toBe("### Heading\n\naa **bb** cc");
+	});
+
+	it("Should render entities to HTML and Markdown", () => {
+		const spell = {
+			name: "Test Spell",
+			source: "PHB",
+			page: 1,
+			level: 1,
+			school: "V",
+			time: [{number: 1, unit: "action"}],
+			range: {type: "point", distance: {type: "feet", amount: 30}},
+			components: {v: true},
+			duration: [{type: "instant"}],
+			entries: ["Deals {@damage 1d6} damage."],
+		};
+
+		expect(getRenderedHtml(spell, {page: "spells.html"})).toContain("Test Spell");
+		expect(getRenderedMarkdown(spell, {prop: "spell"})).toMatch(/^#### Test Spell\n\*1st-level evocation\*/);
+	});
+});
@@ -0,0 +1,39 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import "../../lib/jquery.js";
+import "../../js/parser.js";
+import "../../js/utils.js";
+import "../../js/utils-ui.js";
+import "../../js/utils-config.js";
+import "../../js/utils-brew.js";
+import "../../js/render.js";
+
+beforeAll(() => JqueryUtil.initEnhancements());
+
+const ent = {name: "Test Entity", source: "PHB", page: 12};
+
+describe("Name row rendering", () => {
+	it("Should render as HTML", () => {
+		const html = Renderer.utils.getNameTr(ent, {controlRhs: `<button class="test-control"></button>`});
+		expect(typeof html).toBe("string");
+		expect(html).toContain("Test Entity");
+		expect(html).toContain(`<button class="test-control"></button>`);
+	});
+
+	it("Should render jQuery controls", () => {
+		const $btn = $(`<button class="test-control"></button>`);
+		const $tr = Renderer.utils.getNameTr(ent, {controlRhs: $btn, asJquery: true});
+
+		expect($tr instanceof jQuery).toBe(true);
+		expect($tr.text()).not.toContain("[object Object]");
+		expect($tr.find(".test-control")[0]).toBe($btn[0]);
+	});
+
+	it("Should render jQuery controls as HTML", () => {
+		const html = Renderer.utils.getNameTr(ent, {controlRhs: $(`<button class="test-control"></button>`)});
+		expect(html).not.toContain("[object Object]");
+		expect(html).toContain(`<button class="test-control"></button>`);
+	});
+});
@@ -0,0 +1,96 @@
+import "../../js/parser.js";
+import "../../js/utils.js";
+import {RollLogClient, RollLogServer} from "../../js/initiativetracker/initiativetracker-rolllog.js";
+
+/** Wrap a message as a packet, as per `PeerVe.sendMessage`. */
+const getPacket = ({role, toSend}) => MiscUtil.copyFast({head: {type: role, version: "0.0.2"}, data: toSend});
+
+/**
+ * Connect a DM's log and any number of players' logs, such that messages are delivered immediately, as they would be
+ * over the initiative tracker's peer-to-peer connection.
+ */
+const getLoopbackPeers = ({playerNames}) => {
+	const players = playerNames.map(playerName => ({playerName, rollLog: new RollLogClient()}));
+
+	const server = new RollLogServer({
+		fnSendMessage: toSend => players.forEach(({rollLog}) => rollLog.handleMessage(getPacket({role: "server", toSend}).data)),
+	});
+
+	players.forEach(({playerName, rollLog}) => {
+		rollLog.fnSendMessage = toSend => server.handleClientPacket({packet: getPacket({role: "client", toSend}), playerName});
+	});
+
+	return {server, players};
+};
+
+describe("Shared roll log", () => {
+	it("Should share DM and player rolls with every player", () => {
+		const {server, players: [alice, bob]} = getLoopbackPeers({playerNames: ["Alice", "Bob"]});
+
+		server.addRoll({rolledBy: "Goblin", label: "Scimitar", dice: "1d20+4", result: 17});
+		alice.rollLog.sendRoll({rolledBy: "Anon", dice: "1d20", result: 12});
+
+		expect(server.getRolls().map(({playerName}) => playerName)).toEqual(["DM", "Alice"]);
+		expect(bob.rollLog.getRolls()).toMatchObject([
+			{playerName: "DM", rolledBy: "Goblin", label: "Scimitar", dice: "1d20+4", result: 17},
+			{playerName: "Alice", rolledBy: "Anon", dice: "1d20", result: 12},
+		]);
+		expect(alice.rollLog.getRolls()).toEqual(bob.rollLog.getRolls());
+	});
+
+	it("Should not send hidden rolls to players", () => {
+		const {server, players: [alice]} = getLoopbackPeers({playerNames: ["Alice"]});
+
+		const roll = server.addRoll({rolledBy: "Dragon", dice: "2d20kh1+10", result: 25});
+		server.addRoll({rolledBy: "Goblin", dice: "1d20", result: 3});
+
+		server.setRollHidden({id: roll.id, isHidden: true});
+		expect(alice.rollLog.getRolls().map(({rolledBy}) => rolledBy)).toEqual(["Goblin"]);
+		expect(alice.rollLog.getRolls()[0].isHidden).toBeUndefined();
+
+		server.setRollHidden({id: roll.id, isHidden: false});
+		expect(alice.rollLog.getRolls().map(({rolledBy}) => rolledBy)).toEqual(["Dragon", "Goblin"]);
+	});
+
+	it("Should ignore invalid player messages", () => {
+		const {server} = getLoopbackPeers({playerNames: []});
+
+		expect(server.handleClientPacket({packet: getPacket({role: "client", toSend: {type: "state", payload: {}}}), playerName: "Alice"})).toBeNull();
+		expect(server.handleClientPacket({packet: getPacket({role: "client", toSend: {type: "roll", payload: {dice: "1d20", result: "lots"}}}), playerName: "Alice"})).toBeNull();
+		expect(server.handleClientPacket({packet: {type: "roll", payload: {dice: "1d20", result: 1}}, playerName: "Alice"})).toBeNull();
+		expect(server.handleClientPacket({packet: null, playerName: "Alice"})).toBeNull();
+		expect(server.getRolls()).toEqual([]);
+	});
+
+	it("Should ignore player rolls without a finite result", () => {
+		const {server, players: [alice]} = getLoopbackPeers({playerNames: ["Alice"]});
+
+		[null, undefined, "", "  ", [], [3], {}, true, NaN, Infinity, "-Infinity"]
+			.forEach(result => alice.rollLog.sendRoll({dice: "1d20", result}));
+		expect(server.getRolls()).toEqual([]);
+
+		alice.rollLog.sendRoll({dice: "1d20", result: "7"});
+		alice.rollLog.sendRoll({dice: "1d20", result: -2});
+		expect(server.getRolls().map(({result}) => result)).toEqual([7, -2]);
+	});
+
+	it("Should limit the length of player-provided fields", () => {
+		const {server, players: [alice]} = getLoopbackPeers({playerNames: ["Alice"]});
+
+		const str = "x".repeat(10_000);
+		alice.rollLog.sendRoll({rolledBy: str, label: str, dice: str, result: 1});
+
+		const [roll] = server.getRolls();
+		["rolledBy", "label", "dice"].forEach(prop => expect(roll[prop].length).toBe(200));
+
+		// The DM's own rolls are not limited
+		expect(server.addRoll({dice: str, result: 1}).dice).toBe(str);
+	});
+
+	it("Should store player-provided fields as strings", () => {
+		const {server, players: [alice]} = getLoopbackPeers({playerNames: ["Alice"]});
+
+		alice.rollLog.sendRoll({rolledBy: 42, label: {html: "<b>"}, dice: "1d20", result: 12});
+		expect(server.getRolls()).toMatchObject([{playerName: "Alice", rolledBy: "42", label: "[object Object]", dice: "1d20", result: 12}]);
+	});
+});
@@ -0,0 +1,16 @@
+/**
+ * Build a `BrewDoc`-like object, declaring the given sources.
+ * @param sources Source JSON IDs, used as both the `json` and `full` name of each source.
+ * @param [meta] Additional `_meta` props.
+ * @param rest Entity arrays to add to the document body.
+ */
+export const getBrewDoc = ({sources, meta = {}, ...rest}) => ({
+	head: {},
+	body: {
+		_meta: {
+			sources: sources.map(json => ({json, full: json})),
+			...meta,
+		},
+		...rest,
+	},
+});